@@ -1,15 +1,75 @@
+import { useEffect, useState } from 'react';
 import { ArcProvider } from './providers/ArcProvider';
 import { TreasuryDashboard } from './components/TreasuryDashboard';
+import { ApprovalsQueue } from './components/ApprovalsQueue';
+import { PayrollSchedules } from './components/PayrollSchedules';
+import { DistributionRuleBuilder } from './components/DistributionRuleBuilder';
+import { ComplianceRecordsExplorer } from './components/ComplianceRecordsExplorer';
+import { NetworkSwitcher } from './components/NetworkSwitcher';
+import { NetworkBanner } from './components/NetworkBanner';
+
+const VIEWS = [
+  { id: 'dashboard', label: 'Dashboard' },
+  { id: 'payroll', label: 'Payroll' },
+  { id: 'rules', label: 'Rules' },
+  { id: 'approvals', label: 'Approvals' },
+  { id: 'compliance', label: 'Compliance' }
+] as const;
+
+type View = (typeof VIEWS)[number]['id'];
+
+const viewFromHash = (): View => {
+  const id = window.location.hash.replace(/^#\/?/, '');
+  return VIEWS.find((view) => view.id === id)?.id ?? 'dashboard';
+};
 
 function App() {
+  const [view, setView] = useState<View>(viewFromHash);
+
+  useEffect(() => {
+    const handleHashChange = () => setView(viewFromHash());
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
   return (
     <ArcProvider>
       <main style={{ padding: '24px' }}>
-        <TreasuryDashboard />
+        <nav style={{ maxWidth: 1200, margin: '0 auto 24px', display: 'flex', alignItems: 'center', gap: 8 }}>
+          {VIEWS.map(({ id, label }) => (
+            <a key={id} href={`#/${id}`} style={id === view ? activeNavStyle : navStyle}>
+              {label}
+            </a>
+          ))}
+          <NetworkSwitcher />
+        </nav>
+        <NetworkBanner />
+        {view === 'dashboard' && <TreasuryDashboard />}
+        {view === 'payroll' && <PayrollSchedules />}
+        {view === 'rules' && (
+          <section style={{ maxWidth: 1200, margin: '0 auto' }}>
+            <DistributionRuleBuilder />
+          </section>
+        )}
+        {view === 'approvals' && <ApprovalsQueue />}
+        {view === 'compliance' && <ComplianceRecordsExplorer />}
       </main>
     </ArcProvider>
   );
 }
 
-export default App;
+const navStyle: React.CSSProperties = {
+  padding: '8px 16px',
+  borderRadius: 999,
+  color: '#475569',
+  fontWeight: 600,
+  textDecoration: 'none'
+};
 
+const activeNavStyle: React.CSSProperties = {
+  ...navStyle,
+  background: 'rgba(79, 70, 229, 0.08)',
+  color: '#4338ca'
+};
+
+export default App;
@@ -1,5 +1,37 @@
 export const treasuryAbi = [
   'function getBalance() external view returns (uint256)',
-  'function setAllocationRule(address recipient,uint8 allocationType,uint256 value,uint256 budgetLimit,uint256 priority,uint256 cooldownPeriod) external returns (uint256)'
-];
+  'function setAllocationRule(address recipient,uint8 allocationType,uint256 value,uint256 budgetLimit,uint256 priority,uint256 cooldownPeriod) external returns (uint256)',
+
+  // Scheduled distributions (payroll)
+  'function createScheduledDistribution(address recipient,uint256 amount,uint256 interval) external returns (uint256)',
+  'function updateScheduledDistribution(uint256 scheduleId,bool active) external',
+  'function getScheduledDistribution(uint256 scheduleId) external view returns (tuple(address recipient,uint256 amount,uint256 interval,uint256 nextDistribution,bool active,uint256 totalDistributed))',
+  'function getDueScheduledDistributions() external view returns (uint256[])',
+  'function executeScheduledDistributions(uint256[] scheduleIds) external',
+
+  // Distribution rules
+  'function createTimeBasedDistributionRule(address recipient,uint256 amount,uint256 interval,uint256 maxTotalDistribution,uint256 priority,uint256 cooldownPeriod) external returns (uint256)',
+  'function createBalanceConditionDistributionRule(address recipient,uint256 amount,uint8 condition,uint256 threshold,uint256 maxTotalDistribution,uint256 priority,uint256 cooldownPeriod) external returns (uint256)',
+  'function createPercentageBasedDistributionRule(address recipient,uint256 percentage,uint256 maxTotalDistribution,uint256 priority,uint256 cooldownPeriod) external returns (uint256)',
+  'function createBatchDistributionRule(address[] recipients,uint256[] amounts,uint256[] percentages,bool usePercentages,uint256 maxTotalDistribution,uint256 priority,uint256 cooldownPeriod) external returns (uint256)',
 
+  // Multisig
+  'function proposeTransaction(address to,uint256 amount,bytes data) external returns (bytes32)',
+  'function confirmTransaction(bytes32 txHash) external',
+  'function revokeConfirmation(bytes32 txHash) external',
+  'function executeTransaction(bytes32 txHash) external',
+  'function getTransaction(bytes32 txHash) external view returns (tuple(address to,uint256 amount,bytes data,bool executed,uint256 confirmations))',
+  'function isConfirmed(bytes32 txHash,address signer) external view returns (bool)',
+  'function getSigners() external view returns (address[])',
+  'function requiredSignatures() external view returns (uint256)',
+  'event TransactionProposed(bytes32 indexed txHash,address indexed proposer,address indexed to,uint256 amount)',
+  'event TransactionConfirmed(bytes32 indexed txHash,address indexed signer)',
+  'event ConfirmationRevoked(bytes32 indexed txHash,address indexed signer)',
+  'event TransactionExecuted(bytes32 indexed txHash,address indexed to,uint256 amount)',
+
+  // Payout and compliance events
+  'event ScheduledDistributionExecuted(uint256 indexed scheduleId,address indexed recipient,uint256 amount)',
+  'event DistributionRuleExecuted(uint256 indexed ruleId,address[] recipients,uint256[] amounts)',
+  'event AllocationExecuted(uint256 indexed ruleId,address indexed recipient,uint256 amount)',
+  'event ComplianceRecordCreated(bytes32 indexed recordId,bytes32 indexed transactionHash,address indexed recipient,uint256 ruleId,uint8 source,uint256 amount,uint8 kycStatus,uint8 amlStatus)'
+];
@@ -0,0 +1,107 @@
+import { LiveUpdateMessages } from '../types';
+import { treasuryStreamUrl } from './treasuryService';
+
+export type LiveUpdateType = keyof LiveUpdateMessages;
+
+type Listener<T extends LiveUpdateType> = (data: LiveUpdateMessages[T]) => void;
+
+const MESSAGE_TYPES: LiveUpdateType[] = ['balances', 'run', 'event', 'reorg'];
+const INITIAL_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 30 * 1000;
+
+/**
+ * One shared Server-Sent Events connection to the Node service
+ * The connection opens with the first subscriber and closes with the last. After an
+ * error it reconnects with exponential backoff and jitter instead of the browser's
+ * fixed retry, and reports whether it is connected so hooks can fall back to polling.
+ */
+class LiveUpdateConnection {
+  private source: EventSource | null = null;
+  private listeners = new Map<LiveUpdateType, Set<Listener<LiveUpdateType>>>();
+  private statusListeners = new Set<(connected: boolean) => void>();
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private backoff = INITIAL_BACKOFF_MS;
+  private subscribers = 0;
+  connected = false;
+
+  subscribe<T extends LiveUpdateType>(type: T, listener: Listener<T>): () => void {
+    const listeners = this.listeners.get(type) ?? new Set();
+    listeners.add(listener as Listener<LiveUpdateType>);
+    this.listeners.set(type, listeners);
+    this.retain();
+    return () => {
+      listeners.delete(listener as Listener<LiveUpdateType>);
+      this.release();
+    };
+  }
+
+  onStatus(listener: (connected: boolean) => void): () => void {
+    this.statusListeners.add(listener);
+    this.retain();
+    return () => {
+      this.statusListeners.delete(listener);
+      this.release();
+    };
+  }
+
+  private retain() {
+    this.subscribers += 1;
+    if (!this.source && !this.reconnectTimer) this.connect();
+  }
+
+  private release() {
+    this.subscribers -= 1;
+    if (this.subscribers > 0) return;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.source?.close();
+    this.source = null;
+    this.setConnected(false);
+  }
+
+  private connect() {
+    if (typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(treasuryStreamUrl());
+    this.source = source;
+
+    source.onopen = () => {
+      this.backoff = INITIAL_BACKOFF_MS;
+      this.setConnected(true);
+    };
+
+    source.onerror = () => {
+      source.close();
+      this.source = null;
+      this.setConnected(false);
+      if (this.subscribers === 0) return;
+      const delay = this.backoff * (0.5 + Math.random() / 2);
+      this.backoff = Math.min(this.backoff * 2, MAX_BACKOFF_MS);
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect();
+      }, delay);
+    };
+
+    MESSAGE_TYPES.forEach((type) => {
+      source.addEventListener(type, (message) => {
+        let data: LiveUpdateMessages[typeof type];
+        try {
+          data = JSON.parse((message as MessageEvent<string>).data);
+        } catch (error) {
+          console.warn(`[liveUpdates] Ignoring malformed ${type} message`, error);
+          return;
+        }
+        this.listeners.get(type)?.forEach((listener) => listener(data));
+      });
+    });
+  }
+
+  private setConnected(connected: boolean) {
+    if (this.connected === connected) return;
+    this.connected = connected;
+    this.statusListeners.forEach((listener) => listener(connected));
+  }
+}
+
+export const liveUpdates = new LiveUpdateConnection();
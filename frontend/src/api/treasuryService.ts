@@ -1,4 +1,15 @@
-import { AggregatedBalances } from '../types';
+import {
+  AggregatedBalances,
+  ApprovalQueue,
+  ApprovalStatus,
+  ComplianceRecordFilters,
+  ComplianceRecordPage,
+  PendingApproval,
+  RunwayForecast,
+  ScheduledDistribution,
+  ServiceNetwork,
+  TreasuryHealth
+} from '../types';
 import { MOCK_AGGREGATED_BALANCES } from '../data/mockBalances';
 
 const API_BASE =
@@ -11,6 +22,19 @@ function buildUrl(path: string) {
   return path;
 }
 
+export interface TreasuryBalanceResponse {
+  aggregatedUSDC: string;
+  timestamp: string;
+}
+
+export async function fetchTreasuryBalance(): Promise<TreasuryBalanceResponse> {
+  const response = await fetch(buildUrl('/api/treasury/balance'));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as TreasuryBalanceResponse;
+}
+
 export async function fetchAggregatedBalances(): Promise<AggregatedBalances> {
   try {
     const response = await fetch(buildUrl('/api/balances'));
@@ -28,3 +52,88 @@ export async function fetchAggregatedBalances(): Promise<AggregatedBalances> {
   }
 }
 
+
+export async function fetchRunwayForecast(days?: number): Promise<RunwayForecast> {
+  const query = days ? `?days=${days}` : '';
+  const response = await fetch(buildUrl(`/api/v1/forecast${query}`));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as RunwayForecast;
+}
+
+export async function fetchServiceNetwork(): Promise<ServiceNetwork> {
+  const response = await fetch(buildUrl('/api/v1/network'));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as ServiceNetwork;
+}
+
+export async function fetchTreasuryHealth(): Promise<TreasuryHealth> {
+  const response = await fetch(buildUrl('/api/v1/health'));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as TreasuryHealth;
+}
+
+export async function fetchApprovals(status: ApprovalStatus | 'all' = 'pending'): Promise<ApprovalQueue> {
+  const response = await fetch(buildUrl(`/api/v1/approvals?status=${status}`));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as ApprovalQueue;
+}
+
+export async function fetchApproval(txId: string): Promise<PendingApproval> {
+  const response = await fetch(buildUrl(`/api/v1/approvals/${txId}`));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as PendingApproval;
+}
+
+export async function fetchSchedules(): Promise<ScheduledDistribution[]> {
+  const response = await fetch(buildUrl('/api/v1/schedules'));
+  if (!response.ok) {
+    throw new Error(`Request failed with status ${response.status}`);
+  }
+  return ((await response.json()) as { schedules: ScheduledDistribution[] }).schedules;
+}
+
+const complianceQuery = (filters: ComplianceRecordFilters, extra: Record<string, string> = {}) => {
+  const params = new URLSearchParams(extra);
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+export async function fetchComplianceRecords(
+  filters: ComplianceRecordFilters,
+  page: number,
+  pageSize: number
+): Promise<ComplianceRecordPage> {
+  const query = complianceQuery(filters, { page: String(page), pageSize: String(pageSize) });
+  const response = await fetch(buildUrl(`/api/v1/compliance/records?${query}`));
+  if (!response.ok) {
+    const body = (await response.json().catch(() => null)) as { error?: string } | null;
+    throw new Error(body?.error || `Request failed with status ${response.status}`);
+  }
+  return (await response.json()) as ComplianceRecordPage;
+}
+
+/**
+ * Download link for every record matching the filters
+ */
+export function complianceRecordsExportUrl(filters: ComplianceRecordFilters, format: 'csv' | 'xlsx' | 'json'): string {
+  return buildUrl(`/api/v1/compliance/records/export?${complianceQuery(filters, { format })}`);
+}
+
+/**
+ * Server-Sent Events stream of balance changes, automation runs and indexed events
+ */
+export function treasuryStreamUrl(): string {
+  return buildUrl('/api/v1/stream');
+}
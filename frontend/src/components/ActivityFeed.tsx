@@ -0,0 +1,144 @@
+import { useMemo, useState } from 'react';
+import { useActivityFeed } from '../hooks/useActivityFeed';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ActivityKind } from '../utils/activityFeed';
+
+const KINDS: { value: ActivityKind; label: string; color: string }[] = [
+  { value: 'distribution', label: 'Distributions', color: '#16a34a' },
+  { value: 'allocation', label: 'Allocations', color: '#0891b2' },
+  { value: 'execution', label: 'Executions', color: '#4f46e5' },
+  { value: 'proposal', label: 'Proposals', color: '#d97706' },
+  { value: 'confirmation', label: 'Confirmations', color: '#7c3aed' },
+  { value: 'compliance', label: 'Compliance', color: '#64748b' }
+];
+
+const kindColor = (kind: ActivityKind) => KINDS.find((option) => option.value === kind)?.color ?? '#94a3b8';
+
+const shorten = (address: string) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+const timeAgo = (timestamp: number) => {
+  const seconds = Math.max(0, Math.floor(Date.now() / 1000 - timestamp));
+  if (seconds < 60) return 'just now';
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return new Date(timestamp * 1000).toLocaleDateString();
+};
+
+export const ActivityFeed = () => {
+  const { items, isLoading, error, isLive } = useActivityFeed();
+  const { explorerAddressUrl, explorerTxUrl } = useArcProvider();
+  const [hidden, setHidden] = useState<Set<ActivityKind>>(new Set());
+
+  const visible = useMemo(() => items.filter((item) => !hidden.has(item.kind)), [items, hidden]);
+
+  const toggle = (kind: ActivityKind) =>
+    setHidden((current) => {
+      const next = new Set(current);
+      if (next.has(kind)) next.delete(kind);
+      else next.add(kind);
+      return next;
+    });
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+        <div>
+          <h2 style={{ margin: '0 0 6px' }}>Activity</h2>
+          <p style={mutedStyle}>
+            {isLive ? 'Treasury events from recent blocks, updated live.' : 'Set VITE_TREASURY_ADDRESS to follow Treasury events.'}
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+          {KINDS.map((kind) => (
+            <button
+              key={kind.value}
+              onClick={() => toggle(kind.value)}
+              style={{
+                ...chipStyle,
+                color: hidden.has(kind.value) ? '#94a3b8' : kind.color,
+                borderColor: hidden.has(kind.value) ? 'rgba(15, 23, 42, 0.08)' : kind.color
+              }}
+            >
+              {kind.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {isLoading && <p style={{ ...mutedStyle, marginTop: 16 }}>Loading recent activity…</p>}
+      {error && <p style={{ ...mutedStyle, marginTop: 16, color: '#d97706' }}>History unavailable ({error}); showing new events only.</p>}
+      {!isLoading && isLive && visible.length === 0 && <p style={{ ...mutedStyle, marginTop: 16 }}>No Treasury activity yet.</p>}
+
+      <ol style={{ listStyle: 'none', margin: '20px 0 0', padding: 0 }}>
+        {visible.map((item) => (
+          <li key={item.id} style={{ display: 'flex', gap: 12, paddingBottom: 16 }}>
+            <span style={{ ...dotStyle, background: kindColor(item.kind) }} />
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', gap: 12 }}>
+                <strong>
+                  {item.title}
+                  {item.total && <span style={{ marginLeft: 8, color: '#0f172a' }}>${Number(item.total).toLocaleString()}</span>}
+                </strong>
+                <small style={{ color: '#94a3b8', whiteSpace: 'nowrap' }}>
+                  {item.timestamp ? timeAgo(item.timestamp) : `Block ${item.blockNumber}`}
+                </small>
+              </div>
+              <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', marginTop: 4, color: '#475569', fontSize: 14 }}>
+                {item.payments.map((payment, index) => (
+                  <span key={`${payment.recipient}-${index}`}>
+                    {item.payments.length > 1 && `$${Number(payment.amount).toLocaleString()} → `}
+                    <a href={explorerAddressUrl(payment.recipient)} target="_blank" rel="noreferrer" style={linkStyle}>
+                      {shorten(payment.recipient)}
+                    </a>
+                  </span>
+                ))}
+                {item.actor && (
+                  <span>
+                    {item.actor.label}{' '}
+                    <a href={explorerAddressUrl(item.actor.address)} target="_blank" rel="noreferrer" style={linkStyle}>
+                      {shorten(item.actor.address)}
+                    </a>
+                  </span>
+                )}
+                {item.references.map((reference) => (
+                  <span key={reference.label}>
+                    {reference.label} {reference.value}
+                  </span>
+                ))}
+                <a href={explorerTxUrl(item.transactionHash)} target="_blank" rel="noreferrer" style={linkStyle}>
+                  View tx
+                </a>
+              </div>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const linkStyle: React.CSSProperties = {
+  color: '#4f46e5'
+};
+
+const chipStyle: React.CSSProperties = {
+  padding: '4px 10px',
+  borderRadius: 999,
+  border: '1px solid',
+  background: '#fff',
+  fontSize: 12,
+  fontWeight: 600
+};
+
+const dotStyle: React.CSSProperties = {
+  width: 10,
+  height: 10,
+  borderRadius: '50%',
+  marginTop: 6,
+  flexShrink: 0
+};
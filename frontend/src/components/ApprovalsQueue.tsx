@@ -0,0 +1,304 @@
+import { useState } from 'react';
+import { fetchApproval } from '../api/treasuryService';
+import { ApprovalView, useApprovals } from '../hooks/useApprovals';
+import { TreasuryActionState, useTreasuryAction } from '../hooks/useTreasuryAction';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ApprovalEvent, ApprovalStatus } from '../types';
+import { ProposeTransferForm } from './ProposeTransferForm';
+
+type MultisigAction = 'confirmTransaction' | 'revokeConfirmation' | 'executeTransaction';
+
+const ACTION_LABELS: Record<MultisigAction, string> = {
+  confirmTransaction: 'Confirm',
+  revokeConfirmation: 'Revoke',
+  executeTransaction: 'Execute'
+};
+
+const FILTERS: { label: string; value: ApprovalStatus | 'all' }[] = [
+  { label: 'Pending', value: 'pending' },
+  { label: 'Executed', value: 'executed' },
+  { label: 'All', value: 'all' }
+];
+
+const shorten = (value: string) => `${value.slice(0, 6)}…${value.slice(-4)}`;
+
+export const ApprovalsQueue = () => {
+  const [filter, setFilter] = useState<ApprovalStatus | 'all'>('pending');
+  const { approvals, requiredConfirmations, isLoading, error, refresh, refreshTransaction } = useApprovals(filter);
+  const { account } = useArcProvider();
+  const { state: actionState, run } = useTreasuryAction();
+
+  const runAction = async (txId: string, action: MultisigAction) => {
+    const receipt = await run(txId, ACTION_LABELS[action], action, [txId]);
+    if (receipt) {
+      await refreshTransaction(txId);
+    }
+  };
+
+  return (
+    <section style={{ maxWidth: 1200, margin: '0 auto', display: 'flex', flexDirection: 'column', gap: 24 }}>
+      <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <div className="badge">
+            {requiredConfirmations === null ? 'Multisig' : `${requiredConfirmations} confirmations required`}
+          </div>
+          <h1 style={{ margin: '8px 0 4px', fontSize: 32 }}>Approvals</h1>
+          <p style={{ margin: 0, color: '#475569' }}>
+            Confirm, revoke or execute Treasury transfers waiting on signers.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          {FILTERS.map((option) => (
+            <button
+              key={option.value}
+              onClick={() => setFilter(option.value)}
+              style={option.value === filter ? activeFilterStyle : filterStyle}
+            >
+              {option.label}
+            </button>
+          ))}
+          <button onClick={refresh} style={filterStyle}>
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      {isLoading && <p style={mutedStyle}>Loading approvals…</p>}
+      {error && <p style={{ ...mutedStyle, color: '#dc2626' }}>Approval queue unavailable: {error}</p>}
+      {!isLoading && !error && approvals.length === 0 && (
+        <div className="card">
+          <p style={mutedStyle}>No {filter === 'all' ? '' : `${filter} `}transactions.</p>
+        </div>
+      )}
+
+      {approvals.map((approval) => (
+        <ApprovalCard
+          key={approval.txId}
+          approval={approval}
+          account={account}
+          actionState={actionState?.key === approval.txId ? actionState : null}
+          onAction={(action) => runAction(approval.txId, action)}
+        />
+      ))}
+
+      <ProposeTransferForm onProposed={() => refresh()} />
+    </section>
+  );
+};
+
+interface ApprovalCardProps {
+  approval: ApprovalView;
+  account: string | null;
+  actionState: TreasuryActionState | null;
+  onAction: (action: MultisigAction) => void;
+}
+
+const ApprovalCard = ({ approval, account, actionState, onAction }: ApprovalCardProps) => {
+  const { explorerAddressUrl, explorerTxUrl } = useArcProvider();
+  const [history, setHistory] = useState<ApprovalEvent[] | null>(null);
+  const isPending = approval.status === 'pending';
+  const isBusy = !!actionState?.isPending;
+  const required = approval.requiredConfirmations;
+  const progress = required ? Math.min(1, approval.confirmations / required) : 0;
+  const isAwaitingAccount = !!account && !!approval.awaitingSigners?.some((signer) => signer.address === account);
+
+  const actions: MultisigAction[] = [];
+  if (isPending) {
+    actions.push(approval.confirmedByAccount ? 'revokeConfirmation' : 'confirmTransaction');
+    if (approval.remainingConfirmations === 0) actions.push('executeTransaction');
+  }
+
+  const toggleHistory = async () => {
+    if (history) {
+      setHistory(null);
+      return;
+    }
+    try {
+      const details = await fetchApproval(approval.txId);
+      setHistory(details.events ?? []);
+    } catch (err) {
+      console.warn('[ApprovalsQueue] Could not load approval history', err);
+      setHistory([]);
+    }
+  };
+
+  return (
+    <div className="card" style={isAwaitingAccount ? { borderColor: '#f59e0b' } : undefined}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16 }}>
+        <div>
+          <p style={labelStyle}>
+            Transaction {shorten(approval.txId)}
+            {approval.isLive && <span style={liveStyle}>updated on-chain</span>}
+          </p>
+          <h2 style={{ margin: '8px 0 4px', fontSize: 24 }}>{approval.amount ?? '—'} USDC</h2>
+          <p style={mutedStyle}>
+            To{' '}
+            {approval.to ? (
+              <a href={explorerAddressUrl(approval.to)} target="_blank" rel="noreferrer" style={linkStyle}>
+                {approval.to}
+              </a>
+            ) : (
+              'unknown recipient'
+            )}
+          </p>
+          {approval.data && approval.data !== '0x' && (
+            <p style={{ ...mutedStyle, marginTop: 4, fontFamily: 'monospace', fontSize: 13, wordBreak: 'break-all' }}>
+              Data: {approval.data}
+            </p>
+          )}
+        </div>
+        <div style={{ textAlign: 'right', minWidth: 160 }}>
+          <strong style={{ fontSize: 20, color: isPending ? '#0f172a' : '#16a34a' }}>
+            {isPending ? `${approval.confirmations} / ${required ?? '?'}` : 'Executed'}
+          </strong>
+          <div style={progressTrackStyle}>
+            <div style={{ ...progressBarStyle, width: `${(isPending ? progress : 1) * 100}%` }} />
+          </div>
+          <small style={{ color: '#64748b' }}>
+            {isPending
+              ? approval.remainingConfirmations === 0
+                ? 'Ready to execute'
+                : `${approval.remainingConfirmations ?? '?'} more confirmation(s) needed`
+              : approval.executedAt && `on ${new Date(approval.executedAt).toLocaleString()}`}
+          </small>
+        </div>
+      </div>
+
+      <div className="grid grid-2" style={{ marginTop: 16, gap: 12 }}>
+        <div>
+          <p style={labelStyle}>Confirmed by</p>
+          <p style={mutedStyle}>
+            {approval.confirmedBy.length > 0
+              ? approval.confirmedBy.map((signer) => signer.name || shorten(signer.address)).join(', ')
+              : 'No confirmations yet'}
+          </p>
+        </div>
+        {isPending && (
+          <div>
+            <p style={labelStyle}>Waiting on</p>
+            <p style={mutedStyle}>
+              {approval.awaitingSigners
+                ? approval.awaitingSigners.map((signer) => signer.name || shorten(signer.address)).join(', ') || '—'
+                : 'Signer set unknown'}
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div style={{ marginTop: 16, display: 'flex', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+        {actions.map((action) => (
+          <button
+            key={action}
+            onClick={() => onAction(action)}
+            disabled={isBusy}
+            style={{ ...actionButtonStyle, background: action === 'revokeConfirmation' ? '#64748b' : action === 'executeTransaction' ? '#16a34a' : '#4f46e5' }}
+          >
+            {isBusy && actionState?.label === ACTION_LABELS[action] ? `${ACTION_LABELS[action]}…` : ACTION_LABELS[action]}
+          </button>
+        ))}
+        {approval.proposalTxHash && (
+          <a href={explorerTxUrl(approval.proposalTxHash)} target="_blank" rel="noreferrer" style={linkStyle}>
+            Proposal tx
+          </a>
+        )}
+        {approval.executionTxHash && (
+          <a href={explorerTxUrl(approval.executionTxHash)} target="_blank" rel="noreferrer" style={linkStyle}>
+            Execution tx
+          </a>
+        )}
+        <button onClick={toggleHistory} style={{ ...filterStyle, padding: '6px 12px' }}>
+          {history ? 'Hide history' : 'History'}
+        </button>
+        {actionState && (
+          <span style={{ color: '#475569' }}>
+            {actionState.status}{' '}
+            {actionState.hash && (
+              <a href={explorerTxUrl(actionState.hash)} target="_blank" rel="noreferrer" style={linkStyle}>
+                {actionState.hash.slice(0, 10)}…
+              </a>
+            )}
+          </span>
+        )}
+      </div>
+
+      {history && (
+        <ul style={{ margin: '16px 0 0', paddingLeft: 18 }}>
+          {history.length === 0 && <li style={mutedStyle}>No indexed events yet.</li>}
+          {history.map((event) => (
+            <li key={`${event.transactionHash}-${event.logIndex}`} style={{ color: '#475569' }}>
+              {new Date(event.timestamp).toLocaleString()} · {event.type}
+              {event.signer && ` by ${shorten(event.signer)}`} ·{' '}
+              <a href={explorerTxUrl(event.transactionHash)} target="_blank" rel="noreferrer" style={linkStyle}>
+                block {event.blockNumber}
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const labelStyle: React.CSSProperties = {
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  fontSize: 12,
+  color: '#94a3b8',
+  margin: 0
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const linkStyle: React.CSSProperties = {
+  color: '#4f46e5'
+};
+
+const liveStyle: React.CSSProperties = {
+  marginLeft: 8,
+  padding: '2px 8px',
+  borderRadius: 999,
+  background: 'rgba(22, 163, 74, 0.1)',
+  color: '#16a34a',
+  letterSpacing: 0,
+  textTransform: 'none'
+};
+
+const filterStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#4f46e5',
+  fontWeight: 600
+};
+
+const activeFilterStyle: React.CSSProperties = {
+  ...filterStyle,
+  background: '#4f46e5',
+  color: '#fff'
+};
+
+const actionButtonStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 12,
+  border: 'none',
+  color: '#fff',
+  fontWeight: 600,
+  minWidth: 110
+};
+
+const progressTrackStyle: React.CSSProperties = {
+  margin: '8px 0 4px',
+  height: 6,
+  borderRadius: 999,
+  background: '#e2e8f0',
+  overflow: 'hidden'
+};
+
+const progressBarStyle: React.CSSProperties = {
+  height: '100%',
+  background: '#4f46e5'
+};
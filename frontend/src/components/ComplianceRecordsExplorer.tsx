@@ -0,0 +1,439 @@
+import { FormEvent, useState } from 'react';
+import { ethers } from 'ethers';
+import { complianceRecordsExportUrl } from '../api/treasuryService';
+import { useComplianceRecords } from '../hooks/useComplianceRecords';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ComplianceCheckStatus, ComplianceRecord, ComplianceRecordFilters, ComplianceSource } from '../types';
+
+const SOURCES: { value: ComplianceSource; label: string }[] = [
+  { value: 'MULTISIG_TRANSACTION', label: 'Multisig' },
+  { value: 'SCHEDULED_DISTRIBUTION', label: 'Scheduled' },
+  { value: 'ALLOCATION_RULE', label: 'Allocation rule' },
+  { value: 'DISTRIBUTION_RULE', label: 'Distribution rule' }
+];
+
+const STATUSES: ComplianceCheckStatus[] = ['PENDING', 'VERIFIED', 'REJECTED', 'EXEMPT', 'UNKNOWN'];
+
+const STATUS_COLORS: Record<ComplianceCheckStatus, string> = {
+  PENDING: '#d97706',
+  VERIFIED: '#16a34a',
+  REJECTED: '#dc2626',
+  EXEMPT: '#2563eb',
+  UNKNOWN: '#94a3b8'
+};
+
+const PAGE_SIZES = [25, 50, 100];
+
+const EMPTY_FILTERS: ComplianceRecordFilters = {
+  recipient: '',
+  ruleId: '',
+  source: '',
+  kycStatus: '',
+  amlStatus: '',
+  reconciled: '',
+  from: '',
+  to: ''
+};
+
+/** Form values; dates are YYYY-MM-DD and the end date is inclusive */
+type FilterDraft = Omit<ComplianceRecordFilters, 'from' | 'to'> & { fromDate: string; toDate: string };
+
+const EMPTY_DRAFT: FilterDraft = { ...EMPTY_FILTERS, fromDate: '', toDate: '' };
+
+const dayToUnix = (date: string, offsetDays = 0) =>
+  date ? String(Date.parse(`${date}T00:00:00Z`) / 1000 + offsetDays * 86400) : '';
+
+const shorten = (value: string) => `${value.slice(0, 6)}…${value.slice(-4)}`;
+
+const sourceLabel = (source: ComplianceSource) => SOURCES.find((option) => option.value === source)?.label ?? source;
+
+export const ComplianceRecordsExplorer = () => {
+  const [draft, setDraft] = useState<FilterDraft>(EMPTY_DRAFT);
+  const [filters, setFilters] = useState<ComplianceRecordFilters>(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(PAGE_SIZES[0]);
+  const [selected, setSelected] = useState<ComplianceRecord | null>(null);
+  const { data, isLoading, error, refresh } = useComplianceRecords(filters, page, pageSize);
+
+  const recipientError = draft.recipient && !ethers.utils.isAddress(draft.recipient) ? 'Enter a valid address' : null;
+  const ruleError = draft.ruleId && !/^\d+$/.test(draft.ruleId) ? 'Enter a rule number' : null;
+  const dateError = draft.fromDate && draft.toDate && draft.fromDate > draft.toDate ? 'Start date is after end date' : null;
+
+  const update = (changes: Partial<FilterDraft>) => setDraft((current) => ({ ...current, ...changes }));
+
+  const applyFilters = (event: FormEvent) => {
+    event.preventDefault();
+    if (recipientError || ruleError || dateError) return;
+    const { fromDate, toDate, ...rest } = draft;
+    setFilters({ ...rest, from: dayToUnix(fromDate), to: dayToUnix(toDate, 1) });
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setDraft(EMPTY_DRAFT);
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+  };
+
+  const pages = Math.max(data?.pages ?? 1, 1);
+
+  return (
+    <section style={{ maxWidth: 1200, margin: '0 auto', display: 'flex', flexDirection: 'column', gap: 24 }}>
+      <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <div className="badge">Compliance records</div>
+          <h1 style={{ margin: '8px 0 4px', fontSize: 32 }}>Compliance</h1>
+          <p style={{ margin: 0, color: '#475569' }}>
+            Every Treasury payout with its KYC/AML results, Circle Gateway and Arc transparency IDs.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          {(['csv', 'xlsx', 'json'] as const).map((format) => (
+            <a key={format} href={complianceRecordsExportUrl(filters, format)} style={buttonStyle} download>
+              {format.toUpperCase()}
+            </a>
+          ))}
+          <button onClick={refresh} style={buttonStyle}>
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      <form className="card" onSubmit={applyFilters} style={{ display: 'flex', flexDirection: 'column', gap: 16 }}>
+        <div className="grid grid-3">
+          <label style={fieldStyle}>
+            Recipient
+            <input
+              value={draft.recipient}
+              onChange={(event) => update({ recipient: event.target.value.trim() })}
+              placeholder="0x…"
+              style={inputStyle}
+            />
+            {recipientError && <small style={errorStyle}>{recipientError}</small>}
+          </label>
+          <label style={fieldStyle}>
+            Rule
+            <input
+              value={draft.ruleId}
+              onChange={(event) => update({ ruleId: event.target.value.trim() })}
+              placeholder="Any (0 for manual)"
+              style={inputStyle}
+            />
+            {ruleError && <small style={errorStyle}>{ruleError}</small>}
+          </label>
+          <label style={fieldStyle}>
+            Source
+            <select
+              value={draft.source}
+              onChange={(event) => update({ source: event.target.value as FilterDraft['source'] })}
+              style={inputStyle}
+            >
+              <option value="">Any</option>
+              {SOURCES.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            KYC
+            <select
+              value={draft.kycStatus}
+              onChange={(event) => update({ kycStatus: event.target.value as FilterDraft['kycStatus'] })}
+              style={inputStyle}
+            >
+              <option value="">Any</option>
+              {STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            AML
+            <select
+              value={draft.amlStatus}
+              onChange={(event) => update({ amlStatus: event.target.value as FilterDraft['amlStatus'] })}
+              style={inputStyle}
+            >
+              <option value="">Any</option>
+              {STATUSES.map((status) => (
+                <option key={status} value={status}>
+                  {status}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            Reconciliation
+            <select
+              value={draft.reconciled}
+              onChange={(event) => update({ reconciled: event.target.value as FilterDraft['reconciled'] })}
+              style={inputStyle}
+            >
+              <option value="">Any</option>
+              <option value="true">Reconciled</option>
+              <option value="false">Unreconciled</option>
+            </select>
+          </label>
+          <label style={fieldStyle}>
+            From
+            <input type="date" value={draft.fromDate} onChange={(event) => update({ fromDate: event.target.value })} style={inputStyle} />
+          </label>
+          <label style={fieldStyle}>
+            To
+            <input type="date" value={draft.toDate} onChange={(event) => update({ toDate: event.target.value })} style={inputStyle} />
+            {dateError && <small style={errorStyle}>{dateError}</small>}
+          </label>
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button type="submit" style={submitStyle}>
+            Apply filters
+          </button>
+          <button type="button" onClick={clearFilters} style={buttonStyle}>
+            Clear
+          </button>
+        </div>
+      </form>
+
+      <div className="card">
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 16 }}>
+          <h2 style={{ margin: 0 }}>Records</h2>
+          {data && (
+            <p style={mutedStyle}>
+              {data.total.toLocaleString()} record(s) · ${data.totalUSDC.toLocaleString(undefined, { maximumFractionDigits: 2 })}{' '}
+              USDC
+            </p>
+          )}
+        </div>
+
+        {isLoading && !data && <p style={mutedStyle}>Loading compliance records…</p>}
+        {error && <p style={{ ...mutedStyle, color: '#dc2626' }}>Compliance records unavailable: {error}</p>}
+        {data && data.records.length === 0 && <p style={mutedStyle}>No records match these filters.</p>}
+
+        {data && data.records.length > 0 && (
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  {['Time', 'Source', 'Rule', 'Recipient', 'Amount', 'KYC', 'AML', 'Reconciled'].map((heading) => (
+                    <th key={heading} style={thStyle}>
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {data.records.map((record) => (
+                  <tr
+                    key={record.recordId}
+                    onClick={() => setSelected(record)}
+                    style={{ cursor: 'pointer', background: selected?.recordId === record.recordId ? 'rgba(79, 70, 229, 0.06)' : undefined }}
+                  >
+                    <td style={tdStyle}>{new Date(record.timestampISO).toLocaleString()}</td>
+                    <td style={tdStyle}>{sourceLabel(record.source)}</td>
+                    <td style={tdStyle}>{record.ruleId || '—'}</td>
+                    <td style={tdStyle}>{shorten(record.recipient)}</td>
+                    <td style={tdStyle}>${record.usdcAmountFormatted.toLocaleString()}</td>
+                    <td style={{ ...tdStyle, color: STATUS_COLORS[record.kycStatus], fontWeight: 600 }}>{record.kycStatus}</td>
+                    <td style={{ ...tdStyle, color: STATUS_COLORS[record.amlStatus], fontWeight: 600 }}>{record.amlStatus}</td>
+                    <td style={tdStyle}>{record.reconciled ? 'Yes' : 'No'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 16 }}>
+          <label style={{ ...mutedStyle, display: 'flex', gap: 8, alignItems: 'center' }}>
+            Per page
+            <select
+              value={pageSize}
+              onChange={(event) => {
+                setPageSize(Number(event.target.value));
+                setPage(1);
+              }}
+              style={{ ...inputStyle, padding: '6px 10px' }}
+            >
+              {PAGE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} style={buttonStyle}>
+              Previous
+            </button>
+            <span style={mutedStyle}>
+              Page {page} of {pages}
+            </span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= pages} style={buttonStyle}>
+              Next
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {selected && <RecordDrawer record={selected} onClose={() => setSelected(null)} />}
+    </section>
+  );
+};
+
+const RecordDrawer = ({ record, onClose }: { record: ComplianceRecord; onClose: () => void }) => {
+  const { explorerAddressUrl, explorerTxUrl } = useArcProvider();
+  const fields: [string, React.ReactNode][] = [
+    ['Record ID', <code style={codeStyle}>{record.recordId}</code>],
+    ['Circle Gateway ID', record.circleGatewayTxId ? <code style={codeStyle}>{record.circleGatewayTxId}</code> : 'Not attached'],
+    ['Arc transparency ID', record.arcTransparencyId ? <code style={codeStyle}>{record.arcTransparencyId}</code> : 'Not attached'],
+    [
+      'Transaction',
+      <a href={explorerTxUrl(record.transactionHash)} target="_blank" rel="noreferrer" style={linkStyle}>
+        {shorten(record.transactionHash)}
+      </a>
+    ],
+    ['Internal tx hash', <code style={codeStyle}>{record.internalTxHash}</code>],
+    ['Block', record.blockNumber.toLocaleString()],
+    ['Time', new Date(record.timestampISO).toLocaleString()],
+    ['Source', sourceLabel(record.source)],
+    ['Rule', record.ruleId || 'Manual'],
+    [
+      'Recipient',
+      <a href={explorerAddressUrl(record.recipient)} target="_blank" rel="noreferrer" style={linkStyle}>
+        {record.recipient}
+      </a>
+    ],
+    ['Amount', `${ethers.utils.formatUnits(record.usdcAmount, 6)} USDC`],
+    ['KYC', <span style={{ color: STATUS_COLORS[record.kycStatus], fontWeight: 600 }}>{record.kycStatus}</span>],
+    ['AML', <span style={{ color: STATUS_COLORS[record.amlStatus], fontWeight: 600 }}>{record.amlStatus}</span>],
+    ['Executor', shorten(record.executor)],
+    [
+      'Reconciled',
+      record.reconciled ? `Yes${record.reconciledAtISO ? `, ${new Date(record.reconciledAtISO).toLocaleString()}` : ''}` : 'No'
+    ],
+    ['Jurisdiction', record.metadata?.jurisdiction || '—'],
+    ['Category', record.metadata?.regulatoryCategory || '—'],
+    ['Reporting period', record.metadata?.reportingPeriod || '—'],
+    ['Notes', record.metadata?.notes || '—']
+  ];
+
+  return (
+    <>
+      <div onClick={onClose} style={backdropStyle} />
+      <aside style={drawerStyle}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+          <h2 style={{ margin: 0 }}>Record</h2>
+          <button onClick={onClose} style={buttonStyle}>
+            Close
+          </button>
+        </div>
+        <dl style={{ margin: 0 }}>
+          {fields.map(([label, value]) => (
+            <div key={label} style={{ padding: '10px 0', borderBottom: '1px solid rgba(15, 23, 42, 0.06)' }}>
+              <dt style={labelStyle}>{label}</dt>
+              <dd style={{ margin: '4px 0 0', color: '#0f172a', wordBreak: 'break-all' }}>{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </aside>
+    </>
+  );
+};
+
+const labelStyle: React.CSSProperties = {
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  fontSize: 12,
+  color: '#94a3b8',
+  margin: 0
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const linkStyle: React.CSSProperties = {
+  color: '#4f46e5'
+};
+
+const codeStyle: React.CSSProperties = {
+  fontSize: 12
+};
+
+const fieldStyle: React.CSSProperties = {
+  display: 'flex',
+  flexDirection: 'column',
+  gap: 6,
+  fontWeight: 600,
+  color: '#334155'
+};
+
+const inputStyle: React.CSSProperties = {
+  padding: '10px 12px',
+  borderRadius: 10,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  fontSize: 14,
+  fontWeight: 400
+};
+
+const errorStyle: React.CSSProperties = {
+  color: '#dc2626',
+  fontWeight: 400
+};
+
+const buttonStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#4f46e5',
+  fontWeight: 600,
+  textDecoration: 'none'
+};
+
+const submitStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: 'none',
+  background: 'linear-gradient(135deg, #4f46e5, #6366f1)',
+  color: '#fff',
+  fontWeight: 600
+};
+
+const thStyle: React.CSSProperties = {
+  textAlign: 'left',
+  padding: '8px 12px',
+  fontSize: 12,
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  color: '#94a3b8',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.08)'
+};
+
+const tdStyle: React.CSSProperties = {
+  padding: '12px',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.06)'
+};
+
+const backdropStyle: React.CSSProperties = {
+  position: 'fixed',
+  inset: 0,
+  background: 'rgba(15, 23, 42, 0.2)'
+};
+
+const drawerStyle: React.CSSProperties = {
+  position: 'fixed',
+  top: 0,
+  right: 0,
+  bottom: 0,
+  width: 'min(440px, 100vw)',
+  padding: 24,
+  background: '#fff',
+  boxShadow: '-12px 0 40px rgba(15, 23, 42, 0.12)',
+  overflowY: 'auto'
+};
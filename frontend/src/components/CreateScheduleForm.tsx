@@ -0,0 +1,154 @@
+import { FormEvent, useState } from 'react';
+import { ethers } from 'ethers';
+import { useTreasuryAction } from '../hooks/useTreasuryAction';
+import { useArcProvider } from '../providers/ArcProvider';
+
+const INTERVAL_PRESETS = [
+  { label: 'Weekly', days: 7 },
+  { label: 'Every 2 weeks', days: 14 },
+  { label: 'Monthly (30 days)', days: 30 },
+  { label: 'Custom', days: 0 }
+];
+
+interface Props {
+  onCreated?: () => void;
+}
+
+export const CreateScheduleForm = ({ onCreated }: Props) => {
+  const { account, explorerTxUrl } = useArcProvider();
+  const { state, run } = useTreasuryAction();
+  const [recipient, setRecipient] = useState('');
+  const [amount, setAmount] = useState('');
+  const [presetDays, setPresetDays] = useState(14);
+  const [customDays, setCustomDays] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setError(null);
+
+    const days = presetDays || Number(customDays);
+    if (!ethers.utils.isAddress(recipient)) {
+      setError('Recipient must be a valid address.');
+      return;
+    }
+    if (!Number.isInteger(days) || days <= 0) {
+      setError('Interval must be a whole number of days.');
+      return;
+    }
+
+    const receipt = await run('create', 'Schedule', 'createScheduledDistribution', [
+      recipient,
+      ethers.utils.parseUnits(amount, 6),
+      days * 86400
+    ]);
+    if (receipt) {
+      setRecipient('');
+      setAmount('');
+      onCreated?.();
+    }
+  };
+
+  const status = error ?? state?.status;
+
+  return (
+    <div className="card">
+      <h2 style={{ margin: '0 0 6px' }}>New Payroll Schedule</h2>
+      <p style={{ margin: 0, color: '#475569' }}>Pay a fixed USDC amount to a recipient on a recurring interval.</p>
+
+      <form onSubmit={handleSubmit} style={{ marginTop: 24 }} className="grid grid-2">
+        <label>
+          <span>Recipient</span>
+          <input
+            type="text"
+            placeholder="0x..."
+            value={recipient}
+            onChange={(e) => setRecipient(e.target.value)}
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        <label>
+          <span>Amount (USDC)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.000001"
+            placeholder="e.g., 4200"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        <label>
+          <span>Interval</span>
+          <select
+            value={presetDays}
+            onChange={(e) => setPresetDays(Number(e.target.value))}
+            style={{ ...inputStyle, background: '#fff' }}
+          >
+            {INTERVAL_PRESETS.map((preset) => (
+              <option key={preset.label} value={preset.days}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {presetDays === 0 && (
+          <label>
+            <span>Interval (days)</span>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={customDays}
+              onChange={(e) => setCustomDays(e.target.value)}
+              required
+              style={inputStyle}
+            />
+          </label>
+        )}
+
+        <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: 12 }}>
+          <button
+            type="submit"
+            disabled={!!state?.isPending}
+            style={{
+              padding: '12px 20px',
+              borderRadius: 12,
+              border: 'none',
+              background: '#0ea5e9',
+              color: '#fff',
+              fontWeight: 600,
+              minWidth: 160
+            }}
+          >
+            {!account ? 'Connect Wallet' : state?.isPending ? 'Creating…' : 'Create Schedule'}
+          </button>
+          {status && <span style={{ color: '#475569' }}>{status}</span>}
+        </div>
+        {state?.hash && (
+          <div style={{ gridColumn: '1 / -1', color: '#0f172a', fontSize: 14 }}>
+            Transaction:{' '}
+            <a href={explorerTxUrl(state.hash)} target="_blank" rel="noreferrer" style={{ color: '#4f46e5' }}>
+              {state.hash.slice(0, 10)}…
+            </a>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+const inputStyle: React.CSSProperties = {
+  width: '100%',
+  marginTop: 8,
+  padding: '12px 14px',
+  borderRadius: 12,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  fontSize: 15
+};
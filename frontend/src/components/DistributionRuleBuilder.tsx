@@ -0,0 +1,408 @@
+import { FormEvent, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { useTreasuryAction } from '../hooks/useTreasuryAction';
+import { useArcProvider } from '../providers/ArcProvider';
+import {
+  BALANCE_CONDITIONS,
+  BatchShare,
+  DistributionRuleDraft,
+  DistributionRuleKind,
+  buildRuleCalls,
+  isMixedBatch,
+  previewRule,
+  validateRule
+} from '../utils/distributionRules';
+
+const RULE_KINDS: { value: DistributionRuleKind; label: string; helper: string }[] = [
+  { value: 'time', label: 'Time-based', helper: 'Pay a fixed amount every interval' },
+  { value: 'balance', label: 'Balance condition', helper: 'Pay a fixed amount while the balance meets a condition' },
+  { value: 'percentage', label: 'Percentage of balance', helper: 'Pay a share of the current balance' },
+  { value: 'batch', label: 'Batch', helper: 'Pay several recipients at once, in fixed amounts or shares of the balance' }
+];
+
+const EMPTY_SHARE: BatchShare = { recipient: '', unit: 'usdc', value: '' };
+
+const INITIAL_DRAFT: DistributionRuleDraft = {
+  kind: 'time',
+  recipient: '',
+  amount: '',
+  intervalDays: '30',
+  condition: 3,
+  threshold: '',
+  percent: '',
+  shares: [{ ...EMPTY_SHARE }, { ...EMPTY_SHARE }],
+  maxTotal: '0',
+  priority: '1',
+  cooldownHours: '0'
+};
+
+const shorten = (value: string) => (ethers.utils.isAddress(value) ? `${value.slice(0, 6)}…${value.slice(-4)}` : value || '—');
+
+export const DistributionRuleBuilder = () => {
+  const { readContract, account, explorerTxUrl } = useArcProvider();
+  const { state, run } = useTreasuryAction();
+  const [draft, setDraft] = useState<DistributionRuleDraft>(INITIAL_DRAFT);
+  const [balance, setBalance] = useState<number | null>(null);
+  const [touched, setTouched] = useState(false);
+  const [progress, setProgress] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!readContract) return;
+    readContract
+      .getBalance()
+      .then((raw: ethers.BigNumber) => setBalance(Number(ethers.utils.formatUnits(raw, 6))))
+      .catch((error: Error) => console.warn('[DistributionRuleBuilder] Could not read Treasury balance', error));
+  }, [readContract]);
+
+  const errors = useMemo(() => validateRule(draft), [draft]);
+  const isValid = Object.keys(errors).length === 0;
+  const preview = useMemo(() => (balance === null ? null : previewRule(draft, balance)), [draft, balance]);
+  const calls = useMemo(() => (isValid ? buildRuleCalls(draft) : []), [draft, isValid]);
+
+  const update = (changes: Partial<DistributionRuleDraft>) => setDraft((current) => ({ ...current, ...changes }));
+
+  const updateShare = (index: number, changes: Partial<BatchShare>) =>
+    update({ shares: draft.shares.map((share, i) => (i === index ? { ...share, ...changes } : share)) });
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setTouched(true);
+    if (!isValid) return;
+
+    for (let index = 0; index < calls.length; index++) {
+      setProgress(calls.length > 1 ? `Rule ${index + 1} of ${calls.length}` : null);
+      const receipt = await run('create', 'Rule', calls[index].method, calls[index].args);
+      if (!receipt) return;
+    }
+    setProgress(calls.length > 1 ? `Created ${calls.length} rules.` : null);
+    setDraft(INITIAL_DRAFT);
+    setTouched(false);
+  };
+
+  const fieldError = (key: string) =>
+    touched && errors[key] ? <small style={{ color: '#dc2626' }}>{errors[key]}</small> : null;
+
+  const kind = RULE_KINDS.find((option) => option.value === draft.kind)!;
+  const mixedBatch = isMixedBatch(draft);
+
+  return (
+    <div className="card">
+      <h2 style={{ margin: '0 0 6px' }}>Distribution Rule Builder</h2>
+      <p style={{ margin: 0, color: '#475569' }}>{kind.helper}.</p>
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 16, flexWrap: 'wrap' }}>
+        {RULE_KINDS.map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => update({ kind: option.value })}
+            style={option.value === draft.kind ? activeKindStyle : kindStyle}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleSubmit} style={{ marginTop: 24 }} className="grid grid-2">
+        {draft.kind !== 'batch' && (
+          <label>
+            <span>Recipient</span>
+            <input
+              type="text"
+              placeholder="0x..."
+              value={draft.recipient}
+              onChange={(e) => update({ recipient: e.target.value })}
+              style={inputStyle}
+            />
+            {fieldError('recipient')}
+          </label>
+        )}
+
+        {(draft.kind === 'time' || draft.kind === 'balance') && (
+          <label>
+            <span>Amount (USDC)</span>
+            <input
+              type="number"
+              min="0"
+              step="0.000001"
+              value={draft.amount}
+              onChange={(e) => update({ amount: e.target.value })}
+              style={inputStyle}
+            />
+            {fieldError('amount')}
+          </label>
+        )}
+
+        {draft.kind === 'time' && (
+          <label>
+            <span>Interval (days)</span>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={draft.intervalDays}
+              onChange={(e) => update({ intervalDays: e.target.value })}
+              style={inputStyle}
+            />
+            {fieldError('intervalDays')}
+          </label>
+        )}
+
+        {draft.kind === 'balance' && (
+          <>
+            <label>
+              <span>When balance is</span>
+              <select
+                value={draft.condition}
+                onChange={(e) => update({ condition: Number(e.target.value) })}
+                style={{ ...inputStyle, background: '#fff' }}
+              >
+                {BALANCE_CONDITIONS.map((condition) => (
+                  <option key={condition.value} value={condition.value}>
+                    {condition.symbol} {condition.label}
+                  </option>
+                ))}
+              </select>
+              {fieldError('condition')}
+            </label>
+            <label>
+              <span>Threshold (USDC)</span>
+              <input
+                type="number"
+                min="0"
+                step="0.000001"
+                value={draft.threshold}
+                onChange={(e) => update({ threshold: e.target.value })}
+                style={inputStyle}
+              />
+              {fieldError('threshold')}
+            </label>
+          </>
+        )}
+
+        {draft.kind === 'percentage' && (
+          <label>
+            <span>Share of balance (%)</span>
+            <input
+              type="number"
+              min="0.01"
+              max="100"
+              step="0.01"
+              value={draft.percent}
+              onChange={(e) => update({ percent: e.target.value })}
+              style={inputStyle}
+            />
+            {fieldError('percent')}
+          </label>
+        )}
+
+        {draft.kind === 'batch' && (
+          <div style={{ gridColumn: '1 / -1', display: 'flex', flexDirection: 'column', gap: 8 }}>
+            <span>Recipients</span>
+            {draft.shares.map((share, index) => (
+              <div key={index}>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <input
+                    type="text"
+                    placeholder="0x..."
+                    value={share.recipient}
+                    onChange={(e) => updateShare(index, { recipient: e.target.value })}
+                    style={{ ...inputStyle, marginTop: 0, flex: 3 }}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step={share.unit === 'usdc' ? '0.000001' : '0.01'}
+                    placeholder={share.unit === 'usdc' ? 'USDC' : '%'}
+                    value={share.value}
+                    onChange={(e) => updateShare(index, { value: e.target.value })}
+                    style={{ ...inputStyle, marginTop: 0, flex: 1 }}
+                  />
+                  <select
+                    value={share.unit}
+                    onChange={(e) => updateShare(index, { unit: e.target.value as BatchShare['unit'] })}
+                    style={{ ...inputStyle, marginTop: 0, flex: 1, background: '#fff' }}
+                  >
+                    <option value="usdc">USDC</option>
+                    <option value="percent">% of balance</option>
+                  </select>
+                  <button
+                    type="button"
+                    onClick={() => update({ shares: draft.shares.filter((_, i) => i !== index) })}
+                    style={removeButtonStyle}
+                    aria-label="Remove recipient"
+                  >
+                    ×
+                  </button>
+                </div>
+                {fieldError(`shares.${index}`)}
+              </div>
+            ))}
+            <div>
+              <button
+                type="button"
+                onClick={() => update({ shares: [...draft.shares, { ...EMPTY_SHARE }] })}
+                style={kindStyle}
+              >
+                Add recipient
+              </button>
+            </div>
+            {fieldError('shares')}
+            {mixedBatch && (
+              <small style={{ color: '#92400e' }}>
+                A batch rule pays either fixed amounts or percentages, so this is created as two rules: fixed first,
+                then percent of the balance left. Set the budget cap to 0 or split the batch to cap each rule.
+              </small>
+            )}
+          </div>
+        )}
+
+        <label>
+          <span>Budget cap (USDC, 0 = none)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.000001"
+            value={draft.maxTotal}
+            onChange={(e) => update({ maxTotal: e.target.value })}
+            style={inputStyle}
+          />
+          {fieldError('maxTotal')}
+        </label>
+
+        <label>
+          <span>Priority</span>
+          <input
+            type="number"
+            min="1"
+            value={draft.priority}
+            onChange={(e) => update({ priority: e.target.value })}
+            style={inputStyle}
+          />
+          {fieldError('priority')}
+        </label>
+
+        <label>
+          <span>Cooldown (hours)</span>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={draft.cooldownHours}
+            onChange={(e) => update({ cooldownHours: e.target.value })}
+            style={inputStyle}
+          />
+          {fieldError('cooldownHours')}
+        </label>
+
+        <div style={{ gridColumn: '1 / -1', ...previewStyle }}>
+          <p style={labelStyle}>
+            Preview at current balance{balance !== null && ` · ${balance.toLocaleString()} USDC`}
+          </p>
+          {preview === null ? (
+            <p style={mutedStyle}>Treasury balance unavailable.</p>
+          ) : (
+            <>
+              {preview.payments.map((payment, index) => (
+                <div key={index} style={{ display: 'flex', justifyContent: 'space-between', marginTop: 6 }}>
+                  <span>
+                    {shorten(payment.recipient)} <small style={{ color: '#64748b' }}>({payment.share})</small>
+                  </span>
+                  <strong>{payment.amount.toLocaleString(undefined, { maximumFractionDigits: 6 })} USDC</strong>
+                </div>
+              ))}
+              <p style={{ ...mutedStyle, marginTop: 8, color: preview.wouldPay ? '#16a34a' : '#d97706' }}>
+                {preview.wouldPay
+                  ? `Would pay ${preview.total.toLocaleString(undefined, { maximumFractionDigits: 6 })} USDC now`
+                  : preview.reason ?? 'Nothing would be paid now'}
+              </p>
+            </>
+          )}
+        </div>
+
+        <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: 12 }}>
+          <button
+            type="submit"
+            disabled={!!state?.isPending}
+            style={{
+              padding: '12px 20px',
+              borderRadius: 12,
+              border: 'none',
+              background: '#0ea5e9',
+              color: '#fff',
+              fontWeight: 600,
+              minWidth: 160
+            }}
+          >
+            {!account ? 'Connect Wallet' : state?.isPending ? 'Creating…' : calls.length > 1 ? 'Create 2 Rules' : 'Create Rule'}
+          </button>
+          {(progress || state) && (
+            <span style={{ color: '#475569' }}>
+              {[progress, state?.status].filter(Boolean).join(' · ')}
+            </span>
+          )}
+        </div>
+        {state?.hash && (
+          <div style={{ gridColumn: '1 / -1', color: '#0f172a', fontSize: 14 }}>
+            Transaction:{' '}
+            <a href={explorerTxUrl(state.hash)} target="_blank" rel="noreferrer" style={{ color: '#4f46e5' }}>
+              {state.hash.slice(0, 10)}…
+            </a>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+const inputStyle: React.CSSProperties = {
+  width: '100%',
+  marginTop: 8,
+  padding: '12px 14px',
+  borderRadius: 12,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  fontSize: 15
+};
+
+const labelStyle: React.CSSProperties = {
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  fontSize: 12,
+  color: '#94a3b8',
+  margin: 0
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const previewStyle: React.CSSProperties = {
+  padding: 16,
+  borderRadius: 12,
+  background: '#f8fafc',
+  border: '1px solid rgba(15, 23, 42, 0.08)'
+};
+
+const kindStyle: React.CSSProperties = {
+  padding: '8px 14px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#4f46e5',
+  fontWeight: 600
+};
+
+const activeKindStyle: React.CSSProperties = {
+  ...kindStyle,
+  background: '#4f46e5',
+  color: '#fff'
+};
+
+const removeButtonStyle: React.CSSProperties = {
+  padding: '0 14px',
+  borderRadius: 12,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  background: '#fff',
+  fontSize: 18
+};
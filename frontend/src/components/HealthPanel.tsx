@@ -0,0 +1,72 @@
+import { useTreasuryHealth } from '../hooks/useTreasuryHealth';
+import { HealthComponentName, TreasuryHealth } from '../types';
+
+const COMPONENT_LABELS: Record<HealthComponentName, string> = {
+  runway: 'Runway coverage',
+  automation: 'Automation errors',
+  freshness: 'Balance freshness',
+  concentration: 'Chain concentration',
+  reconciliation: 'Reconciliation backlog'
+};
+
+const STATUS_COLORS: Record<TreasuryHealth['status'], string> = {
+  HEALTHY: '#16a34a',
+  DEGRADED: '#d97706',
+  CRITICAL: '#dc2626',
+  UNKNOWN: '#94a3b8'
+};
+
+export const HealthPanel = () => {
+  const { health, isLoading, error } = useTreasuryHealth();
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+        <h2 style={{ margin: '0 0 6px' }}>Treasury Health</h2>
+        {health && (
+          <strong style={{ fontSize: 28, color: STATUS_COLORS[health.status] }}>
+            {health.healthScore ?? '—'}
+            <small style={{ fontSize: 14, marginLeft: 8 }}>{health.status}</small>
+          </strong>
+        )}
+      </div>
+
+      {isLoading && <p style={mutedStyle}>Loading…</p>}
+      {!isLoading && !health && <p style={mutedStyle}>Health unavailable{error ? `: ${error}` : ''}</p>}
+
+      {health && (
+        <>
+          <div style={{ marginTop: 12, display: 'flex', flexDirection: 'column', gap: 10 }}>
+            {health.components.map((component) => (
+              <div key={component.name}>
+                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                  <span style={{ fontWeight: 600 }}>{COMPONENT_LABELS[component.name]}</span>
+                  <span>{component.score === null ? 'n/a' : `${component.score}/100`}</span>
+                </div>
+                <small style={{ color: '#64748b' }}>{component.explanation}</small>
+              </div>
+            ))}
+          </div>
+
+          {health.alerts.length > 0 && (
+            <ul style={{ margin: '16px 0 0', paddingLeft: 18 }}>
+              {health.alerts.map((alert, index) => (
+                <li
+                  key={`${alert.component}-${index}`}
+                  style={{ color: alert.severity === 'critical' ? '#dc2626' : '#92400e' }}
+                >
+                  {alert.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
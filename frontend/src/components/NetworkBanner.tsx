@@ -0,0 +1,105 @@
+import { useState } from 'react';
+import { getNetworkByChainId } from '../config/networks';
+import { useServiceNetwork } from '../hooks/useServiceNetwork';
+import { useArcProvider } from '../providers/ArcProvider';
+
+/**
+ * Problems with the selected network: wallet on another chain, no Treasury
+ * configured, or a Node service running against a different network
+ */
+export const NetworkBanner = () => {
+  const { network, walletChainId, isWrongNetwork, switchWalletNetwork, treasuryAddress } = useArcProvider();
+  const serviceNetwork = useServiceNetwork();
+  const [isSwitching, setIsSwitching] = useState(false);
+  const [switchError, setSwitchError] = useState<string | null>(null);
+
+  const walletNetwork = walletChainId !== null ? getNetworkByChainId(walletChainId) : undefined;
+  const serviceMismatch = !!serviceNetwork?.chainId && serviceNetwork.chainId !== network.chainId;
+
+  if (!isWrongNetwork && treasuryAddress && !serviceMismatch) {
+    return null;
+  }
+
+  const handleSwitch = async () => {
+    try {
+      setIsSwitching(true);
+      setSwitchError(null);
+      await switchWalletNetwork();
+    } catch (err) {
+      setSwitchError((err as Error).message);
+    } finally {
+      setIsSwitching(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: 1200, margin: '0 auto 24px', display: 'flex', flexDirection: 'column', gap: 12 }}>
+      {isWrongNetwork && (
+        <div role="alert" className="card" style={errorStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16 }}>
+            <div>
+              <p style={titleStyle}>Wrong network</p>
+              <p style={{ margin: 0 }}>
+                Your wallet is on {walletNetwork ? walletNetwork.name : `chain ${walletChainId}`}. Transactions are
+                disabled until it is on {network.name} (chain {network.chainId}).
+              </p>
+              {switchError && <p style={{ margin: '4px 0 0' }}>{switchError}</p>}
+            </div>
+            <button onClick={handleSwitch} disabled={isSwitching} style={buttonStyle}>
+              {isSwitching ? 'Check your wallet…' : `Switch to ${network.name}`}
+            </button>
+          </div>
+        </div>
+      )}
+      {!treasuryAddress && (
+        <div className="card" style={warningStyle}>
+          <p style={titleStyle}>No Treasury on {network.name}</p>
+          <p style={{ margin: 0 }}>
+            Set <code>VITE_{network.id.toUpperCase().replace(/-/g, '_')}_TREASURY_ADDRESS</code> or add the address to{' '}
+            <code>config/networks.json</code> to read and manage the Treasury on this network.
+          </p>
+        </div>
+      )}
+      {serviceMismatch && (
+        <div className="card" style={warningStyle}>
+          <p style={titleStyle}>Node service is on {serviceNetwork?.name ?? `chain ${serviceNetwork?.chainId}`}</p>
+          <p style={{ margin: 0 }}>
+            Balances, schedules, approvals and compliance records served by the Node service come from that network, not{' '}
+            {network.name}. Start the service with <code>NETWORK={network.id}</code> to match.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const errorStyle: React.CSSProperties = {
+  padding: 16,
+  background: '#fef2f2',
+  borderColor: '#fca5a5',
+  color: '#991b1b',
+  boxShadow: 'none'
+};
+
+const warningStyle: React.CSSProperties = {
+  padding: 16,
+  background: '#fffbeb',
+  borderColor: '#fcd34d',
+  color: '#92400e',
+  boxShadow: 'none'
+};
+
+const titleStyle: React.CSSProperties = {
+  margin: '0 0 4px',
+  fontWeight: 600
+};
+
+const buttonStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: 'none',
+  background: '#dc2626',
+  color: '#fff',
+  fontWeight: 600,
+  whiteSpace: 'nowrap'
+};
@@ -0,0 +1,49 @@
+import { ChangeEvent } from 'react';
+import { TREASURY_NETWORKS } from '../config/networks';
+import { useArcProvider } from '../providers/ArcProvider';
+
+export const NetworkSwitcher = () => {
+  const { network, switchNetwork, isWrongNetwork } = useArcProvider();
+
+  const handleChange = (event: ChangeEvent<HTMLSelectElement>) => {
+    switchNetwork(event.target.value).catch((err) => console.warn('[NetworkSwitcher] Could not switch network', err));
+  };
+
+  return (
+    <label style={labelStyle}>
+      <span style={{ ...dotStyle, background: isWrongNetwork ? '#dc2626' : '#16a34a' }} aria-hidden />
+      <span style={{ color: '#475569' }}>Network</span>
+      <select value={network.id} onChange={handleChange} style={selectStyle} aria-label="Treasury network">
+        {TREASURY_NETWORKS.map((option) => (
+          <option key={option.id} value={option.id}>
+            {option.name} ({option.chainId})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+const labelStyle: React.CSSProperties = {
+  marginLeft: 'auto',
+  display: 'flex',
+  alignItems: 'center',
+  gap: 8,
+  fontSize: 14,
+  fontWeight: 600
+};
+
+const dotStyle: React.CSSProperties = {
+  width: 8,
+  height: 8,
+  borderRadius: 999
+};
+
+const selectStyle: React.CSSProperties = {
+  padding: '6px 10px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#0f172a',
+  fontWeight: 600
+};
@@ -0,0 +1,384 @@
+import { ChangeEvent, useMemo, useState } from 'react';
+import { readSheet } from 'read-excel-file/browser';
+import { useTreasuryAction } from '../hooks/useTreasuryAction';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ScheduledDistribution } from '../types';
+import {
+  ImportCell,
+  ImportPlan,
+  ImportRow,
+  PlannedCall,
+  TEMPLATE_CSV,
+  batchRuleCalls,
+  parseCsv,
+  planImport,
+  scheduleCalls
+} from '../utils/payrollImport';
+
+interface PayrollImportProps {
+  schedules: ScheduledDistribution[];
+  onImported: () => void;
+}
+
+type ImportMode = 'schedules' | 'rule';
+
+const CHANGE_LABELS: Record<ImportRow['change'], { label: string; color: string }> = {
+  create: { label: 'New', color: '#16a34a' },
+  update: { label: 'Changed', color: '#d97706' },
+  resume: { label: 'Resume', color: '#2563eb' },
+  unchanged: { label: 'Unchanged', color: '#94a3b8' },
+  deferred: { label: 'Starts later', color: '#7c3aed' },
+  invalid: { label: 'Invalid', color: '#dc2626' }
+};
+
+const readRows = async (file: File): Promise<ImportCell[][]> => {
+  if (/\.xlsx$/i.test(file.name)) {
+    // Keep numbers as text so amounts are not rounded through floats
+    const rows = await readSheet(file, { parseNumber: (value: string) => value });
+    return rows as unknown as ImportCell[][];
+  }
+  return parseCsv(await file.text());
+};
+
+export const PayrollImport = ({ schedules, onImported }: PayrollImportProps) => {
+  const { state, run } = useTreasuryAction();
+  const { explorerTxUrl } = useArcProvider();
+  const [fileName, setFileName] = useState<string | null>(null);
+  const [rows, setRows] = useState<ImportCell[][] | null>(null);
+  const [fileError, setFileError] = useState<string | null>(null);
+  const [mode, setMode] = useState<ImportMode>('schedules');
+  const [pauseMissing, setPauseMissing] = useState(false);
+  const [reviewed, setReviewed] = useState(false);
+  const [progress, setProgress] = useState<string | null>(null);
+
+  const { plan, planError } = useMemo<{ plan: ImportPlan | null; planError: string | null }>(() => {
+    if (!rows) return { plan: null, planError: null };
+    try {
+      return { plan: planImport(rows, schedules), planError: null };
+    } catch (error) {
+      return { plan: null, planError: (error as Error).message };
+    }
+  }, [rows, schedules]);
+
+  const { calls, callsError } = useMemo<{ calls: PlannedCall[]; callsError: string | null }>(() => {
+    if (!plan || plan.errors > 0) return { calls: [], callsError: null };
+    try {
+      return { calls: mode === 'rule' ? batchRuleCalls(plan) : scheduleCalls(plan, pauseMissing), callsError: null };
+    } catch (error) {
+      return { calls: [], callsError: (error as Error).message };
+    }
+  }, [plan, mode, pauseMissing]);
+
+  const handleFile = async (event: ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setFileName(file.name);
+    setFileError(null);
+    setRows(null);
+    setReviewed(false);
+    setProgress(null);
+    try {
+      setRows(await readRows(file));
+    } catch (error) {
+      console.error(error);
+      setFileError(`Could not read ${file.name}: ${(error as Error).message}`);
+    }
+  };
+
+  const handleSubmit = async () => {
+    for (let index = 0; index < calls.length; index++) {
+      setProgress(`Transaction ${index + 1} of ${calls.length}: ${calls[index].description}`);
+      const receipt = await run('import', 'Import', calls[index].method, calls[index].args);
+      if (!receipt) {
+        setProgress(
+          index > 0
+            ? `Stopped at transaction ${index + 1} of ${calls.length}. Earlier ones went through; re-import the file to see what is left.`
+            : null
+        );
+        onImported();
+        return;
+      }
+    }
+    setProgress(`Imported ${fileName}: ${calls.length} transaction(s) confirmed.`);
+    setRows(null);
+    setReviewed(false);
+    onImported();
+  };
+
+  const isBusy = !!state?.isPending;
+  const canSubmit = !!plan && plan.errors === 0 && calls.length > 0 && reviewed && !isBusy;
+
+  return (
+    <div className="card">
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 16 }}>
+        <div>
+          <h2 style={{ margin: '0 0 4px' }}>Import payroll</h2>
+          <p style={mutedStyle}>
+            CSV or XLSX with address, amount, interval, start date and label columns. Nothing is sent until you
+            review the plan.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center', whiteSpace: 'nowrap' }}>
+          <a
+            href={`data:text/csv;charset=utf-8,${encodeURIComponent(TEMPLATE_CSV)}`}
+            download="payroll-template.csv"
+            style={linkStyle}
+          >
+            Template
+          </a>
+          <label style={buttonStyle}>
+            Choose file
+            <input type="file" accept=".csv,.xlsx,text/csv" onChange={handleFile} style={{ display: 'none' }} disabled={isBusy} />
+          </label>
+        </div>
+      </div>
+
+      {(fileError || planError) && (
+        <p style={{ ...mutedStyle, color: '#dc2626', marginTop: 16 }}>{fileError || planError}</p>
+      )}
+
+      {plan && (
+        <>
+          <section className="grid grid-3" style={{ marginTop: 16 }}>
+            <div>
+              <p style={labelStyle}>Rows</p>
+              <h3 style={metricStyle}>{plan.rows.length}</h3>
+              <p style={{ ...mutedStyle, color: plan.errors ? '#dc2626' : '#64748b' }}>
+                {plan.errors ? `${plan.errors} with errors` : `from ${fileName}`}
+              </p>
+            </div>
+            <div>
+              <p style={labelStyle}>Per Run</p>
+              <h3 style={metricStyle}>${plan.totalPerRun.toLocaleString(undefined, { maximumFractionDigits: 6 })}</h3>
+              <p style={mutedStyle}>Rows active after the import</p>
+            </div>
+            <div>
+              <p style={labelStyle}>Monthly</p>
+              <h3 style={metricStyle}>${plan.monthlyTotal.toLocaleString(undefined, { maximumFractionDigits: 2 })}</h3>
+              <p style={mutedStyle}>Normalised to 30 days</p>
+            </div>
+          </section>
+
+          <div style={{ overflowX: 'auto', marginTop: 16 }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  {['Row', 'Label', 'Address', 'Amount', 'Interval', 'Start', 'Change', 'Notes'].map((heading) => (
+                    <th key={heading} style={thStyle}>
+                      {heading}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {plan.rows.map((row) => (
+                  <tr key={row.line}>
+                    <td style={tdStyle}>{row.line}</td>
+                    <td style={tdStyle}>{row.label || '—'}</td>
+                    <td style={{ ...tdStyle, fontFamily: 'monospace', fontSize: 12 }}>{row.address || '—'}</td>
+                    <td style={tdStyle}>{row.amount ? `$${row.amount}` : '—'}</td>
+                    <td style={tdStyle}>{row.intervalSeconds ? `${row.intervalSeconds / 86400}d` : '—'}</td>
+                    <td style={tdStyle}>{row.startDate ? row.startDate.toLocaleDateString() : '—'}</td>
+                    <td style={tdStyle}>
+                      <span style={{ color: CHANGE_LABELS[row.change].color, fontWeight: 600 }}>
+                        {CHANGE_LABELS[row.change].label}
+                      </span>
+                      {row.existing && row.change !== 'invalid' && (
+                        <div>
+                          <small style={{ color: '#64748b' }}>
+                            #{row.existing.scheduleId}: ${Number(row.existing.amount).toLocaleString()} every{' '}
+                            {row.existing.interval / 86400}d
+                          </small>
+                        </div>
+                      )}
+                    </td>
+                    <td style={tdStyle}>
+                      {row.errors.map((message) => (
+                        <div key={message} style={{ color: '#dc2626' }}>
+                          {message}
+                        </div>
+                      ))}
+                      {row.warnings.map((message) => (
+                        <div key={message} style={{ color: '#d97706' }}>
+                          {message}
+                        </div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {plan.missing.length > 0 && (
+            <p style={{ ...mutedStyle, marginTop: 16 }}>
+              {plan.missing.length} active schedule(s) are not in the file:{' '}
+              {plan.missing.map((schedule) => `#${schedule.scheduleId}`).join(', ')}
+            </p>
+          )}
+
+          <div style={{ marginTop: 16, display: 'flex', flexDirection: 'column', gap: 12 }}>
+            <div style={{ display: 'flex', gap: 8 }}>
+              {(
+                [
+                  { value: 'schedules', label: 'Scheduled distributions' },
+                  { value: 'rule', label: 'One batch rule' }
+                ] as const
+              ).map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => {
+                    setMode(option.value);
+                    setReviewed(false);
+                  }}
+                  style={mode === option.value ? activeTabStyle : tabStyle}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {mode === 'schedules' && plan.missing.length > 0 && (
+              <label style={checkboxStyle}>
+                <input
+                  type="checkbox"
+                  checked={pauseMissing}
+                  onChange={(event) => {
+                    setPauseMissing(event.target.checked);
+                    setReviewed(false);
+                  }}
+                />
+                Pause the {plan.missing.length} schedule(s) not in the file
+              </label>
+            )}
+
+            {plan.errors > 0 && (
+              <p style={{ ...mutedStyle, color: '#dc2626' }}>Fix the rows with errors and choose the file again.</p>
+            )}
+            {callsError && <p style={{ ...mutedStyle, color: '#dc2626' }}>{callsError}</p>}
+            {plan.errors === 0 && !callsError && calls.length === 0 && (
+              <p style={mutedStyle}>Schedules already match the file; nothing to submit.</p>
+            )}
+
+            {calls.length > 0 && (
+              <>
+                <ol style={{ margin: 0, paddingLeft: 20, color: '#0f172a' }}>
+                  {calls.map((call, index) => (
+                    <li key={index} style={{ padding: '2px 0' }}>
+                      {call.description}
+                    </li>
+                  ))}
+                </ol>
+                <label style={checkboxStyle}>
+                  <input type="checkbox" checked={reviewed} onChange={(event) => setReviewed(event.target.checked)} />
+                  I have reviewed these {calls.length} transaction(s)
+                </label>
+                <button onClick={handleSubmit} disabled={!canSubmit} style={{ ...submitStyle, opacity: canSubmit ? 1 : 0.5 }}>
+                  {isBusy ? 'Submitting…' : `Submit ${calls.length} transaction(s)`}
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      {(progress || state) && (
+        <p style={{ ...mutedStyle, marginTop: 16 }}>
+          {progress}
+          {progress && state && ' · '}
+          {state?.status}{' '}
+          {state?.hash && (
+            <a href={explorerTxUrl(state.hash)} target="_blank" rel="noreferrer" style={linkStyle}>
+              {state.hash.slice(0, 10)}…
+            </a>
+          )}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const labelStyle: React.CSSProperties = {
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  fontSize: 12,
+  color: '#94a3b8',
+  margin: 0
+};
+
+const metricStyle: React.CSSProperties = {
+  margin: '8px 0',
+  fontSize: 24,
+  color: '#0f172a'
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const linkStyle: React.CSSProperties = {
+  color: '#4f46e5',
+  fontWeight: 600
+};
+
+const buttonStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#4f46e5',
+  fontWeight: 600,
+  cursor: 'pointer'
+};
+
+const tabStyle: React.CSSProperties = {
+  padding: '8px 14px',
+  borderRadius: 999,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  background: '#fff',
+  color: '#475569',
+  fontWeight: 600
+};
+
+const activeTabStyle: React.CSSProperties = {
+  ...tabStyle,
+  border: '1px solid rgba(79, 70, 229, 0.4)',
+  background: 'rgba(79, 70, 229, 0.08)',
+  color: '#4338ca'
+};
+
+const checkboxStyle: React.CSSProperties = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: 8,
+  color: '#475569'
+};
+
+const submitStyle: React.CSSProperties = {
+  alignSelf: 'flex-start',
+  padding: '12px 20px',
+  borderRadius: 999,
+  border: 'none',
+  background: 'linear-gradient(135deg, #4f46e5, #6366f1)',
+  color: '#fff',
+  fontWeight: 600
+};
+
+const thStyle: React.CSSProperties = {
+  textAlign: 'left',
+  padding: '8px 12px',
+  fontSize: 12,
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  color: '#94a3b8',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.08)'
+};
+
+const tdStyle: React.CSSProperties = {
+  padding: '10px 12px',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.06)',
+  verticalAlign: 'top'
+};
@@ -0,0 +1,232 @@
+import { useMemo } from 'react';
+import { useSchedules } from '../hooks/useSchedules';
+import { useTreasuryAction } from '../hooks/useTreasuryAction';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ScheduledDistribution } from '../types';
+import { CreateScheduleForm } from './CreateScheduleForm';
+import { PayrollImport } from './PayrollImport';
+
+const formatInterval = (seconds: number) => {
+  const days = seconds / 86400;
+  if (Number.isInteger(days / 7) && days >= 7) return days === 7 ? 'Weekly' : `Every ${days / 7} weeks`;
+  if (Number.isInteger(days)) return days === 1 ? 'Daily' : `Every ${days} days`;
+  if (seconds % 3600 === 0) return `Every ${seconds / 3600}h`;
+  return `Every ${seconds}s`;
+};
+
+const isDue = (schedule: ScheduledDistribution) => schedule.active && schedule.nextDistribution * 1000 <= Date.now();
+
+export const PayrollSchedules = () => {
+  const { schedules, isLoading, error, source, refresh, refreshSchedule } = useSchedules();
+  const { state: actionState, run } = useTreasuryAction();
+  const { explorerAddressUrl, explorerTxUrl } = useArcProvider();
+
+  const dueIds = useMemo(() => schedules.filter(isDue).map((schedule) => schedule.scheduleId), [schedules]);
+  const monthlyTotal = useMemo(
+    () =>
+      schedules
+        .filter((schedule) => schedule.active && schedule.interval > 0)
+        .reduce((total, schedule) => total + (Number(schedule.amount) * 30 * 86400) / schedule.interval, 0),
+    [schedules]
+  );
+
+  const setActive = async (schedule: ScheduledDistribution, active: boolean) => {
+    const receipt = await run(schedule.scheduleId, active ? 'Resume' : 'Pause', 'updateScheduledDistribution', [
+      schedule.scheduleId,
+      active
+    ]);
+    if (receipt) await refreshSchedule(schedule.scheduleId);
+  };
+
+  const execute = async (scheduleIds: string[], key: string) => {
+    const receipt = await run(key, 'Payment', 'executeScheduledDistributions', [scheduleIds]);
+    if (receipt) await Promise.all(scheduleIds.map((scheduleId) => refreshSchedule(scheduleId)));
+  };
+
+  const isBusy = !!actionState?.isPending;
+
+  return (
+    <section style={{ maxWidth: 1200, margin: '0 auto', display: 'flex', flexDirection: 'column', gap: 24 }}>
+      <header style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <div>
+          <div className="badge">{source === 'chain' ? 'Read from Treasury contract' : 'Scheduled distributions'}</div>
+          <h1 style={{ margin: '8px 0 4px', fontSize: 32 }}>Payroll</h1>
+          <p style={{ margin: 0, color: '#475569' }}>
+            Recurring USDC payments executed by the automation service when they fall due.
+          </p>
+        </div>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button
+            onClick={() => execute(dueIds, 'due')}
+            disabled={dueIds.length === 0 || isBusy}
+            style={{ ...buttonStyle, background: dueIds.length ? '#16a34a' : '#cbd5e1', color: '#fff', border: 'none' }}
+          >
+            {isBusy && actionState?.key === 'due' ? 'Paying…' : `Pay due now (${dueIds.length})`}
+          </button>
+          <button onClick={refresh} style={buttonStyle}>
+            Refresh
+          </button>
+        </div>
+      </header>
+
+      {actionState?.key === 'due' && (
+        <p style={mutedStyle}>
+          {actionState.status}{' '}
+          {actionState.hash && (
+            <a href={explorerTxUrl(actionState.hash)} target="_blank" rel="noreferrer" style={linkStyle}>
+              {actionState.hash.slice(0, 10)}…
+            </a>
+          )}
+        </p>
+      )}
+
+      <section className="grid grid-3">
+        <div className="card">
+          <p style={labelStyle}>Active Schedules</p>
+          <h2 style={metricStyle}>{schedules.filter((schedule) => schedule.active).length}</h2>
+          <p style={mutedStyle}>{schedules.length} total</p>
+        </div>
+        <div className="card">
+          <p style={labelStyle}>Monthly Payroll</p>
+          <h2 style={metricStyle}>${monthlyTotal.toLocaleString(undefined, { maximumFractionDigits: 2 })}</h2>
+          <p style={mutedStyle}>Active schedules, normalised to 30 days</p>
+        </div>
+        <div className="card">
+          <p style={labelStyle}>Due Now</p>
+          <h2 style={metricStyle}>{dueIds.length}</h2>
+          <p style={mutedStyle}>Paid on the next automation run</p>
+        </div>
+      </section>
+
+      <div className="card">
+        <h2 style={{ margin: '0 0 16px' }}>Schedules</h2>
+        {isLoading && <p style={mutedStyle}>Loading schedules…</p>}
+        {error && <p style={{ ...mutedStyle, color: '#dc2626' }}>Schedules unavailable: {error}</p>}
+        {!isLoading && !error && schedules.length === 0 && <p style={mutedStyle}>No scheduled distributions yet.</p>}
+        {schedules.length > 0 && (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                {['#', 'Recipient', 'Amount', 'Interval', 'Next payment', 'Distributed', 'Status', ''].map((heading) => (
+                  <th key={heading} style={thStyle}>
+                    {heading}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {schedules.map((schedule) => {
+                const due = isDue(schedule);
+                const rowAction = actionState?.key === schedule.scheduleId ? actionState : null;
+                return (
+                  <tr key={schedule.scheduleId}>
+                    <td style={tdStyle}>{schedule.scheduleId}</td>
+                    <td style={tdStyle}>
+                      <a href={explorerAddressUrl(schedule.recipient)} target="_blank" rel="noreferrer" style={linkStyle}>
+                        {schedule.recipient.slice(0, 6)}…{schedule.recipient.slice(-4)}
+                      </a>
+                    </td>
+                    <td style={tdStyle}>${Number(schedule.amount).toLocaleString()}</td>
+                    <td style={tdStyle}>{formatInterval(schedule.interval)}</td>
+                    <td style={{ ...tdStyle, color: due ? '#d97706' : undefined }}>
+                      {new Date(schedule.nextDistributionISO).toLocaleString()}
+                      {due && ' (due)'}
+                    </td>
+                    <td style={tdStyle}>${Number(schedule.totalDistributed).toLocaleString()}</td>
+                    <td style={tdStyle}>
+                      <span style={{ color: schedule.active ? '#16a34a' : '#94a3b8', fontWeight: 600 }}>
+                        {schedule.active ? 'Active' : 'Paused'}
+                      </span>
+                    </td>
+                    <td style={{ ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      {due && (
+                        <button
+                          onClick={() => execute([schedule.scheduleId], schedule.scheduleId)}
+                          disabled={isBusy}
+                          style={{ ...rowButtonStyle, marginRight: 8 }}
+                        >
+                          Pay now
+                        </button>
+                      )}
+                      <button
+                        onClick={() => setActive(schedule, !schedule.active)}
+                        disabled={isBusy}
+                        style={rowButtonStyle}
+                      >
+                        {rowAction?.isPending ? `${rowAction.label}…` : schedule.active ? 'Pause' : 'Resume'}
+                      </button>
+                      {rowAction && !rowAction.isPending && (
+                        <div>
+                          <small style={{ color: '#475569' }}>{rowAction.status}</small>
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <CreateScheduleForm onCreated={refresh} />
+
+      <PayrollImport schedules={schedules} onImported={refresh} />
+    </section>
+  );
+};
+
+const labelStyle: React.CSSProperties = {
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  fontSize: 12,
+  color: '#94a3b8',
+  margin: 0
+};
+
+const metricStyle: React.CSSProperties = {
+  margin: '8px 0',
+  fontSize: 32,
+  color: '#0f172a'
+};
+
+const mutedStyle: React.CSSProperties = {
+  margin: 0,
+  color: '#64748b'
+};
+
+const linkStyle: React.CSSProperties = {
+  color: '#4f46e5'
+};
+
+const buttonStyle: React.CSSProperties = {
+  padding: '10px 18px',
+  borderRadius: 999,
+  border: '1px solid rgba(79, 70, 229, 0.2)',
+  background: '#fff',
+  color: '#4f46e5',
+  fontWeight: 600
+};
+
+const rowButtonStyle: React.CSSProperties = {
+  padding: '6px 12px',
+  borderRadius: 8,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  background: '#fff',
+  fontWeight: 600
+};
+
+const thStyle: React.CSSProperties = {
+  textAlign: 'left',
+  padding: '8px 12px',
+  fontSize: 12,
+  textTransform: 'uppercase',
+  letterSpacing: '0.08em',
+  color: '#94a3b8',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.08)'
+};
+
+const tdStyle: React.CSSProperties = {
+  padding: '12px',
+  borderBottom: '1px solid rgba(15, 23, 42, 0.06)'
+};
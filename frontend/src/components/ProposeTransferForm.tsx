@@ -0,0 +1,145 @@
+import { FormEvent, useState } from 'react';
+import { ethers } from 'ethers';
+import { useArcProvider } from '../providers/ArcProvider';
+import { transactionErrorMessage } from '../utils/transactionErrors';
+
+interface Props {
+  onProposed?: (txId: string | null) => void;
+}
+
+export const ProposeTransferForm = ({ onProposed }: Props) => {
+  const { contract, connectWallet, account, explorerTxUrl } = useArcProvider();
+  const [to, setTo] = useState('');
+  const [amount, setAmount] = useState('');
+  const [data, setData] = useState('');
+  const [status, setStatus] = useState<string | null>(null);
+  const [txHash, setTxHash] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (event: FormEvent) => {
+    event.preventDefault();
+    setStatus(null);
+    setTxHash(null);
+
+    if (!contract) {
+      await connectWallet();
+      return;
+    }
+
+    if (!ethers.utils.isAddress(to)) {
+      setStatus('Recipient must be a valid address.');
+      return;
+    }
+    if (data && !ethers.utils.isHexString(data)) {
+      setStatus('Calldata must be a 0x-prefixed hex string.');
+      return;
+    }
+
+    try {
+      setIsSubmitting(true);
+      const args = [to, ethers.utils.parseUnits(amount, 6), data || '0x'];
+
+      // Simulate first so a revert shows its reason instead of a failed transaction
+      await contract.callStatic.proposeTransaction(...args);
+      const tx = await contract.proposeTransaction(...args);
+      setTxHash(tx.hash);
+      setStatus('Waiting for confirmation on Arc...');
+
+      const receipt = await tx.wait();
+      const proposed = receipt.events?.find((log: ethers.Event) => log.event === 'TransactionProposed');
+      const txId: string | null = proposed?.args?.txHash ?? null;
+      setStatus(txId ? `Proposed ${txId.slice(0, 10)}…${txId.slice(-4)}. Signers can now confirm it.` : 'Proposal submitted.');
+      setTo('');
+      setAmount('');
+      setData('');
+      onProposed?.(txId);
+    } catch (error) {
+      console.error(error);
+      setStatus(transactionErrorMessage(error));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 style={{ margin: '0 0 6px' }}>Propose Transfer</h2>
+      <p style={{ margin: 0, color: '#475569' }}>Send USDC from the Treasury once enough signers confirm.</p>
+
+      <form onSubmit={handleSubmit} style={{ marginTop: 24 }} className="grid grid-2">
+        <label>
+          <span>Recipient</span>
+          <input
+            type="text"
+            placeholder="0x..."
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        <label>
+          <span>Amount (USDC)</span>
+          <input
+            type="number"
+            min="0"
+            step="0.000001"
+            placeholder="e.g., 2500"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+            style={inputStyle}
+          />
+        </label>
+
+        <label style={{ gridColumn: '1 / -1' }}>
+          <span>Calldata (optional)</span>
+          <input
+            type="text"
+            placeholder="0x"
+            value={data}
+            onChange={(e) => setData(e.target.value)}
+            style={{ ...inputStyle, fontFamily: 'monospace' }}
+          />
+        </label>
+
+        <div style={{ gridColumn: '1 / -1', display: 'flex', alignItems: 'center', gap: 12 }}>
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            style={{
+              padding: '12px 20px',
+              borderRadius: 12,
+              border: 'none',
+              background: '#0ea5e9',
+              color: '#fff',
+              fontWeight: 600,
+              minWidth: 160
+            }}
+          >
+            {!account ? 'Connect Wallet' : isSubmitting ? 'Proposing…' : 'Propose'}
+          </button>
+          {status && <span style={{ color: '#475569' }}>{status}</span>}
+        </div>
+        {txHash && (
+          <div style={{ gridColumn: '1 / -1', color: '#0f172a', fontSize: 14 }}>
+            Transaction:{' '}
+            <a href={explorerTxUrl(txHash)} target="_blank" rel="noreferrer" style={{ color: '#4f46e5' }}>
+              {txHash.slice(0, 10)}…
+            </a>
+          </div>
+        )}
+      </form>
+    </div>
+  );
+};
+
+const inputStyle: React.CSSProperties = {
+  width: '100%',
+  marginTop: 8,
+  padding: '12px 14px',
+  borderRadius: 12,
+  border: '1px solid rgba(15, 23, 42, 0.12)',
+  fontSize: 15
+};
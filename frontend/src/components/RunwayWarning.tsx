@@ -0,0 +1,46 @@
+import { useRunwayForecast } from '../hooks/useRunwayForecast';
+
+const SOURCE_LABELS = {
+  schedule: 'Scheduled distribution',
+  distribution_rule: 'Distribution rule',
+  allocation_rule: 'Allocation rule'
+} as const;
+
+export const RunwayWarning = () => {
+  const { forecast } = useRunwayForecast();
+  const failure = forecast?.firstFailure;
+
+  // Nothing to warn about (or the service is offline)
+  if (!forecast || !failure) {
+    return null;
+  }
+
+  const date = new Date(failure.date).toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+  const more = forecast.failures.length - 1;
+
+  return (
+    <div role="alert" className="card" style={warningStyle}>
+      <p style={titleStyle}>
+        ⚠️ Treasury runs short in {forecast.runwayDays} day{forecast.runwayDays === 1 ? '' : 's'}
+      </p>
+      <p style={{ margin: 0 }}>
+        {SOURCE_LABELS[failure.source]} #{failure.id} ({failure.amount} USDC) on {date} would fail: the projected
+        balance is {failure.balanceBefore} USDC, {failure.shortfall} USDC short.
+        {more > 0 && ` ${more} more payment${more === 1 ? '' : 's'} would fail within ${forecast.horizonDays} days.`}
+      </p>
+    </div>
+  );
+};
+
+const warningStyle: React.CSSProperties = {
+  padding: 16,
+  background: '#fffbeb',
+  borderColor: '#fcd34d',
+  color: '#92400e',
+  boxShadow: 'none'
+};
+
+const titleStyle: React.CSSProperties = {
+  margin: '0 0 4px',
+  fontWeight: 600
+};
@@ -9,7 +9,7 @@ const ALLOCATION_TYPES = [
 ];
 
 export const SetRuleForm = () => {
-  const { contract, connectWallet, account, isConnecting } = useArcProvider();
+  const { contract, connectWallet, account, isConnecting, explorerTxUrl } = useArcProvider();
   const [recipient, setRecipient] = useState('');
   const [allocationType, setAllocationType] = useState(0);
   const [value, setValue] = useState('');
@@ -190,7 +190,7 @@ export const SetRuleForm = () => {
           <div style={{ gridColumn: '1 / -1', color: '#0f172a', fontSize: 14 }}>
             Transaction:{' '}
             <a
-              href={`https://explorer.arc.network/tx/${txHash}`}
+              href={explorerTxUrl(txHash)}
               target="_blank"
               rel="noreferrer"
               style={{ color: '#4f46e5' }}
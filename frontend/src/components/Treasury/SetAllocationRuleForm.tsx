@@ -1,7 +1,8 @@
 import React, { FormEvent, useEffect, useMemo, useState } from 'react';
 import { useAccount, useContractWrite, usePrepareContractWrite } from 'wagmi';
 import { parseUnits } from 'viem';
-import { TREASURY_ABI, TREASURY_CONTRACT_ADDRESS } from '../../constants/treasury';
+import { TREASURY_ABI } from '../../constants/treasury';
+import { useArcProvider } from '../../providers/ArcProvider';
 
 const CARD_STYLES =
   'rounded-3xl border border-slate-100 bg-white shadow-md shadow-slate-100';
@@ -19,6 +20,7 @@ export const SetAllocationRuleForm = () => {
   const [statusMessage, setStatusMessage] = useState<string | null>(null);
   const [txHash, setTxHash] = useState<string | null>(null);
   const { address } = useAccount();
+  const { treasuryAddress, network } = useArcProvider();
 
   const isDisabled = useMemo(
     () => !recipientAddress || !usdcAmount || !cooldownDays,
@@ -56,7 +58,7 @@ export const SetAllocationRuleForm = () => {
   }, [cooldownDays]);
 
   const { config } = usePrepareContractWrite({
-    address: TREASURY_CONTRACT_ADDRESS,
+    address: treasuryAddress as `0x${string}`,
     abi: TREASURY_ABI,
     functionName: 'setAllocationRule',
     args:
@@ -67,7 +69,7 @@ export const SetAllocationRuleForm = () => {
       priorityValue !== undefined
         ? [recipientAddress as `0x${string}`, 1, usdcAmountRaw, budgetLimitRaw, priorityValue, frequencySeconds]
         : undefined,
-    enabled: !isDisabled && !!address
+    enabled: !isDisabled && !!address && !!treasuryAddress
   });
 
   const { write, isLoading: isWriting, isSuccess, isError, data } = useContractWrite({
@@ -177,9 +179,12 @@ export const SetAllocationRuleForm = () => {
         </div>
       </div>
 
+      {!treasuryAddress && (
+        <p className="text-center text-sm text-amber-600">No Treasury is configured on {network.name}.</p>
+      )}
       <button
         type="submit"
-        disabled={isDisabled || !write || isWriting}
+        disabled={isDisabled || !treasuryAddress || !write || isWriting}
         className="w-full rounded-2xl bg-slate-900 py-3 text-sm font-semibold text-white shadow-lg shadow-slate-900/20 transition hover:bg-slate-800 disabled:cursor-not-allowed disabled:bg-slate-300 disabled:shadow-none"
       >
         {isWriting ? 'Submitting…' : 'Set Rule'}
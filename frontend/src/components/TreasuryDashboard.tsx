@@ -2,10 +2,14 @@ import { clsx } from 'clsx';
 import { useTreasuryData } from '../hooks/useTreasuryData';
 import { useArcProvider } from '../providers/ArcProvider';
 import { SetRuleForm } from './SetRuleForm';
+import { RunwayWarning } from './RunwayWarning';
+import { HealthPanel } from './HealthPanel';
+import { ActivityFeed } from './ActivityFeed';
 
 export const TreasuryDashboard = () => {
-  const { data, isLoading, error, refresh } = useTreasuryData();
+  const { data, isLoading, error, isLive, lastRun, refresh } = useTreasuryData();
   const { arcGasPriceUsd, networkName } = useArcProvider();
+  const isMocked = !!error || data?.metadata?.source === 'mock';
 
   return (
     <section style={{ maxWidth: 1200, margin: '0 auto', display: 'flex', flexDirection: 'column', gap: 24 }}>
@@ -22,6 +26,8 @@ export const TreasuryDashboard = () => {
         </button>
       </header>
 
+      <RunwayWarning />
+
       <section className="grid grid-3">
         <div className="card">
           <p style={labelStyle}>Aggregated Balance</p>
@@ -35,10 +41,26 @@ export const TreasuryDashboard = () => {
         </div>
         <div className="card">
           <p style={labelStyle}>Data Feed</p>
-          <h2 style={metricStyle}>{error ? 'mocked' : 'live'}</h2>
+          <h2 style={metricStyle}>{isMocked ? 'mocked' : isLive ? 'live' : 'polling'}</h2>
           <p style={mutedStyle}>
-            {error ? 'Using mock data until Node service is available' : 'Connected to Phase 5 Node service'}
+            {isMocked
+              ? 'Using mock data until Node service is available'
+              : isLive
+                ? 'Updates pushed by Phase 5 Node service'
+                : 'Reconnecting to Phase 5 Node service; refreshing every 15s'}
           </p>
+          {lastRun && (
+            <p style={{ ...mutedStyle, marginTop: 8, fontSize: 13 }}>
+              Last run {new Date(lastRun.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              {lastRun.dryRun ? ' (dry run)' : ''}: {lastRun.totalExecuted} executed
+              {lastRun.error || lastRun.scheduled.failed > 0 ? (
+                <span style={{ color: '#b91c1c' }}>
+                  {' · '}
+                  {lastRun.error ?? `${lastRun.scheduled.failed} failed`}
+                </span>
+              ) : null}
+            </p>
+          )}
         </div>
       </section>
 
@@ -47,7 +69,9 @@ export const TreasuryDashboard = () => {
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
             <div>
               <h2 style={{ margin: '0 0 6px' }}>Multi-chain Balances</h2>
-              <p style={mutedStyle}>Mock data aggregated by the Phase 5 Node.js service.</p>
+              <p style={mutedStyle}>
+                {isMocked ? 'Mock data shown while the Node.js service is offline.' : 'Aggregated by the Phase 5 Node.js service.'}
+              </p>
             </div>
           </div>
           <div style={{ marginTop: 20, display: 'flex', flexDirection: 'column', gap: 12 }}>
@@ -73,6 +97,10 @@ export const TreasuryDashboard = () => {
         </div>
         <SetRuleForm />
       </section>
+
+      <HealthPanel />
+
+      <ActivityFeed />
     </section>
   );
 };
@@ -0,0 +1,73 @@
+import registry from '../../../config/networks.json';
+
+/**
+ * Entry of the network registry shared with the Node services (config/networks.json)
+ */
+export interface NetworkConfig {
+  id: string;
+  chain: string;
+  chainId: number;
+  name: string;
+  /** Whether the Treasury can be deployed here (selectable in the dashboard) */
+  treasury: boolean;
+  rpcUrls: string[];
+  explorerUrl: string | null;
+  nativeCurrency: { name: string; symbol: string; decimals: number };
+  usdcAddress: string | null;
+  treasuryAddress: string | null;
+}
+
+const env = import.meta.env as Record<string, string | undefined>;
+const entries = registry.networks as Record<string, Omit<NetworkConfig, 'id'>>;
+
+export const DEFAULT_NETWORK_ID = env.VITE_NETWORK && entries[env.VITE_NETWORK] ? env.VITE_NETWORK : registry.defaultNetwork;
+
+/**
+ * Registry entry with deployment overrides from the environment
+ * VITE_<ID>_RPC_URL, VITE_<ID>_EXPLORER_URL and VITE_<ID>_TREASURY_ADDRESS apply to one
+ * network (ID upper-cased, dashes as underscores). The unprefixed VITE_ARC_RPC_URL,
+ * VITE_ARC_BLOCK_EXPLORER and VITE_TREASURY_ADDRESS apply to the default network.
+ */
+const withOverrides = (id: string): NetworkConfig => {
+  const entry = entries[id];
+  const prefix = `VITE_${id.toUpperCase().replace(/-/g, '_')}`;
+  const isDefault = id === DEFAULT_NETWORK_ID;
+  const rpcUrl = env[`${prefix}_RPC_URL`] || (isDefault ? env.VITE_ARC_RPC_URL : undefined);
+  return {
+    ...entry,
+    id,
+    rpcUrls: rpcUrl ? [rpcUrl] : entry.rpcUrls,
+    explorerUrl: env[`${prefix}_EXPLORER_URL`] || (isDefault ? env.VITE_ARC_BLOCK_EXPLORER : undefined) || entry.explorerUrl,
+    treasuryAddress:
+      env[`${prefix}_TREASURY_ADDRESS`] || (isDefault ? env.VITE_TREASURY_ADDRESS : undefined) || entry.treasuryAddress
+  };
+};
+
+export const NETWORKS: NetworkConfig[] = Object.keys(entries).map(withOverrides);
+
+/** Networks the dashboard can switch between */
+export const TREASURY_NETWORKS = NETWORKS.filter((network) => network.treasury);
+
+export const getNetwork = (id: string): NetworkConfig | undefined => NETWORKS.find((network) => network.id === id);
+
+export const getNetworkByChainId = (chainId: number): NetworkConfig | undefined =>
+  NETWORKS.find((network) => network.chainId === chainId);
+
+export const toHexChainId = (chainId: number) => `0x${chainId.toString(16)}`;
+
+/**
+ * `wallet_addEthereumChain` parameters (EIP-3085)
+ */
+export const addChainParams = (network: NetworkConfig) => ({
+  chainId: toHexChainId(network.chainId),
+  chainName: network.name,
+  rpcUrls: network.rpcUrls,
+  nativeCurrency: network.nativeCurrency,
+  ...(network.explorerUrl ? { blockExplorerUrls: [network.explorerUrl] } : {})
+});
+
+export const explorerTxUrl = (network: NetworkConfig, hash: string) =>
+  network.explorerUrl ? `${network.explorerUrl.replace(/\/$/, '')}/tx/${hash}` : undefined;
+
+export const explorerAddressUrl = (network: NetworkConfig, address: string) =>
+  network.explorerUrl ? `${network.explorerUrl.replace(/\/$/, '')}/address/${address}` : undefined;
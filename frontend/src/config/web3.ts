@@ -1,32 +1,24 @@
 import { defineChain } from 'viem';
 import { createConfig, http } from 'wagmi';
+import { NetworkConfig, TREASURY_NETWORKS } from './networks';
 
-export const arcTestnet = defineChain({
-  id: 5_042_002,
-  name: 'Arc Testnet',
-  network: 'arc-testnet',
-  nativeCurrency: {
-    name: 'USDC',
-    symbol: 'USDC',
-    decimals: 6
-  },
-  rpcUrls: {
-    default: { http: ['https://rpc.testnet.arc.network'] },
-    public: { http: ['https://rpc.testnet.arc.network'] }
-  },
-  blockExplorers: {
-    default: {
-      name: 'ArcScan',
-      url: 'https://testnet.arcscan.app'
-    }
-  }
-});
+const toChain = (network: NetworkConfig) =>
+  defineChain({
+    id: network.chainId,
+    name: network.name,
+    network: network.id,
+    nativeCurrency: network.nativeCurrency,
+    rpcUrls: {
+      default: { http: network.rpcUrls },
+      public: { http: network.rpcUrls }
+    },
+    ...(network.explorerUrl ? { blockExplorers: { default: { name: `${network.name} Explorer`, url: network.explorerUrl } } } : {})
+  });
+
+export const treasuryChains = TREASURY_NETWORKS.map(toChain);
 
 export const wagmiConfig = createConfig({
-  chains: [arcTestnet],
-  transports: {
-    [arcTestnet.id]: http('https://rpc.testnet.arc.network')
-  },
+  chains: treasuryChains as [ReturnType<typeof toChain>, ...ReturnType<typeof toChain>[]],
+  transports: Object.fromEntries(TREASURY_NETWORKS.map((network) => [network.chainId, http(network.rpcUrls[0])])),
   autoConnect: true
 });
-
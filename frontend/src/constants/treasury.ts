@@ -15,5 +15,3 @@ export const TREASURY_ABI = [
   }
 ] as const;
 
-export const TREASURY_CONTRACT_ADDRESS = '0x438848a5A2825b5aF7F2997e37D0A2f617F30A09' as const;
-
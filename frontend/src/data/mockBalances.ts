@@ -1,4 +1,7 @@
 import { AggregatedBalances } from '../types';
+import { DEFAULT_NETWORK_ID, NetworkConfig, getNetwork } from '../config/networks';
+
+const arc = getNetwork(DEFAULT_NETWORK_ID) as NetworkConfig;
 
 export const MOCK_AGGREGATED_BALANCES: AggregatedBalances = {
   walletAddress: '0xArcDemoWallet000000000000000000000000',
@@ -7,8 +10,8 @@ export const MOCK_AGGREGATED_BALANCES: AggregatedBalances = {
   chains: [
     {
       chain: 'arc',
-      chainId: 0xa11ce,
-      network: 'arc-mainnet',
+      chainId: arc.chainId,
+      network: DEFAULT_NETWORK_ID,
       balance: '2,500,000.00',
       balanceRaw: '2500000000000',
       currency: 'USDC',
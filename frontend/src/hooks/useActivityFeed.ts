@@ -0,0 +1,107 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ethers } from 'ethers';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ACTIVITY_EVENTS, ActivityItem, decodeActivity, mergeActivity } from '../utils/activityFeed';
+
+// How far back the feed is seeded on load; many RPC endpoints cap log queries by range
+const LOOKBACK_BLOCKS = 5000;
+
+interface UseActivityFeedResult {
+  items: ActivityItem[];
+  isLoading: boolean;
+  error: string | null;
+  /** Whether live events are being received */
+  isLive: boolean;
+}
+
+/**
+ * Treasury events as a feed, seeded with recent history and kept up to date from
+ * contract subscriptions. An event seen both ways is shown once; events from
+ * blocks removed by a reorg are dropped.
+ */
+export function useActivityFeed(limit = 100): UseActivityFeedResult {
+  const { readContract } = useArcProvider();
+  const [items, setItems] = useState<ActivityItem[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const blockTimes = useRef(new Map<number, Promise<number | null>>());
+
+  const blockTime = useCallback(
+    (blockNumber: number) => {
+      if (!readContract) return Promise.resolve(null);
+      const cached = blockTimes.current.get(blockNumber);
+      if (cached) return cached;
+      const time: Promise<number | null> = readContract.provider
+        .getBlock(blockNumber)
+        .then((block: ethers.providers.Block) => block.timestamp)
+        .catch(() => null);
+      blockTimes.current.set(blockNumber, time);
+      return time;
+    },
+    [readContract]
+  );
+
+  useEffect(() => {
+    // Start over when the selected network changes
+    setItems([]);
+    blockTimes.current = new Map();
+    if (!readContract) {
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(true);
+    let isMounted = true;
+
+    const handleEvent = async (...args: unknown[]) => {
+      const event = args[args.length - 1] as ethers.Event;
+      if (event.removed) {
+        setItems((current) => current.filter((item) => item.id !== `${event.transactionHash}:${event.logIndex}`));
+        return;
+      }
+      const item = decodeActivity(event);
+      if (!item || !isMounted) return;
+      setItems((current) => mergeActivity(current, [item], limit));
+      const timestamp = await blockTime(event.blockNumber);
+      if (isMounted && timestamp !== null) {
+        setItems((current) => mergeActivity(current, [{ ...item, timestamp }], limit));
+      }
+    };
+
+    // Subscribe before reading history so nothing falls between the two
+    ACTIVITY_EVENTS.forEach((name) => readContract.on(name, handleEvent));
+
+    const seed = async () => {
+      try {
+        const latest = await readContract.provider.getBlockNumber();
+        const fromBlock = Math.max(0, latest - LOOKBACK_BLOCKS);
+        const events: ethers.Event[] = (
+          await Promise.all(ACTIVITY_EVENTS.map((name) => readContract.queryFilter(readContract.filters[name](), fromBlock, latest)))
+        ).flat();
+        const history = mergeActivity(
+          [],
+          events.map((event) => decodeActivity(event)).filter((item): item is ActivityItem => item !== null),
+          limit
+        );
+        const times = await Promise.all(history.map((item) => blockTime(item.blockNumber)));
+        if (isMounted) {
+          setItems((current) => mergeActivity(current, history.map((item, index) => ({ ...item, timestamp: times[index] })), limit));
+          setError(null);
+        }
+      } catch (err) {
+        console.warn('[useActivityFeed] Could not load recent Treasury events', err);
+        if (isMounted) setError((err as Error).message);
+      } finally {
+        if (isMounted) setIsLoading(false);
+      }
+    };
+
+    seed();
+
+    return () => {
+      isMounted = false;
+      ACTIVITY_EVENTS.forEach((name) => readContract.off(name, handleEvent));
+    };
+  }, [readContract, blockTime, limit]);
+
+  return { items, isLoading, error, isLive: !!readContract };
+}
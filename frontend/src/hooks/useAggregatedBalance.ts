@@ -1,9 +1,7 @@
 import { useEffect, useState } from 'react';
 import { formatUnits } from 'viem';
-
-interface BalanceResponse {
-  aggregatedUSDC: string;
-}
+import { fetchTreasuryBalance } from '../api/treasuryService';
+import { useLiveConnection, useLiveUpdate } from './useLiveUpdates';
 
 interface UseAggregatedBalanceReturn {
   balance: string | null;
@@ -11,22 +9,29 @@ interface UseAggregatedBalanceReturn {
   isError: boolean;
 }
 
-export function useAggregatedBalance(): UseAggregatedBalanceReturn {
+/**
+ * Total treasury USDC, kept current from the same pushed balances as useTreasuryData
+ * and polled every `pollInterval` only while the push connection is down
+ */
+export function useAggregatedBalance(pollInterval = 15000): UseAggregatedBalanceReturn {
   const [balance, setBalance] = useState<string | null>(null);
   const [isLoading, setIsLoading] = useState<boolean>(true);
   const [isError, setIsError] = useState<boolean>(false);
+  const isLive = useLiveConnection();
+
+  useLiveUpdate('balances', (data) => {
+    const aggregated = data.chains.reduce((total, chain) => total + BigInt(chain.balanceRaw), 0n);
+    setBalance(formatUnits(aggregated, 6));
+    setIsError(false);
+    setIsLoading(false);
+  });
 
   useEffect(() => {
     let isMounted = true;
 
     const fetchBalance = async () => {
       try {
-        const response = await fetch('http://localhost:3000/api/treasury/balance');
-        if (!response.ok) {
-          throw new Error(`Request failed with status ${response.status}`);
-        }
-
-        const data: BalanceResponse = await response.json();
+        const data = await fetchTreasuryBalance();
         const formatted = formatUnits(BigInt(data.aggregatedUSDC), 6);
 
         if (isMounted) {
@@ -46,12 +51,13 @@ export function useAggregatedBalance(): UseAggregatedBalanceReturn {
     };
 
     fetchBalance();
+    const interval = isLive ? null : setInterval(fetchBalance, pollInterval);
 
     return () => {
       isMounted = false;
+      if (interval) clearInterval(interval);
     };
-  }, []);
+  }, [isLive, pollInterval]);
 
     return { balance, isLoading, isError };
 }
-
@@ -0,0 +1,190 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { ethers } from 'ethers';
+import { fetchApprovals } from '../api/treasuryService';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ApprovalQueue, ApprovalStatus, PendingApproval } from '../types';
+
+/** On-chain state of a proposal, read directly from the Treasury contract */
+interface OnChainState {
+  to: string;
+  amount: string;
+  amountRaw: string;
+  data: string;
+  executed: boolean;
+  confirmations: number;
+  confirmedByAccount: boolean | null;
+}
+
+export interface ApprovalView extends PendingApproval {
+  data: string | null;
+  confirmedByAccount: boolean | null;
+  /** Changed on-chain since the service last indexed it */
+  isLive: boolean;
+}
+
+interface UseApprovalsResult {
+  approvals: ApprovalView[];
+  requiredConfirmations: number | null;
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  refreshTransaction: (txId: string) => Promise<void>;
+}
+
+const MULTISIG_EVENTS = ['TransactionProposed', 'TransactionConfirmed', 'ConfirmationRevoked', 'TransactionExecuted'];
+
+/**
+ * Multisig approval queue from the Node service, overlaid with live on-chain state
+ * The service indexes events once they are confirmed, so confirmations and executions
+ * seen on-chain are shown straight away and new proposals appear before they are indexed.
+ */
+export function useApprovals(status: ApprovalStatus | 'all' = 'pending', pollInterval = 30 * 1000): UseApprovalsResult {
+  const { readContract, account } = useArcProvider();
+  const [queue, setQueue] = useState<ApprovalQueue | null>(null);
+  const [onChain, setOnChain] = useState<Record<string, OnChainState>>({});
+  const [liveProposals, setLiveProposals] = useState<Record<string, PendingApproval>>({});
+  const [changed, setChanged] = useState<Set<string>>(new Set());
+  const [threshold, setThreshold] = useState<number | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refreshTransaction = useCallback(
+    async (txId: string) => {
+      if (!readContract) return;
+      try {
+        const [transaction, confirmedByAccount] = await Promise.all([
+          readContract.getTransaction(txId),
+          account ? readContract.isConfirmed(txId, account) : Promise.resolve(null)
+        ]);
+        setOnChain((current) => ({
+          ...current,
+          [txId]: {
+            to: transaction.to,
+            amount: ethers.utils.formatUnits(transaction.amount, 6),
+            amountRaw: transaction.amount.toString(),
+            data: transaction.data,
+            executed: transaction.executed,
+            confirmations: transaction.confirmations.toNumber(),
+            confirmedByAccount
+          }
+        }));
+      } catch (err) {
+        console.warn(`[useApprovals] Could not read ${txId} from the Treasury contract`, err);
+      }
+    },
+    [readContract, account]
+  );
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await fetchApprovals(status);
+      setQueue(data);
+      setError(null);
+      setChanged(new Set());
+      setLiveProposals((current) => {
+        const indexed = new Set(data.approvals.map((approval) => approval.txId));
+        return Object.fromEntries(Object.entries(current).filter(([txId]) => !indexed.has(txId)));
+      });
+      await Promise.all(data.approvals.map((approval) => refreshTransaction(approval.txId)));
+    } catch (err) {
+      setError((err as Error).message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, refreshTransaction]);
+
+  // Chain state read on another network no longer applies
+  useEffect(() => {
+    setOnChain({});
+    setLiveProposals({});
+    setChanged(new Set());
+    setThreshold(null);
+  }, [readContract]);
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, pollInterval);
+    return () => clearInterval(interval);
+  }, [refresh, pollInterval]);
+
+  useEffect(() => {
+    if (!readContract) return;
+    readContract
+      .requiredSignatures()
+      .then((required: ethers.BigNumber) => setThreshold(required.toNumber()))
+      .catch(() => setThreshold(null));
+  }, [readContract]);
+
+  useEffect(() => {
+    if (!readContract) return;
+
+    const handleEvent = (...args: unknown[]) => {
+      const event = args[args.length - 1] as ethers.Event;
+      const txId = args[0] as string;
+
+      if (event.event === 'TransactionProposed') {
+        const [, proposer, to, amount] = args as [string, string, string, ethers.BigNumber];
+        setLiveProposals((current) => ({
+          ...current,
+          [txId]: {
+            txId,
+            status: 'pending',
+            to,
+            amount: ethers.utils.formatUnits(amount, 6),
+            amountRaw: amount.toString(),
+            proposer,
+            proposedAt: new Date().toISOString(),
+            proposalTxHash: event.transactionHash,
+            confirmations: 0,
+            requiredConfirmations: null,
+            remainingConfirmations: null,
+            confirmedBy: [],
+            awaitingSigners: null,
+            executedAt: null,
+            executionTxHash: null
+          }
+        }));
+      }
+
+      setChanged((current) => new Set(current).add(txId));
+      refreshTransaction(txId);
+    };
+
+    MULTISIG_EVENTS.forEach((name) => readContract.on(name, handleEvent));
+    return () => {
+      MULTISIG_EVENTS.forEach((name) => readContract.off(name, handleEvent));
+    };
+  }, [readContract, refreshTransaction]);
+
+  const requiredConfirmations = queue?.requiredConfirmations ?? threshold;
+
+  const approvals = useMemo(() => {
+    const entries = [
+      ...(status === 'executed' ? [] : Object.values(liveProposals)),
+      ...(queue?.approvals ?? [])
+    ];
+
+    return entries
+      .map((approval): ApprovalView => {
+        const live = onChain[approval.txId];
+        const confirmations = live ? live.confirmations : approval.confirmations;
+        return {
+          ...approval,
+          to: approval.to ?? live?.to ?? null,
+          amount: approval.amount ?? live?.amount ?? null,
+          amountRaw: approval.amountRaw ?? live?.amountRaw ?? null,
+          status: live?.executed ? 'executed' : approval.status,
+          confirmations,
+          requiredConfirmations,
+          remainingConfirmations:
+            requiredConfirmations === null ? null : Math.max(0, requiredConfirmations - confirmations),
+          data: live?.data ?? null,
+          confirmedByAccount: live?.confirmedByAccount ?? null,
+          isLive: changed.has(approval.txId)
+        };
+      })
+      .filter((approval) => status === 'all' || approval.status === status);
+  }, [queue, liveProposals, onChain, changed, requiredConfirmations, status]);
+
+  return { approvals, requiredConfirmations, isLoading, error, refresh, refreshTransaction };
+}
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchComplianceRecords } from '../api/treasuryService';
+import { ComplianceRecordFilters, ComplianceRecordPage } from '../types';
+
+interface UseComplianceRecordsResult {
+  data: ComplianceRecordPage | null;
+  isLoading: boolean;
+  error: string | null;
+  refresh: () => void;
+}
+
+/**
+ * One page of compliance records from the Node service, refetched when the filters
+ * or page change and polled so newly indexed records show up
+ */
+export function useComplianceRecords(
+  filters: ComplianceRecordFilters,
+  page: number,
+  pageSize: number,
+  pollInterval = 60 * 1000
+): UseComplianceRecordsResult {
+  const [data, setData] = useState<ComplianceRecordPage | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchRecords = async () => {
+      try {
+        const result = await fetchComplianceRecords(filters, page, pageSize);
+        if (isMounted) {
+          setData(result);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError((err as Error).message);
+        }
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    setIsLoading(true);
+    fetchRecords();
+    const interval = setInterval(fetchRecords, pollInterval);
+
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [filters, page, pageSize, pollInterval, reloadKey]);
+
+  const refresh = useCallback(() => setReloadKey((key) => key + 1), []);
+
+  return { data, isLoading, error, refresh };
+}
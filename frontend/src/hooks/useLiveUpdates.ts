@@ -0,0 +1,25 @@
+import { useEffect, useRef, useState } from 'react';
+import { LiveUpdateType, liveUpdates } from '../api/liveUpdates';
+import { LiveUpdateMessages } from '../types';
+
+/**
+ * Call `handler` for every pushed message of the given type
+ * The latest handler is always used, so it does not need to be memoised.
+ */
+export function useLiveUpdate<T extends LiveUpdateType>(type: T, handler: (data: LiveUpdateMessages[T]) => void) {
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => liveUpdates.subscribe(type, (data) => handlerRef.current(data)), [type]);
+}
+
+/**
+ * Whether the server-push connection is open; hooks poll while it is not
+ */
+export function useLiveConnection(): boolean {
+  const [connected, setConnected] = useState(liveUpdates.connected);
+
+  useEffect(() => liveUpdates.onStatus(setConnected), []);
+
+  return connected;
+}
@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { fetchRunwayForecast } from '../api/treasuryService';
+import { RunwayForecast } from '../types';
+
+interface UseRunwayForecastResult {
+  forecast: RunwayForecast | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+export function useRunwayForecast(days?: number, pollInterval = 5 * 60 * 1000): UseRunwayForecastResult {
+  const [forecast, setForecast] = useState<RunwayForecast | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchForecast = async () => {
+      try {
+        const data = await fetchRunwayForecast(days);
+        if (isMounted) {
+          setForecast(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError((err as Error).message);
+        }
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchForecast();
+    const interval = setInterval(fetchForecast, pollInterval);
+
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [days, pollInterval]);
+
+  return { forecast, isLoading, error };
+}
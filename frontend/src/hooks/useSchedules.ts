@@ -0,0 +1,124 @@
+import { useCallback, useEffect, useState } from 'react';
+import { ethers } from 'ethers';
+import { fetchSchedules } from '../api/treasuryService';
+import { useArcProvider } from '../providers/ArcProvider';
+import { ScheduledDistribution } from '../types';
+import { useLiveUpdate } from './useLiveUpdates';
+
+// Same bound as the Node service's schedule scan
+const MAX_SCHEDULE_SCAN = 500;
+
+interface UseSchedulesResult {
+  schedules: ScheduledDistribution[];
+  isLoading: boolean;
+  error: string | null;
+  source: 'service' | 'chain' | null;
+  refresh: () => Promise<void>;
+  refreshSchedule: (scheduleId: string) => Promise<void>;
+}
+
+const formatSchedule = (scheduleId: number | string, schedule: ethers.utils.Result): ScheduledDistribution => {
+  const nextDistribution = schedule.nextDistribution.toNumber();
+  return {
+    scheduleId: scheduleId.toString(),
+    recipient: schedule.recipient,
+    amount: ethers.utils.formatUnits(schedule.amount, 6),
+    amountRaw: schedule.amount.toString(),
+    interval: schedule.interval.toNumber(),
+    nextDistribution,
+    nextDistributionISO: new Date(nextDistribution * 1000).toISOString(),
+    active: schedule.active,
+    totalDistributed: ethers.utils.formatUnits(schedule.totalDistributed, 6)
+  };
+};
+
+/**
+ * Read every schedule from the Treasury contract, stopping at the first empty slot
+ * Used when the Node service is unavailable
+ */
+async function scanSchedules(contract: ethers.Contract): Promise<ScheduledDistribution[]> {
+  const schedules: ScheduledDistribution[] = [];
+  for (let scheduleId = 0; scheduleId < MAX_SCHEDULE_SCAN; scheduleId++) {
+    let schedule: ethers.utils.Result;
+    try {
+      schedule = await contract.getScheduledDistribution(scheduleId);
+    } catch {
+      break;
+    }
+    if (schedule.recipient === ethers.constants.AddressZero) {
+      // IDs may start at 1
+      if (scheduleId === 0) continue;
+      break;
+    }
+    schedules.push(formatSchedule(scheduleId, schedule));
+  }
+  return schedules;
+}
+
+/**
+ * Scheduled distributions from the Node service, or read from the Treasury contract
+ * when the service is unavailable
+ */
+export function useSchedules(pollInterval = 30 * 1000): UseSchedulesResult {
+  const { readContract } = useArcProvider();
+  const [schedules, setSchedules] = useState<ScheduledDistribution[]>([]);
+  const [source, setSource] = useState<'service' | 'chain' | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      setSchedules(await fetchSchedules());
+      setSource('service');
+      setError(null);
+    } catch (serviceError) {
+      if (!readContract) {
+        setError((serviceError as Error).message);
+        return;
+      }
+      try {
+        setSchedules(await scanSchedules(readContract));
+        setSource('chain');
+        setError(null);
+      } catch (chainError) {
+        setError((chainError as Error).message);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  }, [readContract]);
+
+  const refreshSchedule = useCallback(
+    async (scheduleId: string) => {
+      if (!readContract) return;
+      try {
+        const updated = formatSchedule(scheduleId, await readContract.getScheduledDistribution(scheduleId));
+        setSchedules((current) => {
+          const exists = current.some((schedule) => schedule.scheduleId === scheduleId);
+          return exists
+            ? current.map((schedule) => (schedule.scheduleId === scheduleId ? updated : schedule))
+            : [...current, updated];
+        });
+      } catch (err) {
+        console.warn(`[useSchedules] Could not read schedule ${scheduleId}`, err);
+      }
+    },
+    [readContract]
+  );
+
+  // Show executions as soon as the Node service reports them
+  useLiveUpdate('run', (run) => {
+    if (!run.dryRun && run.scheduled.count > 0) refresh();
+  });
+  useLiveUpdate('event', (event) => {
+    if (event.name === 'ScheduledDistributionExecuted') refresh();
+  });
+
+  useEffect(() => {
+    refresh();
+    const interval = setInterval(refresh, pollInterval);
+    return () => clearInterval(interval);
+  }, [refresh, pollInterval]);
+
+  return { schedules, isLoading, error, source, refresh, refreshSchedule };
+}
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { fetchServiceNetwork } from '../api/treasuryService';
+import { ServiceNetwork } from '../types';
+
+/**
+ * Network the Node service runs against, or null while it is offline
+ */
+export function useServiceNetwork(): ServiceNetwork | null {
+  const [serviceNetwork, setServiceNetwork] = useState<ServiceNetwork | null>(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    fetchServiceNetwork()
+      .then((data) => {
+        if (isMounted) setServiceNetwork(data);
+      })
+      .catch((err) => console.warn('[useServiceNetwork] Could not load the service network', err));
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  return serviceNetwork;
+}
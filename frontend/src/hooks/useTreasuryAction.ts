@@ -0,0 +1,54 @@
+import { useCallback, useState } from 'react';
+import { ethers } from 'ethers';
+import { useArcProvider } from '../providers/ArcProvider';
+import { transactionErrorMessage } from '../utils/transactionErrors';
+
+export interface TreasuryActionState {
+  /** Identifies what the action was run for (e.g. a transaction or schedule ID) */
+  key: string;
+  label: string;
+  status: string;
+  hash: string | null;
+  isPending: boolean;
+}
+
+interface UseTreasuryActionResult {
+  state: TreasuryActionState | null;
+  run: (key: string, label: string, method: string, args: unknown[]) => Promise<ethers.ContractReceipt | null>;
+}
+
+/**
+ * Send a Treasury transaction from the connected wallet
+ * The call is simulated first so a revert shows its reason before the wallet prompt.
+ * Without a connected wallet, running an action connects it instead.
+ */
+export function useTreasuryAction(): UseTreasuryActionResult {
+  const { contract, connectWallet } = useArcProvider();
+  const [state, setState] = useState<TreasuryActionState | null>(null);
+
+  const run = useCallback(
+    async (key: string, label: string, method: string, args: unknown[]) => {
+      if (!contract) {
+        await connectWallet();
+        return null;
+      }
+
+      setState({ key, label, status: 'Waiting for wallet…', hash: null, isPending: true });
+      try {
+        await contract.callStatic[method](...args);
+        const tx = await contract[method](...args);
+        setState({ key, label, status: 'Waiting for confirmation on Arc…', hash: tx.hash, isPending: true });
+        const receipt: ethers.ContractReceipt = await tx.wait();
+        setState({ key, label, status: `${label} confirmed.`, hash: tx.hash, isPending: false });
+        return receipt;
+      } catch (error) {
+        console.error(error);
+        setState({ key, label, status: transactionErrorMessage(error), hash: null, isPending: false });
+        return null;
+      }
+    },
+    [contract, connectWallet]
+  );
+
+  return { state, run };
+}
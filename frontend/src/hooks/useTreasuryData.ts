@@ -1,20 +1,31 @@
-import { useEffect, useState } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import { fetchAggregatedBalances } from '../api/treasuryService';
-import { AggregatedBalances } from '../types';
+import { AggregatedBalances, LiveRunSummary } from '../types';
+import { useLiveConnection, useLiveUpdate } from './useLiveUpdates';
 
 interface UseTreasuryDataResult {
   data: AggregatedBalances | null;
   isLoading: boolean;
   error: string | null;
+  /** Whether balances are pushed by the Node service rather than polled */
+  isLive: boolean;
+  /** Latest automation run pushed by the Node service */
+  lastRun: LiveRunSummary | null;
   refresh: () => Promise<void>;
 }
 
+/**
+ * Aggregated balances pushed by the Node service, polled every `pollInterval` only
+ * while the push connection is down
+ */
 export function useTreasuryData(pollInterval = 15000): UseTreasuryDataResult {
   const [data, setData] = useState<AggregatedBalances | null>(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const [lastRun, setLastRun] = useState<LiveRunSummary | null>(null);
+  const isLive = useLiveConnection();
 
-  const fetchData = async () => {
+  const fetchData = useCallback(async () => {
     try {
       setIsLoading(true);
       const balances = await fetchAggregatedBalances();
@@ -25,14 +36,24 @@ export function useTreasuryData(pollInterval = 15000): UseTreasuryDataResult {
     } finally {
       setIsLoading(false);
     }
-  };
+  }, []);
 
+  useLiveUpdate('balances', (balances) => {
+    setData(balances);
+    setError(null);
+    setIsLoading(false);
+  });
+
+  useLiveUpdate('run', setLastRun);
+
+  // Fetch on load and whenever the connection drops or comes back, so nothing
+  // published while disconnected is missed
   useEffect(() => {
     fetchData();
+    if (isLive) return;
     const interval = setInterval(fetchData, pollInterval);
     return () => clearInterval(interval);
-  }, [pollInterval]);
+  }, [fetchData, pollInterval, isLive]);
 
-  return { data, isLoading, error, refresh: fetchData };
+  return { data, isLoading, error, isLive, lastRun, refresh: fetchData };
 }
-
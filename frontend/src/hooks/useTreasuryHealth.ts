@@ -0,0 +1,47 @@
+import { useEffect, useState } from 'react';
+import { fetchTreasuryHealth } from '../api/treasuryService';
+import { TreasuryHealth } from '../types';
+
+interface UseTreasuryHealthResult {
+  health: TreasuryHealth | null;
+  isLoading: boolean;
+  error: string | null;
+}
+
+export function useTreasuryHealth(pollInterval = 60 * 1000): UseTreasuryHealthResult {
+  const [health, setHealth] = useState<TreasuryHealth | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchHealth = async () => {
+      try {
+        const data = await fetchTreasuryHealth();
+        if (isMounted) {
+          setHealth(data);
+          setError(null);
+        }
+      } catch (err) {
+        if (isMounted) {
+          setError((err as Error).message);
+        }
+      } finally {
+        if (isMounted) {
+          setIsLoading(false);
+        }
+      }
+    };
+
+    fetchHealth();
+    const interval = setInterval(fetchHealth, pollInterval);
+
+    return () => {
+      isMounted = false;
+      clearInterval(interval);
+    };
+  }, [pollInterval]);
+
+  return { health, isLoading, error };
+}
@@ -1,6 +1,15 @@
 import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
 import { ethers } from 'ethers';
-import { ARC_NETWORK, ARC_NETWORK_DISPLAY, ARC_PREDICTABLE_GAS_USD } from '../utils/arcConfig';
+import { ARC_PREDICTABLE_GAS_USD } from '../utils/arcConfig';
+import {
+  DEFAULT_NETWORK_ID,
+  NetworkConfig,
+  addChainParams,
+  explorerAddressUrl,
+  explorerTxUrl,
+  getNetwork,
+  toHexChainId
+} from '../config/networks';
 import { treasuryAbi } from '../abi/treasuryAbi';
 
 declare global {
@@ -13,11 +22,27 @@ interface ArcContextValue {
   account: string | null;
   provider: ethers.providers.Web3Provider | null;
   signer: ethers.Signer | null;
+  /** Treasury contract for the connected wallet; null while it is on the wrong network */
   contract: ethers.Contract | null;
+  /** Treasury contract on the selected network's RPC, readable without a wallet */
+  readContract: ethers.Contract | null;
+  treasuryAddress: string;
   isConnecting: boolean;
   arcGasPriceUsd: number;
   networkName: string;
+  /** Selected network */
+  network: NetworkConfig;
+  /** Chain the wallet is on, or null without a wallet */
+  walletChainId: number | null;
+  /** Wallet connected to a chain other than the selected network */
+  isWrongNetwork: boolean;
   connectWallet: () => Promise<void>;
+  /** Select a network and ask the wallet to follow */
+  switchNetwork: (networkId: string) => Promise<void>;
+  /** Ask the wallet to switch to the selected network */
+  switchWalletNetwork: () => Promise<void>;
+  explorerTxUrl: (hash: string) => string | undefined;
+  explorerAddressUrl: (address: string) => string | undefined;
 }
 
 const ArcContext = createContext<ArcContextValue | undefined>(undefined);
@@ -26,28 +51,60 @@ interface Props {
   children: React.ReactNode;
 }
 
-const TREASURY_ADDRESS = import.meta.env.VITE_TREASURY_ADDRESS || '';
+const NETWORK_STORAGE_KEY = 'arc-treasury:network';
+
+// EIP-1193 / MetaMask error codes
+const USER_REJECTED = 4001;
+const UNRECOGNIZED_CHAIN = 4902;
+
+const initialNetwork = (): NetworkConfig => {
+  const stored = window.localStorage.getItem(NETWORK_STORAGE_KEY);
+  const network = stored ? getNetwork(stored) : undefined;
+  return network?.treasury ? network : (getNetwork(DEFAULT_NETWORK_ID) as NetworkConfig);
+};
+
+/**
+ * Switch the wallet to a network, adding it first if the wallet does not know it
+ */
+const requestWalletNetwork = async (network: NetworkConfig) => {
+  try {
+    await window.ethereum.request({
+      method: 'wallet_switchEthereumChain',
+      params: [{ chainId: toHexChainId(network.chainId) }]
+    });
+  } catch (error) {
+    // Mobile MetaMask wraps the code in data.originalError
+    const { code, data } = error as { code?: number; data?: { originalError?: { code?: number } } };
+    if (code !== UNRECOGNIZED_CHAIN && data?.originalError?.code !== UNRECOGNIZED_CHAIN) throw error;
+    await window.ethereum.request({ method: 'wallet_addEthereumChain', params: [addChainParams(network)] });
+  }
+};
 
 export const ArcProvider: React.FC<Props> = ({ children }) => {
+  const [network, setNetwork] = useState<NetworkConfig>(initialNetwork);
   const [provider, setProvider] = useState<ethers.providers.Web3Provider | null>(null);
   const [signer, setSigner] = useState<ethers.Signer | null>(null);
   const [account, setAccount] = useState<string | null>(null);
   const [contract, setContract] = useState<ethers.Contract | null>(null);
+  const [walletChainId, setWalletChainId] = useState<number | null>(null);
   const [isConnecting, setIsConnecting] = useState(false);
 
-  const ensureArcNetwork = useCallback(async () => {
-    if (!window.ethereum) return;
+  const treasuryAddress = network.treasuryAddress ?? '';
+  const isWrongNetwork = !!account && walletChainId !== null && walletChainId !== network.chainId;
 
-    const chainIdHex = ARC_NETWORK.chainId;
-    const currentChainId = await window.ethereum.request({ method: 'eth_chainId' });
+  const readContract = useMemo(() => {
+    if (!treasuryAddress) return null;
+    const rpcProvider = new ethers.providers.JsonRpcProvider(network.rpcUrls[0], {
+      chainId: network.chainId,
+      name: network.id
+    });
+    return new ethers.Contract(treasuryAddress, treasuryAbi, rpcProvider);
+  }, [network, treasuryAddress]);
 
-    if (currentChainId !== chainIdHex) {
-      await window.ethereum.request({
-        method: 'wallet_addEthereumChain',
-        params: [ARC_NETWORK]
-      });
-    }
-  }, []);
+  const switchWalletNetwork = useCallback(async () => {
+    if (!window.ethereum) return;
+    await requestWalletNetwork(network);
+  }, [network]);
 
   const connectWallet = useCallback(async () => {
     if (!window.ethereum) {
@@ -57,7 +114,12 @@ export const ArcProvider: React.FC<Props> = ({ children }) => {
 
     try {
       setIsConnecting(true);
-      await ensureArcNetwork();
+      try {
+        await requestWalletNetwork(network);
+      } catch (error) {
+        // Declining the switch still connects; the wrong-network state asks again
+        if ((error as { code?: number }).code !== USER_REJECTED) throw error;
+      }
 
       const accounts: string[] = await window.ethereum.request({ method: 'eth_requestAccounts' });
       if (!accounts.length) throw new Error('No Arc accounts returned by wallet');
@@ -68,14 +130,38 @@ export const ArcProvider: React.FC<Props> = ({ children }) => {
       setProvider(web3Provider);
       setSigner(signerInstance);
       setAccount(ethers.utils.getAddress(accounts[0]));
+      setWalletChainId(parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16));
     } finally {
       setIsConnecting(false);
     }
-  }, [ensureArcNetwork]);
+  }, [network]);
+
+  const switchNetwork = useCallback(
+    async (networkId: string) => {
+      const next = getNetwork(networkId);
+      if (!next?.treasury) throw new Error(`Unknown Treasury network "${networkId}"`);
+      setNetwork(next);
+      window.localStorage.setItem(NETWORK_STORAGE_KEY, next.id);
+
+      if (!window.ethereum || !account) return;
+      try {
+        await requestWalletNetwork(next);
+      } catch (error) {
+        // The selection stands; the wrong-network state offers the switch again
+        console.warn(`[ArcProvider] Wallet did not switch to ${next.name}`, error);
+      }
+    },
+    [account]
+  );
 
   useEffect(() => {
     if (!window.ethereum) return;
 
+    window.ethereum
+      .request({ method: 'eth_chainId' })
+      .then((chainId: string) => setWalletChainId(parseInt(chainId, 16)))
+      .catch(() => setWalletChainId(null));
+
     const handleAccountsChanged = (accounts: string[]) => {
       if (!accounts.length) {
         setAccount(null);
@@ -86,8 +172,9 @@ export const ArcProvider: React.FC<Props> = ({ children }) => {
       setAccount(ethers.utils.getAddress(accounts[0]));
     };
 
-    const handleChainChanged = () => {
-      window.location.reload();
+    // The 'any' network Web3Provider follows chain changes, so no reload is needed
+    const handleChainChanged = (chainId: string) => {
+      setWalletChainId(parseInt(chainId, 16));
     };
 
     window.ethereum.on('accountsChanged', handleAccountsChanged);
@@ -100,14 +187,14 @@ export const ArcProvider: React.FC<Props> = ({ children }) => {
   }, []);
 
   useEffect(() => {
-    if (!signer || !TREASURY_ADDRESS) {
+    if (!signer || !treasuryAddress || isWrongNetwork) {
       setContract(null);
       return;
     }
 
-    const treasuryContract = new ethers.Contract(TREASURY_ADDRESS, treasuryAbi, signer);
+    const treasuryContract = new ethers.Contract(treasuryAddress, treasuryAbi, signer);
     setContract(treasuryContract);
-  }, [signer]);
+  }, [signer, treasuryAddress, isWrongNetwork]);
 
   const value = useMemo<ArcContextValue>(() => {
     return {
@@ -115,12 +202,35 @@ export const ArcProvider: React.FC<Props> = ({ children }) => {
       provider,
       signer,
       contract,
+      readContract,
+      treasuryAddress,
       isConnecting,
       connectWallet,
       arcGasPriceUsd: ARC_PREDICTABLE_GAS_USD,
-      networkName: ARC_NETWORK_DISPLAY
+      networkName: network.name,
+      network,
+      walletChainId,
+      isWrongNetwork,
+      switchNetwork,
+      switchWalletNetwork,
+      explorerTxUrl: (hash: string) => explorerTxUrl(network, hash),
+      explorerAddressUrl: (address: string) => explorerAddressUrl(network, address)
     };
-  }, [account, provider, signer, contract, isConnecting, connectWallet]);
+  }, [
+    account,
+    provider,
+    signer,
+    contract,
+    readContract,
+    treasuryAddress,
+    isConnecting,
+    connectWallet,
+    network,
+    walletChainId,
+    isWrongNetwork,
+    switchNetwork,
+    switchWalletNetwork
+  ]);
 
   return <ArcContext.Provider value={value}>{children}</ArcContext.Provider>;
 };
@@ -16,3 +16,219 @@ export interface AggregatedBalances {
   metadata?: Record<string, unknown>;
 }
 
+
+export interface ForecastPayment {
+  date: string;
+  source: 'schedule' | 'distribution_rule' | 'allocation_rule';
+  id: string;
+  recipients: string[];
+  amount: string;
+  balanceBefore: string;
+  balanceAfter: string;
+  status: 'paid' | 'insufficient_balance';
+}
+
+export interface ForecastFailure extends Omit<ForecastPayment, 'status' | 'balanceAfter'> {
+  shortfall: string;
+}
+
+export interface ForecastDay {
+  date: string;
+  outflow: string;
+  balance: string;
+  failedPayments: number;
+}
+
+export interface RunwayForecast {
+  generatedAt: string;
+  horizonDays: number;
+  startBalance: string;
+  endBalance: string;
+  days: ForecastDay[];
+  payments: ForecastPayment[];
+  failures: ForecastFailure[];
+  firstFailure: ForecastFailure | null;
+  runwayDays: number | null;
+}
+
+export type HealthComponentName = 'runway' | 'automation' | 'freshness' | 'concentration' | 'reconciliation';
+
+export interface HealthComponent {
+  name: HealthComponentName;
+  score: number | null;
+  value: number | null;
+  weight: number;
+  explanation: string;
+}
+
+export interface HealthAlert {
+  severity: 'warning' | 'critical';
+  component: HealthComponentName;
+  message: string;
+}
+
+export interface ChainHealth {
+  chain: string;
+  balance: string;
+  status: 'ACTIVE' | 'STALE';
+  ageSeconds: number | null;
+  lastUpdated: string;
+}
+
+export interface TreasuryHealth {
+  walletAddress: string;
+  totalBalance: string;
+  chainCount: number;
+  chains: ChainHealth[];
+  healthScore: number | null;
+  status: 'HEALTHY' | 'DEGRADED' | 'CRITICAL' | 'UNKNOWN';
+  components: HealthComponent[];
+  alerts: HealthAlert[];
+  lastUpdated: string;
+}
+
+export interface ApprovalSigner {
+  address: string;
+  name: string | null;
+}
+
+export type ApprovalStatus = 'pending' | 'executed';
+
+export interface ApprovalEvent {
+  type: 'proposed' | 'confirmed' | 'revoked' | 'executed';
+  signer: string | null;
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+  timestamp: string;
+}
+
+export interface PendingApproval {
+  txId: string;
+  status: ApprovalStatus;
+  to: string | null;
+  amount: string | null;
+  amountRaw: string | null;
+  proposer: string | null;
+  proposedAt: string | null;
+  proposalTxHash: string | null;
+  confirmations: number;
+  requiredConfirmations: number | null;
+  remainingConfirmations: number | null;
+  confirmedBy: ApprovalSigner[];
+  awaitingSigners: ApprovalSigner[] | null;
+  executedAt: string | null;
+  executionTxHash: string | null;
+  events?: ApprovalEvent[];
+}
+
+export interface ApprovalQueue {
+  signers: ApprovalSigner[] | null;
+  requiredConfirmations: number | null;
+  count: number;
+  approvals: PendingApproval[];
+}
+
+export interface ScheduledDistribution {
+  scheduleId: string;
+  recipient: string;
+  amount: string;
+  amountRaw: string;
+  interval: number;
+  nextDistribution: number;
+  nextDistributionISO: string;
+  active: boolean;
+  totalDistributed: string;
+}
+
+export type ComplianceSource = 'MULTISIG_TRANSACTION' | 'SCHEDULED_DISTRIBUTION' | 'ALLOCATION_RULE' | 'DISTRIBUTION_RULE';
+
+export type ComplianceCheckStatus = 'PENDING' | 'VERIFIED' | 'REJECTED' | 'EXEMPT' | 'UNKNOWN';
+
+export interface ComplianceRecord {
+  recordId: string;
+  transactionHash: string;
+  internalTxHash: string;
+  ruleId: number;
+  source: ComplianceSource;
+  recipient: string;
+  usdcAmount: string;
+  usdcAmountFormatted: number;
+  kycStatus: ComplianceCheckStatus;
+  amlStatus: ComplianceCheckStatus;
+  timestamp: number;
+  timestampISO: string;
+  blockNumber: number;
+  executor: string;
+  circleGatewayTxId?: string;
+  arcTransparencyId?: string;
+  reconciled: boolean;
+  reconciledAtISO?: string;
+  metadata?: {
+    jurisdiction?: string;
+    regulatoryCategory?: string;
+    reportingPeriod?: string;
+    notes?: string;
+  };
+}
+
+/** Explorer filters as query-string values; empty strings are ignored */
+export interface ComplianceRecordFilters {
+  recipient: string;
+  ruleId: string;
+  source: ComplianceSource | '';
+  kycStatus: ComplianceCheckStatus | '';
+  amlStatus: ComplianceCheckStatus | '';
+  reconciled: 'true' | 'false' | '';
+  /** Inclusive start, unix seconds */
+  from: string;
+  /** Exclusive end, unix seconds */
+  to: string;
+}
+
+export interface ComplianceRecordPage {
+  page: number;
+  pageSize: number;
+  total: number;
+  pages: number;
+  totalUSDC: number;
+  records: ComplianceRecord[];
+}
+
+/** Automation run result pushed by the Node service */
+export interface LiveRunSummary {
+  dryRun: boolean;
+  completedAt: string;
+  durationSeconds: number | null;
+  treasuryBalance: string | null;
+  totalExecuted: number;
+  scheduled: { count: number; failed: number; error: string | null };
+  distributionRules: { executed: number; error: string | null };
+  allocationRules: { executed: number; error: string | null };
+  error: string | null;
+}
+
+/** Treasury event indexed by the Node service */
+export interface LiveIndexedEvent {
+  name: string;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+}
+
+export interface LiveUpdateMessages {
+  balances: AggregatedBalances;
+  run: LiveRunSummary;
+  event: LiveIndexedEvent;
+  reorg: { commonAncestor: number; removed: number };
+}
+
+/** Network the Node service runs against (GET /api/v1/network) */
+export interface ServiceNetwork {
+  network: string | null;
+  name: string | null;
+  chainId: number | null;
+  explorerUrl: string | null;
+  treasuryAddress: string | null;
+  usdcAddress: string | null;
+}
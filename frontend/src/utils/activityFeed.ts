@@ -0,0 +1,167 @@
+import { ethers } from 'ethers';
+import { ComplianceCheckStatus, ComplianceSource } from '../types';
+
+export type ActivityKind = 'execution' | 'distribution' | 'allocation' | 'compliance' | 'proposal' | 'confirmation';
+
+/** Treasury events shown in the activity feed */
+export const ACTIVITY_EVENTS = [
+  'TransactionProposed',
+  'TransactionConfirmed',
+  'ConfirmationRevoked',
+  'TransactionExecuted',
+  'ScheduledDistributionExecuted',
+  'DistributionRuleExecuted',
+  'AllocationExecuted',
+  'ComplianceRecordCreated'
+] as const;
+
+// Solidity declaration order of the enums emitted by ComplianceRecordCreated
+const COMPLIANCE_SOURCES: ComplianceSource[] = [
+  'MULTISIG_TRANSACTION',
+  'SCHEDULED_DISTRIBUTION',
+  'ALLOCATION_RULE',
+  'DISTRIBUTION_RULE'
+];
+const COMPLIANCE_STATUSES: ComplianceCheckStatus[] = ['PENDING', 'VERIFIED', 'REJECTED', 'EXEMPT', 'UNKNOWN'];
+
+export interface ActivityPayment {
+  recipient: string;
+  amount: string;
+}
+
+export interface ActivityItem {
+  /** Transaction hash and log index, unique per event */
+  id: string;
+  kind: ActivityKind;
+  eventName: string;
+  title: string;
+  blockNumber: number;
+  logIndex: number;
+  transactionHash: string;
+  /** Block time in unix seconds, once the block has been read */
+  timestamp: number | null;
+  payments: ActivityPayment[];
+  /** Sum of the payments in USDC */
+  total: string | null;
+  actor: { label: string; address: string } | null;
+  references: { label: string; value: string }[];
+}
+
+const usdc = (amount: ethers.BigNumber) => ethers.utils.formatUnits(amount, 6);
+
+const short = (value: string) => `${value.slice(0, 10)}…`;
+
+/**
+ * Decode a Treasury event into a feed item
+ * @returns null for events the feed does not show
+ */
+export function decodeActivity(event: ethers.Event, timestamp: number | null = null): ActivityItem | null {
+  const args = event.args;
+  if (!event.event || !args) return null;
+
+  const base = {
+    id: `${event.transactionHash}:${event.logIndex}`,
+    eventName: event.event,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash,
+    timestamp,
+    payments: [] as ActivityPayment[],
+    total: null as string | null,
+    actor: null as ActivityItem['actor'],
+    references: [] as ActivityItem['references']
+  };
+  const single = (recipient: string, amount: ethers.BigNumber) => ({
+    payments: [{ recipient, amount: usdc(amount) }],
+    total: usdc(amount)
+  });
+
+  switch (event.event) {
+    case 'TransactionProposed':
+      return {
+        ...base,
+        ...single(args.to, args.amount),
+        kind: 'proposal',
+        title: 'Transfer proposed',
+        actor: { label: 'Proposer', address: args.proposer },
+        references: [{ label: 'Proposal', value: short(args.txHash) }]
+      };
+    case 'TransactionConfirmed':
+    case 'ConfirmationRevoked':
+      return {
+        ...base,
+        kind: 'confirmation',
+        title: event.event === 'TransactionConfirmed' ? 'Proposal confirmed' : 'Confirmation revoked',
+        actor: { label: 'Signer', address: args.signer },
+        references: [{ label: 'Proposal', value: short(args.txHash) }]
+      };
+    case 'TransactionExecuted':
+      return {
+        ...base,
+        ...single(args.to, args.amount),
+        kind: 'execution',
+        title: 'Proposal executed',
+        references: [{ label: 'Proposal', value: short(args.txHash) }]
+      };
+    case 'ScheduledDistributionExecuted':
+      return {
+        ...base,
+        ...single(args.recipient, args.amount),
+        kind: 'distribution',
+        title: 'Scheduled payment',
+        references: [{ label: 'Schedule', value: `#${args.scheduleId.toString()}` }]
+      };
+    case 'DistributionRuleExecuted': {
+      const amounts = args.amounts as ethers.BigNumber[];
+      return {
+        ...base,
+        kind: 'distribution',
+        title: 'Distribution rule executed',
+        payments: (args.recipients as string[]).map((recipient, index) => ({
+          recipient,
+          amount: amounts[index] ? usdc(amounts[index]) : '0.0'
+        })),
+        total: usdc(amounts.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero)),
+        references: [{ label: 'Rule', value: `#${args.ruleId.toString()}` }]
+      };
+    }
+    case 'AllocationExecuted':
+      return {
+        ...base,
+        ...single(args.recipient, args.amount),
+        kind: 'allocation',
+        title: 'Allocation',
+        references: [{ label: 'Rule', value: `#${args.ruleId.toString()}` }]
+      };
+    case 'ComplianceRecordCreated':
+      return {
+        ...base,
+        ...single(args.recipient, args.amount),
+        kind: 'compliance',
+        title: 'Compliance record',
+        references: [
+          { label: 'Record', value: short(args.recordId) },
+          { label: 'Source', value: COMPLIANCE_SOURCES[args.source] ?? String(args.source) },
+          ...(args.ruleId.isZero() ? [] : [{ label: 'Rule', value: `#${args.ruleId.toString()}` }]),
+          { label: 'KYC', value: COMPLIANCE_STATUSES[args.kycStatus] ?? String(args.kycStatus) },
+          { label: 'AML', value: COMPLIANCE_STATUSES[args.amlStatus] ?? String(args.amlStatus) }
+        ]
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Merge new items into the feed, newest first, keeping one entry per event
+ */
+export function mergeActivity(current: ActivityItem[], incoming: ActivityItem[], limit: number): ActivityItem[] {
+  const byId = new Map(current.map((item) => [item.id, item]));
+  incoming.forEach((item) => {
+    const existing = byId.get(item.id);
+    byId.set(item.id, existing ? { ...item, timestamp: item.timestamp ?? existing.timestamp } : item);
+  });
+  return Array.from(byId.values())
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+    .slice(0, limit);
+}
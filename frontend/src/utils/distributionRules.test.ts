@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import { DistributionRuleDraft, buildRuleCalls, previewRule, validateRule } from './distributionRules';
+
+const ALICE = '0x1111111111111111111111111111111111111111';
+const BOB = '0x2222222222222222222222222222222222222222';
+const CAROL = '0x3333333333333333333333333333333333333333';
+
+const draft = (changes: Partial<DistributionRuleDraft>): DistributionRuleDraft => ({
+  kind: 'time',
+  recipient: ALICE,
+  amount: '100',
+  intervalDays: '30',
+  condition: 0,
+  threshold: '0',
+  percent: '10',
+  shares: [],
+  maxTotal: '0',
+  priority: '1',
+  cooldownHours: '0',
+  ...changes
+});
+
+const mixedBatch = (maxTotal = '0') =>
+  draft({
+    kind: 'batch',
+    maxTotal,
+    shares: [
+      { recipient: ALICE, unit: 'usdc', value: '200' },
+      { recipient: BOB, unit: 'percent', value: '10' },
+      { recipient: CAROL, unit: 'percent', value: '5' }
+    ]
+  });
+
+describe('validateRule', () => {
+  it('accepts a complete time-based rule', () => {
+    expect(validateRule(draft({}))).toEqual({});
+  });
+
+  it('flags invalid fields by key', () => {
+    const errors = validateRule(draft({ recipient: 'nope', amount: '0', intervalDays: '1.5', priority: '0' }));
+    expect(Object.keys(errors).sort()).toEqual(['amount', 'intervalDays', 'priority', 'recipient']);
+  });
+
+  it('flags duplicate batch recipients and percent shares over 100%', () => {
+    const errors = validateRule(
+      draft({
+        kind: 'batch',
+        shares: [
+          { recipient: ALICE, unit: 'percent', value: '60' },
+          { recipient: ALICE, unit: 'percent', value: '50' }
+        ]
+      })
+    );
+    expect(errors['shares.1']).toBe('Recipient listed twice');
+    expect(errors.shares).toMatch(/110%/);
+  });
+
+  it('accepts a mixed batch without a budget cap', () => {
+    expect(validateRule(mixedBatch())).toEqual({});
+  });
+
+  it('rejects a budget cap on a mixed batch', () => {
+    expect(validateRule(mixedBatch('1000')).maxTotal).toMatch(/two rules/);
+  });
+
+  it('accepts a budget cap on a single-unit batch', () => {
+    const errors = validateRule(
+      draft({ kind: 'batch', maxTotal: '1000', shares: [{ recipient: ALICE, unit: 'usdc', value: '200' }] })
+    );
+    expect(errors).toEqual({});
+  });
+});
+
+describe('previewRule', () => {
+  it('pays a balance-condition rule only while the condition holds', () => {
+    const rule = draft({ kind: 'balance', condition: 0, threshold: '500' });
+    expect(previewRule(rule, 1000)).toMatchObject({ wouldPay: true, total: 100 });
+    expect(previewRule(rule, 400)).toMatchObject({ wouldPay: false, reason: 'Balance is not > 500 USDC' });
+  });
+
+  it('takes a percentage of the current balance', () => {
+    expect(previewRule(draft({ kind: 'percentage', percent: '12.5' }), 1000).total).toBe(125);
+  });
+
+  it('takes the percent shares of a mixed batch from the balance left after the fixed payments', () => {
+    const preview = previewRule(mixedBatch(), 1200);
+    expect(preview.payments.map((payment) => payment.amount)).toEqual([200, 100, 50]);
+    expect(preview.total).toBe(350);
+    expect(preview.wouldPay).toBe(true);
+  });
+
+  it('reports when the balance cannot cover the payments', () => {
+    const preview = previewRule(draft({ amount: '500' }), 100);
+    expect(preview.wouldPay).toBe(false);
+    expect(preview.reason).toMatch(/Needs 500 USDC/);
+  });
+
+  it('reports a single run over the budget cap', () => {
+    const preview = previewRule(draft({ amount: '500', maxTotal: '300' }), 1000);
+    expect(preview.wouldPay).toBe(false);
+    expect(preview.reason).toMatch(/300 USDC budget cap/);
+  });
+});
+
+describe('buildRuleCalls', () => {
+  it('converts amounts, percentages and durations to contract units', () => {
+    const [call] = buildRuleCalls(draft({ kind: 'percentage', percent: '12.5', maxTotal: '1000', priority: '2', cooldownHours: '6' }));
+    expect(call.method).toBe('createPercentageBasedDistributionRule');
+    expect(call.args).toEqual([ALICE, 1250, ethers.utils.parseUnits('1000', 6), 2, 21600]);
+  });
+
+  it('creates a mixed batch as a fixed rule followed by a percent rule', () => {
+    const calls = buildRuleCalls(mixedBatch());
+    expect(calls).toHaveLength(2);
+    expect(calls[0].args.slice(0, 4)).toEqual([[ALICE], [ethers.utils.parseUnits('200', 6)], [], false]);
+    expect(calls[1].args.slice(0, 4)).toEqual([[BOB, CAROL], [], [1000, 500], true]);
+    calls.forEach((call) => expect(call.args[4]).toEqual(ethers.constants.Zero));
+  });
+});
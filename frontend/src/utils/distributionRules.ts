@@ -0,0 +1,258 @@
+import { ethers } from 'ethers';
+
+export type DistributionRuleKind = 'time' | 'balance' | 'percentage' | 'batch';
+
+/** Declaration order of `Treasury.BalanceCondition` */
+export const BALANCE_CONDITIONS = [
+  { value: 0, symbol: '>', label: 'Greater than' },
+  { value: 1, symbol: '<', label: 'Less than' },
+  { value: 2, symbol: '=', label: 'Equal to' },
+  { value: 3, symbol: '>=', label: 'Greater than or equal' },
+  { value: 4, symbol: '<=', label: 'Less than or equal' }
+];
+
+export interface BatchShare {
+  recipient: string;
+  unit: 'usdc' | 'percent';
+  value: string;
+}
+
+export interface DistributionRuleDraft {
+  kind: DistributionRuleKind;
+  recipient: string;
+  amount: string;
+  intervalDays: string;
+  condition: number;
+  threshold: string;
+  percent: string;
+  shares: BatchShare[];
+  maxTotal: string;
+  priority: string;
+  cooldownHours: string;
+}
+
+export interface RulePreviewPayment {
+  recipient: string;
+  amount: number;
+  share: string;
+}
+
+export interface RulePreview {
+  /** Whether the rule would pay at the current balance */
+  wouldPay: boolean;
+  reason: string | null;
+  payments: RulePreviewPayment[];
+  total: number;
+}
+
+export interface ContractCall {
+  method: string;
+  args: unknown[];
+}
+
+const USDC_PATTERN = /^\d+(\.\d{1,6})?$/;
+const PERCENT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+const toBps = (percent: string) => Math.round(Number(percent) * 100);
+
+/** Whether a batch mixes fixed and percent shares (created as two rules) */
+export const isMixedBatch = (draft: DistributionRuleDraft) =>
+  draft.kind === 'batch' && new Set(draft.shares.map((share) => share.unit)).size > 1;
+
+const usdc = (value: string) => ethers.utils.parseUnits(value, 6);
+
+/**
+ * Validation errors for a draft, keyed by field ('shares.<index>' for batch rows)
+ */
+export function validateRule(draft: DistributionRuleDraft): Record<string, string> {
+  const errors: Record<string, string> = {};
+  const requireAddress = (key: string, value: string) => {
+    if (!ethers.utils.isAddress(value)) errors[key] = 'Enter a valid address';
+  };
+  const requireUsdc = (key: string, value: string, allowZero = false) => {
+    if (!USDC_PATTERN.test(value) || (!allowZero && Number(value) <= 0)) {
+      errors[key] = allowZero ? 'Enter a USDC amount (0 for none)' : 'Enter a USDC amount above 0';
+    }
+  };
+  const requirePercent = (key: string, value: string) => {
+    if (!PERCENT_PATTERN.test(value) || Number(value) <= 0 || Number(value) > 100) {
+      errors[key] = 'Enter a percentage between 0.01 and 100';
+    }
+  };
+
+  if (draft.kind !== 'batch') {
+    requireAddress('recipient', draft.recipient);
+  }
+
+  switch (draft.kind) {
+    case 'time':
+      requireUsdc('amount', draft.amount);
+      if (!/^\d+$/.test(draft.intervalDays) || Number(draft.intervalDays) <= 0) {
+        errors.intervalDays = 'Enter a whole number of days';
+      }
+      break;
+    case 'balance':
+      requireUsdc('amount', draft.amount);
+      requireUsdc('threshold', draft.threshold, true);
+      if (!BALANCE_CONDITIONS.some((condition) => condition.value === draft.condition)) {
+        errors.condition = 'Choose a condition';
+      }
+      break;
+    case 'percentage':
+      requirePercent('percent', draft.percent);
+      break;
+    case 'batch': {
+      if (draft.shares.length === 0) {
+        errors.shares = 'Add at least one recipient';
+      }
+      const seen = new Set<string>();
+      draft.shares.forEach((share, index) => {
+        const key = `shares.${index}`;
+        if (!ethers.utils.isAddress(share.recipient)) {
+          errors[key] = 'Enter a valid address';
+        } else if (seen.has(share.recipient.toLowerCase())) {
+          errors[key] = 'Recipient listed twice';
+        } else if (share.unit === 'usdc' ? !USDC_PATTERN.test(share.value) || Number(share.value) <= 0 : !PERCENT_PATTERN.test(share.value) || Number(share.value) <= 0) {
+          errors[key] = share.unit === 'usdc' ? 'Enter a USDC amount above 0' : 'Enter a percentage above 0';
+        }
+        if (ethers.utils.isAddress(share.recipient)) seen.add(share.recipient.toLowerCase());
+      });
+      const percentTotal = draft.shares
+        .filter((share) => share.unit === 'percent')
+        .reduce((total, share) => total + (Number(share.value) || 0), 0);
+      if (percentTotal > 100) {
+        errors.shares = `Percent shares add up to ${percentTotal}%, more than the whole balance`;
+      }
+      break;
+    }
+  }
+
+  requireUsdc('maxTotal', draft.maxTotal || '0', true);
+  if (!errors.maxTotal && isMixedBatch(draft) && Number(draft.maxTotal) > 0) {
+    // Each of the two rules would get the whole cap, doubling what can be paid out
+    errors.maxTotal = 'A mixed batch is created as two rules - split it into a fixed and a percent batch to cap each';
+  }
+  if (!/^\d+$/.test(draft.priority) || Number(draft.priority) < 1) {
+    errors.priority = 'Priority must be 1 or more';
+  }
+  if (!/^\d+$/.test(draft.cooldownHours || '0')) {
+    errors.cooldownHours = 'Enter a whole number of hours';
+  }
+
+  return errors;
+}
+
+const conditionHolds = (condition: number, balance: number, threshold: number) => {
+  switch (condition) {
+    case 0:
+      return balance > threshold;
+    case 1:
+      return balance < threshold;
+    case 2:
+      return balance === threshold;
+    case 3:
+      return balance >= threshold;
+    case 4:
+      return balance <= threshold;
+    default:
+      return false;
+  }
+};
+
+/**
+ * What a draft rule would pay out at the given Treasury balance (USDC)
+ * Percent shares are taken of the balance before the rule executes. In a mixed batch
+ * the fixed rule is created (and runs) first, so its percent shares are taken of the
+ * balance left after the fixed payments.
+ */
+export function previewRule(draft: DistributionRuleDraft, balance: number): RulePreview {
+  let payments: RulePreviewPayment[] = [];
+  let reason: string | null = null;
+
+  switch (draft.kind) {
+    case 'time':
+      payments = [{ recipient: draft.recipient, amount: Number(draft.amount) || 0, share: `every ${draft.intervalDays || '?'} day(s)` }];
+      break;
+    case 'balance': {
+      const threshold = Number(draft.threshold) || 0;
+      const condition = BALANCE_CONDITIONS.find((option) => option.value === draft.condition);
+      if (conditionHolds(draft.condition, balance, threshold)) {
+        payments = [{ recipient: draft.recipient, amount: Number(draft.amount) || 0, share: 'fixed' }];
+      } else {
+        reason = `Balance is not ${condition?.symbol ?? '?'} ${threshold.toLocaleString()} USDC`;
+      }
+      break;
+    }
+    case 'percentage':
+      payments = [{ recipient: draft.recipient, amount: (balance * toBps(draft.percent || '0')) / 10000, share: `${draft.percent || 0}%` }];
+      break;
+    case 'batch': {
+      const fixedTotal = draft.shares
+        .filter((share) => share.unit === 'usdc')
+        .reduce((sum, share) => sum + (Number(share.value) || 0), 0);
+      const percentBase = Math.max(balance - fixedTotal, 0);
+      payments = draft.shares.map((share) => ({
+        recipient: share.recipient,
+        amount: share.unit === 'usdc' ? Number(share.value) || 0 : (percentBase * toBps(share.value || '0')) / 10000,
+        share: share.unit === 'usdc' ? 'fixed' : `${share.value || 0}%`
+      }));
+      break;
+    }
+  }
+
+  const total = payments.reduce((sum, payment) => sum + payment.amount, 0);
+  const maxTotal = Number(draft.maxTotal) || 0;
+  if (!reason && total > balance) {
+    reason = `Needs ${total.toLocaleString()} USDC but the Treasury holds ${balance.toLocaleString()} USDC`;
+  } else if (!reason && maxTotal > 0 && total > maxTotal) {
+    reason = `A single run exceeds the ${maxTotal.toLocaleString()} USDC budget cap`;
+  }
+
+  return { wouldPay: !reason && total > 0, reason, payments, total };
+}
+
+/**
+ * Contract calls that create the draft rule
+ * A batch rule pays either fixed amounts or percentages, so a batch mixing both is
+ * created as two rules (fixed first) with the same priority and cooldown. Mixed
+ * batches cannot carry a budget cap (see validateRule).
+ */
+export function buildRuleCalls(draft: DistributionRuleDraft): ContractCall[] {
+  const limits = [usdc(draft.maxTotal || '0'), Number(draft.priority), Number(draft.cooldownHours || '0') * 3600];
+
+  switch (draft.kind) {
+    case 'time':
+      return [{
+        method: 'createTimeBasedDistributionRule',
+        args: [draft.recipient, usdc(draft.amount), Number(draft.intervalDays) * 86400, ...limits]
+      }];
+    case 'balance':
+      return [{
+        method: 'createBalanceConditionDistributionRule',
+        args: [draft.recipient, usdc(draft.amount), draft.condition, usdc(draft.threshold), ...limits]
+      }];
+    case 'percentage':
+      return [{
+        method: 'createPercentageBasedDistributionRule',
+        args: [draft.recipient, toBps(draft.percent), ...limits]
+      }];
+    case 'batch': {
+      const fixed = draft.shares.filter((share) => share.unit === 'usdc');
+      const percent = draft.shares.filter((share) => share.unit === 'percent');
+      const calls: ContractCall[] = [];
+      if (fixed.length > 0) {
+        calls.push({
+          method: 'createBatchDistributionRule',
+          args: [fixed.map((share) => share.recipient), fixed.map((share) => usdc(share.value)), [], false, ...limits]
+        });
+      }
+      if (percent.length > 0) {
+        calls.push({
+          method: 'createBatchDistributionRule',
+          args: [percent.map((share) => share.recipient), [], percent.map((share) => toBps(share.value)), true, ...limits]
+        });
+      }
+      return calls;
+    }
+  }
+}
@@ -0,0 +1,194 @@
+import { describe, expect, it } from 'vitest';
+import { ethers } from 'ethers';
+import { ScheduledDistribution } from '../types';
+import { ImportCell, batchRuleCalls, parseCsv, parseInterval, planImport, scheduleCalls } from './payrollImport';
+
+const ALICE = ethers.utils.getAddress('0x' + 'ab'.repeat(20));
+const BOB = ethers.utils.getAddress('0x' + 'cd'.repeat(20));
+const CAROL = ethers.utils.getAddress('0x' + 'ef'.repeat(20));
+const DAVE = ethers.utils.getAddress('0x' + 'fa'.repeat(20));
+
+const DAY = 86400;
+const NOW = new Date('2025-06-01T00:00:00Z');
+const HEADER: ImportCell[] = ['address', 'amount', 'interval', 'start date', 'label'];
+
+const schedule = (scheduleId: string, recipient: string, amount: string, intervalDays: number, active = true): ScheduledDistribution => ({
+  scheduleId,
+  recipient,
+  amount,
+  amountRaw: ethers.utils.parseUnits(amount, 6).toString(),
+  interval: intervalDays * DAY,
+  nextDistribution: 0,
+  nextDistributionISO: '',
+  active,
+  totalDistributed: '0'
+});
+
+const plan = (rows: ImportCell[][], schedules: ScheduledDistribution[] = []) => planImport([HEADER, ...rows], schedules, NOW);
+
+describe('parseCsv', () => {
+  it('splits quoted cells, escaped quotes and CRLF line endings', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"']
+    ]);
+  });
+
+  it('detects semicolon separators and drops blank lines', () => {
+    expect(parseCsv('a;b\n1,5;2\n\n;\n')).toEqual([
+      ['a', 'b'],
+      ['1,5', '2']
+    ]);
+  });
+});
+
+describe('parseInterval', () => {
+  it('reads days, unit suffixes and named intervals', () => {
+    expect(parseInterval(14)).toBe(14 * DAY);
+    expect(parseInterval('2w')).toBe(14 * DAY);
+    expect(parseInterval('1m')).toBe(30 * DAY);
+    expect(parseInterval(' Biweekly ')).toBe(14 * DAY);
+  });
+
+  it('rejects zero and unknown values', () => {
+    expect(parseInterval('0')).toBeNull();
+    expect(parseInterval('yearly')).toBeNull();
+    expect(parseInterval(null)).toBeNull();
+  });
+});
+
+describe('planImport', () => {
+  it('requires a payroll row and the address, amount and interval columns', () => {
+    expect(() => planImport([HEADER], [], NOW)).toThrow(/at least one payroll row/);
+    expect(() => planImport([['wallet', 'label'], [ALICE, 'Alice']], [], NOW)).toThrow('Missing column(s): amount, interval');
+  });
+
+  it('matches column aliases in any order', () => {
+    const result = planImport([['Employee', 'Pay Frequency', 'Salary', 'Wallet'], ['Alice', 'monthly', '$4,200', ALICE]], [], NOW);
+    expect(result.rows[0]).toMatchObject({ address: ALICE, amount: '4200', intervalSeconds: 30 * DAY, label: 'Alice', change: 'create' });
+  });
+
+  it('flags bad addresses, checksums, duplicates, amounts, intervals and dates', () => {
+    const badChecksum = ALICE.slice(0, -1) + (ALICE.slice(-1) === 'B' ? 'b' : 'B');
+    const result = plan([
+      ['not-an-address', '100', '14', '', ''],
+      [badChecksum, '100', '14', '', ''],
+      [ethers.constants.AddressZero, '100', '14', '', ''],
+      [BOB, '100', '14', '', ''],
+      [BOB.toLowerCase(), '100', '14', '', ''],
+      [CAROL, '1.1234567', 'yearly', 'someday', '']
+    ]);
+
+    expect(result.rows.map((row) => row.errors)).toEqual([
+      ['Not an address'],
+      ['Address checksum does not match (typo?)'],
+      ['Zero address'],
+      [],
+      ['Duplicate of row 5'],
+      ['Amount must be a USDC amount above 0 with up to 6 decimals', 'Interval must be days, e.g. 14, 2w, monthly', 'Start date is not a date']
+    ]);
+    expect(result.rows[4].warnings).toEqual(['Address has no checksum; double-check it']);
+    expect(result.errors).toBe(5);
+  });
+
+  it('diffs rows against existing schedules', () => {
+    const result = plan(
+      [
+        [ALICE, '100', '14', '', ''],
+        [BOB, '250', '14', '', ''],
+        [CAROL, '300', '30', '', ''],
+        [DAVE, '50', '7', '', '']
+      ],
+      [
+        schedule('1', ALICE, '100', 14),
+        schedule('2', BOB, '200', 14),
+        schedule('3', CAROL, '300', 30, false),
+        schedule('4', '0x' + '12'.repeat(20), '75', 7)
+      ]
+    );
+
+    expect(result.rows.map((row) => row.change)).toEqual(['unchanged', 'update', 'resume', 'create']);
+    expect(result.rows.map((row) => row.existing?.scheduleId ?? null)).toEqual(['1', '2', '3', null]);
+    expect(result.missing.map((missing) => missing.scheduleId)).toEqual(['4']);
+    expect(result.totalPerRun).toBe(700);
+    expect(result.monthlyTotal).toBeCloseTo((100 * 30) / 14 + (250 * 30) / 14 + 300 + (50 * 30) / 7);
+  });
+
+  it('defers rows that start after now and leaves them out of the totals', () => {
+    const result = plan([
+      [ALICE, '100', '14', '2025-07-01', ''],
+      [BOB, '100', '14', '2025-05-01', '']
+    ]);
+    expect(result.rows.map((row) => row.change)).toEqual(['deferred', 'create']);
+    expect(result.rows[0].warnings[0]).toMatch(/^Starts /);
+    expect(result.totalPerRun).toBe(100);
+  });
+});
+
+describe('scheduleCalls', () => {
+  const changes = () =>
+    plan(
+      [
+        [ALICE, '100', '14', '', 'Alice'],
+        [BOB, '250', '14', '', ''],
+        [CAROL, '300', '30', '', 'Carol']
+      ],
+      [schedule('2', BOB, '200', 14), schedule('3', CAROL, '300', 30, false), schedule('4', DAVE, '75', 7)]
+    );
+
+  it('creates new schedules, replaces changed ones and resumes paused ones', () => {
+    const calls = scheduleCalls(changes(), false);
+    expect(calls.map((call) => [call.method, call.args])).toEqual([
+      ['createScheduledDistribution', [ALICE, ethers.utils.parseUnits('100', 6), 14 * DAY]],
+      ['updateScheduledDistribution', ['2', false]],
+      ['createScheduledDistribution', [BOB, ethers.utils.parseUnits('250', 6), 14 * DAY]],
+      ['updateScheduledDistribution', ['3', true]]
+    ]);
+    expect(calls[0].description).toBe('Schedule 100 USDC to Alice every 14 days');
+  });
+
+  it('pauses schedules missing from the file only when asked', () => {
+    const calls = scheduleCalls(changes(), true);
+    expect(calls[calls.length - 1]).toMatchObject({ method: 'updateScheduledDistribution', args: ['4', false] });
+  });
+});
+
+describe('batchRuleCalls', () => {
+  it('pauses active schedules and creates one uncapped rule', () => {
+    const calls = batchRuleCalls(
+      plan(
+        [
+          [ALICE, '100', '14', '', ''],
+          [BOB, '250.5', '14', '', '']
+        ],
+        [schedule('2', BOB, '250.5', 14)]
+      ),
+      3
+    );
+
+    expect(calls.map((call) => call.method)).toEqual(['updateScheduledDistribution', 'createBatchDistributionRule']);
+    expect(calls[0].args).toEqual(['2', false]);
+    expect(calls[1].description).toBe('Batch rule paying 2 recipient(s) 350.5 USDC every 14 days');
+    expect(calls[1].args).toEqual([
+      [ALICE, BOB],
+      [ethers.utils.parseUnits('100', 6), ethers.utils.parseUnits('250.5', 6)],
+      [],
+      false,
+      ethers.constants.Zero,
+      3,
+      14 * DAY
+    ]);
+  });
+
+  it('rejects plans with nothing to pay or several intervals', () => {
+    expect(() => batchRuleCalls(plan([['not-an-address', '100', '14', '', '']]))).toThrow('No rows to pay');
+    expect(() =>
+      batchRuleCalls(
+        plan([
+          [ALICE, '100', '14', '', ''],
+          [BOB, '100', '30', '', '']
+        ])
+      )
+    ).toThrow(/several/);
+  });
+});
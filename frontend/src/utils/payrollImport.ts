@@ -0,0 +1,320 @@
+import { ethers } from 'ethers';
+import { ScheduledDistribution } from '../types';
+import { ContractCall } from './distributionRules';
+
+export type ImportCell = string | number | boolean | Date | null;
+
+export interface ImportRow {
+  /** Row number in the file, counting the header as row 1 */
+  line: number;
+  address: string;
+  amount: string;
+  intervalSeconds: number | null;
+  startDate: Date | null;
+  label: string;
+  errors: string[];
+  warnings: string[];
+  change: 'create' | 'unchanged' | 'update' | 'resume' | 'deferred' | 'invalid';
+  existing: ScheduledDistribution | null;
+}
+
+export interface ImportPlan {
+  rows: ImportRow[];
+  /** Active schedules whose recipient is not in the file */
+  missing: ScheduledDistribution[];
+  errors: number;
+  /** USDC paid per run by the rows that will be active after the import */
+  totalPerRun: number;
+  /** Same, normalised to 30 days */
+  monthlyTotal: number;
+}
+
+export interface PlannedCall extends ContractCall {
+  description: string;
+}
+
+const COLUMN_ALIASES: Record<'address' | 'amount' | 'interval' | 'startDate' | 'label', string[]> = {
+  address: ['address', 'wallet', 'recipient', 'wallet address'],
+  amount: ['amount', 'usdc', 'salary', 'pay', 'amount (usdc)'],
+  interval: ['interval', 'frequency', 'period', 'pay frequency'],
+  startDate: ['start date', 'start', 'startdate', 'start_date', 'effective date'],
+  label: ['label', 'name', 'employee', 'description']
+};
+
+const NAMED_INTERVALS: Record<string, number> = {
+  daily: 1,
+  weekly: 7,
+  biweekly: 14,
+  fortnightly: 14,
+  'semi-monthly': 15,
+  monthly: 30
+};
+
+const INTERVAL_UNITS: Record<string, number> = { d: 1, w: 7, m: 30 };
+
+const USDC_PATTERN = /^\d+(\.\d{1,6})?$/;
+
+export const TEMPLATE_CSV =
+  'address,amount,interval,start date,label\n0x0000000000000000000000000000000000000000,4200,monthly,2025-01-31,Example Employee\n';
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting, comma or semicolon separated)
+ */
+export function parseCsv(text: string): string[][] {
+  const delimiter = (text.split('\n')[0].match(/;/g) || []).length > (text.split('\n')[0].match(/,/g) || []).length ? ';' : ',';
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ''));
+}
+
+/**
+ * Interval cell to seconds: a number of days, "14d", "2w", "1m" (30 days) or weekly/biweekly/monthly
+ */
+export function parseInterval(value: ImportCell): number | null {
+  const text = String(value ?? '').trim().toLowerCase();
+  if (NAMED_INTERVALS[text]) return NAMED_INTERVALS[text] * 86400;
+  const match = /^(\d+)\s*([dwm]?)$/.exec(text);
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * INTERVAL_UNITS[match[2] || 'd'] * 86400;
+}
+
+const parseDate = (value: ImportCell): Date | null | undefined => {
+  if (value === null || String(value).trim() === '') return null;
+  if (value instanceof Date) return value;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Validate the sheet's rows and diff them against the existing schedules
+ * @param rows - Sheet rows, header first
+ * @param schedules - Existing scheduled distributions
+ * @param now - Reference time for start dates
+ */
+export function planImport(rows: ImportCell[][], schedules: ScheduledDistribution[], now = new Date()): ImportPlan {
+  if (rows.length < 2) {
+    throw new Error('The file needs a header row and at least one payroll row');
+  }
+
+  const header = rows[0].map((cell) => String(cell ?? '').trim().toLowerCase());
+  const column = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([key, aliases]) => [key, header.findIndex((name) => aliases.includes(name))])
+  ) as Record<keyof typeof COLUMN_ALIASES, number>;
+  const missingColumns = (['address', 'amount', 'interval'] as const).filter((key) => column[key] === -1);
+  if (missingColumns.length > 0) {
+    throw new Error(`Missing column(s): ${missingColumns.join(', ')}. Expected address, amount, interval, start date, label`);
+  }
+
+  const cell = (cells: ImportCell[], key: keyof typeof COLUMN_ALIASES) =>
+    column[key] === -1 ? null : cells[column[key]] ?? null;
+
+  const schedulesByRecipient = new Map<string, ScheduledDistribution[]>();
+  schedules.forEach((schedule) => {
+    const key = schedule.recipient.toLowerCase();
+    schedulesByRecipient.set(key, [...(schedulesByRecipient.get(key) ?? []), schedule]);
+  });
+
+  const seen = new Map<string, number>();
+  const importRows = rows.slice(1).map((cells, index): ImportRow => {
+    const line = index + 2;
+    const errors: string[] = [];
+    const warnings: string[] = [];
+    const rawAddress = String(cell(cells, 'address') ?? '').trim();
+    const amount = String(cell(cells, 'amount') ?? '').trim().replace(/[$,\s]/g, '');
+    const intervalSeconds = parseInterval(cell(cells, 'interval'));
+    const startDate = parseDate(cell(cells, 'startDate'));
+    const label = String(cell(cells, 'label') ?? '').trim();
+
+    let address = rawAddress;
+    if (!/^0x[0-9a-fA-F]{40}$/.test(rawAddress)) {
+      errors.push('Not an address');
+    } else {
+      try {
+        address = ethers.utils.getAddress(rawAddress);
+        if (rawAddress === rawAddress.toLowerCase() || rawAddress.slice(2) === rawAddress.slice(2).toUpperCase()) {
+          warnings.push('Address has no checksum; double-check it');
+        }
+      } catch {
+        errors.push('Address checksum does not match (typo?)');
+      }
+      if (address === ethers.constants.AddressZero) {
+        errors.push('Zero address');
+      }
+      const firstLine = seen.get(address.toLowerCase());
+      if (firstLine) {
+        errors.push(`Duplicate of row ${firstLine}`);
+      } else {
+        seen.set(address.toLowerCase(), line);
+      }
+    }
+
+    if (!USDC_PATTERN.test(amount) || Number(amount) <= 0) {
+      errors.push('Amount must be a USDC amount above 0 with up to 6 decimals');
+    }
+    if (intervalSeconds === null) {
+      errors.push('Interval must be days, e.g. 14, 2w, monthly');
+    }
+    if (startDate === undefined) {
+      errors.push('Start date is not a date');
+    }
+
+    const existing = [...(schedulesByRecipient.get(address.toLowerCase()) ?? [])]
+      .sort((a, b) => Number(b.active) - Number(a.active))[0] ?? null;
+
+    let change: ImportRow['change'] = 'create';
+    if (errors.length > 0) {
+      change = 'invalid';
+    } else if (startDate && startDate > now) {
+      // Schedules start paying when created, so a later start date cannot be set on-chain
+      change = 'deferred';
+      warnings.push(`Starts ${startDate.toLocaleDateString()}; import it again on or after that date`);
+    } else if (existing) {
+      const sameTerms =
+        ethers.utils.parseUnits(amount, 6).toString() === existing.amountRaw && intervalSeconds === existing.interval;
+      change = sameTerms ? (existing.active ? 'unchanged' : 'resume') : 'update';
+    }
+
+    return {
+      line,
+      address,
+      amount,
+      intervalSeconds,
+      startDate: startDate ?? null,
+      label,
+      errors,
+      warnings,
+      change,
+      existing
+    };
+  });
+
+  const active = importRows.filter((row) => ['create', 'unchanged', 'update', 'resume'].includes(row.change));
+  const inFile = new Set(importRows.map((row) => row.address.toLowerCase()));
+
+  return {
+    rows: importRows,
+    missing: schedules.filter((schedule) => schedule.active && !inFile.has(schedule.recipient.toLowerCase())),
+    errors: importRows.filter((row) => row.change === 'invalid').length,
+    totalPerRun: active.reduce((total, row) => total + Number(row.amount), 0),
+    monthlyTotal: active.reduce((total, row) => total + (Number(row.amount) * 30 * 86400) / (row.intervalSeconds ?? 1), 0)
+  };
+}
+
+/**
+ * Contract calls that apply the plan as scheduled distributions
+ * A changed schedule is paused and replaced, since its terms cannot be edited on-chain.
+ * @param pauseMissing - Also pause active schedules whose recipient is not in the file
+ */
+export function scheduleCalls(plan: ImportPlan, pauseMissing: boolean): PlannedCall[] {
+  const calls: PlannedCall[] = [];
+  const name = (row: ImportRow) => row.label || `${row.address.slice(0, 6)}…${row.address.slice(-4)}`;
+
+  plan.rows.forEach((row) => {
+    if (row.change === 'update' && row.existing?.active) {
+      calls.push({
+        method: 'updateScheduledDistribution',
+        args: [row.existing.scheduleId, false],
+        description: `Pause schedule #${row.existing.scheduleId} (${name(row)}, old terms)`
+      });
+    }
+    if (row.change === 'create' || row.change === 'update') {
+      calls.push({
+        method: 'createScheduledDistribution',
+        args: [row.address, ethers.utils.parseUnits(row.amount, 6), row.intervalSeconds],
+        description: `Schedule ${row.amount} USDC to ${name(row)} every ${(row.intervalSeconds ?? 0) / 86400} days`
+      });
+    }
+    if (row.change === 'resume' && row.existing) {
+      calls.push({
+        method: 'updateScheduledDistribution',
+        args: [row.existing.scheduleId, true],
+        description: `Resume schedule #${row.existing.scheduleId} (${name(row)})`
+      });
+    }
+  });
+
+  if (pauseMissing) {
+    plan.missing.forEach((schedule) => {
+      calls.push({
+        method: 'updateScheduledDistribution',
+        args: [schedule.scheduleId, false],
+        description: `Pause schedule #${schedule.scheduleId} (${schedule.recipient}, not in file)`
+      });
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Contract calls that pay every importable row from one batch distribution rule
+ * The rule's cooldown is the pay interval, so all rows must share one interval. It has
+ * no budget cap: the cap is a lifetime total, so capping it at one run's payroll would
+ * stop pay after the first period. Active schedules for the same recipients are
+ * paused first so nobody is paid twice.
+ * @throws Error if there is nothing to pay or the rows have different intervals
+ */
+export function batchRuleCalls(plan: ImportPlan, priority = 1): PlannedCall[] {
+  const rows = plan.rows.filter((row) => ['create', 'unchanged', 'update', 'resume'].includes(row.change));
+  if (rows.length === 0) {
+    throw new Error('No rows to pay');
+  }
+  if (new Set(rows.map((row) => row.intervalSeconds)).size > 1) {
+    throw new Error('A batch rule pays everyone on one interval; the file has several');
+  }
+
+  const amounts = rows.map((row) => ethers.utils.parseUnits(row.amount, 6));
+  const total = amounts.reduce((sum, amount) => sum.add(amount), ethers.constants.Zero);
+  const interval = rows[0].intervalSeconds ?? 0;
+
+  const pauses: PlannedCall[] = rows
+    .filter((row) => row.existing?.active)
+    .map((row) => ({
+      method: 'updateScheduledDistribution',
+      args: [row.existing!.scheduleId, false],
+      description: `Pause schedule #${row.existing!.scheduleId} (${row.label || row.address}), replaced by the rule`
+    }));
+
+  return [
+    ...pauses,
+    {
+      method: 'createBatchDistributionRule',
+      args: [rows.map((row) => row.address), amounts, [], false, ethers.constants.Zero, priority, interval],
+      description: `Batch rule paying ${rows.length} recipient(s) ${ethers.utils.formatUnits(total, 6)} USDC every ${interval / 86400} days`
+    }
+  ];
+}
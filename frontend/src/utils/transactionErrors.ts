@@ -0,0 +1,11 @@
+/**
+ * Readable message for a failed contract call or transaction
+ * Prefers the revert reason over ethers' full error text.
+ */
+export function transactionErrorMessage(error: unknown): string {
+  const err = error as { reason?: string; code?: string | number; error?: { message?: string }; message?: string };
+  if (err.code === 'ACTION_REJECTED' || err.code === 4001) {
+    return 'Transaction rejected in wallet.';
+  }
+  return err.reason || err.error?.message || err.message || 'Transaction failed';
+}
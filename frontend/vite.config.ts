@@ -6,8 +6,12 @@ export default defineConfig({
   server: {
     port: 3000,
     host: '0.0.0.0',
+    // The network registry (config/networks.json) is shared with services/
+    fs: {
+      allow: ['..']
+    },
     proxy: {
-      '/api/balances': {
+      '/api': {
         target: process.env.VITE_TREASURY_SERVICE_URL || 'http://localhost:4000',
         changeOrigin: true
       }
@@ -0,0 +1,120 @@
+/**
+ * Alert Dispatcher
+ * Fans alerts out to the configured sinks, with severity filtering per sink,
+ * deduplication of repeated alerts and a global rate limit
+ */
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Compare two severities
+ * @returns {boolean} Whether `severity` is at least `minimum`
+ */
+function meetsSeverity(severity, minimum) {
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(minimum || 'info');
+}
+
+class AlertDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Array<Object>} options.sinks - Sinks with `name`, `minSeverity` and `send(alert)`
+   * @param {number} options.dedupWindowMs - Repeats of the same alert key inside this window are suppressed
+   * @param {number} options.rateLimit - Max alerts per rate window (critical alerts are never rate limited)
+   * @param {number} options.rateWindowMs - Rate limit window
+   */
+  constructor(options = {}) {
+    this.sinks = options.sinks || [];
+    this.dedupWindowMs = options.dedupWindowMs ?? 15 * 60 * 1000; // 15 minutes
+    this.rateLimit = options.rateLimit ?? 20;
+    this.rateWindowMs = options.rateWindowMs ?? 60 * 60 * 1000; // 1 hour
+    this.recent = new Map(); // alert key -> { sentAt, suppressed }
+    this.sentTimes = [];
+    this.dropped = 0;
+  }
+
+  /**
+   * Whether any sink is configured
+   */
+  get isEnabled() {
+    return this.sinks.length > 0;
+  }
+
+  /**
+   * Send an alert to every sink whose minimum severity it meets
+   * Never throws: sink failures are logged so alerting cannot break automation
+   * @param {Object} alert - { key, severity, title, message, details }
+   * @returns {Promise<Object>} { sent, reason?, sinks }
+   */
+  async send(alert) {
+    if (!SEVERITIES.includes(alert.severity)) {
+      throw new Error(`Unknown alert severity "${alert.severity}"`);
+    }
+
+    const now = Date.now();
+    const key = alert.key || alert.title;
+
+    const previous = this.recent.get(key);
+    if (previous && now - previous.sentAt < this.dedupWindowMs) {
+      previous.suppressed += 1;
+      return { sent: false, reason: 'duplicate', sinks: [] };
+    }
+
+    this.sentTimes = this.sentTimes.filter(time => now - time < this.rateWindowMs);
+    if (alert.severity !== 'critical' && this.sentTimes.length >= this.rateLimit) {
+      this.dropped += 1;
+      if (this.dropped === 1) {
+        console.warn(`⚠️  Alert rate limit reached (${this.rateLimit} per ${this.rateWindowMs / 1000}s) - dropping non-critical alerts`);
+      }
+      return { sent: false, reason: 'rate_limited', sinks: [] };
+    }
+
+    const payload = {
+      key,
+      severity: alert.severity,
+      title: alert.title,
+      message: alert.message,
+      details: alert.details || {},
+      source: 'treasury-automation',
+      timestamp: new Date(now).toISOString(),
+      suppressedCount: previous ? previous.suppressed : 0,
+      droppedCount: this.dropped
+    };
+
+    this.recent.set(key, { sentAt: now, suppressed: 0 });
+    this.sentTimes.push(now);
+    this.dropped = 0;
+    this._pruneRecent(now);
+
+    const targets = this.sinks.filter(sink => meetsSeverity(alert.severity, sink.minSeverity));
+    const results = await Promise.allSettled(targets.map(sink => sink.send(payload)));
+
+    const delivered = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        delivered.push(targets[index].name);
+      } else {
+        console.error(`Error sending alert "${alert.title}" to ${targets[index].name}:`, result.reason.message);
+      }
+    });
+
+    return { sent: delivered.length > 0, sinks: delivered };
+  }
+
+  /**
+   * Forget dedup entries older than the window
+   * @private
+   */
+  _pruneRecent(now) {
+    this.recent.forEach((entry, key) => {
+      if (now - entry.sentAt >= this.dedupWindowMs) {
+        this.recent.delete(key);
+      }
+    });
+  }
+}
+
+module.exports = {
+  AlertDispatcher,
+  SEVERITIES,
+  meetsSeverity
+};
@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertDispatcher, WebhookReceiver, WebhookSink } = require('./index');
+const { AlertDispatcher } = require('./alertDispatcher');
+
+describe('Alert delivery to the local webhook receiver', () => {
+  let receiver;
+
+  function createDispatcher(alerts = {}) {
+    return createAlertDispatcher({
+      alerts: {
+        webhookUrl: `${receiver.url}/webhook`,
+        slackWebhookUrl: `${receiver.url}/slack`,
+        slackMinSeverity: 'critical',
+        ...alerts
+      }
+    });
+  }
+
+  const lowBalance = {
+    key: 'low-balance',
+    severity: 'warning',
+    title: 'Low Treasury balance',
+    message: 'Runway is below 30 days',
+    details: { balance: '1200.00', runwayDays: 21 }
+  };
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    receiver = new WebhookReceiver({ port: 0 });
+    await receiver.start();
+  });
+
+  after(async () => {
+    await receiver.stop();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    receiver.clear();
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    console.warn.mock.restore();
+    console.error.mock.restore();
+  });
+
+  it('posts the alert payload to the webhook and skips sinks above its severity', async () => {
+    const result = await createDispatcher().send(lowBalance);
+
+    assert.deepEqual(result, { sent: true, sinks: ['webhook'] });
+    assert.equal(receiver.received.length, 1);
+    const { path, body } = receiver.received[0];
+    assert.equal(path, '/webhook');
+    assert.equal(body.key, 'low-balance');
+    assert.equal(body.severity, 'warning');
+    assert.deepEqual(body.details, lowBalance.details);
+    assert.equal(body.source, 'treasury-automation');
+  });
+
+  it('formats critical alerts for Slack', async () => {
+    await createDispatcher().send({ ...lowBalance, key: 'failed-run', severity: 'critical', title: 'Payroll run failed' });
+
+    const slack = receiver.received.find(entry => entry.path === '/slack');
+    assert.ok(slack, 'expected a Slack delivery');
+    assert.equal(slack.body.text, ':rotating_light: *[CRITICAL] Payroll run failed*');
+    assert.equal(slack.body.attachments[0].color, '#D00000');
+    assert.deepEqual(
+      slack.body.attachments[0].fields.map(field => field.title),
+      ['balance', 'runwayDays']
+    );
+  });
+
+  it('suppresses repeats inside the dedup window and reports them on the next alert', async () => {
+    const dispatcher = createDispatcher({ dedupWindowMs: 50 });
+
+    await dispatcher.send(lowBalance);
+    assert.deepEqual(await dispatcher.send(lowBalance), { sent: false, reason: 'duplicate', sinks: [] });
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await dispatcher.send(lowBalance);
+
+    assert.equal(receiver.received.length, 2);
+    assert.equal(receiver.received[1].body.suppressedCount, 1);
+  });
+
+  it('rate limits non-critical alerts but always delivers critical ones', async () => {
+    const dispatcher = createDispatcher({ rateLimit: 1, slackWebhookUrl: undefined });
+
+    await dispatcher.send({ ...lowBalance, key: 'a' });
+    assert.equal((await dispatcher.send({ ...lowBalance, key: 'b' })).reason, 'rate_limited');
+    const critical = await dispatcher.send({ ...lowBalance, key: 'c', severity: 'critical' });
+
+    assert.equal(critical.sent, true);
+    assert.deepEqual(receiver.received.map(entry => entry.body.key), ['a', 'c']);
+    assert.equal(receiver.received[1].body.droppedCount, 1);
+  });
+
+  it('reports a sink that cannot be reached without throwing', async () => {
+    const dispatcher = new AlertDispatcher({
+      sinks: [
+        new WebhookSink({ url: `${receiver.url}/webhook` }),
+        Object.assign(new WebhookSink({ url: 'http://127.0.0.1:1/unreachable', timeoutMs: 2000 }), { name: 'offline' })
+      ]
+    });
+
+    const result = await dispatcher.send(lowBalance);
+
+    assert.deepEqual(result, { sent: true, sinks: ['webhook'] });
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+
+  it('rejects unknown severities', async () => {
+    await assert.rejects(createDispatcher().send({ ...lowBalance, severity: 'urgent' }), /Unknown alert severity/);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Email Sink
+ * Sends alerts over SMTP
+ */
+
+const nodemailer = require('nodemailer');
+
+class EmailSink {
+  /**
+   * @param {Object} options - { host, port, secure, user, pass, from, to, minSeverity }
+   */
+  constructor(options) {
+    this.name = 'email';
+    this.from = options.from;
+    this.to = options.to;
+    this.minSeverity = options.minSeverity || 'critical';
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port || 587,
+      secure: options.secure ?? options.port === 465,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  /**
+   * @param {Object} alert - Dispatcher payload
+   * @param {Object} options - { to } to address someone other than the configured recipients
+   */
+  async send(alert, options = {}) {
+    await this.transport.sendMail({
+      from: this.from,
+      to: options.to || this.to,
+      subject: `[Treasury][${alert.severity.toUpperCase()}] ${alert.title}`,
+      text: this.format(alert)
+    });
+  }
+
+  /**
+   * Plain-text email body
+   */
+  format(alert) {
+    const lines = [alert.message, ''];
+    Object.entries(alert.details).forEach(([key, value]) => {
+      lines.push(`${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+    });
+    if (alert.suppressedCount > 0) {
+      lines.push(`Suppressed repeats: ${alert.suppressedCount}`);
+    }
+    lines.push('', `Severity: ${alert.severity}`, `Time: ${alert.timestamp}`, `Source: ${alert.source}`);
+    return lines.join('\n');
+  }
+}
+
+module.exports = EmailSink;
@@ -0,0 +1,58 @@
+/**
+ * Alerts
+ * Builds the alert dispatcher and its sinks from config. A sink is enabled by
+ * setting its destination (webhook URL, Slack webhook URL, SMTP host + recipients).
+ */
+
+const { AlertDispatcher, SEVERITIES, meetsSeverity } = require('./alertDispatcher');
+const WebhookSink = require('./webhookSink');
+const SlackSink = require('./slackSink');
+const EmailSink = require('./emailSink');
+const WebhookReceiver = require('./webhookReceiver');
+
+/**
+ * Create the alert dispatcher configured for this deployment
+ * @param {Object} config - Service configuration (`alerts` section)
+ */
+function createAlertDispatcher(config = {}) {
+  const alerts = config.alerts || {};
+  const sinks = [];
+
+  if (alerts.webhookUrl) {
+    sinks.push(new WebhookSink({ url: alerts.webhookUrl, minSeverity: alerts.webhookMinSeverity }));
+  }
+
+  if (alerts.slackWebhookUrl) {
+    sinks.push(new SlackSink({ webhookUrl: alerts.slackWebhookUrl, minSeverity: alerts.slackMinSeverity }));
+  }
+
+  if (alerts.smtpHost && alerts.emailTo) {
+    sinks.push(new EmailSink({
+      host: alerts.smtpHost,
+      port: alerts.smtpPort,
+      user: alerts.smtpUser,
+      pass: alerts.smtpPass,
+      from: alerts.emailFrom,
+      to: alerts.emailTo,
+      minSeverity: alerts.emailMinSeverity
+    }));
+  }
+
+  return new AlertDispatcher({
+    sinks,
+    dedupWindowMs: alerts.dedupWindowMs,
+    rateLimit: alerts.rateLimit,
+    rateWindowMs: alerts.rateWindowMs
+  });
+}
+
+module.exports = {
+  AlertDispatcher,
+  WebhookSink,
+  SlackSink,
+  EmailSink,
+  WebhookReceiver,
+  SEVERITIES,
+  meetsSeverity,
+  createAlertDispatcher
+};
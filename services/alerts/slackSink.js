@@ -0,0 +1,58 @@
+/**
+ * Slack Sink
+ * Sends alerts to a Slack incoming webhook (or any Slack-compatible endpoint)
+ */
+
+const axios = require('axios');
+
+const SEVERITY_STYLE = {
+  info: { emoji: ':information_source:', color: '#439FE0' },
+  warning: { emoji: ':warning:', color: '#FFA500' },
+  critical: { emoji: ':rotating_light:', color: '#D00000' }
+};
+
+class SlackSink {
+  /**
+   * @param {Object} options - { webhookUrl, minSeverity, timeoutMs }
+   */
+  constructor(options) {
+    this.name = 'slack';
+    this.webhookUrl = options.webhookUrl;
+    this.minSeverity = options.minSeverity || 'warning';
+    this.timeoutMs = options.timeoutMs || 10000;
+  }
+
+  async send(alert) {
+    await axios.post(this.webhookUrl, this.format(alert), { timeout: this.timeoutMs });
+  }
+
+  /**
+   * Build the Slack message payload
+   */
+  format(alert) {
+    const style = SEVERITY_STYLE[alert.severity];
+    const fields = Object.entries(alert.details).map(([title, value]) => {
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return { title, value: text, short: text.length < 40 };
+    });
+
+    if (alert.suppressedCount > 0) {
+      fields.push({ title: 'Suppressed repeats', value: String(alert.suppressedCount), short: true });
+    }
+
+    return {
+      text: `${style.emoji} *[${alert.severity.toUpperCase()}] ${alert.title}*`,
+      attachments: [
+        {
+          color: style.color,
+          text: alert.message,
+          fields,
+          footer: alert.source,
+          ts: Math.floor(new Date(alert.timestamp).getTime() / 1000)
+        }
+      ]
+    };
+  }
+}
+
+module.exports = SlackSink;
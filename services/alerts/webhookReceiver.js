@@ -0,0 +1,103 @@
+/**
+ * Webhook Receiver
+ * Local HTTP server that records alerts POSTed to it, for trying out and testing
+ * the webhook and Slack sinks without external services
+ *
+ * Usage: node alerts/webhookReceiver.js
+ * Or: npm run alerts:receiver
+ */
+
+const express = require('express');
+
+class WebhookReceiver {
+  /**
+   * @param {Object} options - { port, host, onReceive(entry) }
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 4200;
+    this.host = options.host || '127.0.0.1';
+    this.onReceive = options.onReceive || null;
+    this.received = [];
+    this.server = null;
+    this.app = express();
+    this.app.use(express.json());
+
+    // Any path, so the same receiver can stand in for several sinks (/webhook, /slack, ...)
+    this.app.post('*', (req, res) => {
+      const entry = { path: req.path, body: req.body, receivedAt: new Date().toISOString() };
+      this.received.push(entry);
+      if (this.onReceive) {
+        this.onReceive(entry);
+      }
+      res.json({ ok: true });
+    });
+
+    this.app.get('/received', (req, res) => {
+      res.json(this.received);
+    });
+  }
+
+  /**
+   * Base URL of the receiver
+   */
+  get url() {
+    const port = this.server ? this.server.address().port : this.port;
+    return `http://${this.host}:${port}`;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, this.host, () => {
+        console.log(`Alert webhook receiver listening on ${this.url}`);
+        resolve(this.server);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.close(error => {
+        this.server = null;
+        if (error) return reject(error);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Forget recorded alerts
+   */
+  clear() {
+    this.received = [];
+  }
+}
+
+module.exports = WebhookReceiver;
+
+// Run standalone, printing every alert received
+if (require.main === module) {
+  const receiver = new WebhookReceiver({
+    port: parseInt(process.env.ALERT_RECEIVER_PORT || '4200', 10),
+    onReceive: entry => {
+      console.log(`\n📨 ${entry.receivedAt} POST ${entry.path}`);
+      console.log(JSON.stringify(entry.body, null, 2));
+    }
+  });
+
+  receiver.start().catch(error => {
+    console.error('Failed to start webhook receiver:', error);
+    process.exit(1);
+  });
+
+  const shutdown = async () => {
+    await receiver.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
@@ -0,0 +1,28 @@
+/**
+ * Webhook Sink
+ * POSTs each alert as JSON to a generic webhook endpoint
+ */
+
+const axios = require('axios');
+
+class WebhookSink {
+  /**
+   * @param {Object} options - { url, minSeverity, timeoutMs, headers }
+   */
+  constructor(options) {
+    this.name = 'webhook';
+    this.url = options.url;
+    this.minSeverity = options.minSeverity || 'warning';
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.headers = options.headers || {};
+  }
+
+  async send(alert) {
+    await axios.post(this.url, alert, {
+      timeout: this.timeoutMs,
+      headers: { 'Content-Type': 'application/json', ...this.headers }
+    });
+  }
+}
+
+module.exports = WebhookSink;
@@ -0,0 +1,517 @@
+/**
+ * Treasury API Server
+ * Serves network, balances, health, runway forecast, reconciliation, automation stats, Prometheus metrics,
+ * pending multisig approvals, compliance records and schedule/rule listings over HTTP
+ * so the dashboard can read live data from the monitoring service, and pushes
+ * balance changes, automation runs and indexed events over Server-Sent Events
+ * Read routes are open (CORS `*` by default). Write routes (POST) require an operator
+ * API token from API_TOKENS, and are not offered to other origins.
+ *
+ * Usage: node apiServer.js
+ * Or: npm run api
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { ethers } = require('ethers');
+const { getNetwork, getNetworkByChainId } = require('./networks');
+const {
+  ComplianceReportGenerator,
+  ComplianceRecordExplorer,
+  FORMATS,
+  formatReport,
+  formatRecords,
+  summaryToCSV
+} = require('./reports');
+
+class TreasuryApiServer {
+  /**
+   * @param {MonitoringService} monitoringService - Initialized monitoring service
+   * @param {Object} options - Server options (port, host, corsOrigin, apiTokens)
+   *   apiTokens: "operator:token,operator:token" (API_TOKENS) or { token: operator }
+   */
+  constructor(monitoringService, options = {}) {
+    this.monitoring = monitoringService;
+    this.port = options.port ?? 4000;
+    this.host = options.host || '0.0.0.0';
+    this.corsOrigin = options.corsOrigin || '*';
+    this.operators = TreasuryApiServer.parseApiTokens(options.apiTokens);
+    this.server = null;
+    this.recordExplorer = new ComplianceRecordExplorer();
+    this.app = this._createApp();
+  }
+
+  /**
+   * Parse operator API tokens
+   * @param {string|Object} value - "operator:token,operator:token" or { token: operator }
+   * @returns {Map<string, string>} token -> operator
+   */
+  static parseApiTokens(value) {
+    if (!value) {
+      return new Map();
+    }
+    if (typeof value === 'object') {
+      return new Map(Object.entries(value));
+    }
+
+    return new Map(value.split(',').filter(entry => entry.trim()).map(entry => {
+      const separator = entry.indexOf(':');
+      const operator = entry.slice(0, separator).trim();
+      const token = entry.slice(separator + 1).trim();
+      if (separator <= 0 || !operator || !token) {
+        throw new Error(`Invalid API_TOKENS entry "${entry.trim()}" (expected operator:token)`);
+      }
+      return [token, operator];
+    }));
+  }
+
+  /**
+   * Start listening for HTTP requests
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, this.host, () => {
+        console.log(`Treasury API listening on http://${this.host}:${this.port}`);
+        resolve(this.server);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop the HTTP server
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    // Open event streams would otherwise keep the server from closing
+    if (this.monitoring.liveUpdates) {
+      this.monitoring.liveUpdates.close();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        console.log('Treasury API stopped');
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Build the express application and its routes
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    app.disable('x-powered-by');
+    app.use(express.json());
+
+    // Cross-origin access is for reads only; preflights never allow POST, so a web page
+    // cannot send authenticated writes on behalf of whoever visits it
+    app.use((req, res, next) => {
+      if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        res.set('Access-Control-Allow-Origin', this.corsOrigin);
+        res.set('Access-Control-Allow-Methods', 'GET, HEAD');
+        res.set('Access-Control-Allow-Headers', 'Content-Type');
+      }
+      if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+      }
+      next();
+    });
+
+    app.get('/healthz', (req, res) => {
+      res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    });
+
+    // Prometheus scrape endpoint
+    app.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', this.monitoring.metrics.contentType);
+        res.send(await this.monitoring.metrics.metrics());
+      } catch (error) {
+        console.error(`Error handling ${req.method} ${req.path}:`, error.message);
+        res.status(500).send(error.message);
+      }
+    });
+
+    const v1 = express.Router();
+
+    // Server-Sent Events: balances, run, event and reorg messages
+    v1.get('/stream', (req, res) => {
+      if (!this.monitoring.liveUpdates) {
+        return res.status(503).json({ error: 'Live updates not initialized' });
+      }
+      this.monitoring.liveUpdates.subscribe(req, res);
+    });
+
+    // Network the service runs against, so the dashboard can flag a mismatch
+    v1.get('/network', this._handle(async () => {
+      const { network, chainId, explorerUrl, treasuryAddress, usdcAddress } = this.monitoring.config;
+      const entry = network ? getNetwork(network) : getNetworkByChainId(chainId);
+      return {
+        network: entry ? entry.id : null,
+        name: entry ? entry.name : null,
+        chainId: entry ? entry.chainId : chainId || null,
+        explorerUrl: explorerUrl || (entry && entry.explorerUrl) || null,
+        treasuryAddress: treasuryAddress || null,
+        usdcAddress: usdcAddress || null
+      };
+    }));
+
+    v1.get('/balances', this._handle(async () => {
+      return this.monitoring.circleGateway.getMultiChainUSDCBalances(
+        this.monitoring.config.treasuryAddress
+      );
+    }));
+
+    v1.get('/treasury/status', this._handle(async () => {
+      return this.monitoring.getTreasuryStatus();
+    }));
+
+    v1.get('/health', this._handle(async () => {
+      return this.monitoring.getTreasuryHealth();
+    }));
+
+    v1.get('/forecast', this._handle(async (req) => {
+      const horizonDays = req.query.days ? parseInt(req.query.days, 10) : undefined;
+      if (horizonDays !== undefined && !(horizonDays > 0 && horizonDays <= 730)) {
+        const error = new Error('days must be between 1 and 730');
+        error.status = 400;
+        throw error;
+      }
+      this._automation();
+      return this.monitoring.getRunwayForecast(horizonDays);
+    }));
+
+    v1.get('/automation/stats', this._handle(async () => {
+      if (!this.monitoring.stats || !this.monitoring.stats.startTime) {
+        const error = new Error('Automation is not running in this process (stats are served by the API embedded in the automation runner)');
+        error.status = 503;
+        throw error;
+      }
+      return this.monitoring.getAutomationStats();
+    }));
+
+    v1.get('/sanctions/lists', this._handle(async () => {
+      const { sanctions } = this._automation();
+      return { loadedAt: sanctions.loadedAt, lists: sanctions.lists };
+    }));
+
+    v1.post('/reconciliation/run', this._requireOperator(), this._handle(async () => {
+      return this._reconciliation().reconcile();
+    }));
+
+    v1.get('/reconciliation/report', this._handle(async () => {
+      return { report: this._reconciliation().lastReport };
+    }));
+
+    v1.get('/reconciliation/exceptions', this._handle(async (req) => {
+      const exceptions = await this._reconciliation().listExceptions({
+        status: req.query.status,
+        type: req.query.type,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+      });
+      return { count: exceptions.length, exceptions };
+    }));
+
+    // The reviewer is the operator the API token belongs to, not a name from the body
+    v1.post('/reconciliation/exceptions/:id/review', this._requireOperator(), this._handle(async (req) => {
+      return this._reconciliation().reviewException(req.params.id, { ...req.body, reviewer: req.operator });
+    }));
+
+    // Compliance report for a reporting period; format=json|csv|xlsx (csv: sheet=summary for totals)
+    v1.get('/reports/compliance', async (req, res) => {
+      try {
+        const store = this.monitoring.eventListener && this.monitoring.eventListener.complianceStore;
+        if (!store || !store.isConnected) {
+          return res.status(503).json({ error: 'Compliance record storage not configured (requires MONGODB_URI)' });
+        }
+
+        const format = (req.query.format || 'json').toLowerCase();
+        if (!FORMATS[format]) {
+          return res.status(400).json({ error: `Unknown report format "${format}" (use ${Object.keys(FORMATS).join(', ')})` });
+        }
+
+        const report = await new ComplianceReportGenerator().generate({
+          period: req.query.period,
+          from: req.query.from,
+          to: req.query.to,
+          jurisdiction: req.query.jurisdiction,
+          regulatoryCategory: req.query.category
+        });
+
+        if (!report.validation.valid && req.query.allowInvalid !== 'true') {
+          return res.status(422).json({
+            error: `${report.validation.invalidCount} record(s) failed schema validation`,
+            validation: report.validation
+          });
+        }
+
+        const summaryOnly = format === 'csv' && req.query.sheet === 'summary';
+        const name = `compliance-${req.query.period || 'report'}${summaryOnly ? '-summary' : ''}.${FORMATS[format].extension}`;
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+        res.send(summaryOnly ? summaryToCSV(report) : await formatReport(report, format));
+      } catch (error) {
+        console.error(`Error handling ${req.method} ${req.path}:`, error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    // Compliance records explorer; filters: recipient, ruleId, source, kycStatus, amlStatus, reconciled, from, to
+    v1.get('/compliance/records', this._handle(async (req) => {
+      return this._complianceRecords().list(req.query);
+    }));
+
+    // Current filtered set as a download; format=json|csv|xlsx
+    v1.get('/compliance/records/export', async (req, res) => {
+      try {
+        const format = (req.query.format || 'csv').toLowerCase();
+        if (!FORMATS[format]) {
+          return res.status(400).json({ error: `Unknown export format "${format}" (use ${Object.keys(FORMATS).join(', ')})` });
+        }
+
+        const records = await this._complianceRecords().export(req.query);
+        res.set('Content-Type', FORMATS[format].contentType);
+        res.set('Content-Disposition', `attachment; filename="compliance-records.${FORMATS[format].extension}"`);
+        res.send(await formatRecords(records, format));
+      } catch (error) {
+        console.error(`Error handling ${req.method} ${req.path}:`, error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    });
+
+    v1.get('/compliance/records/:recordId', this._handle(async (req) => {
+      return this._complianceRecords().get(req.params.recordId);
+    }));
+
+    // Multisig approval queue; status=pending|executed|all, signer=<address> for proposals awaiting that signer
+    v1.get('/approvals', this._handle(async (req) => {
+      return this._approvals().listApprovals({ status: req.query.status, signer: req.query.signer });
+    }));
+
+    v1.get('/approvals/:txId', this._handle(async (req) => {
+      if (!ethers.utils.isHexString(req.params.txId, 32)) {
+        const error = new Error(`txId must be a 32-byte hex string (got "${req.params.txId}")`);
+        error.status = 400;
+        throw error;
+      }
+      return this._approvals().getApproval(req.params.txId);
+    }));
+
+    v1.get('/schedules', this._handle(async () => {
+      const schedules = await this._automation().listScheduledDistributions();
+      return { count: schedules.length, schedules };
+    }));
+
+    v1.get('/schedules/due', this._handle(async () => {
+      const dueIds = await this._automation().treasuryContract.getDueScheduledDistributions();
+      return { scheduleIds: dueIds.map(id => id.toString()) };
+    }));
+
+    v1.get('/rules/distribution', this._handle(async () => {
+      const ruleIds = await this._automation().treasuryContract.getEligibleDistributionRules();
+      return { eligibleRuleIds: ruleIds.map(id => id.toString()) };
+    }));
+
+    v1.get('/rules/allocation', this._handle(async () => {
+      const ruleIds = await this._automation().treasuryContract.getEligibleAllocationRules();
+      return { eligibleRuleIds: ruleIds.map(id => id.toString()) };
+    }));
+
+    app.use('/api/v1', v1);
+
+    // Unversioned routes already called by the dashboard
+    app.get('/api/balances', this._handle(async () => {
+      return this.monitoring.circleGateway.getMultiChainUSDCBalances(
+        this.monitoring.config.treasuryAddress
+      );
+    }));
+
+    app.get('/api/treasury/balance', this._handle(async () => {
+      const balances = await this.monitoring.circleGateway.getMultiChainUSDCBalances(
+        this.monitoring.config.treasuryAddress
+      );
+      const aggregated = balances.chains.reduce(
+        (total, chain) => total.add(chain.balanceRaw),
+        ethers.BigNumber.from(0)
+      );
+      return {
+        aggregatedUSDC: aggregated.toString(),
+        timestamp: balances.timestamp
+      };
+    }));
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Route not found: ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  /**
+   * Get the automation service, failing if the monitoring service is not initialized
+   * @private
+   */
+  _automation() {
+    if (!this.monitoring.automation) {
+      const error = new Error('Automation service not initialized');
+      error.status = 503;
+      throw error;
+    }
+    return this.monitoring.automation;
+  }
+
+  /**
+   * Get the pending-approval tracker, failing if the monitoring service is not initialized
+   * @private
+   */
+  _approvals() {
+    if (!this.monitoring.approvals) {
+      const error = new Error('Approval tracker not initialized');
+      error.status = 503;
+      throw error;
+    }
+    return this.monitoring.approvals;
+  }
+
+  /**
+   * Get the compliance record explorer, failing if record storage is not connected
+   * @private
+   */
+  _complianceRecords() {
+    const store = this.monitoring.eventListener && this.monitoring.eventListener.complianceStore;
+    if (!store || !store.isConnected) {
+      const error = new Error('Compliance record storage not configured (requires MONGODB_URI)');
+      error.status = 503;
+      throw error;
+    }
+    return this.recordExplorer;
+  }
+
+  /**
+   * Get the reconciliation engine, failing if it is not configured
+   * @private
+   */
+  _reconciliation() {
+    const engine = this.monitoring.reconciliation;
+    if (!engine || !engine.isEnabled) {
+      const error = new Error('Reconciliation not configured (requires MONGODB_URI and USDC_ADDRESS)');
+      error.status = 503;
+      throw error;
+    }
+    return engine;
+  }
+
+  /**
+   * Middleware that requires an operator API token (`Authorization: Bearer <token>`)
+   * and sets `req.operator` to the operator it belongs to
+   * @private
+   */
+  _requireOperator() {
+    return (req, res, next) => {
+      if (this.operators.size === 0) {
+        return res.status(503).json({ error: 'Write endpoints are disabled (set API_TOKENS to enable them)' });
+      }
+
+      const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+      const operator = match ? this._operatorForToken(match[1]) : null;
+      if (!operator) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({ error: 'A valid API token is required' });
+      }
+
+      req.operator = operator;
+      next();
+    };
+  }
+
+  /**
+   * Look up a token in constant time per configured token
+   * @private
+   */
+  _operatorForToken(token) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    const presented = digest(token);
+    let operator = null;
+    this.operators.forEach((name, known) => {
+      if (crypto.timingSafeEqual(presented, digest(known))) {
+        operator = name;
+      }
+    });
+    return operator;
+  }
+
+  /**
+   * Wrap an async route so its result is sent as JSON and errors become JSON responses
+   * @private
+   */
+  _handle(fn) {
+    return async (req, res) => {
+      try {
+        const result = await fn(req, res);
+        res.json(result);
+      } catch (error) {
+        console.error(`Error handling ${req.method} ${req.path}:`, error.message);
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    };
+  }
+}
+
+module.exports = TreasuryApiServer;
+
+// Run standalone if this file is executed directly
+if (require.main === module) {
+  require('dotenv').config();
+  const MonitoringService = require('./monitoringService');
+  const { networkConfig } = require('./networks');
+
+  const network = networkConfig();
+  const config = {
+    ...network,
+    // The API only reads, so it runs without a wallet
+    fromAddress: network.treasuryAddress,
+    circleGatewayApiKey: process.env.CIRCLE_GATEWAY_API_KEY || 'mock-api-key',
+    circleGatewayBaseUrl: process.env.CIRCLE_GATEWAY_BASE_URL || 'https://api.circle.com/v1',
+    complianceProvider: process.env.COMPLIANCE_PROVIDER || 'mock',
+    complianceFixtures: process.env.COMPLIANCE_FIXTURES,
+    mongoUri: process.env.MONGODB_URI,
+    forecastHorizonDays: parseInt(process.env.FORECAST_HORIZON_DAYS || '90', 10),
+    liveBalanceIntervalMs: process.env.LIVE_BALANCE_INTERVAL_MS ? parseInt(process.env.LIVE_BALANCE_INTERVAL_MS, 10) : undefined,
+    approvalsFile: process.env.APPROVALS_FILE,
+    approvalSignersFile: process.env.APPROVAL_SIGNERS_FILE,
+    requiredSignatures: process.env.APPROVAL_REQUIRED_SIGNATURES ? parseInt(process.env.APPROVAL_REQUIRED_SIGNATURES, 10) : undefined,
+    apiPort: parseInt(process.env.API_PORT || '4000', 10),
+    apiTokens: process.env.API_TOKENS
+  };
+
+  if (!config.treasuryAddress) {
+    console.error('Error: TREASURY_ADDRESS environment variable is required');
+    process.exit(1);
+  }
+
+  (async () => {
+    try {
+      const service = new MonitoringService(config);
+      await service.initialize();
+
+      const api = new TreasuryApiServer(service, { port: config.apiPort, apiTokens: config.apiTokens });
+      await api.start();
+
+      const shutdown = async () => {
+        await api.stop();
+        process.exit(0);
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+    } catch (error) {
+      console.error('Failed to start Treasury API:', error);
+      process.exit(1);
+    }
+  })();
+}
@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const TreasuryApiServer = require('./apiServer');
+
+describe('TreasuryApiServer write routes', () => {
+  let api;
+  let baseUrl;
+  let reviews;
+  let runs;
+
+  const request = (method, path, { token, body, headers = {} } = {}) => fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  before(async () => {
+    const monitoring = {
+      reconciliation: {
+        isEnabled: true,
+        lastReport: { checked: 0 },
+        reconcile: async () => {
+          runs += 1;
+          return { checked: 3 };
+        },
+        reviewException: async (id, review) => {
+          reviews.push({ id, ...review });
+          return { _id: id, status: review.status, review };
+        }
+      }
+    };
+    api = new TreasuryApiServer(monitoring, {
+      port: 0,
+      host: '127.0.0.1',
+      apiTokens: 'alice:alice-token, bob:bob-token'
+    });
+    mock.method(console, 'log', () => {});
+    await api.start();
+    baseUrl = `http://127.0.0.1:${api.server.address().port}`;
+  });
+
+  after(async () => {
+    await api.stop();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    reviews = [];
+    runs = 0;
+  });
+
+  it('rejects writes without a valid token', async () => {
+    const missing = await request('POST', '/api/v1/reconciliation/run');
+    const wrong = await request('POST', '/api/v1/reconciliation/run', { token: 'alice-token-x' });
+
+    assert.equal(missing.status, 401);
+    assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+    assert.equal(wrong.status, 401);
+    assert.equal(runs, 0);
+  });
+
+  it('runs reconciliation for an operator', async () => {
+    const res = await request('POST', '/api/v1/reconciliation/run', { token: 'bob-token' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { checked: 3 });
+    assert.equal(runs, 1);
+  });
+
+  it('records the token operator as reviewer, ignoring one in the body', async () => {
+    const res = await request('POST', '/api/v1/reconciliation/exceptions/rec-1:amount_mismatch/review', {
+      token: 'alice-token',
+      body: { status: 'resolved', reviewer: 'mallory', note: 'Bridge fee', markReconciled: true }
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(reviews, [{
+      id: 'rec-1:amount_mismatch',
+      status: 'resolved',
+      reviewer: 'alice',
+      note: 'Bridge fee',
+      markReconciled: true
+    }]);
+  });
+
+  it('allows cross-origin reads but not writes', async () => {
+    const read = await request('GET', '/api/v1/reconciliation/report', { headers: { Origin: 'https://example.com' } });
+    const preflight = await request('OPTIONS', '/api/v1/reconciliation/run', {
+      headers: { Origin: 'https://example.com', 'Access-Control-Request-Method': 'POST' }
+    });
+    const write = await request('POST', '/api/v1/reconciliation/run', { token: 'bob-token' });
+
+    assert.equal(read.headers.get('access-control-allow-origin'), '*');
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-methods'), 'GET, HEAD');
+    assert.equal(write.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('disables writes when no tokens are configured', async () => {
+    const open = new TreasuryApiServer({}, { port: 0, host: '127.0.0.1' });
+    await open.start();
+    try {
+      const res = await fetch(`http://127.0.0.1:${open.server.address().port}/api/v1/reconciliation/run`, { method: 'POST' });
+      assert.equal(res.status, 503);
+    } finally {
+      await open.stop();
+    }
+  });
+});
+
+describe('TreasuryApiServer automation stats', () => {
+  const getStats = async (monitoring) => {
+    const api = new TreasuryApiServer(monitoring, { port: 0, host: '127.0.0.1' });
+    await api.start();
+    try {
+      return await fetch(`http://127.0.0.1:${api.server.address().port}/api/v1/automation/stats`);
+    } finally {
+      await api.stop();
+    }
+  };
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  after(() => mock.restoreAll());
+
+  it('answers 503 when automation was never started in this process', async () => {
+    const res = await getStats({ stats: { startTime: null }, getAutomationStats: () => ({ rulesExecuted: 0 }) });
+
+    assert.equal(res.status, 503);
+    assert.match((await res.json()).error, /automation runner/);
+  });
+
+  it('serves the stats of a running service', async () => {
+    const res = await getStats({ stats: { startTime: new Date() }, getAutomationStats: () => ({ rulesExecuted: 4 }) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { rulesExecuted: 4 });
+  });
+});
+
+describe('TreasuryApiServer.parseApiTokens', () => {
+  it('maps each token to its operator', () => {
+    assert.deepEqual(
+      [...TreasuryApiServer.parseApiTokens('alice:t1, bob:t:2,')],
+      [['t1', 'alice'], ['t:2', 'bob']]
+    );
+    assert.equal(TreasuryApiServer.parseApiTokens(undefined).size, 0);
+  });
+
+  it('rejects entries without an operator or token', () => {
+    assert.throws(() => TreasuryApiServer.parseApiTokens('just-a-token'), /operator:token/);
+    assert.throws(() => TreasuryApiServer.parseApiTokens('alice:'), /operator:token/);
+  });
+});
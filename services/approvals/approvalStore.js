@@ -0,0 +1,301 @@
+/**
+ * Approval Store
+ * Persists multisig proposals as the log of their on-chain events (proposed, confirmed,
+ * revoked, executed). The proposal's state is replayed from its log, so re-indexing an
+ * event is a no-op and a reorg rollback is just dropping the events after a block.
+ *
+ * Backends: a JSON file, or the `pending_approvals` collection when MONGODB_URI is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { connectDatabase } = require('../database');
+
+const STATUSES = ['pending', 'executed'];
+
+/**
+ * Rebuild a proposal's state from its event log
+ * @param {Object} entry - Stored entry ({ txId, events, notifications })
+ * @returns {Object} Entry with proposal fields, confirmedBy and status derived from the events
+ */
+function deriveState(entry) {
+  const events = [...entry.events].sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  const state = {
+    txId: entry.txId,
+    to: null,
+    amount: null,
+    amountRaw: null,
+    proposer: null,
+    proposedAt: null,
+    proposalTxHash: null,
+    confirmedBy: [],
+    status: 'pending',
+    executedAt: null,
+    executionTxHash: null,
+    events,
+    notifications: entry.notifications || {},
+    updatedAt: entry.updatedAt || null
+  };
+
+  events.forEach(event => {
+    switch (event.type) {
+      case 'proposed':
+        Object.assign(state, {
+          to: event.to,
+          amount: event.amount,
+          amountRaw: event.amountRaw,
+          proposer: event.signer,
+          proposedAt: event.timestamp,
+          proposalTxHash: event.transactionHash
+        });
+        break;
+      case 'confirmed':
+        if (!state.confirmedBy.includes(event.signer)) state.confirmedBy.push(event.signer);
+        break;
+      case 'revoked':
+        state.confirmedBy = state.confirmedBy.filter(signer => signer !== event.signer);
+        break;
+      case 'executed':
+        state.status = 'executed';
+        state.executedAt = event.timestamp;
+        state.executionTxHash = event.transactionHash;
+        break;
+      default:
+        break;
+    }
+  });
+
+  return state;
+}
+
+/**
+ * Append an event unless it was already indexed
+ * @private
+ */
+function withEvent(entry, txId, event) {
+  const events = entry ? entry.events : [];
+  if (events.some(existing => existing.transactionHash === event.transactionHash && existing.logIndex === event.logIndex)) {
+    return null;
+  }
+  return deriveState({
+    txId,
+    events: [...events, event],
+    notifications: entry ? entry.notifications : {},
+    updatedAt: new Date().toISOString()
+  });
+}
+
+class FileApprovalStore {
+  /**
+   * @param {string} filePath - Store file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Record an on-chain event for a proposal
+   * @param {string} txId - Multisig transaction ID
+   * @param {Object} event - { type, signer, to, amount, amountRaw, blockNumber, logIndex, transactionHash, timestamp }
+   * @returns {Promise<Object>} Updated entry (unchanged if the event was already indexed)
+   */
+  async applyEvent(txId, event) {
+    const entries = this._load();
+    const updated = withEvent(entries[txId], txId, event);
+    if (!updated) {
+      return entries[txId];
+    }
+    entries[txId] = updated;
+    this._save(entries);
+    return updated;
+  }
+
+  async get(txId) {
+    return this._load()[txId] || null;
+  }
+
+  /**
+   * @param {Object} filter - { status }
+   */
+  async list(filter = {}) {
+    return Object.values(this._load())
+      .filter(entry => !filter.status || entry.status === filter.status)
+      .sort((a, b) => (b.proposedAt || '').localeCompare(a.proposedAt || ''));
+  }
+
+  /**
+   * Remember when signers were last notified about a proposal
+   */
+  async markNotified(txId, signers, at = new Date()) {
+    const entries = this._load();
+    if (!entries[txId]) return;
+    signers.forEach(signer => {
+      entries[txId].notifications[signer] = at.toISOString();
+    });
+    this._save(entries);
+  }
+
+  /**
+   * Drop events from orphaned blocks
+   * @returns {Promise<number>} Proposals affected
+   */
+  async rollbackAfterBlock(blockNumber) {
+    const entries = this._load();
+    let affected = 0;
+
+    Object.entries(entries).forEach(([txId, entry]) => {
+      const events = entry.events.filter(event => event.blockNumber <= blockNumber);
+      if (events.length === entry.events.length) return;
+      affected += 1;
+      if (events.length === 0) {
+        delete entries[txId];
+      } else {
+        entries[txId] = deriveState({ ...entry, events, updatedAt: new Date().toISOString() });
+      }
+    });
+
+    if (affected > 0) {
+      this._save(entries);
+    }
+    return affected;
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * @private
+   */
+  _save(entries) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+class MongoApprovalStore {
+  /**
+   * @param {string} mongoUri - MongoDB connection string
+   */
+  constructor(mongoUri) {
+    this.mongoUri = mongoUri;
+    this.collection = null;
+  }
+
+  /**
+   * Record an on-chain event for a proposal
+   * The listener is the only writer, so read-modify-write is safe
+   * @returns {Promise<Object>} Updated entry (unchanged if the event was already indexed)
+   */
+  async applyEvent(txId, event) {
+    const collection = await this._getCollection();
+    const existing = await collection.findOne({ _id: txId });
+    const updated = withEvent(existing, txId, event);
+    if (!updated) {
+      return this._fromDocument(existing);
+    }
+    await collection.replaceOne({ _id: txId }, { _id: txId, ...updated }, { upsert: true });
+    return updated;
+  }
+
+  async get(txId) {
+    const collection = await this._getCollection();
+    return this._fromDocument(await collection.findOne({ _id: txId }));
+  }
+
+  /**
+   * @param {Object} filter - { status }
+   */
+  async list(filter = {}) {
+    const collection = await this._getCollection();
+    const query = filter.status ? { status: filter.status } : {};
+    const documents = await collection.find(query).sort({ proposedAt: -1 }).toArray();
+    return documents.map(document => this._fromDocument(document));
+  }
+
+  /**
+   * Remember when signers were last notified about a proposal
+   */
+  async markNotified(txId, signers, at = new Date()) {
+    const collection = await this._getCollection();
+    const $set = {};
+    signers.forEach(signer => {
+      $set[`notifications.${signer}`] = at.toISOString();
+    });
+    await collection.updateOne({ _id: txId }, { $set });
+  }
+
+  /**
+   * Drop events from orphaned blocks
+   * @returns {Promise<number>} Proposals affected
+   */
+  async rollbackAfterBlock(blockNumber) {
+    const collection = await this._getCollection();
+    const affected = await collection.find({ 'events.blockNumber': { $gt: blockNumber } }).toArray();
+
+    for (const document of affected) {
+      const events = document.events.filter(event => event.blockNumber <= blockNumber);
+      if (events.length === 0) {
+        await collection.deleteOne({ _id: document._id });
+      } else {
+        const entry = deriveState({ ...document, events, updatedAt: new Date().toISOString() });
+        await collection.replaceOne({ _id: document._id }, { _id: document._id, ...entry });
+      }
+    }
+
+    return affected.length;
+  }
+
+  /**
+   * @private
+   */
+  _fromDocument(document) {
+    if (!document) return null;
+    const { _id, ...entry } = document;
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  async _getCollection() {
+    if (!this.collection) {
+      const connection = await connectDatabase(this.mongoUri);
+      this.collection = connection.collection('pending_approvals');
+      await this.collection.createIndex({ status: 1, proposedAt: -1 });
+      await this.collection.createIndex({ 'events.blockNumber': 1 });
+    }
+    return this.collection;
+  }
+}
+
+/**
+ * Create the approval store configured for this deployment
+ * Uses MongoDB when compliance records are stored there, a JSON file otherwise
+ * @param {Object} config - Service configuration (mongoUri, approvalsFile)
+ */
+function createApprovalStore(config) {
+  if (config.mongoUri) {
+    return new MongoApprovalStore(config.mongoUri);
+  }
+
+  return new FileApprovalStore(
+    config.approvalsFile || path.join(__dirname, '..', '.pending-approvals.json')
+  );
+}
+
+module.exports = {
+  FileApprovalStore,
+  MongoApprovalStore,
+  createApprovalStore,
+  deriveState,
+  STATUSES
+};
@@ -0,0 +1,157 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { FileApprovalStore, MongoApprovalStore, deriveState } = require('./approvalStore');
+const { startMemoryMongo, needsMongo } = require('../testing/memoryMongo');
+
+const TX_ID = `0x${'1'.repeat(64)}`;
+const ALICE = '0xaAaAaAaaAaAaAaaAaAAAAAAAAaaaAaAaAaaAaaAa';
+const BOB = '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB';
+
+function event(type, blockNumber, overrides = {}) {
+  return {
+    type,
+    signer: ALICE,
+    to: type === 'proposed' ? BOB : null,
+    amount: type === 'proposed' ? '2500.0' : null,
+    amountRaw: type === 'proposed' ? '2500000000' : null,
+    blockNumber,
+    logIndex: 0,
+    transactionHash: `0x${String(blockNumber).padStart(64, '0')}`,
+    timestamp: new Date(Date.UTC(2024, 0, 1) + blockNumber * 1000).toISOString(),
+    ...overrides
+  };
+}
+
+describe('deriveState', () => {
+  it('replays events in block and log order whatever order they were indexed in', () => {
+    const state = deriveState({
+      txId: TX_ID,
+      events: [
+        event('revoked', 12),
+        event('confirmed', 11, { signer: BOB, logIndex: 1 }),
+        event('proposed', 10),
+        event('confirmed', 11)
+      ]
+    });
+
+    assert.equal(state.proposer, ALICE);
+    assert.equal(state.to, BOB);
+    // Alice confirmed in block 11 and revoked in block 12
+    assert.deepEqual(state.confirmedBy, [BOB]);
+    assert.equal(state.status, 'pending');
+  });
+
+  it('marks a proposal executed', () => {
+    const state = deriveState({ txId: TX_ID, events: [event('proposed', 10), event('executed', 14, { signer: null })] });
+
+    assert.equal(state.status, 'executed');
+    assert.equal(state.executionTxHash, event('executed', 14).transactionHash);
+  });
+});
+
+/**
+ * Behaviour shared by both approval store backends
+ */
+function describeStore(name, setup) {
+  describe(name, () => {
+    const ctx = setup();
+
+    it('ignores an event that is indexed again', async (t) => {
+      if (!ctx.ready(t)) return;
+
+      await ctx.store.applyEvent(TX_ID, event('proposed', 10));
+      await ctx.store.applyEvent(TX_ID, event('confirmed', 11));
+      const replayed = await ctx.store.applyEvent(TX_ID, event('confirmed', 11));
+
+      assert.equal(replayed.events.length, 2);
+      assert.deepEqual((await ctx.store.get(TX_ID)).confirmedBy, [ALICE]);
+    });
+
+    it('rolls back events from orphaned blocks and forgets proposals made in them', async (t) => {
+      if (!ctx.ready(t)) return;
+      const orphanedTxId = `0x${'2'.repeat(64)}`;
+
+      await ctx.store.applyEvent(TX_ID, event('proposed', 10));
+      await ctx.store.applyEvent(TX_ID, event('confirmed', 12));
+      await ctx.store.applyEvent(TX_ID, event('executed', 13, { signer: null }));
+      await ctx.store.applyEvent(orphanedTxId, event('proposed', 12));
+
+      assert.equal(await ctx.store.rollbackAfterBlock(11), 2);
+
+      const entry = await ctx.store.get(TX_ID);
+      assert.equal(entry.status, 'pending');
+      assert.deepEqual(entry.confirmedBy, []);
+      assert.equal(await ctx.store.get(orphanedTxId), null);
+      assert.equal(await ctx.store.rollbackAfterBlock(11), 0);
+    });
+
+    it('re-indexes the canonical fork after a rollback', async (t) => {
+      if (!ctx.ready(t)) return;
+
+      await ctx.store.applyEvent(TX_ID, event('proposed', 10));
+      await ctx.store.applyEvent(TX_ID, event('confirmed', 12));
+      await ctx.store.rollbackAfterBlock(11);
+      await ctx.store.applyEvent(TX_ID, event('confirmed', 12, { signer: BOB, transactionHash: `0x${'f'.repeat(64)}` }));
+
+      assert.deepEqual((await ctx.store.get(TX_ID)).confirmedBy, [BOB]);
+    });
+
+    it('lists proposals by status and keeps notification times across events', async (t) => {
+      if (!ctx.ready(t)) return;
+      const executedTxId = `0x${'3'.repeat(64)}`;
+      const notifiedAt = new Date(Date.UTC(2024, 0, 2));
+
+      await ctx.store.applyEvent(TX_ID, event('proposed', 10));
+      await ctx.store.markNotified(TX_ID, [BOB], notifiedAt);
+      await ctx.store.applyEvent(TX_ID, event('confirmed', 11));
+      await ctx.store.applyEvent(executedTxId, event('proposed', 10, { logIndex: 1 }));
+      await ctx.store.applyEvent(executedTxId, event('executed', 15, { signer: null }));
+
+      const pending = await ctx.store.list({ status: 'pending' });
+      assert.deepEqual(pending.map(entry => entry.txId), [TX_ID]);
+      assert.equal(pending[0].notifications[BOB], notifiedAt.toISOString());
+      assert.equal((await ctx.store.list()).length, 2);
+    });
+  });
+}
+
+describeStore('FileApprovalStore', () => {
+  const ctx = { ready: () => true };
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+    ctx.store = new FileApprovalStore(path.join(dir, 'approvals.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  return ctx;
+});
+
+describeStore('MongoApprovalStore', () => {
+  const ctx = {};
+  let mongo;
+
+  before(async () => {
+    mongo = await startMemoryMongo();
+    ctx.ready = t => needsMongo(mongo, t);
+    if (mongo.uri) ctx.store = new MongoApprovalStore(mongo.uri);
+  });
+
+  after(async () => {
+    await mongo.stop();
+  });
+
+  beforeEach(async () => {
+    if (mongo.uri) await mongoose.connection.collection('pending_approvals').deleteMany({});
+  });
+
+  return ctx;
+});
@@ -0,0 +1,298 @@
+/**
+ * Pending Approval Tracker
+ * Turns the indexed multisig proposals into an approval queue: who has confirmed each
+ * proposal, how many confirmations are still needed and which signers have yet to act.
+ * Signers who still need to act are notified through the alert sinks, and by direct
+ * email when the signer directory lists their address.
+ *
+ * Signer directory (APPROVAL_SIGNERS_FILE), keyed by signer address:
+ *   { "0xAbc...": { "name": "Alice", "email": "alice@example.com", "slack": "<@U012AB3CD>" } }
+ */
+
+const fs = require('fs');
+const { ethers } = require('ethers');
+const { STATUSES } = require('./approvalStore');
+
+const SIGNER_ABI = [
+  "function getSigners() external view returns (address[] memory)",
+  "function requiredSignatures() external view returns (uint256)"
+];
+
+// How long the on-chain signer set is cached
+const SIGNER_SET_TTL_MS = 60 * 1000;
+
+/**
+ * Load the signer directory, keyed by checksummed address
+ * @private
+ */
+function loadSignerDirectory(filePath) {
+  if (!filePath) {
+    return {};
+  }
+
+  const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return Object.fromEntries(
+    Object.entries(entries).map(([address, contact]) => [ethers.utils.getAddress(address), contact])
+  );
+}
+
+const shortId = txId => `${txId.slice(0, 10)}…${txId.slice(-4)}`;
+
+class PendingApprovalTracker {
+  /**
+   * @param {Object} config - Service configuration (treasuryAddress, approvalSignersFile,
+   *   requiredSignatures, approvalReminderHours)
+   * @param {Object} deps - { store (approval store), provider, alerts (AlertDispatcher), email (EmailSink, optional) }
+   */
+  constructor(config, deps) {
+    this.store = deps.store;
+    this.alerts = deps.alerts;
+    this.email = deps.email || null;
+    this.contract = new ethers.Contract(config.treasuryAddress, SIGNER_ABI, deps.provider);
+    this.directory = loadSignerDirectory(config.approvalSignersFile);
+    this.requiredSignatures = config.requiredSignatures || null;
+    this.reminderIntervalMs = (config.approvalReminderHours ?? 24) * 60 * 60 * 1000;
+    this.signerSet = null;
+    this.signerSetLoadedAt = 0;
+    this.changed = new Set();
+  }
+
+  /**
+   * Whether notifications have anywhere to go
+   */
+  get canNotify() {
+    return this.alerts.isEnabled || !!this.email;
+  }
+
+  /**
+   * Current signers and confirmation threshold
+   * Read from the Treasury contract; if it cannot be read, the signer directory and
+   * APPROVAL_REQUIRED_SIGNATURES are used instead
+   * @returns {Promise<Object>} { signers (addresses or null), required (number or null), source }
+   */
+  async getSignerSet() {
+    if (this.signerSet && Date.now() - this.signerSetLoadedAt < SIGNER_SET_TTL_MS) {
+      return this.signerSet;
+    }
+
+    let signerSet;
+    try {
+      const [signers, required] = await Promise.all([this.contract.getSigners(), this.contract.requiredSignatures()]);
+      signerSet = { signers: signers.map(signer => ethers.utils.getAddress(signer)), required: required.toNumber(), source: 'contract' };
+    } catch (error) {
+      const known = Object.keys(this.directory);
+      signerSet = { signers: known.length > 0 ? known : null, required: this.requiredSignatures, source: 'config' };
+      if (!this.signerSet || this.signerSet.source !== 'config') {
+        console.warn(`⚠️  Cannot read signers from the Treasury contract (${error.message}) - using the signer directory`);
+      }
+    }
+
+    this.signerSet = signerSet;
+    this.signerSetLoadedAt = Date.now();
+    return signerSet;
+  }
+
+  /**
+   * List proposals with their approval progress
+   * @param {Object} filter - { status ('pending'|'executed'|'all', default pending), signer (only those awaiting this signer) }
+   * @returns {Promise<Object>} { signers, requiredConfirmations, count, approvals }
+   */
+  async listApprovals(filter = {}) {
+    const status = filter.status || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+      const error = new Error(`status must be one of ${[...STATUSES, 'all'].join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+
+    let signer = null;
+    if (filter.signer) {
+      if (!ethers.utils.isAddress(filter.signer)) {
+        const error = new Error(`signer must be an address (got "${filter.signer}")`);
+        error.status = 400;
+        throw error;
+      }
+      signer = ethers.utils.getAddress(filter.signer);
+    }
+
+    const [signerSet, entries] = await Promise.all([
+      this.getSignerSet(),
+      this.store.list(status === 'all' ? {} : { status })
+    ]);
+
+    let approvals = entries.map(entry => this._describe(entry, signerSet));
+    if (signer) {
+      approvals = approvals.filter(approval =>
+        approval.awaitingSigners && approval.awaitingSigners.some(awaiting => awaiting.address === signer)
+      );
+    }
+
+    return {
+      signers: signerSet.signers ? signerSet.signers.map(address => this._signer(address)) : null,
+      requiredConfirmations: signerSet.required,
+      count: approvals.length,
+      approvals
+    };
+  }
+
+  /**
+   * One proposal with its approval progress and event history
+   * @param {string} txId - Multisig transaction ID
+   */
+  async getApproval(txId) {
+    const entry = await this.store.get(txId);
+    if (!entry) {
+      const error = new Error(`Proposal ${txId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return { ...this._describe(entry, await this.getSignerSet()), events: entry.events };
+  }
+
+  /**
+   * Note that a proposal changed; signers are notified on the next notifyChanged()
+   */
+  markChanged(txId) {
+    this.changed.add(txId);
+  }
+
+  /**
+   * Notify signers about changed proposals that are still pending
+   * Only signers not yet notified about a proposal are contacted, so a new
+   * confirmation does not re-notify everyone
+   */
+  async notifyChanged() {
+    const txIds = Array.from(this.changed);
+    this.changed.clear();
+
+    const results = [];
+    for (const txId of txIds) {
+      const entry = await this.store.get(txId);
+      if (entry && entry.status === 'pending') {
+        const result = await this._notify(entry, false);
+        if (result) results.push(result);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Remind signers about proposals still waiting on them after the reminder interval
+   */
+  async sendReminders() {
+    const results = [];
+    for (const entry of await this.store.list({ status: 'pending' })) {
+      const result = await this._notify(entry, true);
+      if (result) results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Notify the signers a proposal is waiting on
+   * @private
+   * @returns {Promise<Object|null>} { txId, notified } or null if nobody was due
+   */
+  async _notify(entry, reminder) {
+    if (!this.canNotify) {
+      return null;
+    }
+
+    const approval = this._describe(entry, await this.getSignerSet());
+    if (!approval.awaitingSigners || approval.remainingConfirmations === 0) {
+      return null;
+    }
+
+    const now = Date.now();
+    const due = approval.awaitingSigners.filter(signer => {
+      const lastNotified = entry.notifications[signer.address];
+      return !lastNotified || (reminder && now - Date.parse(lastNotified) >= this.reminderIntervalMs);
+    });
+    if (due.length === 0) {
+      return null;
+    }
+
+    const names = due.map(signer => {
+      const contact = this.directory[signer.address] || {};
+      return [signer.name || signer.address, contact.slack].filter(Boolean).join(' ');
+    });
+    const alert = {
+      key: `approval:${approval.txId}:${reminder ? 'reminder' : approval.confirmations}`,
+      severity: reminder ? 'warning' : 'info',
+      title: reminder ? 'Multisig approval overdue' : 'Multisig approval needed',
+      message: `Proposal ${shortId(approval.txId)} (${approval.amount ?? '?'} USDC to ${approval.to || 'unknown'}) has ` +
+        `${approval.confirmations} of ${approval.requiredConfirmations ?? '?'} confirmation(s). Waiting on: ${names.join(', ')}`,
+      details: {
+        txId: approval.txId,
+        to: approval.to,
+        amount: approval.amount,
+        proposer: approval.proposer,
+        confirmations: approval.confirmations,
+        requiredConfirmations: approval.requiredConfirmations,
+        awaitingSigners: due.map(signer => signer.address)
+      }
+    };
+
+    if (this.alerts.isEnabled) {
+      await this.alerts.send(alert);
+    }
+
+    if (this.email) {
+      const payload = { ...alert, source: 'treasury-automation', timestamp: new Date(now).toISOString(), suppressedCount: 0 };
+      await Promise.all(due.map(async signer => {
+        const contact = this.directory[signer.address];
+        if (!contact || !contact.email) return;
+        try {
+          await this.email.send(payload, { to: contact.email });
+        } catch (error) {
+          console.error(`Error emailing signer ${signer.address} about ${approval.txId}:`, error.message);
+        }
+      }));
+    }
+
+    const notified = due.map(signer => signer.address);
+    await this.store.markNotified(approval.txId, notified, new Date(now));
+    console.log(`📨 ${reminder ? 'Reminded' : 'Notified'} ${notified.length} signer(s) about proposal ${shortId(approval.txId)}`);
+    return { txId: approval.txId, notified };
+  }
+
+  /**
+   * Approval progress of a stored proposal
+   * @private
+   */
+  _describe(entry, signerSet) {
+    const confirmations = entry.confirmedBy.length;
+    const required = signerSet.required;
+    const awaiting = signerSet.signers && entry.status === 'pending'
+      ? signerSet.signers.filter(signer => !entry.confirmedBy.includes(signer))
+      : null;
+
+    return {
+      txId: entry.txId,
+      status: entry.status,
+      to: entry.to,
+      amount: entry.amount,
+      amountRaw: entry.amountRaw,
+      proposer: entry.proposer,
+      proposedAt: entry.proposedAt,
+      proposalTxHash: entry.proposalTxHash,
+      confirmations,
+      requiredConfirmations: required,
+      remainingConfirmations: required === null ? null : Math.max(0, required - confirmations),
+      confirmedBy: entry.confirmedBy.map(address => this._signer(address)),
+      awaitingSigners: awaiting ? awaiting.map(address => this._signer(address)) : null,
+      executedAt: entry.executedAt,
+      executionTxHash: entry.executionTxHash
+    };
+  }
+
+  /**
+   * @private
+   */
+  _signer(address) {
+    const contact = this.directory[address];
+    return { address, name: (contact && contact.name) || null };
+  }
+}
+
+module.exports = PendingApprovalTracker;
@@ -0,0 +1,39 @@
+/**
+ * Approvals
+ * Builds the pending-approval tracker from config. Signers are emailed directly when
+ * SMTP is configured and the signer directory lists their email address.
+ */
+
+const { FileApprovalStore, MongoApprovalStore, createApprovalStore, deriveState, STATUSES } = require('./approvalStore');
+const PendingApprovalTracker = require('./approvalTracker');
+const EmailSink = require('../alerts/emailSink');
+
+/**
+ * Create the pending-approval tracker configured for this deployment
+ * @param {Object} config - Service configuration
+ * @param {Object} deps - { store (approval store), provider, alerts (AlertDispatcher) }
+ */
+function createApprovalTracker(config, deps) {
+  const alerts = config.alerts || {};
+  const email = alerts.smtpHost
+    ? new EmailSink({
+      host: alerts.smtpHost,
+      port: alerts.smtpPort,
+      user: alerts.smtpUser,
+      pass: alerts.smtpPass,
+      from: alerts.emailFrom
+    })
+    : null;
+
+  return new PendingApprovalTracker(config, { ...deps, email });
+}
+
+module.exports = {
+  PendingApprovalTracker,
+  FileApprovalStore,
+  MongoApprovalStore,
+  createApprovalStore,
+  createApprovalTracker,
+  deriveState,
+  STATUSES
+};
@@ -5,6 +5,12 @@
  * Usage: node automationRunner.js
  * Or: npm run automation
  * 
+ * Dry run (simulate one check without sending transactions and print a report):
+ *   node automationRunner.js --dry-run [--json] [--from <address>]
+ * Or: npm run dry-run
+ * With --from (or DRY_RUN_FROM) the run simulates as that address and needs no
+ * PRIVATE_KEY, e.g. to preview a new Treasury before an executor wallet exists
+ * 
  * This service demonstrates how the system automates distributions
  * and reduces manual intervention through:
  * - Automated scheduled payroll execution
@@ -15,21 +21,107 @@
 
 require('dotenv').config();
 const MonitoringService = require('./monitoringService');
+const TreasuryApiServer = require('./apiServer');
+const PayrollAutomationService = require('./payrollAutomation');
+const { ethers } = require('ethers');
+const { networkConfig } = require('./networks');
+
+const args = process.argv.slice(2);
+const dryRunOnce = args.includes('--dry-run');
+const jsonOutput = args.includes('--json');
+const fromIndex = args.indexOf('--from');
+const dryRunFrom = (fromIndex !== -1 ? args[fromIndex + 1] : undefined) || process.env.DRY_RUN_FROM;
 
 const config = {
-  // Treasury Contract
-  treasuryAddress: process.env.TREASURY_ADDRESS,
-  rpcUrl: process.env.RPC_URL || 'https://rpc.arc.network',
-  privateKey: process.env.PRIVATE_KEY,
+  // Treasury Contract (network from config/networks.json; NETWORK, RPC_URL,
+  // TREASURY_ADDRESS and USDC_ADDRESS override the registry)
+  ...networkConfig(),
+  // A dry run with a from address simulates read-only and never loads the key
+  privateKey: dryRunOnce && dryRunFrom ? undefined : process.env.PRIVATE_KEY,
+  fromAddress: dryRunOnce ? dryRunFrom : undefined,
   
   // Circle Gateway
   circleGatewayApiKey: process.env.CIRCLE_GATEWAY_API_KEY || 'mock-api-key',
   circleGatewayBaseUrl: process.env.CIRCLE_GATEWAY_BASE_URL || 'https://api.circle.com/v1',
+  complianceProvider: process.env.COMPLIANCE_PROVIDER || 'mock', // 'mock' (fixtures) or 'http'
+  complianceFixtures: process.env.COMPLIANCE_FIXTURES,
+  circleGatewayTimeoutMs: parseInt(process.env.CIRCLE_GATEWAY_TIMEOUT_MS || '10000', 10),
+  circleGatewayMaxRetries: parseInt(process.env.CIRCLE_GATEWAY_MAX_RETRIES || '3', 10),
   
   // Automation Settings
   cronExpression: process.env.CRON_EXPRESSION || '*/5 * * * *', // Every 5 minutes
   requireKYC: process.env.REQUIRE_KYC === 'true',
-  requireAML: process.env.REQUIRE_AML === 'true'
+  requireAML: process.env.REQUIRE_AML === 'true',
+  denylistDir: process.env.DENYLIST_DIR, // Local sanctions denylists (default ./denylists)
+  dryRun: process.env.DRY_RUN === 'true', // Simulate every scheduled check instead of executing
+  
+  // Transaction Management
+  gasMarginPercent: parseInt(process.env.GAS_MARGIN_PERCENT || '20', 10),
+  txConfirmationTimeoutMs: parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS || '120000', 10),
+  txMaxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10),
+  txFeeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || '15', 10),
+  
+  // Compliance record storage
+  mongoUri: process.env.MONGODB_URI,
+  
+  // Event Indexing
+  confirmations: parseInt(process.env.CONFIRMATIONS || '6', 10),
+  startBlock: process.env.START_BLOCK ? parseInt(process.env.START_BLOCK, 10) : undefined,
+  backfillBlockRange: parseInt(process.env.BACKFILL_BLOCK_RANGE || '2000', 10),
+  checkpointFile: process.env.CHECKPOINT_FILE,
+  
+  // Execution lock and idempotency ledger ('file' or 'mongo', which uses MONGODB_URI)
+  lockBackend: process.env.EXECUTION_LOCK_BACKEND || 'file',
+  lockLeaseMs: parseInt(process.env.EXECUTION_LOCK_LEASE_MS || '600000', 10),
+  lockFile: process.env.EXECUTION_LOCK_FILE,
+  ledgerFile: process.env.IDEMPOTENCY_LEDGER_FILE,
+  
+  // Reconciliation (needs MONGODB_URI)
+  reconciliationCron: process.env.RECONCILIATION_CRON || '*/15 * * * *',
+  reconciliationBatchSize: parseInt(process.env.RECONCILIATION_BATCH_SIZE || '200', 10),
+  
+  // Pending multisig approvals (signer directory: JSON of address -> { name, email, slack })
+  approvalsFile: process.env.APPROVALS_FILE,
+  approvalSignersFile: process.env.APPROVAL_SIGNERS_FILE,
+  requiredSignatures: process.env.APPROVAL_REQUIRED_SIGNATURES ? parseInt(process.env.APPROVAL_REQUIRED_SIGNATURES, 10) : undefined,
+  approvalReminderCron: process.env.APPROVAL_REMINDER_CRON || '0 * * * *',
+  approvalReminderHours: parseFloat(process.env.APPROVAL_REMINDER_HOURS || '24'),
+  
+  // Runway forecast
+  forecastHorizonDays: parseInt(process.env.FORECAST_HORIZON_DAYS || '90', 10),
+  
+  // Health score thresholds (see treasuryHealth.js for defaults)
+  health: {
+    targetRunwayDays: process.env.HEALTH_TARGET_RUNWAY_DAYS ? parseInt(process.env.HEALTH_TARGET_RUNWAY_DAYS, 10) : undefined,
+    staleAfterSeconds: process.env.HEALTH_STALE_AFTER_SECONDS ? parseInt(process.env.HEALTH_STALE_AFTER_SECONDS, 10) : undefined,
+    maxConcentration: process.env.HEALTH_MAX_CONCENTRATION ? parseFloat(process.env.HEALTH_MAX_CONCENTRATION) : undefined,
+    maxUnreconciled: process.env.HEALTH_MAX_UNRECONCILED ? parseInt(process.env.HEALTH_MAX_UNRECONCILED, 10) : undefined
+  },
+  
+  // Alerting (each sink is enabled by setting its destination)
+  lowBalanceFloor: process.env.LOW_BALANCE_FLOOR ? parseFloat(process.env.LOW_BALANCE_FLOOR) : undefined, // USDC
+  alerts: {
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    webhookMinSeverity: process.env.ALERT_WEBHOOK_MIN_SEVERITY,
+    slackWebhookUrl: process.env.ALERT_SLACK_WEBHOOK_URL,
+    slackMinSeverity: process.env.ALERT_SLACK_MIN_SEVERITY,
+    smtpHost: process.env.ALERT_SMTP_HOST,
+    smtpPort: process.env.ALERT_SMTP_PORT ? parseInt(process.env.ALERT_SMTP_PORT, 10) : undefined,
+    smtpUser: process.env.ALERT_SMTP_USER,
+    smtpPass: process.env.ALERT_SMTP_PASS,
+    emailFrom: process.env.ALERT_EMAIL_FROM,
+    emailTo: process.env.ALERT_EMAIL_TO,
+    emailMinSeverity: process.env.ALERT_EMAIL_MIN_SEVERITY,
+    dedupWindowMs: process.env.ALERT_DEDUP_WINDOW_MS ? parseInt(process.env.ALERT_DEDUP_WINDOW_MS, 10) : undefined,
+    rateLimit: process.env.ALERT_RATE_LIMIT ? parseInt(process.env.ALERT_RATE_LIMIT, 10) : undefined
+  },
+  
+  // API Server
+  apiEnabled: process.env.API_ENABLED !== 'false',
+  apiPort: parseInt(process.env.API_PORT || '4000', 10),
+  apiTokens: process.env.API_TOKENS,
+  // Balance re-read interval for live dashboard updates (0 to only refresh after runs and events)
+  liveBalanceIntervalMs: parseInt(process.env.LIVE_BALANCE_INTERVAL_MS || '10000', 10)
 };
 
 // Validate required config
@@ -38,11 +130,85 @@ if (!config.treasuryAddress) {
   process.exit(1);
 }
 
-if (!config.privateKey) {
-  console.error('Error: PRIVATE_KEY environment variable is required');
+if (config.fromAddress && !ethers.utils.isAddress(config.fromAddress)) {
+  console.error(`Error: --from / DRY_RUN_FROM must be an address (got "${config.fromAddress}")`);
+  process.exit(1);
+}
+
+if (!config.privateKey && !config.fromAddress) {
+  console.error(dryRunOnce
+    ? 'Error: PRIVATE_KEY, or --from / DRY_RUN_FROM for a read-only dry run, is required'
+    : 'Error: PRIVATE_KEY environment variable is required');
   process.exit(1);
 }
 
+/**
+ * Print a human-readable summary of a dry-run report
+ */
+function printDryRunReport(report) {
+  console.log('\n🧪 Dry Run Report');
+  console.log('─'.repeat(60));
+  console.log(`Treasury Balance: ${report.treasuryBalance} USDC`);
+
+  const scheduled = report.scheduled || {};
+  console.log(`\nScheduled distributions:`);
+  (scheduled.results || []).forEach(result => {
+    const outcome = result.wouldExecute
+      ? `would execute (gas ≈ ${result.estimatedGas})`
+      : `would revert: ${result.revertReason}`;
+    console.log(`  #${result.scheduleId} → ${result.recipient} ${result.amount} USDC: ${outcome}`);
+    console.log(`     KYC=${result.compliance.kycStatus} AML=${result.compliance.amlStatus} risk=${result.compliance.riskScore}`);
+  });
+  (scheduled.skipped || []).forEach(result => {
+    console.log(`  #${result.scheduleId} → ${result.recipient} ${result.amount} USDC: skipped (${result.reason})`);
+  });
+  (scheduled.failed || []).forEach(result => {
+    console.log(`  #${result.scheduleId}: error (${result.error})`);
+  });
+  if (!scheduled.results || scheduled.results.length + (scheduled.skipped || []).length === 0) {
+    console.log('  none due');
+  }
+
+  [['Distribution rules', report.distributionRules], ['Allocation rules', report.allocationRules]].forEach(([label, result]) => {
+    if (!result || !result.ruleIds) {
+      console.log(`\n${label}: none eligible`);
+      return;
+    }
+    if (result.ruleIds.length === 0) {
+      console.log(`\n${label}: none compliant`);
+    } else {
+      const outcome = result.wouldExecute
+        ? `would execute (gas ≈ ${result.estimatedGas})`
+        : `would revert: ${result.revertReason}`;
+      console.log(`\n${label}: [${result.ruleIds.join(', ')}] ${outcome}`);
+    }
+    (result.skipped || []).forEach(rule => {
+      console.log(`  rule ${rule.ruleId}: excluded (${rule.reason})`);
+    });
+  });
+
+  console.log('─'.repeat(60));
+  console.log(`Total that would execute: ${report.totalExecuted}\n`);
+}
+
+/**
+ * Run a single simulated check and exit
+ */
+async function runDryRun() {
+  const automation = new PayrollAutomationService(config);
+  await automation.initialize();
+
+  const report = await automation.checkAndExecuteDistributions({ dryRun: true });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printDryRunReport(report);
+  }
+
+  process.exit(report.error ? 1 : 0);
+}
+
 async function main() {
   console.log('╔════════════════════════════════════════════════════════════╗');
   console.log('║   Treasury Monitoring & Automation Service                ║');
@@ -50,14 +216,21 @@ async function main() {
   console.log('╚════════════════════════════════════════════════════════════╝\n');
   
   console.log('Configuration:');
+  console.log(`  Network: ${config.network} (chain ${config.chainId})`);
   console.log(`  Treasury Address: ${config.treasuryAddress}`);
   console.log(`  RPC URL: ${config.rpcUrl}`);
   console.log(`  Cron Expression: ${config.cronExpression}`);
   console.log(`  Require KYC: ${config.requireKYC}`);
   console.log(`  Require AML: ${config.requireAML}`);
+  console.log(`  Dry Run: ${config.dryRun}`);
+  console.log(`  Compliance Provider: ${config.complianceProvider}`);
+  console.log(`  MongoDB: ${config.mongoUri ? 'enabled' : 'disabled'}`);
+  console.log(`  Execution Lock: ${config.lockBackend}`);
+  console.log(`  API Port: ${config.apiEnabled ? config.apiPort : 'disabled'}`);
   console.log('');
 
   const service = new MonitoringService(config);
+  const api = config.apiEnabled ? new TreasuryApiServer(service, { port: config.apiPort, apiTokens: config.apiTokens }) : null;
 
   try {
     // Initialize all services
@@ -66,6 +239,11 @@ async function main() {
     // Start monitoring and automation
     service.start();
     
+    // Serve dashboard API
+    if (api) {
+      await api.start();
+    }
+    
     console.log('\n💡 Service Features:');
     console.log('   • Automated scheduled payroll execution');
     console.log('   • Rule-based distribution automation');
@@ -74,18 +252,27 @@ async function main() {
     console.log('   • Multi-chain balance tracking');
     console.log('\n📝 Press Ctrl+C to stop\n');
     
-    // Graceful shutdown
-    process.on('SIGINT', async () => {
+    // Graceful shutdown: let in-flight payments settle before exiting
+    let shuttingDown = false;
+    const shutdown = async () => {
+      if (shuttingDown) {
+        console.log('Shutdown already in progress - waiting for pending transactions...');
+        return;
+      }
+      shuttingDown = true;
       console.log('\n');
-      service.stop();
-      process.exit(0);
-    });
+      try {
+        if (api) await api.stop();
+        await service.stop();
+        process.exit(0);
+      } catch (error) {
+        console.error('Error during shutdown:', error);
+        process.exit(1);
+      }
+    };
     
-    process.on('SIGTERM', async () => {
-      console.log('\n');
-      service.stop();
-      process.exit(0);
-    });
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
     
     // Keep process alive
     process.stdin.resume();
@@ -97,5 +284,12 @@ async function main() {
 }
 
 // Run
-main();
+if (dryRunOnce) {
+  runDryRun().catch(error => {
+    console.error('\n❌ Dry run failed:', error);
+    process.exit(1);
+  });
+} else {
+  main();
+}
 
@@ -0,0 +1,66 @@
+/**
+ * Checkpoint Store
+ * Persists the event listener's indexing progress to a JSON file so it can
+ * resume (and backfill missed events) after a restart. Compliance checks still
+ * waiting for their record are saved with it, so they survive the restart too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class CheckpointStore {
+  /**
+   * @param {string} filePath - Location of the checkpoint file
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the checkpoint from disk
+   * @returns {{ lastProcessedBlock: number|null, blockHashes: Object<string, string>, pendingChecks: Object }}
+   */
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        return this._empty();
+      }
+
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      return {
+        lastProcessedBlock: typeof data.lastProcessedBlock === 'number' ? data.lastProcessedBlock : null,
+        blockHashes: data.blockHashes || {},
+        pendingChecks: data.pendingChecks || {}
+      };
+    } catch (error) {
+      console.error(`Error reading checkpoint ${this.filePath}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Save the checkpoint to disk (write to a temp file then rename, so a crash
+   * never leaves a half-written checkpoint)
+   * @param {{ lastProcessedBlock: number|null, blockHashes: Object<string, string>, pendingChecks: Object }} checkpoint
+   */
+  save(checkpoint) {
+    const tmpPath = `${this.filePath}.tmp`;
+    const data = {
+      ...checkpoint,
+      updatedAt: new Date().toISOString()
+    };
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  _empty() {
+    return { lastProcessedBlock: null, blockHashes: {}, pendingChecks: {} };
+  }
+}
+
+module.exports = CheckpointStore;
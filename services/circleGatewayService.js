@@ -1,23 +1,41 @@
 /**
  * Circle Gateway Service
- * Simulates fetching aggregated treasury data and compliance checks via Circle Gateway
- * Includes mock API responses for multi-chain USDC balances
+ * Fetches aggregated treasury data and runs compliance checks via Circle Gateway.
+ * Calls are delegated to a compliance provider (HTTP client or fixture mock, see
+ * ./complianceProviders) chosen through config.
  */
 
-const axios = require('axios');
+const { createComplianceProvider } = require('./complianceProviders');
+const { TreasuryHealthModel } = require('./treasuryHealth');
 
 class CircleGatewayService {
-  constructor(apiKey, baseUrl = 'https://api.circle.com/v1') {
+  /**
+   * @param {string} apiKey - Circle Gateway API key
+   * @param {string} baseUrl - Circle Gateway API base URL
+   * @param {ComplianceProvider} provider - Backend to delegate to (defaults to the fixture mock)
+   */
+  constructor(apiKey, baseUrl = 'https://api.circle.com/v1', provider = null) {
     this.apiKey = apiKey;
     this.baseUrl = baseUrl;
-    this.client = axios.create({
-      baseURL: this.baseUrl,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
+    this.provider = provider || createComplianceProvider({
+      circleGatewayApiKey: apiKey,
+      circleGatewayBaseUrl: baseUrl
     });
+    this.healthModel = new TreasuryHealthModel();
+  }
+
+  /**
+   * Create a service using the provider selected by `config.complianceProvider`
+   * @param {Object} config - Service configuration
+   */
+  static fromConfig(config) {
+    const service = new CircleGatewayService(
+      config.circleGatewayApiKey,
+      config.circleGatewayBaseUrl,
+      createComplianceProvider(config)
+    );
+    service.healthModel = new TreasuryHealthModel(config.health);
+    return service;
   }
 
   /**
@@ -27,130 +45,27 @@ class CircleGatewayService {
    */
   async getMultiChainUSDCBalances(walletAddress) {
     try {
-      // In production, this would call Circle Gateway API
-      // For now, we'll return mock data
-      return this._mockMultiChainBalances(walletAddress);
+      return await this.provider.getMultiChainUSDCBalances(walletAddress);
     } catch (error) {
-      console.error('Error fetching multi-chain balances:', error);
+      console.error('Error fetching multi-chain balances:', error.message);
       throw error;
     }
   }
 
-  /**
-   * Mock multi-chain USDC balance response
-   * @private
-   */
-  _mockMultiChainBalances(walletAddress) {
-    return {
-      walletAddress,
-      timestamp: new Date().toISOString(),
-      totalUSDC: '5000000.00', // Total across all chains
-      chains: [
-        {
-          chain: 'ethereum',
-          chainId: 1,
-          network: 'mainnet',
-          balance: '2000000.00',
-          balanceRaw: '2000000000000', // 6 decimals
-          currency: 'USDC',
-          lastUpdated: new Date().toISOString()
-        },
-        {
-          chain: 'polygon',
-          chainId: 137,
-          network: 'polygon-mainnet',
-          balance: '1500000.00',
-          balanceRaw: '1500000000000',
-          currency: 'USDC',
-          lastUpdated: new Date().toISOString()
-        },
-        {
-          chain: 'avalanche',
-          chainId: 43114,
-          network: 'avalanche-mainnet',
-          balance: '1000000.00',
-          balanceRaw: '1000000000000',
-          currency: 'USDC',
-          lastUpdated: new Date().toISOString()
-        },
-        {
-          chain: 'arc',
-          chainId: 1243, // Example Arc chain ID
-          network: 'arc-mainnet',
-          balance: '500000.00',
-          balanceRaw: '500000000000',
-          currency: 'USDC',
-          lastUpdated: new Date().toISOString()
-        }
-      ],
-      metadata: {
-        source: 'circle-gateway',
-        version: '1.0'
-      }
-    };
-  }
-
   /**
    * Perform compliance check on a transaction
-   * @param {Object} transactionData - Transaction data to check
+   * @param {Object} transactionData - { recipient, amount, source, idempotencyKey? }
    * @returns {Promise<Object>} Compliance check results
    */
   async performComplianceCheck(transactionData) {
     try {
-      const { recipient, amount, source } = transactionData;
-      
-      // In production, this would call Circle Gateway compliance API
-      // For now, we'll return mock compliance check results
-      return this._mockComplianceCheck(recipient, amount, source);
+      return await this.provider.performComplianceCheck(transactionData);
     } catch (error) {
-      console.error('Error performing compliance check:', error);
+      console.error('Error performing compliance check:', error.message);
       throw error;
     }
   }
 
-  /**
-   * Mock compliance check response
-   * @private
-   */
-  _mockComplianceCheck(recipient, amount, source) {
-    // Simulate different compliance outcomes based on amount
-    const amountNum = parseFloat(amount);
-    const isHighValue = amountNum > 10000;
-    const isVerified = Math.random() > 0.1; // 90% pass rate for demo
-    
-    return {
-      transactionId: `cg_tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      recipient,
-      amount,
-      source,
-      timestamp: new Date().toISOString(),
-      kycStatus: isVerified ? 'VERIFIED' : 'PENDING',
-      amlStatus: isHighValue ? (isVerified ? 'VERIFIED' : 'PENDING') : 'EXEMPT',
-      riskScore: isHighValue ? Math.floor(Math.random() * 30) : Math.floor(Math.random() * 10),
-      sanctionsCheck: {
-        status: 'CLEAR',
-        checkedAt: new Date().toISOString(),
-        lists: ['OFAC', 'EU', 'UN']
-      },
-      kycDetails: {
-        level: isHighValue ? 'ENHANCED' : 'BASIC',
-        verified: isVerified,
-        verifiedAt: isVerified ? new Date().toISOString() : null,
-        provider: 'circle-kyc'
-      },
-      amlDetails: {
-        screening: isHighValue ? 'ENABLED' : 'DISABLED',
-        result: isHighValue ? (isVerified ? 'CLEAR' : 'REVIEW') : 'N/A',
-        screenedAt: isHighValue ? new Date().toISOString() : null
-      },
-      metadata: {
-        source: 'circle-gateway',
-        version: '1.0',
-        checkType: 'automated'
-      }
-    };
-  }
-
   /**
    * Get transaction status from Circle Gateway
    * @param {string} circleTxId - Circle Gateway transaction ID
@@ -158,74 +73,49 @@ class CircleGatewayService {
    */
   async getTransactionStatus(circleTxId) {
     try {
-      // Mock transaction status
-      return {
-        transactionId: circleTxId,
-        status: 'COMPLETED',
-        createdAt: new Date(Date.now() - 3600000).toISOString(),
-        completedAt: new Date().toISOString(),
-        amount: '1000.00',
-        currency: 'USDC',
-        recipient: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb',
-        chain: 'arc',
-        txHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-        confirmations: 12,
-        blockNumber: 12345678
-      };
+      return await this.provider.getTransactionStatus(circleTxId);
     } catch (error) {
-      console.error('Error fetching transaction status:', error);
+      console.error('Error fetching transaction status:', error.message);
       throw error;
     }
   }
 
   /**
    * Submit transaction to Circle Gateway for processing
-   * @param {Object} transaction - Transaction details
+   * @param {Object} transaction - { recipient, amount, chain?, idempotencyKey? }
    * @returns {Promise<Object>} Submitted transaction response
    */
   async submitTransaction(transaction) {
     try {
-      const { recipient, amount, chain = 'arc' } = transaction;
-      
-      // Mock transaction submission
-      const circleTxId = `cg_tx_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      return {
-        transactionId: circleTxId,
-        status: 'PENDING',
-        recipient,
-        amount,
-        chain,
-        submittedAt: new Date().toISOString(),
-        estimatedCompletion: new Date(Date.now() + 60000).toISOString() // 1 minute
-      };
+      return await this.provider.submitTransaction(transaction);
     } catch (error) {
-      console.error('Error submitting transaction:', error);
+      console.error('Error submitting transaction:', error.message);
       throw error;
     }
   }
 
   /**
    * Get treasury health metrics
+   * Chain freshness and concentration are scored from the balances; runway, automation
+   * and reconciliation are scored when their inputs are supplied (see TreasuryHealthModel)
    * @param {string} walletAddress - Treasury wallet address
+   * @param {Object} inputs - { forecast, automation, unreconciledRecords }
    * @returns {Promise<Object>} Treasury health data
    */
-  async getTreasuryHealth(walletAddress) {
+  async getTreasuryHealth(walletAddress, inputs = {}) {
     try {
       const balances = await this.getMultiChainUSDCBalances(walletAddress);
-      
+      const health = this.healthModel.evaluate({ ...inputs, balances });
+
       return {
         walletAddress,
         totalBalance: balances.totalUSDC,
         chainCount: balances.chains.length,
-        chains: balances.chains.map(chain => ({
-          chain: chain.chain,
-          balance: chain.balance,
-          status: 'ACTIVE',
-          lastUpdated: chain.lastUpdated
-        })),
-        healthScore: 95, // Mock health score
-        alerts: [],
+        chains: health.chains,
+        healthScore: health.healthScore,
+        status: health.status,
+        components: health.components,
+        alerts: health.alerts,
         lastUpdated: new Date().toISOString()
       };
     } catch (error) {
@@ -0,0 +1,38 @@
+/**
+ * Treasury ABI used by the CLI
+ * Operator functions (multisig, schedules, rules) plus the views needed to show their state
+ */
+
+const TREASURY_CLI_ABI = [
+  // Multisig proposals
+  "function proposeTransaction(address to, uint256 amount, bytes calldata data) external returns (bytes32)",
+  "function confirmTransaction(bytes32 txHash) external",
+  "function revokeConfirmation(bytes32 txHash) external",
+  "function executeTransaction(bytes32 txHash) external",
+  "function getTransaction(bytes32 txHash) external view returns (tuple(address to, uint256 amount, bytes data, bool executed, uint256 confirmations))",
+  "function isConfirmed(bytes32 txHash, address signer) external view returns (bool)",
+
+  // Scheduled distributions
+  "function createScheduledDistribution(address recipient, uint256 amount, uint256 interval) external returns (uint256)",
+  "function updateScheduledDistribution(uint256 scheduleId, bool active) external",
+  "function getScheduledDistribution(uint256 scheduleId) external view returns (tuple(address recipient, uint256 amount, uint256 interval, uint256 nextDistribution, bool active, uint256 totalDistributed))",
+
+  // Allocation rules
+  "function createAllocationRule(address recipient, uint8 allocationType, uint256 value, uint256 budgetLimit, uint256 priority, uint256 cooldownPeriod) external returns (uint256)",
+  "function updateAllocationRule(uint256 ruleId, bool active) external",
+  "function getAllocationRule(uint256 ruleId) external view returns (tuple(address recipient, uint8 allocationType, uint256 value, uint256 budgetLimit, uint256 totalAllocated, uint256 priority, uint256 cooldownPeriod, uint256 lastExecuted, bool active))",
+  "function getEligibleAllocationRules() external view returns (uint256[] memory)",
+
+  // Distribution rules
+  "function createTimeBasedDistributionRule(address recipient, uint256 amount, uint256 interval, uint256 maxTotalDistribution, uint256 priority, uint256 cooldownPeriod) external returns (uint256)",
+  "function createBalanceConditionDistributionRule(address recipient, uint256 amount, uint8 condition, uint256 threshold, uint256 maxTotalDistribution, uint256 priority, uint256 cooldownPeriod) external returns (uint256)",
+  "function createPercentageBasedDistributionRule(address recipient, uint256 percentage, uint256 maxTotalDistribution, uint256 priority, uint256 cooldownPeriod) external returns (uint256)",
+  "function createBatchDistributionRule(address[] calldata recipients, uint256[] calldata amounts, uint256[] calldata percentages, bool usePercentages, uint256 maxTotalDistribution, uint256 priority, uint256 cooldownPeriod) external returns (uint256)",
+  "function updateDistributionRule(uint256 ruleId, bool active) external",
+  "function getDistributionRule(uint256 ruleId) external view returns (tuple(uint8 ruleType, address[] recipients, uint256[] amounts, uint256[] percentages, bool usePercentages, uint256 interval, uint8 balanceCondition, uint256 balanceThreshold, uint256 maxTotalDistribution, uint256 totalDistributed, uint256 priority, uint256 cooldownPeriod, uint256 lastExecuted, bool active))",
+  "function getEligibleDistributionRules() external view returns (uint256[] memory)",
+
+  "function getBalance() external view returns (uint256)"
+];
+
+module.exports = TREASURY_CLI_ABI;
@@ -0,0 +1,128 @@
+/**
+ * allocation-rule: automated allocation rules
+ */
+
+const { ethers } = require('ethers');
+const PayrollAutomationService = require('../../payrollAutomation');
+const { parseAddress, parseAmount, parseDuration, parseInteger, usageError } = require('../context');
+const { printFields, printWrite } = require('../output');
+
+const { ALLOCATION_TYPES } = PayrollAutomationService;
+
+// CLI names for Treasury.AllocationType
+const TYPE_NAMES = {
+  percentage: ALLOCATION_TYPES.PERCENTAGE,
+  fixed: ALLOCATION_TYPES.FIXED_AMOUNT,
+  threshold: ALLOCATION_TYPES.BALANCE_THRESHOLD
+};
+
+/**
+ * @private
+ */
+function formatRule(ruleId, rule) {
+  const type = Object.keys(TYPE_NAMES).find(name => TYPE_NAMES[name] === rule.allocationType) || String(rule.allocationType);
+  return {
+    ruleId: ruleId.toString(),
+    recipient: rule.recipient,
+    type,
+    // Percentages are basis points; fixed amounts and thresholds are USDC
+    value: type === 'percentage' ? `${rule.value.toString()} bps` : `${ethers.utils.formatUnits(rule.value, 6)} USDC`,
+    budgetLimit: rule.budgetLimit.isZero() ? null : ethers.utils.formatUnits(rule.budgetLimit, 6),
+    totalAllocated: ethers.utils.formatUnits(rule.totalAllocated, 6),
+    priority: rule.priority.toNumber(),
+    cooldownSeconds: rule.cooldownPeriod.toNumber(),
+    lastExecuted: rule.lastExecuted.isZero() ? null : new Date(rule.lastExecuted.toNumber() * 1000).toISOString(),
+    active: rule.active
+  };
+}
+
+/**
+ * @private
+ */
+function printRule(rule) {
+  console.log(`${rule.active ? '🟢' : '⏸️ '} Allocation rule #${rule.ruleId} (${rule.type}) → ${rule.recipient}`);
+  printFields([
+    ['Value', rule.value],
+    ['Budget', rule.budgetLimit ? `${rule.totalAllocated} of ${rule.budgetLimit} USDC allocated` : `${rule.totalAllocated} USDC allocated (no limit)`],
+    ['Priority', rule.priority],
+    ['Cooldown', `${rule.cooldownSeconds}s`],
+    ['Last executed', rule.lastExecuted || 'never']
+  ]);
+}
+
+/**
+ * Enable or disable
+ * @private
+ */
+function setActive(active) {
+  return {
+    args: ['ruleId'],
+    description: `${active ? 'Enable' : 'Disable'} an allocation rule`,
+    run: (ctx, [ruleId]) => ctx.write('updateAllocationRule', [parseInteger(ruleId, 'ruleId'), active]),
+    print: result => printWrite(`${active ? 'Enable' : 'Disable'} allocation rule #${result.args[0]}`, result)
+  };
+}
+
+module.exports = {
+  summary: 'Allocation rules',
+  subcommands: {
+    show: {
+      args: ['ruleId'],
+      description: 'Show an allocation rule',
+      async run(ctx, [ruleId]) {
+        const id = parseInteger(ruleId, 'ruleId');
+        return formatRule(id, await ctx.getContract().getAllocationRule(id));
+      },
+      print: printRule
+    },
+
+    eligible: {
+      description: 'List the allocation rules that would execute now',
+      async run(ctx) {
+        const contract = ctx.getContract();
+        const ruleIds = await contract.getEligibleAllocationRules();
+        return Promise.all(ruleIds.map(async ruleId => formatRule(ruleId, await contract.getAllocationRule(ruleId))));
+      },
+      print(rules) {
+        if (rules.length === 0) {
+          console.log('No eligible allocation rules');
+        }
+        rules.forEach(printRule);
+      }
+    },
+
+    create: {
+      args: ['recipient'],
+      options: {
+        type: { type: 'string' },
+        value: { type: 'string' },
+        budget: { type: 'string', default: '0' },
+        priority: { type: 'string', default: '1' },
+        cooldown: { type: 'string', default: '0' }
+      },
+      description: 'Create a rule: --type percentage --value <bps>, or --type fixed|threshold --value <USDC>; ' +
+        '[--budget <USDC>] [--priority <n>] [--cooldown <duration>]',
+      run(ctx, [recipient], values) {
+        if (!Object.keys(TYPE_NAMES).includes(values.type)) {
+          throw usageError(`--type must be one of ${Object.keys(TYPE_NAMES).join(', ')}`);
+        }
+        const value = values.type === 'percentage'
+          ? parseInteger(values.value, '--value (basis points)')
+          : parseAmount(values.value, '--value');
+
+        return ctx.write('createAllocationRule', [
+          parseAddress(recipient, 'recipient'),
+          TYPE_NAMES[values.type],
+          value,
+          parseAmount(values.budget, '--budget'),
+          parseInteger(values.priority, '--priority'),
+          parseDuration(values.cooldown, '--cooldown')
+        ]);
+      },
+      print: result => printWrite(`Create allocation rule for ${result.args[0]}`, result, 'Rule ID')
+    },
+
+    enable: setActive(true),
+    disable: setActive(false)
+  }
+};
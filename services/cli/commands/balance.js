@@ -0,0 +1,37 @@
+/**
+ * balance: Treasury contract balance, optionally with Circle Gateway multi-chain balances
+ */
+
+const { ethers } = require('ethers');
+const CircleGatewayService = require('../../circleGatewayService');
+const { printFields } = require('../output');
+
+module.exports = {
+  summary: 'Treasury balance',
+  options: { gateway: { type: 'boolean', default: false } },
+  description: 'Treasury USDC balance (--gateway adds Circle Gateway balances per chain)',
+  async run(ctx, args, values) {
+    const contract = ctx.getContract();
+    const balance = await contract.getBalance();
+    const result = {
+      treasuryAddress: contract.address,
+      balance: ethers.utils.formatUnits(balance, 6),
+      balanceRaw: balance.toString(),
+      gateway: null
+    };
+
+    if (values.gateway) {
+      const gateway = CircleGatewayService.fromConfig(ctx.config);
+      result.gateway = await gateway.getMultiChainUSDCBalances(contract.address);
+    }
+
+    return result;
+  },
+  print(result) {
+    console.log(`💰 Treasury ${result.treasuryAddress}: ${result.balance} USDC`);
+    if (result.gateway) {
+      console.log(`\n🌐 Circle Gateway: ${result.gateway.totalUSDC} USDC across ${result.gateway.chains.length} chain(s)`);
+      printFields(result.gateway.chains.map(chain => [chain.chain, `${chain.balance} USDC (updated ${chain.lastUpdated})`]));
+    }
+  }
+};
@@ -0,0 +1,193 @@
+/**
+ * distribution-rule: time-based, balance-condition, percentage-based and batch distribution rules
+ */
+
+const { ethers } = require('ethers');
+const { parseAddress, parseAmount, parseDuration, parseInteger, usageError } = require('../context');
+const { printFields, printWrite } = require('../output');
+
+const KINDS = ['time', 'balance', 'percentage', 'batch'];
+
+/**
+ * @private
+ */
+function formatRule(ruleId, rule) {
+  return {
+    ruleId: ruleId.toString(),
+    ruleType: rule.ruleType,
+    recipients: rule.recipients,
+    amounts: rule.usePercentages ? null : rule.amounts.map(amount => ethers.utils.formatUnits(amount, 6)),
+    percentagesBps: rule.usePercentages ? rule.percentages.map(bps => bps.toNumber()) : null,
+    intervalSeconds: rule.interval.toNumber(),
+    balanceCondition: rule.balanceCondition,
+    balanceThreshold: ethers.utils.formatUnits(rule.balanceThreshold, 6),
+    maxTotalDistribution: rule.maxTotalDistribution.isZero() ? null : ethers.utils.formatUnits(rule.maxTotalDistribution, 6),
+    totalDistributed: ethers.utils.formatUnits(rule.totalDistributed, 6),
+    priority: rule.priority.toNumber(),
+    cooldownSeconds: rule.cooldownPeriod.toNumber(),
+    lastExecuted: rule.lastExecuted.isZero() ? null : new Date(rule.lastExecuted.toNumber() * 1000).toISOString(),
+    active: rule.active
+  };
+}
+
+/**
+ * @private
+ */
+function printRule(rule) {
+  console.log(`${rule.active ? '🟢' : '⏸️ '} Distribution rule #${rule.ruleId} (type ${rule.ruleType})`);
+  const payouts = rule.recipients.map((recipient, index) => rule.amounts
+    ? `${recipient} ${rule.amounts[index]} USDC`
+    : `${recipient} ${rule.percentagesBps[index]} bps`);
+  printFields([
+    ['Pays', payouts],
+    ['Interval', rule.intervalSeconds > 0 ? `${rule.intervalSeconds}s` : null],
+    ['Budget', rule.maxTotalDistribution ? `${rule.totalDistributed} of ${rule.maxTotalDistribution} USDC distributed` : `${rule.totalDistributed} USDC distributed (no limit)`],
+    ['Priority', rule.priority],
+    ['Cooldown', `${rule.cooldownSeconds}s`],
+    ['Last executed', rule.lastExecuted || 'never']
+  ]);
+}
+
+/**
+ * @private
+ */
+function list(value, name, parse) {
+  if (!value) {
+    throw usageError(`${name} is required`);
+  }
+  return value.split(',').map(item => parse(item.trim(), name));
+}
+
+/**
+ * Arguments for the create function of each kind
+ * @private
+ */
+function createCall(kind, [recipient, amount], values) {
+  const limits = [
+    parseAmount(values['max-total'], '--max-total'),
+    parseInteger(values.priority, '--priority'),
+    parseDuration(values.cooldown, '--cooldown')
+  ];
+
+  if (kind !== 'batch' && !recipient) {
+    throw usageError(`distribution-rule create ${kind} needs a <recipient>`);
+  }
+  if ((kind === 'time' || kind === 'balance') && !amount) {
+    throw usageError(`distribution-rule create ${kind} needs an <amount>`);
+  }
+
+  switch (kind) {
+    case 'time':
+      return ['createTimeBasedDistributionRule', [
+        parseAddress(recipient, 'recipient'),
+        parseAmount(amount),
+        parseDuration(values.interval, '--interval'),
+        ...limits
+      ]];
+    case 'balance':
+      return ['createBalanceConditionDistributionRule', [
+        parseAddress(recipient, 'recipient'),
+        parseAmount(amount),
+        parseInteger(values.condition, '--condition').toNumber(),
+        parseAmount(values.threshold, '--threshold'),
+        ...limits
+      ]];
+    case 'percentage':
+      return ['createPercentageBasedDistributionRule', [
+        parseAddress(recipient, 'recipient'),
+        parseInteger(amount, '<bps>'),
+        ...limits
+      ]];
+    case 'batch': {
+      const recipients = list(values.recipients, '--recipients', parseAddress);
+      const usePercentages = !!values.percentages;
+      const shares = usePercentages
+        ? list(values.percentages, '--percentages', parseInteger)
+        : list(values.amounts, '--amounts', parseAmount);
+      if (shares.length !== recipients.length) {
+        throw usageError(`--recipients has ${recipients.length} entries but ${usePercentages ? '--percentages' : '--amounts'} has ${shares.length}`);
+      }
+      return ['createBatchDistributionRule', [
+        recipients,
+        usePercentages ? [] : shares,
+        usePercentages ? shares : [],
+        usePercentages,
+        ...limits
+      ]];
+    }
+    default:
+      throw usageError(`Rule kind must be one of ${KINDS.join(', ')}`);
+  }
+}
+
+/**
+ * Enable or disable
+ * @private
+ */
+function setActive(active) {
+  return {
+    args: ['ruleId'],
+    description: `${active ? 'Enable' : 'Disable'} a distribution rule`,
+    run: (ctx, [ruleId]) => ctx.write('updateDistributionRule', [parseInteger(ruleId, 'ruleId'), active]),
+    print: result => printWrite(`${active ? 'Enable' : 'Disable'} distribution rule #${result.args[0]}`, result)
+  };
+}
+
+module.exports = {
+  summary: 'Distribution rules',
+  subcommands: {
+    show: {
+      args: ['ruleId'],
+      description: 'Show a distribution rule',
+      async run(ctx, [ruleId]) {
+        const id = parseInteger(ruleId, 'ruleId');
+        return formatRule(id, await ctx.getContract().getDistributionRule(id));
+      },
+      print: printRule
+    },
+
+    eligible: {
+      description: 'List the distribution rules that would execute now',
+      async run(ctx) {
+        const contract = ctx.getContract();
+        const ruleIds = await contract.getEligibleDistributionRules();
+        return Promise.all(ruleIds.map(async ruleId => formatRule(ruleId, await contract.getDistributionRule(ruleId))));
+      },
+      print(rules) {
+        if (rules.length === 0) {
+          console.log('No eligible distribution rules');
+        }
+        rules.forEach(printRule);
+      }
+    },
+
+    create: {
+      args: ['kind', 'recipient?', 'amount?'],
+      options: {
+        interval: { type: 'string' },
+        condition: { type: 'string' },
+        threshold: { type: 'string' },
+        recipients: { type: 'string' },
+        amounts: { type: 'string' },
+        percentages: { type: 'string' },
+        'max-total': { type: 'string', default: '0' },
+        priority: { type: 'string', default: '1' },
+        cooldown: { type: 'string', default: '0' }
+      },
+      description: 'Create a rule of one kind:\n' +
+        '      time <recipient> <amount> --interval <duration>\n' +
+        '      balance <recipient> <amount> --condition <Treasury.BalanceCondition value> --threshold <USDC>\n' +
+        '      percentage <recipient> <bps>\n' +
+        '      batch --recipients <a,b> (--amounts <x,y> | --percentages <bps,bps>)\n' +
+        '    All kinds take [--max-total <USDC>] [--priority <n>] [--cooldown <duration>]',
+      run(ctx, [kind, ...args], values) {
+        const [method, callArgs] = createCall(kind, args, values);
+        return ctx.write(method, callArgs);
+      },
+      print: result => printWrite(`Create distribution rule (${result.method})`, result, 'Rule ID')
+    },
+
+    enable: setActive(true),
+    disable: setActive(false)
+  }
+};
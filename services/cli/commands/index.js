@@ -0,0 +1,12 @@
+/**
+ * CLI commands by name
+ */
+
+module.exports = {
+  balance: require('./balance'),
+  proposal: require('./proposal'),
+  schedule: require('./schedule'),
+  'allocation-rule': require('./allocationRule'),
+  'distribution-rule': require('./distributionRule'),
+  run: require('./run')
+};
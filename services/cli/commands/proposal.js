@@ -0,0 +1,84 @@
+/**
+ * proposal: multisig transactions (propose, confirm, revoke, execute, show)
+ */
+
+const { ethers } = require('ethers');
+const { parseAddress, parseAmount, parseTxId, usageError } = require('../context');
+const { printFields, printWrite } = require('../output');
+
+module.exports = {
+  summary: 'Multisig transaction proposals',
+  subcommands: {
+    propose: {
+      args: ['to', 'amount'],
+      options: { data: { type: 'string', default: '0x' } },
+      description: 'Propose sending <amount> USDC to <to> (--data for calldata); prints the transaction ID',
+      async run(ctx, [to, amount], values) {
+        if (!ethers.utils.isHexString(values.data)) {
+          throw usageError(`--data must be hex (got "${values.data}")`);
+        }
+        return ctx.write('proposeTransaction', [parseAddress(to, 'to'), parseAmount(amount), values.data]);
+      },
+      print(result) {
+        const [to, amount] = result.args;
+        printWrite(`Propose ${ethers.utils.formatUnits(amount, 6)} USDC to ${to}`, result, 'Transaction ID');
+      }
+    },
+
+    confirm: {
+      args: ['txId'],
+      description: 'Confirm a proposed transaction (executes once enough signers confirm)',
+      run: (ctx, [txId]) => ctx.write('confirmTransaction', [parseTxId(txId)]),
+      print: result => printWrite(`Confirm ${result.args[0]}`, result)
+    },
+
+    revoke: {
+      args: ['txId'],
+      description: 'Revoke your confirmation of a transaction',
+      run: (ctx, [txId]) => ctx.write('revokeConfirmation', [parseTxId(txId)]),
+      print: result => printWrite(`Revoke confirmation of ${result.args[0]}`, result)
+    },
+
+    execute: {
+      args: ['txId'],
+      description: 'Execute a fully confirmed transaction',
+      run: (ctx, [txId]) => ctx.write('executeTransaction', [parseTxId(txId)]),
+      print: result => printWrite(`Execute ${result.args[0]}`, result)
+    },
+
+    show: {
+      args: ['txId'],
+      options: { signer: { type: 'string' } },
+      description: 'Show a transaction and whether --signer (default: your signer) has confirmed it',
+      async run(ctx, [txId], values) {
+        const contract = ctx.getContract();
+        const id = parseTxId(txId);
+        const transaction = await contract.getTransaction(id);
+        const signer = values.signer ? parseAddress(values.signer, '--signer') : await ctx.getSenderAddress();
+
+        return {
+          txId: id,
+          to: transaction.to,
+          amount: ethers.utils.formatUnits(transaction.amount, 6),
+          amountRaw: transaction.amount.toString(),
+          data: transaction.data,
+          executed: transaction.executed,
+          confirmations: transaction.confirmations.toNumber(),
+          signer,
+          confirmedBySigner: signer ? await contract.isConfirmed(id, signer) : null
+        };
+      },
+      print(result) {
+        console.log(`📝 Transaction ${result.txId}`);
+        printFields([
+          ['To', result.to],
+          ['Amount', `${result.amount} USDC`],
+          ['Data', result.data === '0x' ? null : result.data],
+          ['Confirmations', result.confirmations],
+          ['Executed', result.executed ? 'yes' : 'no'],
+          ['Signer confirmed', result.signer ? `${result.confirmedBySigner ? 'yes' : 'no'} (${result.signer})` : null]
+        ]);
+      }
+    }
+  }
+};
@@ -0,0 +1,93 @@
+/**
+ * run: one automation pass over schedules, distribution rules and allocation rules
+ * Live runs take the execution lock and record to the idempotency ledger, exactly
+ * like a cron tick of the automation service.
+ */
+
+const PayrollAutomationService = require('../../payrollAutomation');
+const { usageError } = require('../context');
+const { printFields } = require('../output');
+
+/**
+ * @private
+ */
+function printRuleResult(label, result, dryRun) {
+  if (!result || !result.ruleIds) {
+    console.log(`${label}: none eligible`);
+    return;
+  }
+  if (dryRun) {
+    const outcome = result.wouldExecute ? `would execute (gas ≈ ${result.estimatedGas})` : `would revert: ${result.revertReason}`;
+    console.log(`${label}: [${result.ruleIds.join(', ')}] ${result.ruleIds.length > 0 ? outcome : 'none compliant'}`);
+  } else {
+    console.log(`${label}: ${result.rulesExecuted || 0} executed [${result.ruleIds.join(', ')}]${result.txHash ? ` in ${result.txHash}` : ''}`);
+  }
+  (result.skipped || []).forEach(rule => console.log(`   rule ${rule.ruleId}: excluded (${rule.reason})`));
+}
+
+/**
+ * Live runs sign with the operator wallet. Dry runs only simulate, so they get no
+ * private key and act as --from (or the signer's address) over a read-only provider.
+ * @private
+ */
+async function automationConfig(ctx) {
+  if (!ctx.dryRun) {
+    const signer = await ctx.getSigner();
+    return { ...ctx.config, privateKey: signer.privateKey };
+  }
+
+  const from = await ctx.getSenderAddress();
+  if (!from) {
+    throw usageError('--dry-run needs a signer or --from <address> to simulate as');
+  }
+  return { ...ctx.config, privateKey: undefined, fromAddress: from };
+}
+
+module.exports = {
+  summary: 'One-shot automation run',
+  description: 'Check and execute due schedules and eligible rules once (--dry-run simulates them)',
+  async run(ctx) {
+    const automation = new PayrollAutomationService(await automationConfig(ctx));
+    await automation.initialize();
+
+    try {
+      const report = await automation.checkAndExecuteDistributions({ dryRun: ctx.dryRun });
+      if (report.error || report.skipped) {
+        const error = new Error(report.error || `Run skipped: ${report.reason}`);
+        error.result = report;
+        throw error;
+      }
+      return report;
+    } finally {
+      await automation.stop();
+    }
+  },
+  print(report) {
+    console.log(`\n${report.dryRun ? '🧪 Dry run' : '🤖 Automation run'} at ${report.startedAt}`);
+    printFields([
+      ['Treasury balance', `${report.treasuryBalance} USDC`],
+      ['Duration', `${report.durationSeconds.toFixed(2)}s`]
+    ]);
+
+    const scheduled = report.scheduled || {};
+    console.log(`\nScheduled distributions:`);
+    (scheduled.results || []).forEach(result => {
+      const outcome = report.dryRun
+        ? (result.wouldExecute ? `would execute (gas ≈ ${result.estimatedGas})` : `would revert: ${result.revertReason}`)
+        : `executed in ${result.txHash}`;
+      console.log(`   #${result.scheduleId} → ${result.recipient} ${result.amount} USDC: ${outcome}`);
+    });
+    (scheduled.skipped || []).forEach(result => {
+      console.log(`   #${result.scheduleId} → ${result.recipient} ${result.amount} USDC: skipped (${result.reason})`);
+    });
+    (scheduled.failed || []).forEach(result => console.log(`   #${result.scheduleId}: error (${result.error})`));
+    if ((scheduled.results || []).length + (scheduled.skipped || []).length + (scheduled.failed || []).length === 0) {
+      console.log('   none due');
+    }
+
+    console.log('');
+    printRuleResult('Distribution rules', report.distributionRules, report.dryRun);
+    printRuleResult('Allocation rules', report.allocationRules, report.dryRun);
+    console.log(`\nTotal ${report.dryRun ? 'that would execute' : 'executed'}: ${report.totalExecuted}`);
+  }
+};
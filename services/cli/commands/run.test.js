@@ -0,0 +1,67 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const PayrollAutomationService = require('../../payrollAutomation');
+const runCommand = require('./run');
+
+const FROM = '0x00000000000000000000000000000000000000F1';
+const PRIVATE_KEY = `0x${'1'.repeat(64)}`;
+
+describe('treasury run', () => {
+  let configs;
+  let runOptions;
+
+  beforeEach(() => {
+    configs = [];
+    runOptions = [];
+    mock.method(PayrollAutomationService.prototype, 'initialize', async function () {
+      configs.push(this.config);
+    });
+    mock.method(PayrollAutomationService.prototype, 'checkAndExecuteDistributions', async options => {
+      runOptions.push(options);
+      return { dryRun: options.dryRun, startedAt: new Date().toISOString() };
+    });
+    mock.method(PayrollAutomationService.prototype, 'stop', async () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  function context(overrides) {
+    return {
+      config: { rpcUrl: 'http://127.0.0.1:8545', treasuryAddress: FROM, privateKey: PRIVATE_KEY },
+      getSigner: async () => {
+        throw new Error('the signer must not be loaded');
+      },
+      getSenderAddress: async () => FROM,
+      ...overrides
+    };
+  }
+
+  it('simulates as the sender address without loading the signer on --dry-run', async () => {
+    const report = await runCommand.run(context({ dryRun: true }));
+
+    assert.equal(report.dryRun, true);
+    assert.deepEqual(runOptions, [{ dryRun: true }]);
+    assert.equal(configs[0].fromAddress, FROM);
+    assert.equal(configs[0].privateKey, undefined);
+  });
+
+  it('needs --from or a signer address for a dry run', async () => {
+    await assert.rejects(
+      runCommand.run(context({ dryRun: true, getSenderAddress: async () => null })),
+      error => error.usage === true && /--from/.test(error.message)
+    );
+  });
+
+  it('signs live runs with the operator wallet', async () => {
+    await runCommand.run(context({
+      dryRun: false,
+      getSigner: async () => ({ address: FROM, privateKey: PRIVATE_KEY })
+    }));
+
+    assert.equal(configs[0].privateKey, PRIVATE_KEY);
+    assert.equal(configs[0].fromAddress, undefined);
+    assert.deepEqual(runOptions, [{ dryRun: false }]);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * schedule: scheduled distributions (payroll)
+ */
+
+const { ethers } = require('ethers');
+const PayrollAutomationService = require('../../payrollAutomation');
+const { parseAddress, parseAmount, parseDuration, parseInteger } = require('../context');
+const { printFields, printWrite } = require('../output');
+
+/**
+ * @private
+ */
+function printSchedules(schedules) {
+  if (schedules.length === 0) {
+    console.log('No scheduled distributions');
+    return;
+  }
+  schedules.forEach(schedule => {
+    const state = schedule.active ? '🟢' : '⏸️ ';
+    console.log(`${state} #${schedule.scheduleId} → ${schedule.recipient} ${schedule.amount} USDC every ${schedule.interval}s`);
+    printFields([
+      ['Next', schedule.nextDistributionISO],
+      ['Distributed', `${schedule.totalDistributed} USDC`]
+    ], '     ');
+  });
+}
+
+/**
+ * Pause or resume
+ * @private
+ */
+function setActive(active) {
+  return {
+    args: ['scheduleId'],
+    description: `${active ? 'Resume' : 'Pause'} a scheduled distribution`,
+    run: (ctx, [scheduleId]) => ctx.write('updateScheduledDistribution', [parseInteger(scheduleId, 'scheduleId'), active]),
+    print: result => printWrite(`${active ? 'Resume' : 'Pause'} schedule #${result.args[0]}`, result)
+  };
+}
+
+module.exports = {
+  summary: 'Scheduled distributions (payroll)',
+  subcommands: {
+    list: {
+      options: { recipient: { type: 'string' } },
+      description: 'List scheduled distributions (--recipient to filter)',
+      async run(ctx, args, values) {
+        // The automation service's scan only needs a contract to read from
+        const automation = new PayrollAutomationService(ctx.config);
+        automation.treasuryContract = ctx.getContract();
+
+        const schedules = await automation.listScheduledDistributions();
+        if (!values.recipient) {
+          return schedules;
+        }
+        const recipient = parseAddress(values.recipient, '--recipient');
+        return schedules.filter(schedule => schedule.recipient === recipient);
+      },
+      print: printSchedules
+    },
+
+    create: {
+      args: ['recipient', 'amount', 'interval'],
+      description: 'Pay <amount> USDC to <recipient> every <interval> (seconds, or e.g. 14d, 1w)',
+      run: (ctx, [recipient, amount, interval]) => ctx.write('createScheduledDistribution', [
+        parseAddress(recipient, 'recipient'),
+        parseAmount(amount),
+        parseDuration(interval, 'interval')
+      ]),
+      print(result) {
+        const [recipient, amount, interval] = result.args;
+        printWrite(`Schedule ${ethers.utils.formatUnits(amount, 6)} USDC to ${recipient} every ${interval}s`, result, 'Schedule ID');
+      }
+    },
+
+    pause: setActive(false),
+    resume: setActive(true)
+  }
+};
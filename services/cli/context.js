@@ -0,0 +1,273 @@
+/**
+ * CLI Context
+ * Configuration, provider, signer and Treasury contract shared by the CLI commands,
+ * and the write path every state-changing command goes through: simulate with
+ * callStatic/estimateGas, then (unless --dry-run) send via the TransactionManager
+ */
+
+const { ethers } = require('ethers');
+const TransactionManager = require('../transactionManager');
+const TREASURY_CLI_ABI = require('./abi');
+const { loadSigner } = require('./signer');
+const { networkConfig, assertChain } = require('../networks');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// ethers error codes for a call the contract rejects (anything else is a connection problem)
+const REVERT_CODES = ['CALL_EXCEPTION', 'UNPREDICTABLE_GAS_LIMIT'];
+
+/**
+ * Service configuration from the environment (same variables as automationRunner.js)
+ * @param {Object} overrides - Command-line overrides (network, rpcUrl, treasuryAddress)
+ */
+function loadConfig(overrides = {}) {
+  return {
+    ...networkConfig(overrides),
+    privateKey: process.env.PRIVATE_KEY,
+
+    circleGatewayApiKey: process.env.CIRCLE_GATEWAY_API_KEY || 'mock-api-key',
+    circleGatewayBaseUrl: process.env.CIRCLE_GATEWAY_BASE_URL || 'https://api.circle.com/v1',
+    complianceProvider: process.env.COMPLIANCE_PROVIDER || 'mock',
+    complianceFixtures: process.env.COMPLIANCE_FIXTURES,
+    circleGatewayTimeoutMs: parseInt(process.env.CIRCLE_GATEWAY_TIMEOUT_MS || '10000', 10),
+    circleGatewayMaxRetries: parseInt(process.env.CIRCLE_GATEWAY_MAX_RETRIES || '3', 10),
+
+    requireKYC: process.env.REQUIRE_KYC === 'true',
+    requireAML: process.env.REQUIRE_AML === 'true',
+    denylistDir: process.env.DENYLIST_DIR,
+
+    gasMarginPercent: parseInt(process.env.GAS_MARGIN_PERCENT || '20', 10),
+    txConfirmationTimeoutMs: parseInt(process.env.TX_CONFIRMATION_TIMEOUT_MS || '120000', 10),
+    txMaxReplacements: parseInt(process.env.TX_MAX_REPLACEMENTS || '3', 10),
+    txFeeBumpPercent: parseInt(process.env.TX_FEE_BUMP_PERCENT || '15', 10),
+
+    mongoUri: process.env.MONGODB_URI,
+    lockBackend: process.env.EXECUTION_LOCK_BACKEND || 'file',
+    lockLeaseMs: parseInt(process.env.EXECUTION_LOCK_LEASE_MS || '600000', 10),
+    lockFile: process.env.EXECUTION_LOCK_FILE,
+    ledgerFile: process.env.IDEMPOTENCY_LEDGER_FILE
+  };
+}
+
+/**
+ * Usage error (exit code 2)
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Parse a USDC amount ("1500", "1500.25") to 6-decimal base units
+ */
+function parseAmount(value, name = 'amount') {
+  if (!/^\d+(\.\d{1,6})?$/.test(value || '')) {
+    throw usageError(`${name} must be a USDC amount with up to 6 decimals (got "${value}")`);
+  }
+  return ethers.utils.parseUnits(value, 6);
+}
+
+/**
+ * Parse a duration in seconds, or with an s/m/h/d/w suffix ("30d")
+ * @returns {number} Seconds
+ */
+function parseDuration(value, name = 'duration') {
+  const match = /^(\d+)([smhdw]?)$/.exec(value || '');
+  if (!match) {
+    throw usageError(`${name} must be seconds or a number with an s/m/h/d/w suffix (got "${value}")`);
+  }
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Parse a non-negative integer (IDs, priorities, basis points)
+ */
+function parseInteger(value, name) {
+  if (!/^\d+$/.test(value || '')) {
+    throw usageError(`${name} must be a non-negative integer (got "${value}")`);
+  }
+  return ethers.BigNumber.from(value);
+}
+
+function parseAddress(value, name = 'address') {
+  if (!ethers.utils.isAddress(value || '')) {
+    throw usageError(`${name} must be an address (got "${value}")`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Multisig transaction IDs are bytes32
+ */
+function parseTxId(value) {
+  if (!ethers.utils.isHexString(value || '', 32)) {
+    throw usageError(`txId must be a 32-byte hex string (got "${value}")`);
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function display(value) {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (Array.isArray(value)) return value.map(display);
+  return value;
+}
+
+class CliContext {
+  /**
+   * @param {Object} options - Global CLI options { network, rpcUrl, treasury, keystore, passwordFile, from, dryRun, json }
+   */
+  constructor(options = {}) {
+    this.options = options;
+    try {
+      this.config = loadConfig({ network: options.network, rpcUrl: options.rpcUrl, treasuryAddress: options.treasury });
+    } catch (error) {
+      throw usageError(error.message);
+    }
+    this.dryRun = !!options.dryRun;
+    this.provider = null;
+    this.signer = undefined;
+    this.contract = null;
+  }
+
+  /**
+   * Read-only Treasury contract
+   */
+  getContract() {
+    if (!this.contract) {
+      if (!this.config.treasuryAddress) {
+        throw usageError('TREASURY_ADDRESS environment variable (or --treasury) is required');
+      }
+      this.provider = this.provider || new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
+      this.contract = new ethers.Contract(this.config.treasuryAddress, TREASURY_CLI_ABI, this.provider);
+    }
+    return this.contract;
+  }
+
+  /**
+   * Operator wallet (keystore or PRIVATE_KEY), loaded once
+   * @param {boolean} required - Throw if no signer is configured
+   */
+  async getSigner(required = true) {
+    if (this.signer === undefined) {
+      this.getContract();
+      this.signer = await loadSigner({
+        keystore: this.options.keystore || process.env.TREASURY_KEYSTORE,
+        passwordFile: this.options.passwordFile,
+        privateKey: this.config.privateKey
+      }, this.provider);
+    }
+    if (!this.signer && required) {
+      throw usageError('A signer is required: use --keystore <file> (or TREASURY_KEYSTORE) or set PRIVATE_KEY');
+    }
+    return this.signer;
+  }
+
+  /**
+   * Address reads and simulations act as: --from, else the signer
+   */
+  async getSenderAddress() {
+    if (this.options.from) {
+      return parseAddress(this.options.from, '--from');
+    }
+    const signer = await this.getSigner(false);
+    return signer ? signer.address : null;
+  }
+
+  /**
+   * Call a state-changing Treasury function
+   * The call is always simulated first so reverts surface with their reason before
+   * anything is signed. With --dry-run the simulation is the result; a dry run needs
+   * no signer when --from names the address to simulate as.
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} { dryRun, method, args, from, returnValue, estimatedGas, ... }
+   */
+  async write(method, args) {
+    const contract = this.getContract();
+    const from = this.dryRun ? await this.getSenderAddress() : (await this.getSigner()).address;
+    if (!from) {
+      throw usageError('--dry-run needs a signer or --from <address> to simulate as');
+    }
+
+    const result = {
+      dryRun: this.dryRun,
+      method,
+      args: display(args),
+      from,
+      to: contract.address
+    };
+
+    let returnValue;
+    let estimatedGas;
+    try {
+      returnValue = await contract.callStatic[method](...args, { from });
+      estimatedGas = await contract.estimateGas[method](...args, { from });
+    } catch (error) {
+      if (!REVERT_CODES.includes(error.code)) {
+        throw error;
+      }
+      const reason = error.reason
+        || (error.error && error.error.reason)
+        || (error.error && error.error.message)
+        || error.message;
+      const revert = new Error(`${method} would revert: ${reason}`);
+      revert.status = 422;
+      revert.result = { ...result, wouldExecute: false, revertReason: reason };
+      throw revert;
+    }
+
+    result.returnValue = returnValue === undefined || returnValue === null ? null : display(returnValue);
+    result.estimatedGas = estimatedGas.toString();
+
+    if (this.dryRun) {
+      const populated = await contract.populateTransaction[method](...args);
+      return { ...result, wouldExecute: true, data: populated.data };
+    }
+
+    const signer = await this.getSigner();
+    await assertChain(this.provider, this.config);
+    const txManager = new TransactionManager(signer, {
+      gasMarginPercent: this.config.gasMarginPercent,
+      confirmationTimeoutMs: this.config.txConfirmationTimeoutMs,
+      maxReplacements: this.config.txMaxReplacements,
+      feeBumpPercent: this.config.txFeeBumpPercent
+    });
+    await txManager.initialize();
+
+    const tracked = await txManager.send(contract.connect(signer), method, args);
+    console.log(`   ✓ Transaction submitted: ${tracked.hashes[0]} (nonce ${tracked.nonce})`);
+    console.log(`   ⏳ Waiting for confirmation...`);
+
+    const outcome = await tracked.result;
+    if (outcome.status !== 'confirmed') {
+      const error = new Error(`Transaction ${outcome.hash} ${outcome.status}`);
+      error.result = { ...result, hash: outcome.hash, status: outcome.status };
+      throw error;
+    }
+
+    return {
+      ...result,
+      status: outcome.status,
+      hash: outcome.hash,
+      blockNumber: outcome.blockNumber,
+      gasUsed: outcome.gasUsed,
+      replacements: outcome.replacements
+    };
+  }
+}
+
+module.exports = {
+  CliContext,
+  loadConfig,
+  usageError,
+  parseAmount,
+  parseDuration,
+  parseInteger,
+  parseAddress,
+  parseTxId
+};
@@ -0,0 +1,50 @@
+/**
+ * CLI Output
+ * Human-readable printers shared by the commands (--json prints results as-is)
+ */
+
+/**
+ * Print aligned "label: value" lines
+ * @param {Array<Array>} fields - [label, value] pairs; null/undefined values are skipped
+ */
+function printFields(fields, indent = '   ') {
+  const shown = fields.filter(([, value]) => value !== undefined && value !== null);
+  const width = Math.max(0, ...shown.map(([label]) => label.length));
+  shown.forEach(([label, value]) => {
+    console.log(`${indent}${`${label}:`.padEnd(width + 1)} ${Array.isArray(value) ? value.join(', ') : value}`);
+  });
+}
+
+/**
+ * Print the result of CliContext.write
+ * @param {string} title - What the write does, e.g. "Pause schedule #3"
+ * @param {Object} result - Write result
+ * @param {string} returnLabel - Name for the function's return value (e.g. "Schedule ID")
+ */
+function printWrite(title, result, returnLabel = 'Return value') {
+  if (result.dryRun) {
+    console.log(`🧪 ${title} (dry run): would succeed`);
+    printFields([
+      ['From', result.from],
+      ['Contract', result.to],
+      [returnLabel, result.returnValue],
+      ['Estimated gas', result.estimatedGas],
+      ['Calldata', result.data]
+    ]);
+    return;
+  }
+
+  console.log(`✅ ${title}`);
+  printFields([
+    ['From', result.from],
+    [returnLabel, result.returnValue],
+    ['Transaction', result.hash],
+    ['Block', result.blockNumber],
+    ['Gas used', result.gasUsed]
+  ]);
+}
+
+module.exports = {
+  printFields,
+  printWrite
+};
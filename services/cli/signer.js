@@ -0,0 +1,87 @@
+/**
+ * CLI Signer
+ * Loads the operator wallet from an encrypted JSON keystore, or from PRIVATE_KEY
+ *
+ * The keystore password is read from TREASURY_KEYSTORE_PASSWORD, a password file,
+ * or an interactive prompt (in that order).
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { ethers } = require('ethers');
+
+/**
+ * Prompt for a password without echoing it
+ * @private
+ */
+function promptPassword(question) {
+  if (!process.stdin.isTTY) {
+    const error = new Error('Keystore password required: set TREASURY_KEYSTORE_PASSWORD or use --password-file');
+    error.status = 400;
+    return Promise.reject(error);
+  }
+
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    // Print the question once, then swallow the echoed keystrokes
+    process.stderr.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', password => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(password);
+    });
+  });
+}
+
+/**
+ * @private
+ */
+async function keystorePassword(options) {
+  if (process.env.TREASURY_KEYSTORE_PASSWORD) {
+    return process.env.TREASURY_KEYSTORE_PASSWORD;
+  }
+  if (options.passwordFile) {
+    return fs.readFileSync(options.passwordFile, 'utf8').replace(/\r?\n$/, '');
+  }
+  return promptPassword(`Password for ${options.keystore}: `);
+}
+
+/**
+ * Load the signer
+ * @param {Object} options - { keystore, passwordFile, privateKey }
+ * @param {ethers.providers.Provider} provider
+ * @returns {Promise<ethers.Wallet|null>} Connected wallet, or null if none is configured
+ */
+async function loadSigner(options, provider) {
+  if (options.keystore) {
+    let json;
+    try {
+      json = fs.readFileSync(options.keystore, 'utf8');
+    } catch (error) {
+      error.message = `Cannot read keystore ${options.keystore}: ${error.message}`;
+      error.status = 400;
+      throw error;
+    }
+
+    const password = await keystorePassword(options);
+    try {
+      const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+      return wallet.connect(provider);
+    } catch (error) {
+      error.message = `Cannot decrypt keystore ${options.keystore}: ${error.message}`;
+      error.status = 401;
+      throw error;
+    }
+  }
+
+  if (options.privateKey) {
+    return new ethers.Wallet(options.privateKey, provider);
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadSigner
+};
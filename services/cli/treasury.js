@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Treasury CLI
+ * Day-to-day treasury operations: multisig proposals, schedules, allocation and
+ * distribution rules, balances and one-shot automation runs
+ *
+ * Usage: treasury <command> [subcommand] [args] [options]
+ * Or: npm run treasury -- <command> [subcommand] [args] [options]
+ *
+ * Every write is simulated first; --dry-run stops there and prints the simulation.
+ * --json prints results as JSON on stdout (progress logs go to stderr).
+ * Exit codes: 0 success, 1 failure, 2 usage error.
+ */
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const commands = require('./commands');
+const { CliContext, usageError } = require('./context');
+
+const GLOBAL_OPTIONS = {
+  json: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  keystore: { type: 'string' },
+  'password-file': { type: 'string' },
+  from: { type: 'string' },
+  network: { type: 'string' },
+  'rpc-url': { type: 'string' },
+  treasury: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const GLOBAL_HELP = `Global options:
+  --json                  Print results as JSON
+  --dry-run               Simulate writes (callStatic + estimateGas) without sending
+  --keystore <file>       Encrypted JSON keystore to sign with (or TREASURY_KEYSTORE; default PRIVATE_KEY)
+  --password-file <file>  Keystore password file (or TREASURY_KEYSTORE_PASSWORD; prompts otherwise)
+  --from <address>        Address to simulate as with --dry-run when no signer is configured
+  --network <id>          Network from config/networks.json (or NETWORK; default arc-testnet)
+  --rpc-url <url>         Override RPC_URL
+  --treasury <address>    Override TREASURY_ADDRESS`;
+
+/**
+ * @private
+ */
+function usageLine(name, subName, spec) {
+  const args = (spec.args || []).map(arg => (arg.endsWith('?') ? `[${arg.slice(0, -1)}]` : `<${arg}>`));
+  return ['treasury', name, subName, ...args].filter(Boolean).join(' ');
+}
+
+/**
+ * @private
+ */
+function help(name) {
+  const command = commands[name];
+  if (command) {
+    console.log(`${command.summary}\n`);
+    Object.entries(command.subcommands || { '': command }).forEach(([subName, spec]) => {
+      console.log(`  ${usageLine(name, subName, spec)}`);
+      console.log(`    ${spec.description}\n`);
+    });
+  } else {
+    console.log('Usage: treasury <command> [subcommand] [args] [options]\n\nCommands:');
+    Object.entries(commands).forEach(([commandName, spec]) => {
+      console.log(`  ${commandName.padEnd(18)} ${spec.summary}`);
+    });
+    console.log('\nRun `treasury <command> --help` for its subcommands.\n');
+  }
+  console.log(GLOBAL_HELP);
+}
+
+/**
+ * Resolve the command spec and parse its arguments
+ * @private
+ * @returns {Object} { spec, positionals, values } or { help } when help was asked for
+ */
+function parseCommand(argv) {
+  const [name, subName] = argv;
+  const command = commands[name];
+  if (!name || name === 'help' || name === '--help' || name === '-h') {
+    return { help: argv[1] || true };
+  }
+  if (!command) {
+    throw usageError(`Unknown command "${name}"`);
+  }
+
+  let spec = command;
+  let rest = argv.slice(1);
+  if (command.subcommands) {
+    if (!subName || subName === '--help' || subName === '-h') {
+      return { help: name };
+    }
+    spec = command.subcommands[subName];
+    if (!spec) {
+      throw usageError(`Unknown ${name} subcommand "${subName}" (use ${Object.keys(command.subcommands).join(', ')})`);
+    }
+    rest = argv.slice(2);
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...(spec.options || {}) }, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+  if (parsed.values.help) {
+    return { help: name };
+  }
+
+  const names = spec.args || [];
+  const required = names.filter(arg => !arg.endsWith('?')).length;
+  if (parsed.positionals.length < required || parsed.positionals.length > names.length) {
+    throw usageError(`Usage: ${usageLine(name, command.subcommands ? subName : null, spec)}`);
+  }
+
+  return { spec, positionals: parsed.positionals, values: parsed.values };
+}
+
+async function main(argv) {
+  const json = argv.includes('--json');
+  if (json) {
+    // Keep stdout for the JSON result; service progress logs go to stderr
+    console.log = console.error;
+    console.info = console.error;
+    console.warn = console.error;
+  }
+
+  let spec;
+  let result;
+  try {
+    const parsed = parseCommand(argv);
+    const { help: helpFor, positionals, values } = parsed;
+    spec = parsed.spec;
+    if (helpFor) {
+      help(helpFor === true ? null : helpFor);
+      return 0;
+    }
+
+    const ctx = new CliContext({
+      network: values.network,
+      rpcUrl: values['rpc-url'],
+      treasury: values.treasury,
+      keystore: values.keystore,
+      passwordFile: values['password-file'],
+      from: values.from,
+      dryRun: values['dry-run'],
+      json
+    });
+
+    result = await spec.run(ctx, positionals, values);
+  } catch (error) {
+    if (json) {
+      process.stdout.write(`${JSON.stringify({ error: error.message, ...(error.result ? { result: error.result } : {}) }, null, 2)}\n`);
+    } else {
+      console.error(`❌ ${error.message}`);
+      if (error.usage) {
+        console.error('Run `treasury --help` for usage.');
+      }
+    }
+    return error.usage ? 2 : 1;
+  }
+
+  if (json) {
+    process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    spec.print(result);
+  }
+  return 0;
+}
+
+module.exports = main;
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
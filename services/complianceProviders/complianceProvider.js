@@ -0,0 +1,52 @@
+/**
+ * Compliance Provider
+ * Interface implemented by every Circle Gateway backend (HTTP client, fixture mock).
+ * CircleGatewayService delegates to whichever provider the config selects.
+ */
+
+class ComplianceProvider {
+  /**
+   * Provider name, reported in logs and health output
+   */
+  get name() {
+    return 'abstract';
+  }
+
+  /**
+   * Fetch aggregated USDC balances across chains
+   * @param {string} walletAddress - Treasury wallet address
+   * @returns {Promise<Object>} { walletAddress, timestamp, totalUSDC, chains, metadata }
+   */
+  async getMultiChainUSDCBalances(walletAddress) {
+    throw new Error(`${this.constructor.name} does not implement getMultiChainUSDCBalances`);
+  }
+
+  /**
+   * Run KYC/AML/sanctions checks for a payment
+   * @param {Object} transactionData - { recipient, amount, source, idempotencyKey? }
+   * @returns {Promise<Object>} { transactionId, kycStatus, amlStatus, riskScore, sanctionsCheck, ... }
+   */
+  async performComplianceCheck(transactionData) {
+    throw new Error(`${this.constructor.name} does not implement performComplianceCheck`);
+  }
+
+  /**
+   * Look up a Circle Gateway transaction
+   * @param {string} circleTxId - Circle Gateway transaction ID
+   * @returns {Promise<Object>} Transaction status
+   */
+  async getTransactionStatus(circleTxId) {
+    throw new Error(`${this.constructor.name} does not implement getTransactionStatus`);
+  }
+
+  /**
+   * Submit a transaction to Circle Gateway
+   * @param {Object} transaction - { recipient, amount, chain?, idempotencyKey? }
+   * @returns {Promise<Object>} Submitted transaction
+   */
+  async submitTransaction(transaction) {
+    throw new Error(`${this.constructor.name} does not implement submitTransaction`);
+  }
+}
+
+module.exports = ComplianceProvider;
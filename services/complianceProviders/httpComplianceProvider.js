@@ -0,0 +1,142 @@
+/**
+ * HTTP Compliance Provider
+ * Circle Gateway REST client with per-request timeouts, retries with exponential
+ * backoff, and idempotency keys on every write so a retried request is never
+ * processed twice
+ *
+ * Endpoints (relative to the base URL, responses wrapped in `{ data }`):
+ * - GET  /wallets/:address/balances
+ * - POST /compliance/checks
+ * - GET  /transactions/:id
+ * - POST /transactions
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const ComplianceProvider = require('./complianceProvider');
+
+// Network-level failures worth retrying (the request may never have reached the server)
+const RETRYABLE_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const MAX_RETRY_AFTER_MS = 30000;
+
+class HttpComplianceProvider extends ComplianceProvider {
+  /**
+   * @param {Object} options - { apiKey, baseUrl, timeoutMs, maxRetries, retryDelayMs }
+   */
+  constructor(options = {}) {
+    super();
+    this.baseUrl = options.baseUrl || 'https://api.circle.com/v1';
+    this.maxRetries = options.maxRetries ?? 3;
+    this.retryDelayMs = options.retryDelayMs ?? 500;
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      headers: {
+        'Authorization': `Bearer ${options.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: options.timeoutMs || 10000
+    });
+  }
+
+  get name() {
+    return 'http';
+  }
+
+  async getMultiChainUSDCBalances(walletAddress) {
+    return this._request('get', `/wallets/${encodeURIComponent(walletAddress)}/balances`);
+  }
+
+  async performComplianceCheck(transactionData) {
+    const { recipient, amount, source, idempotencyKey } = transactionData;
+    return this._request('post', '/compliance/checks', {
+      data: { recipient, amount, source },
+      idempotencyKey
+    });
+  }
+
+  async getTransactionStatus(circleTxId) {
+    return this._request('get', `/transactions/${encodeURIComponent(circleTxId)}`);
+  }
+
+  async submitTransaction(transaction) {
+    const { recipient, amount, chain = 'arc', idempotencyKey } = transaction;
+    return this._request('post', '/transactions', {
+      data: { recipient, amount, chain },
+      idempotencyKey
+    });
+  }
+
+  /**
+   * Send a request, retrying transient failures
+   * Writes carry an Idempotency-Key that stays the same across retries
+   * @private
+   */
+  async _request(method, url, { data, idempotencyKey } = {}) {
+    const headers = {};
+    if (method !== 'get') {
+      headers['Idempotency-Key'] = idempotencyKey || crypto.randomUUID();
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.client.request({ method, url, data, headers });
+        const body = response.data;
+        return body && body.data !== undefined ? body.data : body;
+      } catch (error) {
+        if (attempt >= this.maxRetries || !this._isRetryable(error)) {
+          throw this._toError(error, method, url, attempt + 1);
+        }
+
+        const delay = this._retryDelay(error, attempt);
+        console.warn(`Circle Gateway ${method.toUpperCase()} ${url} failed (${this._describe(error)}), retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isRetryable(error) {
+    if (!error.response) {
+      return RETRYABLE_CODES.includes(error.code);
+    }
+    const status = error.response.status;
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  /**
+   * Exponential backoff, or the server's Retry-After when it sends one
+   * @private
+   */
+  _retryDelay(error, attempt) {
+    const retryAfter = error.response && parseInt(error.response.headers['retry-after'], 10);
+    if (retryAfter >= 0) {
+      return Math.min(retryAfter * 1000, MAX_RETRY_AFTER_MS);
+    }
+    return this.retryDelayMs * 2 ** attempt;
+  }
+
+  /**
+   * @private
+   */
+  _describe(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+  }
+
+  /**
+   * Convert an axios error into one that carries the upstream status and message
+   * @private
+   */
+  _toError(error, method, url, attempts) {
+    const body = error.response && error.response.data;
+    const detail = (body && (body.message || body.error)) || error.message;
+    const wrapped = new Error(`Circle Gateway ${method.toUpperCase()} ${url} failed after ${attempts} attempt(s): ${detail}`);
+    wrapped.status = error.response ? error.response.status : undefined;
+    wrapped.code = error.code;
+    wrapped.cause = error;
+    return wrapped;
+  }
+}
+
+module.exports = HttpComplianceProvider;
@@ -0,0 +1,116 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const HttpComplianceProvider = require('./httpComplianceProvider');
+const CircleGatewayStandIn = require('./standInServer');
+
+const API_KEY = 'test-api-key';
+const TREASURY = '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb';
+const SANCTIONED = '0x000000000000000000000000000000000000dEaD';
+
+describe('HttpComplianceProvider against the Circle Gateway stand-in', () => {
+  let standIn;
+
+  function createProvider(options = {}) {
+    return new HttpComplianceProvider({
+      apiKey: API_KEY,
+      baseUrl: standIn.url,
+      retryDelayMs: 1,
+      ...options
+    });
+  }
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    standIn = new CircleGatewayStandIn({ port: 0, apiKey: API_KEY });
+    await standIn.start();
+  });
+
+  after(async () => {
+    await standIn.stop();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    standIn.requestCount = 0;
+    standIn.failRequests = 0;
+  });
+
+  afterEach(() => {
+    console.warn.mock.restore();
+  });
+
+  it('reads multi-chain balances through the API', async () => {
+    const balances = await createProvider().getMultiChainUSDCBalances(TREASURY);
+
+    assert.equal(balances.walletAddress, TREASURY);
+    assert.equal(balances.totalUSDC, '5000000.00');
+    assert.equal(balances.chains.length, 4);
+    assert.equal(balances.metadata.source, 'circle-gateway-stand-in');
+  });
+
+  it('returns the configured outcome of a compliance check', async () => {
+    const check = await createProvider().performComplianceCheck({
+      recipient: SANCTIONED,
+      amount: '250.00',
+      source: 'SCHEDULED_DISTRIBUTION'
+    });
+
+    assert.equal(check.kycStatus, 'REJECTED');
+    assert.equal(check.sanctionsCheck.status, 'MATCH');
+    assert.match(check.transactionId, /^cg_tx_/);
+  });
+
+  it('retries server errors and succeeds once the gateway recovers', async () => {
+    standIn.failRequests = 2;
+
+    const status = await createProvider({ maxRetries: 3 }).getTransactionStatus('cg_tx_fixture_completed');
+
+    assert.equal(status.status, 'COMPLETED');
+    assert.equal(standIn.requestCount, 3);
+  });
+
+  it('gives up after the configured retries with the upstream status', async () => {
+    standIn.failRequests = 10;
+
+    await assert.rejects(
+      createProvider({ maxRetries: 2 }).getTransactionStatus('cg_tx_fixture_completed'),
+      error => error.status === 503 && /after 3 attempt\(s\)/.test(error.message)
+    );
+    assert.equal(standIn.requestCount, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    await assert.rejects(
+      createProvider({ apiKey: 'wrong-key' }).getMultiChainUSDCBalances(TREASURY),
+      error => error.status === 401 && /Invalid API key/.test(error.message)
+    );
+    await assert.rejects(
+      createProvider().getTransactionStatus('cg_tx_missing'),
+      error => error.status === 404
+    );
+    assert.equal(standIn.requestCount, 2);
+  });
+
+  it('keeps the idempotency key across retries so a write is processed once', async () => {
+    const provider = createProvider({ maxRetries: 3 });
+    const payment = { recipient: TREASURY, amount: '100.00', idempotencyKey: 'payroll-2024-06-1' };
+
+    const first = await provider.submitTransaction(payment);
+    standIn.failRequests = 1;
+    const retried = await provider.submitTransaction(payment);
+
+    assert.deepEqual(retried, first);
+    assert.equal(standIn.provider.submissions.size, 1);
+  });
+
+  it('generates a fresh idempotency key for each write without one', async () => {
+    const provider = createProvider();
+    const payment = { recipient: TREASURY, amount: '100.00' };
+
+    const first = await provider.submitTransaction(payment);
+    const second = await provider.submitTransaction(payment);
+
+    assert.notEqual(first.transactionId, second.transactionId);
+  });
+});
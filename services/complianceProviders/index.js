@@ -0,0 +1,41 @@
+/**
+ * Compliance providers
+ * Selects the Circle Gateway backend from config (`complianceProvider`):
+ * - mock (default): deterministic fixtures, no network
+ * - http: Circle Gateway REST API at `circleGatewayBaseUrl` (the stand-in server works too)
+ */
+
+const ComplianceProvider = require('./complianceProvider');
+const HttpComplianceProvider = require('./httpComplianceProvider');
+const MockComplianceProvider = require('./mockComplianceProvider');
+const CircleGatewayStandIn = require('./standInServer');
+
+/**
+ * Create the compliance provider configured for this deployment
+ * @param {Object} config - Service configuration
+ */
+function createComplianceProvider(config = {}) {
+  const type = config.complianceProvider || 'mock';
+
+  switch (type) {
+    case 'http':
+      return new HttpComplianceProvider({
+        apiKey: config.circleGatewayApiKey,
+        baseUrl: config.circleGatewayBaseUrl,
+        timeoutMs: config.circleGatewayTimeoutMs,
+        maxRetries: config.circleGatewayMaxRetries
+      });
+    case 'mock':
+      return new MockComplianceProvider({ fixturesPath: config.complianceFixtures });
+    default:
+      throw new Error(`Unknown compliance provider "${type}" (expected "mock" or "http")`);
+  }
+}
+
+module.exports = {
+  ComplianceProvider,
+  HttpComplianceProvider,
+  MockComplianceProvider,
+  CircleGatewayStandIn,
+  createComplianceProvider
+};
@@ -0,0 +1,162 @@
+/**
+ * Mock Compliance Provider
+ * Deterministic, fixture-driven stand-in for Circle Gateway. The same inputs always
+ * produce the same statuses, risk scores and transaction IDs, so demos and tests
+ * are repeatable. Recipients listed in the fixtures get their configured outcome;
+ * everyone else is verified, with AML screening above the high-value threshold.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const ComplianceProvider = require('./complianceProvider');
+const { getNetwork } = require('../networks');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'circleGateway.json');
+
+class MockComplianceProvider extends ComplianceProvider {
+  /**
+   * @param {Object} options - { fixturesPath, fixtures, source }
+   */
+  constructor(options = {}) {
+    super();
+    this.fixtures = options.fixtures || JSON.parse(fs.readFileSync(options.fixturesPath || DEFAULT_FIXTURES, 'utf8'));
+    this.source = options.source || 'mock';
+    this.recipients = {};
+    Object.entries(this.fixtures.compliance.recipients || {}).forEach(([address, outcome]) => {
+      this.recipients[address.toLowerCase()] = outcome;
+    });
+    this.transactions = new Map(Object.entries(this.fixtures.transactions || {}));
+    this.submissions = new Map(); // idempotency key -> submitted transaction
+  }
+
+  get name() {
+    return 'mock';
+  }
+
+  async getMultiChainUSDCBalances(walletAddress) {
+    const now = new Date().toISOString();
+    // Fixture balances name a registry network; chain and chain ID come from config/networks.json
+    const chains = this.fixtures.balances.chains.map(chain => ({
+      chain: getNetwork(chain.network).chain,
+      chainId: getNetwork(chain.network).chainId,
+      network: chain.network,
+      balance: chain.balance,
+      balanceRaw: ethers.utils.parseUnits(chain.balance, 6).toString(),
+      currency: 'USDC',
+      lastUpdated: now
+    }));
+    const total = chains.reduce((sum, chain) => sum.add(chain.balanceRaw), ethers.BigNumber.from(0));
+
+    return {
+      walletAddress,
+      timestamp: now,
+      totalUSDC: Number(ethers.utils.formatUnits(total, 6)).toFixed(2),
+      chains,
+      metadata: {
+        source: this.source,
+        version: '1.0'
+      }
+    };
+  }
+
+  async performComplianceCheck(transactionData) {
+    const { recipient, amount, source } = transactionData;
+    const now = new Date().toISOString();
+    const isHighValue = parseFloat(amount) > this.fixtures.compliance.highValueThreshold;
+    const digest = this._digest(`${(recipient || '').toLowerCase()}|${amount}|${source}`);
+    const fixture = this.recipients[(recipient || '').toLowerCase()];
+
+    const kycStatus = fixture ? fixture.kycStatus : 'VERIFIED';
+    const amlStatus = fixture ? fixture.amlStatus : (isHighValue ? 'VERIFIED' : 'EXEMPT');
+    const riskScore = fixture ? fixture.riskScore : parseInt(digest.slice(0, 8), 16) % (isHighValue ? 30 : 10);
+    const sanctionsStatus = fixture && fixture.sanctionsStatus ? fixture.sanctionsStatus : 'CLEAR';
+    const kycVerified = kycStatus === 'VERIFIED';
+
+    return {
+      transactionId: `cg_tx_${digest.slice(0, 16)}`,
+      recipient,
+      amount,
+      source,
+      timestamp: now,
+      kycStatus,
+      amlStatus,
+      riskScore,
+      sanctionsCheck: {
+        status: sanctionsStatus,
+        checkedAt: now,
+        lists: ['OFAC', 'EU', 'UN']
+      },
+      kycDetails: {
+        level: isHighValue ? 'ENHANCED' : 'BASIC',
+        verified: kycVerified,
+        verifiedAt: kycVerified ? now : null,
+        provider: 'circle-kyc'
+      },
+      amlDetails: {
+        screening: isHighValue ? 'ENABLED' : 'DISABLED',
+        result: isHighValue ? (amlStatus === 'VERIFIED' ? 'CLEAR' : 'REVIEW') : 'N/A',
+        screenedAt: isHighValue ? now : null
+      },
+      metadata: {
+        source: this.source,
+        version: '1.0',
+        checkType: 'automated'
+      }
+    };
+  }
+
+  async getTransactionStatus(circleTxId) {
+    const transaction = this.transactions.get(circleTxId);
+    if (!transaction) {
+      const error = new Error(`Transaction ${circleTxId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return { transactionId: circleTxId, ...transaction };
+  }
+
+  async submitTransaction(transaction) {
+    const { recipient, amount, chain = 'arc', idempotencyKey } = transaction;
+
+    // Replaying an idempotency key returns the original submission
+    if (idempotencyKey && this.submissions.has(idempotencyKey)) {
+      return this.submissions.get(idempotencyKey);
+    }
+
+    const sequence = this.transactions.size;
+    const transactionId = `cg_tx_${this._digest(`${idempotencyKey || sequence}|${recipient}|${amount}|${chain}`).slice(0, 16)}`;
+    const submittedAt = new Date();
+    const submitted = {
+      transactionId,
+      status: 'PENDING',
+      recipient,
+      amount,
+      chain,
+      submittedAt: submittedAt.toISOString(),
+      estimatedCompletion: new Date(submittedAt.getTime() + 60000).toISOString() // 1 minute
+    };
+
+    this.transactions.set(transactionId, {
+      status: 'PENDING',
+      amount,
+      recipient,
+      chain,
+      createdAt: submitted.submittedAt
+    });
+    if (idempotencyKey) {
+      this.submissions.set(idempotencyKey, submitted);
+    }
+    return submitted;
+  }
+
+  /**
+   * @private
+   */
+  _digest(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = MockComplianceProvider;
@@ -0,0 +1,186 @@
+/**
+ * Circle Gateway Stand-In Server
+ * Local HTTP server that speaks the same API as Circle Gateway, backed by the
+ * fixture mock. Point the HTTP provider at it to exercise the real client path
+ * (auth header, retries, idempotency keys) offline.
+ *
+ * Usage: node complianceProviders/standInServer.js
+ * Or: npm run gateway:stand-in
+ */
+
+const express = require('express');
+const MockComplianceProvider = require('./mockComplianceProvider');
+
+class CircleGatewayStandIn {
+  /**
+   * @param {Object} options - { port, host, apiKey, fixturesPath, failRequests }
+   *   `apiKey` enables bearer-token checks; `failRequests` answers that many
+   *   requests with 503 first, to exercise client retries
+   */
+  constructor(options = {}) {
+    this.port = options.port ?? 4100;
+    this.host = options.host || '127.0.0.1';
+    this.apiKey = options.apiKey;
+    this.failRequests = options.failRequests || 0;
+    this.provider = new MockComplianceProvider({
+      fixturesPath: options.fixturesPath,
+      source: 'circle-gateway-stand-in'
+    });
+    this.idempotentResponses = new Map(); // Idempotency-Key -> response body
+    this.requestCount = 0;
+    this.server = null;
+    this.app = this._createApp();
+  }
+
+  /**
+   * Base URL for the HTTP provider
+   */
+  get url() {
+    const port = this.server ? this.server.address().port : this.port;
+    return `http://${this.host}:${port}/v1`;
+  }
+
+  /**
+   * Start listening
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = this.app.listen(this.port, this.host, () => {
+        console.log(`Circle Gateway stand-in listening on ${this.url}`);
+        resolve(this.server);
+      });
+      this.server.on('error', reject);
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.server.close(error => {
+        this.server = null;
+        if (error) return reject(error);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createApp() {
+    const app = express();
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+      this.requestCount += 1;
+
+      if (this.failRequests > 0) {
+        this.failRequests -= 1;
+        return res.status(503).json({ error: 'Service temporarily unavailable' });
+      }
+
+      if (this.apiKey && req.get('Authorization') !== `Bearer ${this.apiKey}`) {
+        return res.status(401).json({ error: 'Invalid API key' });
+      }
+
+      next();
+    });
+
+    const router = express.Router();
+
+    router.get('/wallets/:address/balances', this._handle(req =>
+      this.provider.getMultiChainUSDCBalances(req.params.address)
+    ));
+
+    router.post('/compliance/checks', this._idempotent(req =>
+      this.provider.performComplianceCheck(req.body)
+    ));
+
+    router.get('/transactions/:id', this._handle(req =>
+      this.provider.getTransactionStatus(req.params.id)
+    ));
+
+    router.post('/transactions', this._idempotent(req =>
+      this.provider.submitTransaction({ ...req.body, idempotencyKey: req.get('Idempotency-Key') })
+    ));
+
+    app.use('/v1', router);
+
+    app.use((req, res) => {
+      res.status(404).json({ error: `Not found: ${req.method} ${req.path}` });
+    });
+
+    return app;
+  }
+
+  /**
+   * Wrap a handler so its result is returned as `{ data }`
+   * @private
+   */
+  _handle(fn) {
+    return async (req, res) => {
+      try {
+        res.json({ data: await fn(req) });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    };
+  }
+
+  /**
+   * Like _handle, but writes require an Idempotency-Key and replay the stored response
+   * @private
+   */
+  _idempotent(fn) {
+    return async (req, res) => {
+      const key = req.get('Idempotency-Key');
+      if (!key) {
+        return res.status(400).json({ error: 'Idempotency-Key header is required' });
+      }
+
+      if (this.idempotentResponses.has(key)) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.json({ data: this.idempotentResponses.get(key) });
+      }
+
+      try {
+        const data = await fn(req);
+        this.idempotentResponses.set(key, data);
+        res.json({ data });
+      } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+      }
+    };
+  }
+}
+
+module.exports = CircleGatewayStandIn;
+
+// Run standalone
+if (require.main === module) {
+  require('dotenv').config();
+
+  const standIn = new CircleGatewayStandIn({
+    port: parseInt(process.env.CIRCLE_GATEWAY_STAND_IN_PORT || '4100', 10),
+    apiKey: process.env.CIRCLE_GATEWAY_API_KEY,
+    fixturesPath: process.env.COMPLIANCE_FIXTURES
+  });
+
+  standIn.start().catch(error => {
+    console.error('Failed to start Circle Gateway stand-in:', error);
+    process.exit(1);
+  });
+
+  const shutdown = async () => {
+    await standIn.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
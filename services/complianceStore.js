@@ -0,0 +1,303 @@
+/**
+ * Compliance Store
+ * Persists compliance records decoded from Treasury events into MongoDB
+ * and attaches Circle Gateway compliance check results to them
+ */
+
+const { connectDatabase, disconnectDatabase } = require('./database');
+const {
+  ComplianceRecord,
+  TransactionSource,
+  ComplianceStatus
+} = require('./models/ComplianceRecord.mongoose');
+
+// Enum values in Solidity declaration order, indexed by the uint8 emitted in events
+const SOURCE_BY_INDEX = Object.values(TransactionSource);
+const STATUS_BY_INDEX = Object.values(ComplianceStatus);
+
+// Upper bound on held compliance checks waiting for their record
+const MAX_PENDING_CHECKS = 1000;
+
+// Fields that come from the chain and are safe to overwrite when an event is replayed
+const CHAIN_FIELDS = [
+  'transactionHash',
+  'internalTxHash',
+  'ruleId',
+  'source',
+  'recipient',
+  'usdcAmount',
+  'usdcAmountFormatted',
+  'timestamp',
+  'timestampISO',
+  'blockNumber',
+  'executor'
+];
+
+class ComplianceStore {
+  constructor(config) {
+    this.mongoUri = config.mongoUri;
+    this.isConnected = false;
+    // Compliance checks that arrived before their record was saved, keyed by tx hash + recipient
+    // ({ complianceCheck, blockNumber }); persisted by the event listener with its checkpoint
+    this.pendingChecks = new Map();
+  }
+
+  /**
+   * Whether persistence is configured
+   */
+  get isEnabled() {
+    return !!this.mongoUri;
+  }
+
+  /**
+   * Connect to MongoDB
+   */
+  async connect() {
+    if (!this.isEnabled) {
+      console.warn('MONGODB_URI not set - compliance records will not be persisted');
+      return;
+    }
+
+    try {
+      await connectDatabase(this.mongoUri);
+      await ComplianceRecord.init();
+      this.isConnected = true;
+    } catch (error) {
+      console.error('Error connecting compliance store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disconnect from MongoDB
+   */
+  async disconnect() {
+    if (!this.isConnected) {
+      return;
+    }
+
+    await disconnectDatabase();
+    this.isConnected = false;
+  }
+
+  /**
+   * Build a ComplianceRecord document from a decoded ComplianceRecordCreated event
+   * @param {Object} eventData - Decoded event arguments
+   * @param {Object} event - ethers event (used for block, timestamp and executor)
+   * @returns {Promise<ComplianceRecord>} Unsaved, validated record
+   */
+  async recordFromEvent(eventData, event) {
+    const { recordId, txHash, recipient, ruleId, source, amount, kycStatus, amlStatus } = eventData;
+
+    const [block, transaction] = await Promise.all([
+      event.getBlock(),
+      event.getTransaction()
+    ]);
+
+    const record = ComplianceRecord.fromEvent(
+      recordId,
+      event.transactionHash,
+      recipient,
+      ruleId.toNumber(),
+      this._enumFromIndex(SOURCE_BY_INDEX, source, 'source'),
+      amount.toString(),
+      transaction.from,
+      event.blockNumber,
+      block.timestamp
+    );
+
+    record.internalTxHash = txHash;
+    record.kycStatus = this._enumFromIndex(STATUS_BY_INDEX, kycStatus, 'kycStatus');
+    record.amlStatus = this._enumFromIndex(STATUS_BY_INDEX, amlStatus, 'amlStatus');
+
+    await record.validate();
+    return record;
+  }
+
+  /**
+   * Upsert a compliance record by recordId
+   * Compliance statuses and external IDs are only set on insert so replayed events
+   * do not overwrite results attached later by updateComplianceRecord
+   * @param {ComplianceRecord|Object} record - Record document or plain object
+   * @returns {Promise<ComplianceRecord|null>} Saved record (null if persistence disabled)
+   */
+  async saveComplianceRecord(record) {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      const doc = record instanceof ComplianceRecord ? record : new ComplianceRecord(record);
+      await doc.validate();
+
+      const data = doc.toObject({ depopulate: true });
+      const $set = {};
+      const $setOnInsert = {};
+      Object.keys(data).forEach(key => {
+        if (['_id', '__v', 'createdAt', 'updatedAt'].includes(key)) return;
+        if (CHAIN_FIELDS.includes(key)) {
+          $set[key] = data[key];
+        } else {
+          $setOnInsert[key] = data[key];
+        }
+      });
+
+      const saved = await ComplianceRecord.findOneAndUpdate(
+        { recordId: doc.recordId },
+        { $set, $setOnInsert },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      await this._applyPendingCheck(saved);
+      return saved;
+    } catch (error) {
+      console.error(`Error saving compliance record ${record.recordId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Attach a Circle Gateway compliance check to the records for a transaction
+   * If the record has not been indexed yet, the check is held until it is saved
+   * @param {string} transactionHash - On-chain transaction hash
+   * @param {string} recipient - Recipient address
+   * @param {Object} complianceCheck - Result of CircleGatewayService.performComplianceCheck
+   * @param {number|null} blockNumber - Block of the payout (used to drop held checks on a reorg)
+   * @returns {Promise<number>} Number of records updated
+   */
+  async updateComplianceRecord(transactionHash, recipient, complianceCheck, blockNumber = null) {
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      const records = await ComplianceRecord.find({ transactionHash, recipient });
+
+      if (records.length === 0) {
+        if (this.pendingChecks.size >= MAX_PENDING_CHECKS) {
+          // Drop the oldest held check (Map preserves insertion order)
+          this.pendingChecks.delete(this.pendingChecks.keys().next().value);
+        }
+        this.pendingChecks.set(this._checkKey(transactionHash, recipient), { complianceCheck, blockNumber });
+        return 0;
+      }
+
+      await Promise.all(records.map(record => this._applyCheck(record, complianceCheck)));
+      return records.length;
+    } catch (error) {
+      console.error(`Error updating compliance record for ${transactionHash}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Held compliance checks as a plain object, for persisting across restarts
+   * @returns {Object<string, { complianceCheck: Object, blockNumber: number|null }>}
+   */
+  exportPendingChecks() {
+    return Object.fromEntries(this.pendingChecks);
+  }
+
+  /**
+   * Replace the held compliance checks with ones saved by exportPendingChecks
+   * @param {Object} entries - Saved held checks
+   */
+  restorePendingChecks(entries = {}) {
+    this.pendingChecks = new Map(Object.entries(entries));
+  }
+
+  /**
+   * Count records not yet reconciled
+   * @returns {Promise<number|null>} Count (null if persistence disabled)
+   */
+  async countUnreconciled() {
+    if (!this.isConnected) {
+      return null;
+    }
+
+    try {
+      return await ComplianceRecord.countDocuments({ reconciled: false });
+    } catch (error) {
+      console.error('Error counting unreconciled compliance records:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete records indexed from blocks after the given block (used to roll back a reorg)
+   * Held compliance checks for payouts in those blocks are dropped as well
+   * @param {number} blockNumber - Last block that is still canonical
+   * @returns {Promise<number>} Number of records removed
+   */
+  async deleteRecordsAfterBlock(blockNumber) {
+    this.pendingChecks.forEach((entry, key) => {
+      if (entry.blockNumber !== null && entry.blockNumber > blockNumber) {
+        this.pendingChecks.delete(key);
+      }
+    });
+
+    if (!this.isConnected) {
+      return 0;
+    }
+
+    try {
+      const result = await ComplianceRecord.deleteMany({ blockNumber: { $gt: blockNumber } });
+      return result.deletedCount;
+    } catch (error) {
+      console.error(`Error rolling back compliance records after block ${blockNumber}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a held compliance check to a freshly saved record
+   * @private
+   */
+  async _applyPendingCheck(record) {
+    const key = this._checkKey(record.transactionHash, record.recipient);
+    const entry = this.pendingChecks.get(key);
+    if (!entry) return;
+
+    this.pendingChecks.delete(key);
+    await this._applyCheck(record, entry.complianceCheck);
+  }
+
+  /**
+   * @private
+   */
+  _applyCheck(record, complianceCheck) {
+    return record.updateComplianceStatus(
+      this._normalizeStatus(complianceCheck.kycStatus),
+      this._normalizeStatus(complianceCheck.amlStatus),
+      complianceCheck.transactionId,
+      complianceCheck.arcTransparencyId
+    );
+  }
+
+  /**
+   * @private
+   */
+  _normalizeStatus(status) {
+    return STATUS_BY_INDEX.includes(status) ? status : ComplianceStatus.UNKNOWN;
+  }
+
+  /**
+   * @private
+   */
+  _enumFromIndex(values, index, field) {
+    const value = values[Number(index)];
+    if (!value) {
+      throw new Error(`Unknown ${field} enum value: ${index}`);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  _checkKey(transactionHash, recipient) {
+    return `${transactionHash.toLowerCase()}:${recipient.toLowerCase()}`;
+  }
+}
+
+module.exports = ComplianceStore;
@@ -0,0 +1,147 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ComplianceStore = require('./complianceStore');
+const { startMemoryMongo, needsMongo } = require('./testing/memoryMongo');
+const { ComplianceRecord, TransactionSource, ComplianceStatus } = require('./models/ComplianceRecord.mongoose');
+
+const RECORD_ID = `0x${'a'.repeat(64)}`;
+const INTERNAL_HASH = `0x${'e'.repeat(64)}`;
+const TX_HASH = `0x${'b'.repeat(64)}`;
+const RECIPIENT = `0x${'1'.repeat(40)}`;
+const EXECUTOR = `0x${'2'.repeat(40)}`;
+
+function eventData(overrides = {}) {
+  return {
+    recordId: RECORD_ID,
+    txHash: INTERNAL_HASH,
+    recipient: RECIPIENT,
+    ruleId: ethers.BigNumber.from(7),
+    source: 3,
+    amount: ethers.BigNumber.from('1500000'),
+    kycStatus: 1,
+    amlStatus: 0,
+    ...overrides
+  };
+}
+
+function fakeEvent(blockNumber = 120) {
+  return {
+    transactionHash: TX_HASH,
+    blockNumber,
+    getBlock: async () => ({ timestamp: 1700000000 }),
+    getTransaction: async () => ({ from: EXECUTOR })
+  };
+}
+
+describe('ComplianceStore.recordFromEvent', () => {
+  const store = new ComplianceStore({});
+
+  it('decodes event enums, amounts and executor', async () => {
+    const record = await store.recordFromEvent(eventData(), fakeEvent());
+
+    assert.equal(record.recordId, RECORD_ID);
+    assert.equal(record.transactionHash, TX_HASH);
+    assert.equal(record.internalTxHash, INTERNAL_HASH);
+    assert.equal(record.ruleId, 7);
+    assert.equal(record.source, TransactionSource.DISTRIBUTION_RULE);
+    assert.equal(record.usdcAmount, '1500000');
+    assert.equal(record.kycStatus, ComplianceStatus.VERIFIED);
+    assert.equal(record.amlStatus, ComplianceStatus.PENDING);
+    assert.equal(record.executor, EXECUTOR);
+    assert.equal(record.blockNumber, 120);
+  });
+
+  it('rejects enum indexes the model does not know', async () => {
+    await assert.rejects(
+      store.recordFromEvent(eventData({ source: 9 }), fakeEvent()),
+      /Unknown source enum value: 9/
+    );
+  });
+});
+
+describe('ComplianceStore without MongoDB', () => {
+  it('is disabled and returns empty results', async () => {
+    const store = new ComplianceStore({});
+
+    assert.equal(store.isEnabled, false);
+    await store.connect();
+    assert.equal(await store.saveComplianceRecord({ recordId: RECORD_ID }), null);
+    assert.equal(await store.updateComplianceRecord(TX_HASH, RECIPIENT, {}), 0);
+    assert.equal(await store.countUnreconciled(), null);
+    assert.equal(await store.deleteRecordsAfterBlock(0), 0);
+  });
+});
+
+describe('ComplianceStore (MongoDB)', () => {
+  let mongo;
+  let store;
+
+  before(async () => {
+    mongo = await startMemoryMongo();
+    if (mongo.uri) {
+      store = new ComplianceStore({ mongoUri: mongo.uri });
+      await store.connect();
+    }
+  });
+
+  after(async () => {
+    await mongo.stop();
+  });
+
+  beforeEach(async () => {
+    if (mongo.uri) {
+      await ComplianceRecord.deleteMany({});
+      store.pendingChecks.clear();
+    }
+  });
+
+  it('keeps attached compliance results when an event is replayed', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    await store.saveComplianceRecord(await store.recordFromEvent(eventData(), fakeEvent()));
+    const updated = await store.updateComplianceRecord(TX_HASH, RECIPIENT, {
+      kycStatus: ComplianceStatus.VERIFIED,
+      amlStatus: ComplianceStatus.VERIFIED,
+      transactionId: 'cg-1'
+    });
+    assert.equal(updated, 1);
+
+    await store.saveComplianceRecord(await store.recordFromEvent(eventData(), fakeEvent()));
+    const stored = await ComplianceRecord.findOne({ recordId: RECORD_ID });
+
+    assert.equal(await ComplianceRecord.countDocuments(), 1);
+    assert.equal(stored.amlStatus, ComplianceStatus.VERIFIED);
+    assert.equal(stored.circleGatewayTxId, 'cg-1');
+  });
+
+  it('holds a compliance check until its record is saved', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    const updated = await store.updateComplianceRecord(TX_HASH, RECIPIENT, {
+      kycStatus: ComplianceStatus.REJECTED,
+      amlStatus: 'NOT_A_STATUS'
+    });
+    assert.equal(updated, 0);
+    assert.equal(store.pendingChecks.size, 1);
+
+    const saved = await store.saveComplianceRecord(await store.recordFromEvent(eventData(), fakeEvent()));
+
+    assert.equal(saved.kycStatus, ComplianceStatus.REJECTED);
+    assert.equal(saved.amlStatus, ComplianceStatus.UNKNOWN);
+    assert.equal(store.pendingChecks.size, 0);
+  });
+
+  it('counts unreconciled records and rolls back records after a block', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    await store.saveComplianceRecord(await store.recordFromEvent(eventData(), fakeEvent(100)));
+    await store.saveComplianceRecord(
+      await store.recordFromEvent(eventData({ recordId: `0x${'f'.repeat(64)}` }), fakeEvent(105))
+    );
+    assert.equal(await store.countUnreconciled(), 2);
+
+    assert.equal(await store.deleteRecordsAfterBlock(102), 1);
+    assert.equal(await store.countUnreconciled(), 1);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Database connection helper
+ * Shares a single Mongoose connection between the services that persist data
+ */
+
+const mongoose = require('mongoose');
+
+/**
+ * Connect to MongoDB (no-op if already connected or connecting)
+ * @param {string} uri - MongoDB connection string
+ * @returns {Promise<mongoose.Connection>} Active connection
+ */
+async function connectDatabase(uri) {
+  if (mongoose.connection.readyState === 1) {
+    return mongoose.connection;
+  }
+
+  if (mongoose.connection.readyState === 2) {
+    await mongoose.connection.asPromise();
+    return mongoose.connection;
+  }
+
+  await mongoose.connect(uri);
+  console.log('Connected to MongoDB');
+  return mongoose.connection;
+}
+
+/**
+ * Close the shared MongoDB connection
+ */
+async function disconnectDatabase() {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+}
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase
+};
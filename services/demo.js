@@ -7,6 +7,7 @@
 require('dotenv').config();
 const MonitoringService = require('./monitoringService');
 const CircleGatewayService = require('./circleGatewayService');
+const { networkConfig } = require('./networks');
 
 async function runDemo() {
   console.log('╔════════════════════════════════════════════════════════════╗');
@@ -14,12 +15,14 @@ async function runDemo() {
   console.log('║   Automated Distribution & Compliance Demo                 ║');
   console.log('╚════════════════════════════════════════════════════════════╝\n');
 
+  const network = networkConfig();
   const config = {
-    treasuryAddress: process.env.TREASURY_ADDRESS || '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb',
-    rpcUrl: process.env.RPC_URL || 'https://rpc.arc.network',
+    ...network,
+    treasuryAddress: network.treasuryAddress || '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb',
     privateKey: process.env.PRIVATE_KEY || '0x0000000000000000000000000000000000000000000000000000000000000000',
     circleGatewayApiKey: process.env.CIRCLE_GATEWAY_API_KEY || 'demo-api-key',
     circleGatewayBaseUrl: process.env.CIRCLE_GATEWAY_BASE_URL || 'https://api.circle.com/v1',
+    complianceProvider: process.env.COMPLIANCE_PROVIDER || 'mock',
     cronExpression: '*/1 * * * *', // Every minute for demo
     requireKYC: false, // Disable for demo
     requireAML: false  // Disable for demo
@@ -29,10 +32,7 @@ async function runDemo() {
     // Demo 1: Circle Gateway Multi-Chain Balances
     console.log('📊 Demo 1: Multi-Chain Balance Aggregation');
     console.log('─'.repeat(60));
-    const circleGateway = new CircleGatewayService(
-      config.circleGatewayApiKey,
-      config.circleGatewayBaseUrl
-    );
+    const circleGateway = CircleGatewayService.fromConfig(config);
     
     const balances = await circleGateway.getMultiChainUSDCBalances(config.treasuryAddress);
     console.log(`Total USDC Balance: ${balances.totalUSDC}`);
@@ -65,7 +65,7 @@ async function runDemo() {
     const health = await circleGateway.getTreasuryHealth(config.treasuryAddress);
     console.log(`Total Balance: ${health.totalBalance} USDC`);
     console.log(`Active Chains: ${health.chainCount}`);
-    console.log(`Health Score: ${health.healthScore}/100`);
+    console.log(`Health Score: ${health.healthScore}/100 (${health.status})`);
     console.log('');
 
     // Demo 4: Automation Service (if contract is configured)
@@ -85,7 +85,7 @@ async function runDemo() {
       console.log('Running automated distribution check...');
       await service.automation.checkAndExecuteDistributions();
       
-      service.stop();
+      await service.stop();
     } else {
       console.log('🤖 Demo 4: Automated Distribution Check');
       console.log('─'.repeat(60));
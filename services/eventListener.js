@@ -1,21 +1,48 @@
 /**
  * Treasury Event Listener
- * Listens to Treasury contract events and updates compliance records
+ * Listens to Treasury contract events and updates compliance records and the
+ * pending multisig approvals
+ * Events are indexed from a persisted checkpoint once they have enough confirmations,
+ * and records from blocks orphaned by a reorg are rolled back
  */
 
+const EventEmitter = require('events');
+const path = require('path');
 const { ethers } = require('ethers');
 const CircleGatewayService = require('./circleGatewayService');
+const ComplianceStore = require('./complianceStore');
+const CheckpointStore = require('./checkpointStore');
+const { createApprovalStore } = require('./approvals/approvalStore');
+const { isRpcError } = require('./metrics');
 
-class TreasuryEventListener {
+/**
+ * Events:
+ * - event ({ name, blockNumber }): a Treasury event was processed
+ * - lag (blocks): confirmed blocks still to process after a sync pass
+ * - approval ({ txId, type }): a multisig proposal was proposed, confirmed, revoked or executed
+ * - reorg ({ commonAncestor, removed }): processed blocks were orphaned
+ * - rpcError ({ component, error }): the RPC provider failed
+ */
+class TreasuryEventListener extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.provider = null;
     this.treasuryContract = null;
-    this.circleGateway = new CircleGatewayService(
-      config.circleGatewayApiKey,
-      config.circleGatewayBaseUrl
+    this.circleGateway = CircleGatewayService.fromConfig(config);
+    this.complianceStore = new ComplianceStore(config);
+    this.approvalStore = createApprovalStore(config);
+    this.checkpointStore = new CheckpointStore(
+      config.checkpointFile || path.join(__dirname, '.listener-checkpoint.json')
     );
+    this.checkpoint = null;
+    this.confirmations = config.confirmations ?? 6;
+    this.backfillBlockRange = config.backfillBlockRange || 2000;
+    this.reorgWindow = config.reorgWindow || 128;
     this.isListening = false;
+    this.isSyncing = false;
+    this.syncRequested = false;
+    this.blockListener = null;
     this.eventHandlers = new Map();
   }
 
@@ -33,6 +60,10 @@ class TreasuryEventListener {
         this.provider
       );
       
+      await this.complianceStore.connect();
+      this.checkpoint = this.checkpointStore.load();
+      this.complianceStore.restorePendingChecks(this.checkpoint.pendingChecks);
+      
       console.log('Treasury event listener initialized');
       console.log(`Treasury contract: ${this.config.treasuryAddress}`);
     } catch (error) {
@@ -43,6 +74,7 @@ class TreasuryEventListener {
 
   /**
    * Start listening to Treasury contract events
+   * Backfills anything missed since the last checkpoint, then follows new blocks
    */
   start() {
     if (this.isListening) {
@@ -52,7 +84,18 @@ class TreasuryEventListener {
 
     this._setupEventListeners();
     this.isListening = true;
+
+    this.blockListener = () => {
+      this._sync();
+    };
+    this.provider.on('block', this.blockListener);
+
     console.log('Treasury event listener started');
+    console.log(`  Confirmations: ${this.confirmations}`);
+    console.log(`  Last processed block: ${this.checkpoint.lastProcessedBlock ?? 'none'}`);
+
+    // Backfill immediately instead of waiting for the next block
+    this._sync();
   }
 
   /**
@@ -63,10 +106,8 @@ class TreasuryEventListener {
       return;
     }
 
-    // Remove all listeners
-    this.eventHandlers.forEach((handler, eventName) => {
-      this.treasuryContract.off(eventName, handler);
-    });
+    this.provider.off('block', this.blockListener);
+    this.blockListener = null;
     
     this.eventHandlers.clear();
     this.isListening = false;
@@ -74,7 +115,26 @@ class TreasuryEventListener {
   }
 
   /**
-   * Setup event listeners for all Treasury events
+   * Release resources held by the listener (database connection)
+   */
+  async close() {
+    this.stop();
+    await this.complianceStore.disconnect();
+  }
+
+  /**
+   * Number of confirmed blocks the listener is behind the chain head
+   */
+  async getLag() {
+    const head = await this.provider.getBlockNumber();
+    const lastProcessed = this.checkpoint.lastProcessedBlock ?? head;
+    return Math.max(0, head - this.confirmations - lastProcessed);
+  }
+
+  /**
+   * Register handlers for all Treasury events
+   * Events are fetched with queryFilter during sync rather than live subscriptions,
+   * so every event is processed exactly once its block has enough confirmations
    * @private
    */
   _setupEventListeners() {
@@ -82,36 +142,210 @@ class TreasuryEventListener {
     const scheduledHandler = async (scheduleId, recipient, amount, event) => {
       await this._handleScheduledDistribution(scheduleId, recipient, amount, event);
     };
-    this.treasuryContract.on('ScheduledDistributionExecuted', scheduledHandler);
     this.eventHandlers.set('ScheduledDistributionExecuted', scheduledHandler);
 
     // Distribution Rule Executed
     const distributionHandler = async (ruleId, recipients, amounts, event) => {
       await this._handleDistributionRule(ruleId, recipients, amounts, event);
     };
-    this.treasuryContract.on('DistributionRuleExecuted', distributionHandler);
     this.eventHandlers.set('DistributionRuleExecuted', distributionHandler);
 
     // Allocation Executed
     const allocationHandler = async (ruleId, recipient, amount, event) => {
       await this._handleAllocation(ruleId, recipient, amount, event);
     };
-    this.treasuryContract.on('AllocationExecuted', allocationHandler);
     this.eventHandlers.set('AllocationExecuted', allocationHandler);
 
     // Compliance Record Created
     const complianceHandler = async (recordId, txHash, recipient, ruleId, source, amount, kycStatus, amlStatus, event) => {
       await this._handleComplianceRecord(recordId, txHash, recipient, ruleId, source, amount, kycStatus, amlStatus, event);
     };
-    this.treasuryContract.on('ComplianceRecordCreated', complianceHandler);
     this.eventHandlers.set('ComplianceRecordCreated', complianceHandler);
 
     // Transaction Executed
     const transactionHandler = async (txHash, to, amount, event) => {
       await this._handleTransaction(txHash, to, amount, event);
     };
-    this.treasuryContract.on('TransactionExecuted', transactionHandler);
     this.eventHandlers.set('TransactionExecuted', transactionHandler);
+
+    // Multisig approvals
+    const proposedHandler = async (txHash, proposer, to, amount, event) => {
+      await this._handleApproval('proposed', txHash, proposer, event, { to, amount });
+    };
+    this.eventHandlers.set('TransactionProposed', proposedHandler);
+
+    const confirmedHandler = async (txHash, signer, event) => {
+      await this._handleApproval('confirmed', txHash, signer, event);
+    };
+    this.eventHandlers.set('TransactionConfirmed', confirmedHandler);
+
+    const revokedHandler = async (txHash, signer, event) => {
+      await this._handleApproval('revoked', txHash, signer, event);
+    };
+    this.eventHandlers.set('ConfirmationRevoked', revokedHandler);
+  }
+
+  /**
+   * Process all confirmed blocks since the checkpoint
+   * Concurrent calls (e.g. a new block while backfilling) are coalesced into one more pass
+   * @private
+   */
+  async _sync() {
+    if (this.isSyncing) {
+      this.syncRequested = true;
+      return;
+    }
+
+    this.isSyncing = true;
+    try {
+      do {
+        this.syncRequested = false;
+        await this._syncOnce();
+      } while (this.syncRequested && this.isListening);
+    } catch (error) {
+      console.error('Error syncing treasury events:', error.message);
+      if (isRpcError(error)) {
+        this.emit('rpcError', { component: 'listener', error });
+      }
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _syncOnce() {
+    const head = await this.provider.getBlockNumber();
+    const safeBlock = head - this.confirmations;
+
+    await this._handleReorg();
+
+    if (this.checkpoint.lastProcessedBlock === null) {
+      // First run: start from the configured block, or only follow new blocks
+      const startBlock = this.config.startBlock ?? safeBlock;
+      this.checkpoint.lastProcessedBlock = startBlock - 1;
+    }
+
+    let fromBlock = this.checkpoint.lastProcessedBlock + 1;
+    if (fromBlock <= safeBlock && safeBlock - fromBlock >= this.backfillBlockRange) {
+      console.log(`Backfilling treasury events from block ${fromBlock} to ${safeBlock}...`);
+    }
+
+    while (fromBlock <= safeBlock && this.isListening) {
+      const toBlock = Math.min(fromBlock + this.backfillBlockRange - 1, safeBlock);
+      await this._processRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+
+    this.emit('lag', Math.max(0, safeBlock - this.checkpoint.lastProcessedBlock));
+  }
+
+  /**
+   * Fetch, order and dispatch all Treasury events in a block range, then advance the checkpoint
+   * @private
+   */
+  async _processRange(fromBlock, toBlock) {
+    const results = await Promise.all(
+      Array.from(this.eventHandlers.keys()).map(eventName =>
+        this.treasuryContract.queryFilter(this.treasuryContract.filters[eventName](), fromBlock, toBlock)
+      )
+    );
+
+    const events = results
+      .flat()
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+    for (const event of events) {
+      const handler = this.eventHandlers.get(event.event);
+      if (handler) {
+        await handler(...event.args, event);
+        this.emit('event', {
+          name: event.event,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          logIndex: event.logIndex
+        });
+      }
+      this.checkpoint.blockHashes[event.blockNumber] = event.blockHash;
+    }
+
+    const tip = await this.provider.getBlock(toBlock);
+    this.checkpoint.blockHashes[toBlock] = tip.hash;
+    this.checkpoint.lastProcessedBlock = toBlock;
+    this._pruneBlockHashes();
+    this._saveCheckpoint();
+  }
+
+  /**
+   * Detect a reorg of already-processed blocks and roll back records from orphaned blocks
+   * @private
+   */
+  async _handleReorg() {
+    const knownBlocks = Object.keys(this.checkpoint.blockHashes)
+      .map(Number)
+      .sort((a, b) => b - a);
+
+    if (knownBlocks.length === 0) {
+      return;
+    }
+
+    let commonAncestor = null;
+    for (const blockNumber of knownBlocks) {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block && block.hash === this.checkpoint.blockHashes[blockNumber]) {
+        commonAncestor = blockNumber;
+        break;
+      }
+    }
+
+    if (commonAncestor === knownBlocks[0]) {
+      return;
+    }
+
+    // No remembered block survived: rewind the full reorg window
+    if (commonAncestor === null) {
+      commonAncestor = knownBlocks[knownBlocks.length - 1] - 1;
+    }
+
+    console.warn(`⚠️  Chain reorg detected: rolling back to block ${commonAncestor}`);
+
+    const removed = await this.complianceStore.deleteRecordsAfterBlock(commonAncestor);
+    console.warn(`   Removed ${removed} compliance record(s) from orphaned blocks`);
+    const approvalsRolledBack = await this.approvalStore.rollbackAfterBlock(commonAncestor);
+    if (approvalsRolledBack > 0) {
+      console.warn(`   Rolled back ${approvalsRolledBack} pending approval(s) to block ${commonAncestor}`);
+    }
+    this.emit('reorg', { commonAncestor, removed });
+
+    knownBlocks
+      .filter(blockNumber => blockNumber > commonAncestor)
+      .forEach(blockNumber => delete this.checkpoint.blockHashes[blockNumber]);
+    this.checkpoint.lastProcessedBlock = commonAncestor;
+    this._saveCheckpoint();
+  }
+
+  /**
+   * Save the checkpoint together with the compliance checks still waiting for their
+   * record, so a check that arrived before its record is not lost on restart
+   * @private
+   */
+  _saveCheckpoint() {
+    this.checkpoint.pendingChecks = this.complianceStore.exportPendingChecks();
+    this.checkpointStore.save(this.checkpoint);
+  }
+
+  /**
+   * Keep only block hashes within the reorg window
+   * @private
+   */
+  _pruneBlockHashes() {
+    const oldest = this.checkpoint.lastProcessedBlock - this.reorgWindow;
+    Object.keys(this.checkpoint.blockHashes).forEach(blockNumber => {
+      if (Number(blockNumber) < oldest) {
+        delete this.checkpoint.blockHashes[blockNumber];
+      }
+    });
   }
 
   /**
@@ -139,11 +373,12 @@ class TreasuryEventListener {
       console.log(`  Compliance: KYC=${complianceCheck.kycStatus}, AML=${complianceCheck.amlStatus}`);
       console.log(`  Circle TX ID: ${complianceCheck.transactionId}`);
 
-      // Here you would update your database with the compliance record
-      // await this.updateComplianceRecord(event.transactionHash, complianceCheck);
+      await this.complianceStore.updateComplianceRecord(event.transactionHash, recipient, complianceCheck, event.blockNumber);
 
     } catch (error) {
       console.error('Error handling scheduled distribution event:', error);
+      // Rethrow so the block range is retried instead of losing the compliance result
+      throw error;
     }
   }
 
@@ -171,10 +406,14 @@ class TreasuryEventListener {
         });
 
         console.log(`    Compliance: KYC=${complianceCheck.kycStatus}, AML=${complianceCheck.amlStatus}`);
+
+        await this.complianceStore.updateComplianceRecord(event.transactionHash, recipients[i], complianceCheck, event.blockNumber);
       }
 
     } catch (error) {
       console.error('Error handling distribution rule event:', error);
+      // Rethrow so the block range is retried instead of losing the compliance result
+      throw error;
     }
   }
 
@@ -202,8 +441,12 @@ class TreasuryEventListener {
 
       console.log(`  Compliance: KYC=${complianceCheck.kycStatus}, AML=${complianceCheck.amlStatus}`);
 
+      await this.complianceStore.updateComplianceRecord(event.transactionHash, recipient, complianceCheck, event.blockNumber);
+
     } catch (error) {
       console.error('Error handling allocation event:', error);
+      // Rethrow so the block range is retried instead of losing the compliance result
+      throw error;
     }
   }
 
@@ -225,11 +468,19 @@ class TreasuryEventListener {
       console.log(`  KYC Status: ${kycStatus}`);
       console.log(`  AML Status: ${amlStatus}`);
 
-      // Here you would save this to your database
-      // await this.saveComplianceRecord({ recordId, txHash, recipient, ... });
+      if (this.complianceStore.isConnected) {
+        const record = await this.complianceStore.recordFromEvent(
+          { recordId, txHash, recipient, ruleId, source, amount, kycStatus, amlStatus },
+          event
+        );
+        await this.complianceStore.saveComplianceRecord(record);
+        console.log(`  ✓ Compliance record saved`);
+      }
 
     } catch (error) {
       console.error('Error handling compliance record event:', error);
+      // Rethrow so the block range is retried instead of skipping the record
+      throw error;
     }
   }
 
@@ -247,11 +498,58 @@ class TreasuryEventListener {
       console.log(`  Amount: ${amountFormatted} USDC`);
       console.log(`  Block: ${event.blockNumber}`);
 
+      await this._recordApprovalEvent('executed', txHash, null, event);
+
     } catch (error) {
       console.error('Error handling transaction event:', error);
+      // Rethrow so the block range is retried instead of leaving the proposal pending
+      throw error;
     }
   }
 
+  /**
+   * Handle a multisig proposal, confirmation or revocation
+   * @private
+   */
+  async _handleApproval(type, txHash, signer, event, proposal = null) {
+    try {
+      console.log(`\n[EVENT] Transaction ${type.charAt(0).toUpperCase()}${type.slice(1)}:`);
+      console.log(`  TX ID: ${txHash}`);
+      console.log(`  Signer: ${signer}`);
+      if (proposal) {
+        console.log(`  Recipient: ${proposal.to}`);
+        console.log(`  Amount: ${ethers.utils.formatUnits(proposal.amount, 6)} USDC`);
+      }
+
+      await this._recordApprovalEvent(type, txHash, signer, event, proposal);
+
+    } catch (error) {
+      console.error(`Error handling ${type} event:`, error);
+      // Rethrow so the block range is retried instead of losing the signer's action
+      throw error;
+    }
+  }
+
+  /**
+   * Add an event to the proposal's entry in the approval store
+   * @private
+   */
+  async _recordApprovalEvent(type, txHash, signer, event, proposal = null) {
+    const block = await event.getBlock();
+    await this.approvalStore.applyEvent(txHash, {
+      type,
+      signer: signer ? ethers.utils.getAddress(signer) : null,
+      to: proposal ? ethers.utils.getAddress(proposal.to) : null,
+      amount: proposal ? ethers.utils.formatUnits(proposal.amount, 6) : null,
+      amountRaw: proposal ? proposal.amount.toString() : null,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      transactionHash: event.transactionHash,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    });
+    this.emit('approval', { txId: txHash, type });
+  }
+
   /**
    * Get minimal Treasury ABI for events
    * @private
@@ -262,7 +560,10 @@ class TreasuryEventListener {
       "event DistributionRuleExecuted(uint256 indexed ruleId, address[] recipients, uint256[] amounts)",
       "event AllocationExecuted(uint256 indexed ruleId, address indexed recipient, uint256 amount)",
       "event ComplianceRecordCreated(bytes32 indexed recordId, bytes32 indexed transactionHash, address indexed recipient, uint256 ruleId, uint8 source, uint256 amount, uint8 kycStatus, uint8 amlStatus)",
-      "event TransactionExecuted(bytes32 indexed txHash, address indexed to, uint256 amount)"
+      "event TransactionExecuted(bytes32 indexed txHash, address indexed to, uint256 amount)",
+      "event TransactionProposed(bytes32 indexed txHash, address indexed proposer, address indexed to, uint256 amount)",
+      "event TransactionConfirmed(bytes32 indexed txHash, address indexed signer)",
+      "event ConfirmationRevoked(bytes32 indexed txHash, address indexed signer)"
     ];
   }
 }
@@ -0,0 +1,250 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const TreasuryEventListener = require('./eventListener');
+const { ComplianceRecord } = require('./models/ComplianceRecord.mongoose');
+
+const PROPOSER = `0x${'1'.repeat(40)}`;
+const RECIPIENT = `0x${'2'.repeat(40)}`;
+
+/**
+ * Chain stand-in: block hashes depend on the fork a block was mined on, so
+ * replacing the tip with another fork changes the hashes the listener remembered
+ */
+class FakeChain {
+  constructor(head) {
+    this.head = head;
+    this.forks = {};
+    this.events = [];
+  }
+
+  hash(blockNumber) {
+    return ethers.utils.id(`${this.forks[blockNumber] || 'main'}:${blockNumber}`);
+  }
+
+  propose(blockNumber, txId, logIndex = 0) {
+    const fork = this.forks[blockNumber] || 'main';
+    this.events.push({
+      event: 'TransactionProposed',
+      args: [txId, PROPOSER, RECIPIENT, ethers.BigNumber.from(1000000)],
+      fork,
+      blockNumber,
+      logIndex,
+      transactionHash: ethers.utils.id(`tx:${fork}:${txId}`),
+      getBlock: async () => ({ timestamp: 1700000000 + blockNumber })
+    });
+  }
+
+  pay(blockNumber, scheduleId, logIndex = 0) {
+    const fork = this.forks[blockNumber] || 'main';
+    this.events.push({
+      event: 'ScheduledDistributionExecuted',
+      args: [ethers.BigNumber.from(scheduleId), RECIPIENT, ethers.BigNumber.from(2500000)],
+      fork,
+      blockNumber,
+      logIndex,
+      transactionHash: ethers.utils.id(`payout:${fork}:${scheduleId}`)
+    });
+  }
+
+  reorg(fromBlock, fork) {
+    for (let n = fromBlock; n <= this.head; n += 1) this.forks[n] = fork;
+    this.events = this.events.filter(event => event.blockNumber < fromBlock);
+  }
+
+  provider() {
+    return {
+      getBlockNumber: async () => this.head,
+      getBlock: async (blockNumber) => (blockNumber <= this.head ? { number: blockNumber, hash: this.hash(blockNumber) } : null),
+      on() {},
+      off() {}
+    };
+  }
+
+  contract() {
+    const filters = new Proxy({}, { get: (_, name) => () => name });
+    return {
+      filters,
+      queryFilter: async (name, fromBlock, toBlock) => this.events
+        .filter(event => event.event === name && event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+        .map(event => ({ ...event, blockHash: this.hash(event.blockNumber) }))
+    };
+  }
+}
+
+describe('TreasuryEventListener sync', () => {
+  let dir;
+  let chain;
+  let rolledBackTo;
+
+  function createListener() {
+    const listener = new TreasuryEventListener({
+      confirmations: 2,
+      startBlock: 10,
+      backfillBlockRange: 5,
+      checkpointFile: path.join(dir, 'checkpoint.json'),
+      approvalsFile: path.join(dir, 'approvals.json')
+    });
+    listener.provider = chain.provider();
+    listener.treasuryContract = chain.contract();
+    listener.checkpoint = listener.checkpointStore.load();
+    listener.complianceStore.restorePendingChecks(listener.checkpoint.pendingChecks);
+    const deleteRecordsAfterBlock = listener.complianceStore.deleteRecordsAfterBlock.bind(listener.complianceStore);
+    listener.complianceStore.deleteRecordsAfterBlock = async (blockNumber) => {
+      rolledBackTo.push(blockNumber);
+      return deleteRecordsAfterBlock(blockNumber);
+    };
+    listener._setupEventListeners();
+    listener.isListening = true;
+    return listener;
+  }
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'listener-'));
+    chain = new FakeChain(30);
+    rolledBackTo = [];
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('backfills confirmed blocks from the start block and persists the checkpoint', async () => {
+    chain.propose(12, ethers.utils.id('a'));
+    chain.propose(27, ethers.utils.id('b'));
+    chain.propose(29, ethers.utils.id('unconfirmed'));
+    const listener = createListener();
+    const seen = [];
+    listener.on('event', event => seen.push(event.blockNumber));
+
+    await listener._sync();
+
+    assert.deepEqual(seen, [12, 27]);
+    assert.equal(listener.checkpoint.lastProcessedBlock, 28);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8'));
+    assert.equal(saved.lastProcessedBlock, 28);
+    assert.equal(saved.blockHashes[28], chain.hash(28));
+  });
+
+  it('resumes from the checkpoint after a restart without reprocessing events', async () => {
+    chain.propose(12, ethers.utils.id('a'));
+    await createListener()._sync();
+
+    chain.head = 33;
+    chain.propose(30, ethers.utils.id('b'));
+    const restarted = createListener();
+    const seen = [];
+    restarted.on('event', event => seen.push(event.blockNumber));
+    await restarted._sync();
+
+    assert.deepEqual(seen, [30]);
+    assert.equal(restarted.checkpoint.lastProcessedBlock, 31);
+  });
+
+  it('rolls back to the common ancestor and re-indexes the new fork after a reorg', async () => {
+    const orphaned = ethers.utils.id('orphaned');
+    chain.propose(12, ethers.utils.id('kept'));
+    chain.propose(26, orphaned);
+    const listener = createListener();
+    await listener._sync();
+
+    chain.reorg(25, 'fork');
+    const replacement = ethers.utils.id('replacement');
+    chain.propose(27, replacement);
+    const reorgs = [];
+    listener.on('reorg', reorg => reorgs.push(reorg));
+    await listener._sync();
+
+    assert.deepEqual(reorgs.map(r => r.commonAncestor), [24]);
+    assert.deepEqual(rolledBackTo, [24]);
+    assert.equal(await listener.approvalStore.get(orphaned), null);
+    assert.equal((await listener.approvalStore.get(replacement)).status, 'pending');
+    assert.ok(await listener.approvalStore.get(ethers.utils.id('kept')));
+    assert.equal(listener.checkpoint.lastProcessedBlock, 28);
+    assert.equal(listener.checkpoint.blockHashes[28], chain.hash(28));
+  });
+
+  it('does not roll back when the remembered blocks are still canonical', async () => {
+    const listener = createListener();
+    await listener._sync();
+    chain.head = 35;
+    await listener._sync();
+
+    assert.deepEqual(rolledBackTo, []);
+    assert.equal(listener.checkpoint.lastProcessedBlock, 33);
+  });
+
+  describe('payout compliance checks', () => {
+    let checks;
+
+    function createPayoutListener() {
+      const listener = createListener();
+      listener.circleGateway = {
+        performComplianceCheck: async () => {
+          const check = checks.shift();
+          if (check instanceof Error) throw check;
+          return check;
+        }
+      };
+      // No record has been indexed for the payout yet, so the check is held
+      listener.complianceStore.isConnected = true;
+      return listener;
+    }
+
+    beforeEach(() => {
+      checks = [];
+      mock.method(console, 'error', () => {});
+      mock.method(ComplianceRecord, 'find', async () => []);
+      mock.method(ComplianceRecord, 'deleteMany', async () => ({ deletedCount: 0 }));
+    });
+
+    it('retries the block range when the compliance check fails', async () => {
+      chain.pay(12, 1);
+      checks.push(new Error('gateway unavailable'), { kycStatus: 'VERIFIED', amlStatus: 'VERIFIED' });
+      const listener = createPayoutListener();
+
+      await listener._sync();
+      assert.equal(listener.checkpoint.lastProcessedBlock, 9);
+
+      await listener._sync();
+      assert.equal(listener.checkpoint.lastProcessedBlock, 28);
+      assert.equal(listener.complianceStore.pendingChecks.size, 1);
+    });
+
+    it('keeps a check waiting for its record across a restart', async () => {
+      chain.pay(12, 1);
+      checks.push({ kycStatus: 'VERIFIED', amlStatus: 'REJECTED', transactionId: 'cg-1' });
+      await createPayoutListener()._sync();
+
+      const restarted = createPayoutListener();
+      const [entry] = restarted.complianceStore.pendingChecks.values();
+
+      assert.equal(restarted.complianceStore.pendingChecks.size, 1);
+      assert.deepEqual(entry, {
+        complianceCheck: { kycStatus: 'VERIFIED', amlStatus: 'REJECTED', transactionId: 'cg-1' },
+        blockNumber: 12
+      });
+    });
+
+    it('drops held checks for payouts in orphaned blocks', async () => {
+      chain.pay(12, 1);
+      chain.pay(26, 2);
+      checks.push({ kycStatus: 'VERIFIED', amlStatus: 'VERIFIED' }, { kycStatus: 'VERIFIED', amlStatus: 'VERIFIED' });
+      const listener = createPayoutListener();
+      await listener._sync();
+      assert.equal(listener.complianceStore.pendingChecks.size, 2);
+
+      chain.reorg(25, 'fork');
+      await listener._sync();
+
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'checkpoint.json'), 'utf8'));
+      assert.deepEqual(Object.values(saved.pendingChecks).map(entry => entry.blockNumber), [12]);
+    });
+  });
+});
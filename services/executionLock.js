@@ -0,0 +1,240 @@
+/**
+ * Execution Lock
+ * Lease-based lock so only one automation instance executes distributions at a time.
+ * A lease expires on its own if the holder crashes, so a stuck lock never blocks payroll for good.
+ *
+ * Backends:
+ * - file: lock file on a shared disk (single host or shared volume); takeovers, renewals
+ *   and releases run under a guard file so they cannot interleave between processes
+ * - mongo: document in the `automation_locks` collection (multiple hosts)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connectDatabase } = require('./database');
+const { withFileGuard } = require('./fileGuard');
+
+const DEFAULT_LEASE_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Unique identity of this process as a lock holder
+ */
+function createOwnerId() {
+  return `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+class FileExecutionLock {
+  /**
+   * @param {string} filePath - Lock file location
+   * @param {Object} options - { leaseMs }
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.owner = createOwnerId();
+  }
+
+  /**
+   * Try to acquire (or renew) the lease
+   * @returns {Promise<boolean>} Whether this process holds the lock
+   */
+  async acquire() {
+    const lease = this._newLease();
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (this._create(lease)) {
+      return true;
+    }
+
+    const current = this._read();
+    if (current && current.owner !== this.owner && current.expiresAt > Date.now()) {
+      return false;
+    }
+
+    // Expired lease (or our own): replace it only if it is still the lease we just read,
+    // so of several processes taking over the same expired lease only one wins
+    return withFileGuard(this.filePath, () => {
+      const latest = this._read();
+      if (!latest) {
+        return this._create(lease);
+      }
+      if (!current || latest.owner !== current.owner || latest.expiresAt !== current.expiresAt) {
+        return false;
+      }
+      this._write(lease);
+      return true;
+    });
+  }
+
+  /**
+   * Extend the lease if we still hold it
+   * @returns {Promise<boolean>} Whether the lease was renewed
+   */
+  async renew() {
+    return withFileGuard(this.filePath, () => {
+      const current = this._read();
+      if (!current || current.owner !== this.owner) {
+        return false;
+      }
+      this._write(this._newLease());
+      return true;
+    });
+  }
+
+  /**
+   * Release the lease if we hold it
+   */
+  async release() {
+    await withFileGuard(this.filePath, () => {
+      const current = this._read();
+      if (current && current.owner === this.owner) {
+        fs.unlinkSync(this.filePath);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _newLease() {
+    return { owner: this.owner, expiresAt: Date.now() + this.leaseMs };
+  }
+
+  /**
+   * Create the lock file if there is none
+   * @private
+   * @returns {boolean} Whether the file was created
+   */
+  _create(lease) {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(lease), { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the lock file in one step (temp file + rename), so readers never see a partial lease
+   * @private
+   */
+  _write(lease) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(lease));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * @private
+   */
+  _read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      // Missing or half-written file
+      return null;
+    }
+  }
+}
+
+class MongoExecutionLock {
+  /**
+   * @param {string} mongoUri - MongoDB connection string
+   * @param {Object} options - { leaseMs, name }
+   */
+  constructor(mongoUri, options = {}) {
+    this.mongoUri = mongoUri;
+    this.leaseMs = options.leaseMs || DEFAULT_LEASE_MS;
+    this.name = options.name || 'payroll-automation';
+    this.owner = createOwnerId();
+    this.collection = null;
+  }
+
+  /**
+   * Try to acquire (or renew) the lease
+   * @returns {Promise<boolean>} Whether this process holds the lock
+   */
+  async acquire() {
+    const collection = await this._getCollection();
+    const now = new Date();
+
+    try {
+      // Matches only if the lease is free, expired or already ours; otherwise the
+      // upsert collides with the existing document and fails with a duplicate key
+      await collection.findOneAndUpdate(
+        { _id: this.name, $or: [{ expiresAt: { $lt: now } }, { owner: this.owner }] },
+        { $set: { owner: this.owner, expiresAt: new Date(now.getTime() + this.leaseMs), acquiredAt: now } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extend the lease if we still hold it
+   * @returns {Promise<boolean>} Whether the lease was renewed
+   */
+  async renew() {
+    const collection = await this._getCollection();
+    const result = await collection.updateOne(
+      { _id: this.name, owner: this.owner },
+      { $set: { expiresAt: new Date(Date.now() + this.leaseMs) } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Release the lease if we hold it
+   */
+  async release() {
+    const collection = await this._getCollection();
+    await collection.deleteOne({ _id: this.name, owner: this.owner });
+  }
+
+  /**
+   * @private
+   */
+  async _getCollection() {
+    if (!this.collection) {
+      const connection = await connectDatabase(this.mongoUri);
+      this.collection = connection.collection('automation_locks');
+    }
+    return this.collection;
+  }
+}
+
+/**
+ * Create the execution lock configured for this deployment
+ * @param {Object} config - Service configuration
+ */
+function createExecutionLock(config) {
+  const options = { leaseMs: config.lockLeaseMs };
+
+  if (config.lockBackend === 'mongo') {
+    if (!config.mongoUri) {
+      throw new Error('MONGODB_URI is required for the mongo execution lock backend');
+    }
+    return new MongoExecutionLock(config.mongoUri, options);
+  }
+
+  return new FileExecutionLock(
+    config.lockFile || path.join(__dirname, '.automation.lock'),
+    options
+  );
+}
+
+module.exports = {
+  FileExecutionLock,
+  MongoExecutionLock,
+  createExecutionLock
+};
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileExecutionLock } = require('./executionLock');
+
+/**
+ * Try to acquire the lock from a separate Node process
+ * @returns {Promise<boolean>} Whether that process got the lock
+ */
+function acquireInChild(filePath) {
+  const script = `
+    const { FileExecutionLock } = require(${JSON.stringify(path.join(__dirname, 'executionLock'))});
+    new FileExecutionLock(${JSON.stringify(filePath)}, { leaseMs: 60000 }).acquire()
+      .then(acquired => process.stdout.write(String(acquired)));
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { timeout: 20000 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout === 'true');
+    });
+  });
+}
+
+describe('FileExecutionLock', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lock-'));
+    filePath = path.join(dir, 'automation.lock');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function expireLease() {
+    fs.writeFileSync(filePath, JSON.stringify({ owner: 'crashed-instance', expiresAt: Date.now() - 1000 }));
+  }
+
+  it('grants the lease to one holder until it is released', async () => {
+    const first = new FileExecutionLock(filePath, { leaseMs: 60000 });
+    const second = new FileExecutionLock(filePath, { leaseMs: 60000 });
+
+    assert.equal(await first.acquire(), true);
+    assert.equal(await first.acquire(), true, 'the holder can re-acquire its own lease');
+    assert.equal(await second.acquire(), false);
+
+    await second.release();
+    assert.equal(await second.acquire(), false, 'release by a non-holder leaves the lease in place');
+
+    await first.release();
+    assert.equal(await second.acquire(), true);
+  });
+
+  it('takes over an expired lease', async () => {
+    expireLease();
+    const lock = new FileExecutionLock(filePath);
+
+    assert.equal(await lock.acquire(), true);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).owner, lock.owner);
+  });
+
+  it('refuses a takeover when the expired lease changed after it was read', async () => {
+    expireLease();
+    const winner = new FileExecutionLock(filePath);
+    const loser = new FileExecutionLock(filePath);
+
+    // The loser read the expired lease just before the winner replaced it
+    const staleRead = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.equal(await winner.acquire(), true);
+    const read = loser._read.bind(loser);
+    let reads = 0;
+    loser._read = () => (reads++ === 0 ? staleRead : read());
+
+    assert.equal(await loser.acquire(), false);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, 'utf8')).owner, winner.owner);
+  });
+
+  it('lets exactly one of several processes take over an expired lease', async () => {
+    expireLease();
+
+    const results = await Promise.all([1, 2, 3, 4].map(() => acquireInChild(filePath)));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(fs.existsSync(`${filePath}.guard`), false);
+  });
+
+  it('stops renewing once another holder took the lease over', async () => {
+    const lock = new FileExecutionLock(filePath, { leaseMs: 60000 });
+    assert.equal(await lock.acquire(), true);
+    assert.equal(await lock.renew(), true);
+
+    fs.writeFileSync(filePath, JSON.stringify({ owner: 'other-instance', expiresAt: Date.now() + 60000 }));
+
+    assert.equal(await lock.renew(), false);
+  });
+
+  it('waits for a guard held by another update and clears a stale one', async () => {
+    expireLease();
+    const guardPath = `${filePath}.guard`;
+    fs.writeFileSync(guardPath, 'crashed');
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(guardPath, past, past);
+
+    const lock = new FileExecutionLock(filePath);
+
+    assert.equal(await lock.acquire(), true);
+    assert.equal(fs.existsSync(guardPath), false);
+  });
+});
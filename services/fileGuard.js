@@ -0,0 +1,80 @@
+/**
+ * File Guard
+ * Exclusive guard around read-modify-write updates of a JSON file shared by several
+ * processes. The guard is a sibling `.guard` file created with the `wx` flag, which only
+ * one process can do at a time. A guard left behind by a crashed process is removed
+ * once it is older than any update could take.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RETRY_MS = 20;
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_STALE_MS = 30000;
+
+/**
+ * Run an update while holding the guard for a file
+ * @param {string} filePath - File being updated
+ * @param {Function} update - Update to run (sync or async)
+ * @param {Object} options - { timeoutMs, staleMs }
+ * @returns {Promise<*>} Result of the update
+ */
+async function withFileGuard(filePath, update, options = {}) {
+  const guardPath = `${filePath}.guard`;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const staleMs = options.staleMs ?? DEFAULT_STALE_MS;
+  const deadline = Date.now() + timeoutMs;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  while (!tryCreateGuard(guardPath)) {
+    removeStaleGuard(guardPath, staleMs);
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for ${guardPath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, RETRY_MS));
+  }
+
+  try {
+    return await update();
+  } finally {
+    fs.rmSync(guardPath, { force: true });
+  }
+}
+
+/**
+ * @private
+ * @returns {boolean} Whether this process created the guard
+ */
+function tryCreateGuard(guardPath) {
+  try {
+    fs.writeFileSync(guardPath, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @private
+ */
+function removeStaleGuard(guardPath, staleMs) {
+  try {
+    if (Date.now() - fs.statSync(guardPath).mtimeMs > staleMs) {
+      console.warn(`⚠️  Removing stale guard ${guardPath}`);
+      fs.rmSync(guardPath, { force: true });
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  withFileGuard
+};
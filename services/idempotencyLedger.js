@@ -0,0 +1,203 @@
+/**
+ * Idempotency Ledger
+ * Records every scheduled payment submission keyed by schedule ID and due period,
+ * so a payment is submitted at most once per due window, even across crashes.
+ *
+ * Entry lifecycle:
+ * - reserved:  about to submit (a crash here leaves the entry blocked for manual review,
+ *              since we cannot know whether the transaction reached the network)
+ * - submitted: transaction broadcast, hash recorded
+ * - confirmed: transaction mined successfully
+ * A reservation is released (entry removed) only when the payment provably did not
+ * happen: the send failed before broadcast, or the transaction reverted.
+ *
+ * Backends mirror the execution lock: a JSON file or the `automation_ledger` collection.
+ * Every update of the JSON file runs under a guard file, so automation instances sharing
+ * it never both reserve the same key or overwrite each other's entries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { connectDatabase } = require('./database');
+const { withFileGuard } = require('./fileGuard');
+
+/**
+ * Ledger key for a schedule's due window
+ * @param {string|number} scheduleId - Schedule ID
+ * @param {number} period - The schedule's nextDistribution timestamp for this window
+ */
+function scheduleKey(scheduleId, period) {
+  return `schedule:${scheduleId}:${period}`;
+}
+
+class FileIdempotencyLedger {
+  /**
+   * @param {string} filePath - Ledger file location
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Reserve a key before submitting
+   * @returns {Promise<boolean>} False if the key was already reserved or used
+   */
+  async reserve(key, data = {}) {
+    return withFileGuard(this.filePath, () => {
+      const entries = this._load();
+      if (entries[key]) {
+        return false;
+      }
+      entries[key] = { ...data, status: 'reserved', reservedAt: new Date().toISOString() };
+      this._save(entries);
+      return true;
+    });
+  }
+
+  async get(key) {
+    return this._load()[key] || null;
+  }
+
+  async markSubmitted(key, txHash) {
+    await this._update(key, { status: 'submitted', txHash, submittedAt: new Date().toISOString() });
+  }
+
+  async markConfirmed(key, outcome) {
+    await this._update(key, {
+      status: 'confirmed',
+      txHash: outcome.hash,
+      blockNumber: outcome.blockNumber,
+      confirmedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Remove a reservation whose payment provably did not happen
+   */
+  async release(key) {
+    await withFileGuard(this.filePath, () => {
+      const entries = this._load();
+      delete entries[key];
+      this._save(entries);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _update(key, fields) {
+    return withFileGuard(this.filePath, () => {
+      const entries = this._load();
+      entries[key] = { ...entries[key], ...fields };
+      this._save(entries);
+    });
+  }
+
+  /**
+   * @private
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * @private
+   */
+  _save(entries) {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+}
+
+class MongoIdempotencyLedger {
+  /**
+   * @param {string} mongoUri - MongoDB connection string
+   */
+  constructor(mongoUri) {
+    this.mongoUri = mongoUri;
+    this.collection = null;
+  }
+
+  /**
+   * Reserve a key before submitting
+   * @returns {Promise<boolean>} False if the key was already reserved or used
+   */
+  async reserve(key, data = {}) {
+    const collection = await this._getCollection();
+    try {
+      await collection.insertOne({ _id: key, ...data, status: 'reserved', reservedAt: new Date() });
+      return true;
+    } catch (error) {
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    const collection = await this._getCollection();
+    return collection.findOne({ _id: key });
+  }
+
+  async markSubmitted(key, txHash) {
+    const collection = await this._getCollection();
+    await collection.updateOne({ _id: key }, { $set: { status: 'submitted', txHash, submittedAt: new Date() } });
+  }
+
+  async markConfirmed(key, outcome) {
+    const collection = await this._getCollection();
+    await collection.updateOne(
+      { _id: key },
+      { $set: { status: 'confirmed', txHash: outcome.hash, blockNumber: outcome.blockNumber, confirmedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Remove a reservation whose payment provably did not happen
+   */
+  async release(key) {
+    const collection = await this._getCollection();
+    await collection.deleteOne({ _id: key });
+  }
+
+  /**
+   * @private
+   */
+  async _getCollection() {
+    if (!this.collection) {
+      const connection = await connectDatabase(this.mongoUri);
+      this.collection = connection.collection('automation_ledger');
+    }
+    return this.collection;
+  }
+}
+
+/**
+ * Create the idempotency ledger configured for this deployment (same backend as the lock)
+ * @param {Object} config - Service configuration
+ */
+function createIdempotencyLedger(config) {
+  if (config.lockBackend === 'mongo') {
+    if (!config.mongoUri) {
+      throw new Error('MONGODB_URI is required for the mongo idempotency ledger backend');
+    }
+    return new MongoIdempotencyLedger(config.mongoUri);
+  }
+
+  return new FileIdempotencyLedger(
+    config.ledgerFile || path.join(__dirname, '.automation-ledger.json')
+  );
+}
+
+module.exports = {
+  FileIdempotencyLedger,
+  MongoIdempotencyLedger,
+  createIdempotencyLedger,
+  scheduleKey
+};
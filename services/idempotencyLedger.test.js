@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileIdempotencyLedger, scheduleKey } = require('./idempotencyLedger');
+
+const KEYS = Array.from({ length: 10 }, (_, i) => scheduleKey(i, 1700000000));
+
+/**
+ * Reserve every key from a separate Node process
+ * @returns {Promise<string[]>} Keys that process reserved
+ */
+function reserveInChild(filePath, worker) {
+  const script = `
+    const { FileIdempotencyLedger } = require(${JSON.stringify(path.join(__dirname, 'idempotencyLedger'))});
+    const ledger = new FileIdempotencyLedger(${JSON.stringify(filePath)});
+    (async () => {
+      const won = [];
+      for (const key of ${JSON.stringify(KEYS)}) {
+        if (await ledger.reserve(key, { worker: ${worker} })) won.push(key);
+      }
+      process.stdout.write(JSON.stringify(won));
+    })();
+  `;
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', script], { timeout: 20000 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(JSON.parse(stdout));
+    });
+  });
+}
+
+describe('FileIdempotencyLedger', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-'));
+    filePath = path.join(dir, 'ledger.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reserves a key once and tracks it through submission and confirmation', async () => {
+    const ledger = new FileIdempotencyLedger(filePath);
+    const key = scheduleKey(3, 1700000000);
+
+    assert.equal(await ledger.reserve(key, { scheduleId: '3' }), true);
+    assert.equal(await ledger.reserve(key), false);
+
+    await ledger.markSubmitted(key, '0xabc');
+    assert.equal((await ledger.get(key)).status, 'submitted');
+
+    await ledger.markConfirmed(key, { hash: '0xabc', blockNumber: 12 });
+    const entry = await ledger.get(key);
+    assert.equal(entry.status, 'confirmed');
+    assert.equal(entry.blockNumber, 12);
+    assert.equal(entry.scheduleId, '3');
+    assert.equal(await ledger.reserve(key), false);
+  });
+
+  it('frees a released key for the next run', async () => {
+    const ledger = new FileIdempotencyLedger(filePath);
+    const key = scheduleKey(1, 1700000000);
+
+    await ledger.reserve(key);
+    await ledger.release(key);
+
+    assert.equal(await ledger.get(key), null);
+    assert.equal(await ledger.reserve(key), true);
+  });
+
+  it('grants each key to exactly one of several processes sharing the file', async () => {
+    const results = await Promise.all([1, 2, 3].map(worker => reserveInChild(filePath, worker)));
+
+    const won = results.flat().sort();
+    assert.deepEqual(won, [...KEYS].sort());
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(entries).sort(), [...KEYS].sort());
+    assert.equal(fs.existsSync(`${filePath}.guard`), false);
+  });
+});
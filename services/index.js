@@ -5,16 +5,20 @@
 
 const CircleGatewayService = require('./circleGatewayService');
 const PayrollAutomationService = require('./payrollAutomation');
+const { networkConfig } = require('./networks');
+
+const network = networkConfig();
 
 // Example configuration
 const config = {
   // Circle Gateway
   circleGatewayApiKey: process.env.CIRCLE_GATEWAY_API_KEY || 'mock-api-key',
   circleGatewayBaseUrl: process.env.CIRCLE_GATEWAY_BASE_URL || 'https://api.circle.com/v1',
+  complianceProvider: process.env.COMPLIANCE_PROVIDER || 'mock', // 'mock' or 'http'
   
   // Treasury Contract
-  treasuryAddress: process.env.TREASURY_ADDRESS || '0x...',
-  rpcUrl: process.env.RPC_URL || 'https://rpc.arc.network',
+  ...network,
+  treasuryAddress: network.treasuryAddress || '0x...',
   privateKey: process.env.PRIVATE_KEY || '0x...',
   
   // Automation
@@ -27,10 +31,7 @@ const config = {
  * Example: Fetch multi-chain balances
  */
 async function exampleFetchBalances() {
-  const circleGateway = new CircleGatewayService(
-    config.circleGatewayApiKey,
-    config.circleGatewayBaseUrl
-  );
+  const circleGateway = CircleGatewayService.fromConfig(config);
   
   const treasuryAddress = config.treasuryAddress;
   const balances = await circleGateway.getMultiChainUSDCBalances(treasuryAddress);
@@ -49,10 +50,7 @@ async function exampleFetchBalances() {
  * Example: Perform compliance check
  */
 async function exampleComplianceCheck() {
-  const circleGateway = new CircleGatewayService(
-    config.circleGatewayApiKey,
-    config.circleGatewayBaseUrl
-  );
+  const circleGateway = CircleGatewayService.fromConfig(config);
   
   const complianceCheck = await circleGateway.performComplianceCheck({
     recipient: '0x742d35Cc6634C0532925a3b844Bc9e7595f0bEb',
@@ -82,9 +80,9 @@ async function exampleStartPayrollAutomation() {
   automation.start();
   
   // Graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\nShutting down payroll automation...');
-    automation.stop();
+    await automation.stop();
     process.exit(0);
   });
   
@@ -0,0 +1,218 @@
+/**
+ * Live Updates
+ * Publishes balance changes, automation run results and indexed Treasury events to
+ * dashboard clients over Server-Sent Events, so the UI updates as soon as something
+ * happens instead of on its next poll
+ */
+
+// Messages kept for clients that reconnect with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 100;
+
+// Comment line sent on idle streams so proxies do not close them
+const HEARTBEAT_MS = 25 * 1000;
+
+// Indexed events often arrive in bursts; balances are re-read once per burst
+const BALANCE_REFRESH_DEBOUNCE_MS = 250;
+
+class LiveUpdateHub {
+  /**
+   * @param {Object} config - Service configuration (liveBalanceIntervalMs)
+   * @param {Object} dependencies
+   * @param {Function} dependencies.fetchBalances - Resolves to the aggregated balances
+   */
+  constructor(config, { fetchBalances }) {
+    this.fetchBalances = fetchBalances;
+    this.balanceIntervalMs = config.liveBalanceIntervalMs ?? 10 * 1000;
+    this.clients = new Set();
+    this.buffer = [];
+    this.nextId = 1;
+    this.balances = null;
+    this.balanceKey = null;
+    this.balanceTimer = null;
+    this.heartbeatTimer = null;
+    this.refreshTimer = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Publish automation runs and indexed events from the monitoring service
+   * @param {PayrollAutomationService} automation
+   * @param {TreasuryEventListener} eventListener
+   */
+  attach(automation, eventListener) {
+    automation.on('run', report => {
+      if (report.skipped) return;
+      this.publish('run', LiveUpdateHub.summarizeRun(report));
+      if (!report.dryRun) this.scheduleBalanceRefresh();
+    });
+
+    eventListener.on('event', event => {
+      this.publish('event', event);
+      this.scheduleBalanceRefresh();
+    });
+
+    eventListener.on('reorg', ({ commonAncestor, removed }) => {
+      this.publish('reorg', { commonAncestor, removed });
+      this.scheduleBalanceRefresh();
+    });
+  }
+
+  /**
+   * Stream updates to an HTTP response until the client disconnects
+   * Sends the latest balances straight away and replays messages missed since Last-Event-ID
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = parseInt(req.headers['last-event-id'], 10);
+    if (lastEventId > 0) {
+      this.buffer.filter(message => message.id > lastEventId).forEach(message => res.write(message.frame));
+    } else if (this.balances) {
+      res.write(this._frame(0, 'balances', this.balances));
+    }
+
+    this.clients.add(res);
+    req.on('close', () => this._remove(res));
+    this._startTimers();
+
+    if (!this.balances) {
+      this.refreshBalances();
+    }
+  }
+
+  /**
+   * Send a message to every connected client
+   * @param {string} type - balances, run, event or reorg
+   * @param {Object} data - JSON payload
+   */
+  publish(type, data) {
+    const id = this.nextId++;
+    const frame = this._frame(id, type, data);
+    this.buffer.push({ id, frame });
+    if (this.buffer.length > REPLAY_BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+    this.clients.forEach(res => res.write(frame));
+  }
+
+  /**
+   * Re-read balances and publish them if they changed
+   * @returns {Promise<void>}
+   */
+  refreshBalances() {
+    if (this.refreshing) {
+      return this.refreshing;
+    }
+
+    this.refreshing = this.fetchBalances()
+      .then(balances => {
+        // Timestamps change on every read; only amounts count as a change
+        const key = JSON.stringify(balances.chains.map(chain => [chain.chain, chain.balanceRaw || chain.balance]));
+        if (key !== this.balanceKey) {
+          this.balanceKey = key;
+          this.balances = balances;
+          this.publish('balances', balances);
+        }
+      })
+      .catch(error => {
+        console.error('Error refreshing live balances:', error.message);
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+    return this.refreshing;
+  }
+
+  /**
+   * Refresh balances shortly, once per burst of triggers
+   */
+  scheduleBalanceRefresh() {
+    if (this.refreshTimer || this.clients.size === 0) return;
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refreshBalances();
+    }, BALANCE_REFRESH_DEBOUNCE_MS);
+  }
+
+  /**
+   * End every open stream and stop timers (call before closing the HTTP server)
+   */
+  close() {
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+    this._stopTimers();
+  }
+
+  /**
+   * Compact run report for clients: counts and errors, not per-recipient results
+   * @param {Object} report - PayrollAutomationService run report
+   */
+  static summarizeRun(report) {
+    const scheduled = report.scheduled || {};
+    const distributionRules = report.distributionRules || {};
+    const allocationRules = report.allocationRules || {};
+    return {
+      dryRun: report.dryRun,
+      completedAt: report.completedAt,
+      durationSeconds: report.durationSeconds,
+      treasuryBalance: report.treasuryBalance,
+      totalExecuted: report.totalExecuted,
+      scheduled: { count: scheduled.count || 0, failed: (scheduled.failed || []).length, error: scheduled.error || null },
+      distributionRules: { executed: distributionRules.rulesExecuted || 0, error: distributionRules.error || null },
+      allocationRules: { executed: allocationRules.rulesExecuted || 0, error: allocationRules.error || null },
+      error: report.error || null
+    };
+  }
+
+  /**
+   * @private
+   */
+  _frame(id, type, data) {
+    return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  /**
+   * @private
+   */
+  _remove(res) {
+    this.clients.delete(res);
+    if (this.clients.size === 0) {
+      this._stopTimers();
+    }
+  }
+
+  /**
+   * Poll balances only while someone is listening
+   * @private
+   */
+  _startTimers() {
+    if (!this.balanceTimer && this.balanceIntervalMs > 0) {
+      this.balanceTimer = setInterval(() => this.refreshBalances(), this.balanceIntervalMs);
+    }
+    if (!this.heartbeatTimer) {
+      this.heartbeatTimer = setInterval(() => this.clients.forEach(res => res.write(': heartbeat\n\n')), HEARTBEAT_MS);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _stopTimers() {
+    clearInterval(this.balanceTimer);
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.refreshTimer);
+    this.balanceTimer = null;
+    this.heartbeatTimer = null;
+    this.refreshTimer = null;
+  }
+}
+
+module.exports = LiveUpdateHub;
@@ -0,0 +1,224 @@
+/**
+ * Treasury Metrics
+ * Prometheus registry for the automation and event listener.
+ * MonitoringService feeds it from service events; the API serves it at /metrics.
+ */
+
+const client = require('prom-client');
+
+// ethers / network error codes that mean the RPC endpoint (not the contract) failed
+const RPC_ERROR_CODES = ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+/**
+ * Whether an error came from the RPC provider rather than a revert or local bug
+ */
+function isRpcError(error) {
+  return !!error && RPC_ERROR_CODES.includes(error.code);
+}
+
+class TreasuryMetrics {
+  /**
+   * @param {Object} options - { prefix, collectDefaults }
+   */
+  constructor(options = {}) {
+    const prefix = options.prefix || 'treasury_';
+    this.registry = new client.Registry();
+
+    if (options.collectDefaults !== false) {
+      client.collectDefaultMetrics({ register: this.registry, prefix });
+    }
+
+    const registers = [this.registry];
+
+    this.runs = new client.Counter({
+      name: `${prefix}automation_runs_total`,
+      help: 'Automation runs by mode and result (completed, error, skipped)',
+      labelNames: ['mode', 'result'],
+      registers
+    });
+
+    this.runDuration = new client.Histogram({
+      name: `${prefix}automation_run_duration_seconds`,
+      help: 'Duration of automation runs',
+      labelNames: ['mode'],
+      buckets: [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+      registers
+    });
+
+    this.lastRun = new client.Gauge({
+      name: `${prefix}automation_last_run_timestamp_seconds`,
+      help: 'Unix time the last automation run completed',
+      registers
+    });
+
+    this.executed = new client.Counter({
+      name: `${prefix}executed_total`,
+      help: 'Executed scheduled distributions and rules',
+      labelNames: ['kind'],
+      registers
+    });
+
+    this.skipped = new client.Counter({
+      name: `${prefix}skipped_total`,
+      help: 'Scheduled distributions and rules skipped (compliance, sanctions, already paid)',
+      labelNames: ['kind'],
+      registers
+    });
+
+    this.transactions = new client.Counter({
+      name: `${prefix}transactions_total`,
+      help: 'Treasury transactions by method and final status',
+      labelNames: ['method', 'status'],
+      registers
+    });
+
+    this.gasUsed = new client.Histogram({
+      name: `${prefix}transaction_gas_used`,
+      help: 'Gas used by confirmed Treasury transactions',
+      labelNames: ['method'],
+      buckets: [50000, 100000, 200000, 500000, 1000000, 2000000, 5000000],
+      registers
+    });
+
+    this.replacements = new client.Counter({
+      name: `${prefix}transaction_replacements_total`,
+      help: 'Fee-bumped transaction replacements',
+      labelNames: ['method'],
+      registers
+    });
+
+    this.complianceChecks = new client.Counter({
+      name: `${prefix}compliance_checks_total`,
+      help: 'Pre-execution compliance checks by source and result (pass, fail)',
+      labelNames: ['source', 'result'],
+      registers
+    });
+
+    this.rpcErrors = new client.Counter({
+      name: `${prefix}rpc_errors_total`,
+      help: 'RPC provider errors by component',
+      labelNames: ['component'],
+      registers
+    });
+
+    this.balance = new client.Gauge({
+      name: `${prefix}balance_usdc`,
+      help: 'Treasury contract USDC balance at the last run',
+      registers
+    });
+
+    this.listenerLag = new client.Gauge({
+      name: `${prefix}listener_lag_blocks`,
+      help: 'Confirmed blocks the event listener is behind',
+      registers
+    });
+
+    this.listenerEvents = new client.Counter({
+      name: `${prefix}listener_events_total`,
+      help: 'Treasury events processed by the listener',
+      labelNames: ['event'],
+      registers
+    });
+
+    this.listenerReorgs = new client.Counter({
+      name: `${prefix}listener_reorgs_total`,
+      help: 'Chain reorgs detected by the listener',
+      registers
+    });
+  }
+
+  /**
+   * Record a finished (or skipped) automation run
+   * @param {Object} report - Report from PayrollAutomationService.checkAndExecuteDistributions
+   */
+  recordRun(report) {
+    const mode = report.dryRun ? 'dry_run' : 'live';
+
+    if (report.skipped) {
+      this.runs.inc({ mode, result: 'skipped' });
+      return;
+    }
+
+    this.runs.inc({ mode, result: report.error ? 'error' : 'completed' });
+    if (typeof report.durationSeconds === 'number') {
+      this.runDuration.observe({ mode }, report.durationSeconds);
+    }
+    this.lastRun.set(Date.now() / 1000);
+    if (report.treasuryBalance != null) {
+      this.balance.set(parseFloat(report.treasuryBalance));
+    }
+
+    // Simulated executions are not counted as executed
+    if (report.dryRun) {
+      return;
+    }
+
+    const scheduled = report.scheduled || {};
+    this.executed.inc({ kind: 'scheduled_distribution' }, scheduled.count || 0);
+    this.skipped.inc({ kind: 'scheduled_distribution' }, (scheduled.skipped || []).length);
+
+    [['distribution_rule', report.distributionRules], ['allocation_rule', report.allocationRules]].forEach(([kind, result]) => {
+      if (!result) return;
+      this.executed.inc({ kind }, result.rulesExecuted || 0);
+      this.skipped.inc({ kind }, (result.skipped || []).length);
+    });
+  }
+
+  /**
+   * Record the outcome of a Treasury transaction
+   * @param {string} method - Contract method
+   * @param {Object} outcome - TransactionManager outcome
+   */
+  recordTransaction(method, outcome) {
+    this.transactions.inc({ method, status: outcome.status });
+    if (outcome.gasUsed) {
+      this.gasUsed.observe({ method }, Number(outcome.gasUsed));
+    }
+    if (outcome.replacements) {
+      this.replacements.inc({ method }, outcome.replacements);
+    }
+  }
+
+  /**
+   * Record a pre-execution compliance check
+   */
+  recordComplianceCheck(source, passed) {
+    this.complianceChecks.inc({ source, result: passed ? 'pass' : 'fail' });
+  }
+
+  recordRpcError(component) {
+    this.rpcErrors.inc({ component });
+  }
+
+  setListenerLag(blocks) {
+    this.listenerLag.set(blocks);
+  }
+
+  recordListenerEvent(eventName) {
+    this.listenerEvents.inc({ event: eventName });
+  }
+
+  recordReorg() {
+    this.listenerReorgs.inc();
+  }
+
+  /**
+   * Content type of the exposition format
+   */
+  get contentType() {
+    return this.registry.contentType;
+  }
+
+  /**
+   * All metrics in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async metrics() {
+    return this.registry.metrics();
+  }
+}
+
+module.exports = {
+  TreasuryMetrics,
+  isRpcError
+};
@@ -248,6 +248,13 @@ ComplianceRecordSchema.statics.findByRuleId = function(ruleId, options = {}) {
 
 ComplianceRecordSchema.statics.findUnreconciled = function(options = {}) {
   const query = this.find({ reconciled: false });
+  // Resume after a { timestamp, recordId } position when paging in that order
+  if (options.after) {
+    query.or([
+      { timestamp: { $gt: options.after.timestamp } },
+      { timestamp: options.after.timestamp, recordId: { $gt: options.after.recordId } }
+    ]);
+  }
   if (options.limit) query.limit(options.limit);
   if (options.sort) query.sort(options.sort || { timestamp: -1 });
   return query;
@@ -272,6 +279,28 @@ ComplianceRecordSchema.statics.findByComplianceStatus = function(kycStatus, amlS
   return query;
 };
 
+// Create a new (unsaved) compliance record from event data
+ComplianceRecordSchema.statics.fromEvent = function(recordId, transactionHash, recipient, ruleId, source, amount, executor, blockNumber, timestamp) {
+  return new this({
+    recordId,
+    transactionHash,
+    internalTxHash: recordId, // Use recordId as internal hash initially
+    ruleId,
+    source,
+    recipient,
+    usdcAmount: amount,
+    usdcAmountFormatted: parseInt(amount, 10) / 1e6,
+    kycStatus: ComplianceStatus.UNKNOWN,
+    amlStatus: ComplianceStatus.UNKNOWN,
+    timestamp,
+    timestampISO: new Date(timestamp * 1000),
+    blockNumber,
+    executor,
+    reconciled: false,
+    reconciledAt: 0
+  });
+};
+
 // Pre-save hook to ensure timestampISO is set
 ComplianceRecordSchema.pre('save', function(next) {
   if (this.timestamp && !this.timestampISO) {
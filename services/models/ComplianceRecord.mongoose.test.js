@@ -0,0 +1,129 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMemoryMongo, needsMongo } = require('../testing/memoryMongo');
+const { ComplianceRecord, TransactionSource, ComplianceStatus } = require('./ComplianceRecord.mongoose');
+
+const RECORD_ID = `0x${'a'.repeat(64)}`;
+const TX_HASH = `0x${'b'.repeat(64)}`;
+const RECIPIENT = `0x${'1'.repeat(40)}`;
+const EXECUTOR = `0x${'2'.repeat(40)}`;
+
+function buildRecord(overrides = {}) {
+  const record = ComplianceRecord.fromEvent(
+    overrides.recordId || RECORD_ID,
+    TX_HASH,
+    RECIPIENT,
+    3,
+    TransactionSource.DISTRIBUTION_RULE,
+    '2500000',
+    EXECUTOR,
+    overrides.blockNumber || 100,
+    overrides.timestamp || 1700000000
+  );
+  return record;
+}
+
+describe('ComplianceRecord.fromEvent', () => {
+  it('builds a valid unreconciled record with derived fields', async () => {
+    const record = buildRecord();
+
+    await record.validate();
+    assert.equal(record.internalTxHash, RECORD_ID);
+    assert.equal(record.usdcAmount, '2500000');
+    assert.equal(record.usdcAmountFormatted, 2.5);
+    assert.equal(record.kycStatus, ComplianceStatus.UNKNOWN);
+    assert.equal(record.amlStatus, ComplianceStatus.UNKNOWN);
+    assert.equal(record.timestampISO.toISOString(), new Date(1700000000 * 1000).toISOString());
+    assert.equal(record.reconciled, false);
+  });
+
+  it('rejects malformed hashes and addresses', async () => {
+    const record = buildRecord({ recordId: '0x1234' });
+    record.recipient = 'not-an-address';
+
+    const error = await record.validate().then(() => null, err => err);
+    assert.ok(error, 'expected validation to fail');
+    assert.ok(error.errors.recordId);
+    assert.ok(error.errors.recipient);
+  });
+});
+
+describe('ComplianceRecord.findUnreconciled', () => {
+  it('queries unreconciled records with the given limit and sort', () => {
+    const query = ComplianceRecord.findUnreconciled({ limit: 25, sort: { timestamp: 1 } });
+
+    assert.deepEqual(query.getFilter(), { reconciled: false });
+    assert.equal(query.getOptions().limit, 25);
+    assert.deepEqual(query.getOptions().sort, { timestamp: 1 });
+  });
+
+  it('resumes after a timestamp and recordId position', () => {
+    const query = ComplianceRecord.findUnreconciled({ after: { timestamp: 1700000000, recordId: RECORD_ID } });
+
+    assert.deepEqual(query.getFilter(), {
+      reconciled: false,
+      $or: [
+        { timestamp: { $gt: 1700000000 } },
+        { timestamp: 1700000000, recordId: { $gt: RECORD_ID } }
+      ]
+    });
+  });
+});
+
+describe('ComplianceRecord (MongoDB)', () => {
+  let mongo;
+
+  before(async () => {
+    mongo = await startMemoryMongo();
+    if (mongo.uri) await ComplianceRecord.init();
+  });
+
+  after(async () => {
+    await mongo.stop();
+  });
+
+  beforeEach(async () => {
+    if (mongo.uri) await ComplianceRecord.deleteMany({});
+  });
+
+  it('round-trips a record built from an event', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    await buildRecord().save();
+    const stored = await ComplianceRecord.findOne({ recordId: RECORD_ID });
+
+    assert.equal(stored.transactionHash, TX_HASH);
+    assert.equal(stored.ruleId, 3);
+    assert.equal(stored.usdcAmountDecimal, 2.5);
+  });
+
+  it('findUnreconciled skips reconciled records', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    const open = buildRecord({ recordId: `0x${'c'.repeat(64)}`, timestamp: 1700000100 });
+    const done = buildRecord({ recordId: `0x${'d'.repeat(64)}`, timestamp: 1700000000 });
+    await open.save();
+    await done.save();
+    await done.markReconciled();
+
+    const records = await ComplianceRecord.findUnreconciled({ limit: 10, sort: { timestamp: 1 } });
+    assert.deepEqual(records.map(r => r.recordId), [open.recordId]);
+  });
+
+  it('findUnreconciled pages in timestamp and recordId order', async (t) => {
+    if (!needsMongo(mongo, t)) return;
+
+    const ids = ['1', '2', '3'].map(c => `0x${c.repeat(64)}`);
+    for (const recordId of ids) {
+      await buildRecord({ recordId, timestamp: 1700000000 }).save();
+    }
+
+    const sort = { timestamp: 1, recordId: 1 };
+    const first = await ComplianceRecord.findUnreconciled({ limit: 2, sort });
+    const last = first[first.length - 1];
+    const next = await ComplianceRecord.findUnreconciled({ limit: 2, sort, after: { timestamp: last.timestamp, recordId: last.recordId } });
+
+    assert.deepEqual(first.map(r => r.recordId), ids.slice(0, 2));
+    assert.deepEqual(next.map(r => r.recordId), ids.slice(2));
+  });
+});
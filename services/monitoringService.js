@@ -7,17 +7,33 @@
 const PayrollAutomationService = require('./payrollAutomation');
 const TreasuryEventListener = require('./eventListener');
 const CircleGatewayService = require('./circleGatewayService');
+const RunwayForecast = require('./runwayForecast');
+const ReconciliationEngine = require('./reconciliationEngine');
+const { TreasuryMetrics } = require('./metrics');
+const { createAlertDispatcher } = require('./alerts');
+const { createApprovalTracker } = require('./approvals');
+const LiveUpdateHub = require('./liveUpdates');
 const { ethers } = require('ethers');
+const cron = require('node-cron');
+
+// Live runs kept for the health score's automation error rate
+const RECENT_RUN_WINDOW = 20;
 
 class MonitoringService {
   constructor(config) {
     this.config = config;
     this.automation = null;
     this.eventListener = null;
-    this.circleGateway = new CircleGatewayService(
-      config.circleGatewayApiKey,
-      config.circleGatewayBaseUrl
-    );
+    this.circleGateway = CircleGatewayService.fromConfig(config);
+    this.metrics = new TreasuryMetrics();
+    this.alerts = createAlertDispatcher(config);
+    this.reconciliation = null;
+    this.reconciliationJob = null;
+    this.approvals = null;
+    this.approvalReminderJob = null;
+    this.liveUpdates = null;
+    this.statsTimer = null;
+    this.recentRuns = []; // { completedAt, errors }
     this.stats = {
       startTime: null,
       distributionsExecuted: 0,
@@ -43,6 +59,32 @@ class MonitoringService {
       this.eventListener = new TreasuryEventListener(this.config);
       await this.eventListener.initialize();
 
+      this.reconciliation = new ReconciliationEngine(this.config, {
+        provider: this.automation.provider,
+        circleGateway: this.circleGateway
+      });
+      if (!this.reconciliation.isEnabled) {
+        console.warn('MONGODB_URI or USDC_ADDRESS not set - reconciliation disabled');
+      }
+
+      this.approvals = createApprovalTracker(this.config, {
+        store: this.eventListener.approvalStore,
+        provider: this.automation.provider,
+        alerts: this.alerts
+      });
+
+      this.liveUpdates = new LiveUpdateHub(this.config, {
+        fetchBalances: () => this.circleGateway.getMultiChainUSDCBalances(this.config.treasuryAddress)
+      });
+      this.liveUpdates.attach(this.automation, this.eventListener);
+
+      this._attachMetrics();
+      this._attachApprovals();
+      if (this.alerts.isEnabled) {
+        this._attachAlerts();
+        console.log(`Alerting to: ${this.alerts.sinks.map(sink => sink.name).join(', ')}`);
+      }
+
       console.log('✓ All services initialized successfully\n');
     } catch (error) {
       console.error('Error initializing monitoring service:', error);
@@ -66,6 +108,14 @@ class MonitoringService {
     // Start event listener
     this.eventListener.start();
 
+    if (this.reconciliation.isEnabled) {
+      this._startReconciliation();
+    }
+
+    if (this.approvals.canNotify) {
+      this._startApprovalReminders();
+    }
+
     this.stats.startTime = new Date();
     
     console.log('✅ Treasury Monitoring Service is now running');
@@ -78,17 +128,40 @@ class MonitoringService {
   }
 
   /**
-   * Stop all services
+   * Stop all services, waiting for in-flight distributions to settle
    */
-  stop() {
+  async stop() {
     console.log('\n🛑 Stopping Treasury Monitoring Service...');
 
+    if (this.statsTimer) {
+      clearInterval(this.statsTimer);
+      this.statsTimer = null;
+    }
+
+    if (this.reconciliationJob) {
+      this.reconciliationJob.stop();
+      this.reconciliationJob = null;
+    }
+
+    if (this.approvalReminderJob) {
+      this.approvalReminderJob.stop();
+      this.approvalReminderJob = null;
+    }
+
+    if (this.liveUpdates) {
+      this.liveUpdates.close();
+    }
+
     if (this.automation) {
-      this.automation.stop();
+      await this.automation.stop();
+    }
+
+    if (this.reconciliation && this.reconciliation.currentRun) {
+      await this.reconciliation.currentRun.catch(() => {});
     }
 
     if (this.eventListener) {
-      this.eventListener.stop();
+      await this.eventListener.close();
     }
 
     this._printFinalStats();
@@ -119,6 +192,78 @@ class MonitoringService {
     }
   }
 
+  /**
+   * Get treasury health for the configured treasury, scored from the runway forecast,
+   * recent automation runs and the reconciliation backlog
+   * Inputs that cannot be fetched are left out of the score rather than failing the request
+   */
+  async getTreasuryHealth() {
+    const [forecast, unreconciledRecords] = await Promise.all([
+      this.automation
+        ? this.getRunwayForecast().catch(error => {
+          console.warn('Health score without runway forecast:', error.message);
+          return null;
+        })
+        : null,
+      this.eventListener
+        ? this.eventListener.complianceStore.countUnreconciled().catch(error => {
+          console.warn('Health score without reconciliation backlog:', error.message);
+          return null;
+        })
+        : null
+    ]);
+
+    return this.circleGateway.getTreasuryHealth(this.config.treasuryAddress, {
+      forecast,
+      unreconciledRecords,
+      automation: {
+        runs: this.recentRuns.length,
+        failedRuns: this.recentRuns.filter(run => run.errors > 0).length
+      }
+    });
+  }
+
+  /**
+   * Project the Treasury balance against upcoming distributions
+   * @param {number} horizonDays - Days to project (defaults to config.forecastHorizonDays)
+   */
+  async getRunwayForecast(horizonDays) {
+    const forecast = new RunwayForecast(this.automation, { horizonDays: this.config.forecastHorizonDays });
+    return forecast.forecast({ horizonDays });
+  }
+
+  /**
+   * Multisig proposals with their approval progress
+   * @param {Object} filter - { status, signer }
+   */
+  async listApprovals(filter) {
+    return this.approvals.listApprovals(filter);
+  }
+
+  /**
+   * One multisig proposal with its approval progress and event history
+   */
+  async getApproval(txId) {
+    return this.approvals.getApproval(txId);
+  }
+
+  /**
+   * Get automation statistics
+   */
+  getAutomationStats() {
+    const uptimeSeconds = this.stats.startTime
+      ? Math.floor((Date.now() - this.stats.startTime.getTime()) / 1000)
+      : 0;
+
+    return {
+      ...this.stats,
+      uptimeSeconds,
+      isRunning: this.automation ? this.automation.isRunning : false,
+      isListening: this.eventListener ? this.eventListener.isListening : false,
+      lastRun: this.automation ? this.automation.lastReport : null
+    };
+  }
+
   /**
    * Print current statistics
    */
@@ -148,11 +293,220 @@ class MonitoringService {
    */
   _startStatsReporting() {
     // Print stats every hour
-    setInterval(() => {
+    this.statsTimer = setInterval(() => {
       this.printStats();
     }, 3600000); // 1 hour
   }
 
+  /**
+   * Reconcile compliance records on a cron schedule
+   * @private
+   */
+  _startReconciliation() {
+    const cronExpression = this.config.reconciliationCron || '*/15 * * * *';
+
+    this.reconciliationJob = cron.schedule(cronExpression, async () => {
+      try {
+        await this.reconciliation.reconcile();
+      } catch (error) {
+        // Logged by the engine; the next run retries
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    console.log(`Reconciliation scheduled with cron: ${cronExpression}`);
+  }
+
+  /**
+   * Remind signers about overdue approvals on a cron schedule
+   * @private
+   */
+  _startApprovalReminders() {
+    const cronExpression = this.config.approvalReminderCron || '0 * * * *';
+
+    this.approvalReminderJob = cron.schedule(cronExpression, async () => {
+      try {
+        await this.approvals.sendReminders();
+      } catch (error) {
+        console.error('Error sending approval reminders:', error.message);
+      }
+    }, {
+      scheduled: true,
+      timezone: 'UTC'
+    });
+
+    console.log(`Approval reminders scheduled with cron: ${cronExpression}`);
+  }
+
+  /**
+   * Notify signers once the listener has indexed changes to pending proposals
+   * Notifications go out after each sync pass, so a backfill sends one per proposal
+   * rather than one per event
+   * @private
+   */
+  _attachApprovals() {
+    this.eventListener.on('approval', ({ txId }) => this.approvals.markChanged(txId));
+
+    this.eventListener.on('lag', () => {
+      this.approvals.notifyChanged().catch(error => {
+        console.error('Error notifying signers:', error.message);
+      });
+    });
+  }
+
+  /**
+   * Feed stats and Prometheus metrics from automation and listener events
+   * @private
+   */
+  _attachMetrics() {
+    this.automation.on('run', report => {
+      this.metrics.recordRun(report);
+      if (report.skipped || report.dryRun) {
+        return;
+      }
+
+      const scheduled = report.scheduled || {};
+      const distributionRules = report.distributionRules || {};
+      const allocationRules = report.allocationRules || {};
+
+      this.stats.lastCheck = report.completedAt;
+      this.stats.distributionsExecuted += scheduled.count || 0;
+      this.stats.rulesExecuted += distributionRules.rulesExecuted || 0;
+      this.stats.allocationsExecuted += allocationRules.rulesExecuted || 0;
+      const errors = (report.error ? 1 : 0)
+        + (scheduled.failed || []).length
+        + (scheduled.error ? 1 : 0)
+        + (distributionRules.error ? 1 : 0)
+        + (allocationRules.error ? 1 : 0);
+      this.stats.errors += errors;
+
+      this.recentRuns.push({ completedAt: report.completedAt, errors });
+      if (this.recentRuns.length > RECENT_RUN_WINDOW) {
+        this.recentRuns.shift();
+      }
+    });
+
+    this.automation.on('transaction', ({ method, outcome }) => {
+      this.metrics.recordTransaction(method, outcome);
+    });
+
+    this.automation.on('compliance', ({ source, passed }) => {
+      this.metrics.recordComplianceCheck(source, passed);
+    });
+
+    this.automation.on('rpcError', ({ component }) => {
+      this.metrics.recordRpcError(component);
+    });
+
+    this.eventListener.on('event', ({ name }) => {
+      this.metrics.recordListenerEvent(name);
+    });
+
+    this.eventListener.on('lag', blocks => {
+      this.metrics.setListenerLag(blocks);
+    });
+
+    this.eventListener.on('reorg', () => {
+      this.metrics.recordReorg();
+    });
+
+    this.eventListener.on('rpcError', ({ component }) => {
+      this.metrics.recordRpcError(component);
+      // Automation RPC errors are already counted through the run report
+      this.stats.errors += 1;
+    });
+  }
+
+  /**
+   * Raise alerts for failed executions, skipped payments, RPC outages and low balance
+   * @private
+   */
+  _attachAlerts() {
+    const alert = (key, severity, title, message, details = {}) => {
+      this.alerts.send({ key, severity, title, message, details })
+        .catch(error => console.error(`Error dispatching alert "${title}":`, error.message));
+    };
+
+    this.automation.on('run', report => {
+      if (report.skipped || report.dryRun) {
+        return;
+      }
+
+      if (report.error) {
+        alert('run-failed', 'critical', 'Automation run failed', report.error);
+      }
+
+      const scheduled = report.scheduled || {};
+      if (scheduled.error) {
+        alert('scheduled-check-failed', 'critical', 'Scheduled distribution check failed', scheduled.error);
+      }
+      (scheduled.failed || []).forEach(failure => {
+        alert(`schedule-failed:${failure.scheduleId}`, 'critical', 'Scheduled distribution failed',
+          `Schedule ${failure.scheduleId} could not be executed: ${failure.error}`,
+          { scheduleId: failure.scheduleId });
+      });
+      (scheduled.skipped || []).forEach(skip => {
+        const severity = this._skipSeverity(skip.reason);
+        if (severity) {
+          alert(`schedule-skipped:${skip.scheduleId}:${skip.reason}`, severity, 'Scheduled payment skipped',
+            `Schedule ${skip.scheduleId} (${skip.amount} USDC to ${skip.recipient}) was not paid: ${skip.reason}`,
+            { scheduleId: skip.scheduleId, recipient: skip.recipient, amount: skip.amount, compliance: skip.compliance });
+        }
+      });
+
+      [['Distribution rule', report.distributionRules], ['Allocation rule', report.allocationRules]].forEach(([label, result]) => {
+        if (!result) return;
+        if (result.error) {
+          alert(`${label}-failed`, 'critical', `${label} execution failed`, result.error);
+        }
+        (result.skipped || []).forEach(skip => {
+          alert(`${label}-skipped:${skip.ruleId}:${skip.reason}`, this._skipSeverity(skip.reason) || 'warning',
+            `${label} skipped`, `${label} ${skip.ruleId} was excluded: ${skip.reason}`,
+            { ruleId: skip.ruleId, recipients: skip.recipients });
+        });
+      });
+
+      const floor = this.config.lowBalanceFloor;
+      if (floor && report.treasuryBalance != null && parseFloat(report.treasuryBalance) < floor) {
+        alert('low-balance', 'warning', 'Treasury balance below floor',
+          `Treasury balance ${report.treasuryBalance} USDC is below the ${floor} USDC floor`,
+          { balance: report.treasuryBalance, floor });
+      }
+    });
+
+    const onRpcError = ({ component, error }) => {
+      alert(`rpc-outage:${component}`, 'critical', 'RPC provider errors',
+        `The ${component} cannot reach ${this.config.rpcUrl}: ${error.message}`,
+        { component, code: error.code });
+    };
+    this.automation.on('rpcError', onRpcError);
+    this.eventListener.on('rpcError', onRpcError);
+
+    this.eventListener.on('reorg', ({ commonAncestor, removed }) => {
+      alert(`reorg:${commonAncestor}`, 'warning', 'Chain reorg detected',
+        `Rolled back to block ${commonAncestor}; removed ${removed} compliance record(s)`,
+        { commonAncestor, removed });
+    });
+  }
+
+  /**
+   * Alert severity for a skipped payment, or null if it needs no alert
+   * @private
+   */
+  _skipSeverity(reason) {
+    if (reason.includes('Sanctions match')) {
+      return 'critical';
+    }
+    if (reason.startsWith('Already confirmed')) {
+      // Paid earlier in this window - the ledger did its job
+      return null;
+    }
+    // KYC/AML failures, and interrupted submissions that need manual review
+    return 'warning';
+  }
+
   /**
    * Print final statistics on shutdown
    * @private
@@ -0,0 +1,84 @@
+/**
+ * Network Registry
+ * Chain IDs, RPC endpoints, explorers, USDC and Treasury addresses for every network
+ * the Treasury is deployed on or holds balances on. The registry lives in
+ * config/networks.json and is imported by the dashboard as well, so services and
+ * frontend agree on what each network is.
+ */
+
+const registry = require('../config/networks.json');
+
+const DEFAULT_NETWORK = registry.defaultNetwork;
+const NETWORKS = registry.networks;
+
+/**
+ * Look up a network by registry ID
+ * @param {string} id - e.g. "arc-testnet"
+ * @returns {Object} Registry entry with its `id`
+ */
+function getNetwork(id) {
+  const network = NETWORKS[id];
+  if (!network) {
+    throw new Error(`Unknown network "${id}" (expected one of: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  return { id, ...network };
+}
+
+/**
+ * Look up a network by chain ID
+ * @param {number} chainId
+ * @returns {Object|null} Registry entry with its `id`, or null if the chain is not registered
+ */
+function getNetworkByChainId(chainId) {
+  const id = Object.keys(NETWORKS).find(key => NETWORKS[key].chainId === Number(chainId));
+  return id ? getNetwork(id) : null;
+}
+
+/**
+ * Network settings for service configuration
+ * The network comes from `overrides.network`, then NETWORK, then the registry default.
+ * RPC_URL, TREASURY_ADDRESS and USDC_ADDRESS (or the matching overrides) take
+ * precedence over the registry entry.
+ * @param {Object} overrides - { network, rpcUrl, treasuryAddress, usdcAddress }
+ * @returns {Object} { network, chainId, rpcUrl, explorerUrl, treasuryAddress, usdcAddress }
+ */
+function networkConfig(overrides = {}) {
+  const network = getNetwork(overrides.network || process.env.NETWORK || DEFAULT_NETWORK);
+  return {
+    network: network.id,
+    chainId: network.chainId,
+    rpcUrl: overrides.rpcUrl || process.env.RPC_URL || network.rpcUrls[0],
+    explorerUrl: network.explorerUrl,
+    treasuryAddress: overrides.treasuryAddress || process.env.TREASURY_ADDRESS || network.treasuryAddress || undefined,
+    usdcAddress: overrides.usdcAddress || process.env.USDC_ADDRESS || network.usdcAddress || undefined
+  };
+}
+
+/**
+ * Fail if an RPC endpoint serves a different chain than the configured network,
+ * so transactions are never signed for the wrong chain
+ * @param {ethers.providers.Provider} provider
+ * @param {Object} config - Service configuration (network, chainId, rpcUrl)
+ */
+async function assertChain(provider, config) {
+  if (!config.chainId) return;
+  const { chainId } = await provider.getNetwork();
+  if (chainId !== config.chainId) {
+    const actual = getNetworkByChainId(chainId);
+    const error = new Error(
+      `RPC ${config.rpcUrl} is on chain ${chainId}${actual ? ` (${actual.name})` : ''}, ` +
+      `but network "${config.network}" is chain ${config.chainId}`
+    );
+    error.code = 'WRONG_NETWORK';
+    throw error;
+  }
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  NETWORKS,
+  getNetwork,
+  getNetworkByChainId,
+  networkConfig,
+  assertChain
+};
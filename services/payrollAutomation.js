@@ -4,26 +4,55 @@
  * when triggers are met (e.g., scheduled payroll)
  */
 
+const EventEmitter = require('events');
 const { ethers } = require('ethers');
 const cron = require('node-cron');
 const CircleGatewayService = require('./circleGatewayService');
+const TransactionManager = require('./transactionManager');
+const SanctionsScreening = require('./sanctionsScreening');
+const { createExecutionLock } = require('./executionLock');
+const { createIdempotencyLedger, scheduleKey } = require('./idempotencyLedger');
+const { isRpcError } = require('./metrics');
+const { assertChain } = require('./networks');
+
+// Treasury.AllocationType
+const ALLOCATION_TYPES = {
+  PERCENTAGE: 0,
+  FIXED_AMOUNT: 1,
+  BALANCE_THRESHOLD: 2
+};
 
 // Make ethers available for monitoring service
 if (typeof module !== 'undefined' && module.exports) {
   module.exports.ethers = ethers;
 }
 
-class PayrollAutomationService {
+/**
+ * Events:
+ * - run (report): a check finished, or was skipped (`report.skipped`)
+ * - transaction ({ method, outcome }): a Treasury transaction settled
+ * - compliance ({ source, recipient, passed, reason }): a pre-execution compliance check
+ * - rpcError ({ component, error }): the RPC provider failed
+ */
+class PayrollAutomationService extends EventEmitter {
   constructor(config) {
+    super();
     this.config = config;
     this.treasuryContract = null;
     this.provider = null;
     this.signer = null;
-    this.circleGateway = new CircleGatewayService(
-      config.circleGatewayApiKey,
-      config.circleGatewayBaseUrl
-    );
+    this.txManager = null;
+    this.circleGateway = CircleGatewayService.fromConfig(config);
+    this.sanctions = new SanctionsScreening({ denylistDir: config.denylistDir });
+    this.executionLock = createExecutionLock(config);
+    this.ledger = createIdempotencyLedger(config);
     this.isRunning = false;
+    this.isStopping = false;
+    this.currentRun = null;
+    // Set when the execution lock lease is lost mid-run; no further transactions are sent
+    this.leaseLost = false;
+    this.lastReport = null;
+    this.startupTimer = null;
     this.jobs = new Map();
   }
 
@@ -34,9 +63,17 @@ class PayrollAutomationService {
     try {
       // Initialize provider
       this.provider = new ethers.providers.JsonRpcProvider(this.config.rpcUrl);
+      await assertChain(this.provider, this.config);
       
-      // Initialize signer (for executing transactions)
-      this.signer = new ethers.Wallet(this.config.privateKey, this.provider);
+      // Initialize signer (for executing transactions). Without a private key the
+      // service is read-only: it simulates as `fromAddress` and can only do dry runs.
+      if (this.config.privateKey) {
+        this.signer = new ethers.Wallet(this.config.privateKey, this.provider);
+      } else if (this.config.fromAddress) {
+        this.signer = new ethers.VoidSigner(this.config.fromAddress, this.provider);
+      } else {
+        throw new Error('A private key, or a from address for read-only simulation, is required');
+      }
       
       // Initialize contract
       const treasuryABI = this._getTreasuryABI();
@@ -46,15 +83,37 @@ class PayrollAutomationService {
         this.signer
       );
       
+      // Initialize transaction manager (gas estimation, nonces, fee bumping)
+      if (!this.isReadOnly) {
+        this.txManager = new TransactionManager(this.signer, {
+          gasMarginPercent: this.config.gasMarginPercent,
+          confirmationTimeoutMs: this.config.txConfirmationTimeoutMs,
+          maxReplacements: this.config.txMaxReplacements,
+          feeBumpPercent: this.config.txFeeBumpPercent
+        });
+        await this.txManager.initialize();
+      }
+      
+      // Load local denylists (fails initialization if a list is malformed)
+      const lists = this.sanctions.load();
+      console.log(`Sanctions screening: ${lists.map(list => `${list.list}@${list.version} (${list.entries})`).join(', ') || 'no denylists'}`);
+      
       console.log('Payroll automation service initialized');
       console.log(`Treasury contract: ${this.config.treasuryAddress}`);
-      console.log(`Executor address: ${this.signer.address}`);
+      console.log(`Executor address: ${this.signer.address}${this.isReadOnly ? ' (read-only, dry runs only)' : ''}`);
     } catch (error) {
       console.error('Error initializing payroll automation:', error);
       throw error;
     }
   }
 
+  /**
+   * Whether the service has no wallet to send with (simulations only)
+   */
+  get isReadOnly() {
+    return this.signer instanceof ethers.VoidSigner;
+  }
+
   /**
    * Start the cron job scheduler
    */
@@ -87,98 +146,273 @@ class PayrollAutomationService {
     console.log('Automation will check for due distributions and execute them automatically\n');
     
     // Also run immediately on start (with delay to allow initialization)
-    setTimeout(() => {
+    this.startupTimer = setTimeout(() => {
+      this.startupTimer = null;
       this.checkAndExecuteDistributions();
     }, 2000);
   }
 
   /**
-   * Stop the cron job scheduler
+   * Stop the cron job scheduler, then wait for the in-flight run and any
+   * pending transactions to settle so nothing is torn down mid-payment
    */
-  stop() {
-    if (!this.isRunning) {
-      return;
-    }
+  async stop() {
+    this.isStopping = true;
 
+    if (this.startupTimer) {
+      clearTimeout(this.startupTimer);
+      this.startupTimer = null;
+    }
     this.jobs.forEach(job => job.stop());
     this.jobs.clear();
-    this.isRunning = false;
-    
-    console.log('Payroll automation stopped');
+
+    if (this.currentRun) {
+      console.log('Waiting for the in-flight distribution check to finish...');
+      await this.currentRun;
+    }
+
+    if (this.txManager && this.txManager.pendingCount > 0) {
+      console.log(`Waiting for ${this.txManager.pendingCount} pending transaction(s) to settle...`);
+      await this.txManager.waitForAll();
+    }
+
+    this.isStopping = false;
+    if (this.isRunning) {
+      this.isRunning = false;
+      console.log('Payroll automation stopped');
+    }
   }
 
   /**
    * Check distribution rules and execute if triggers are met
+   * Live runs hold the execution lock so overlapping cron ticks and other
+   * automation instances never execute the same distributions concurrently
+   * @param {Object} options - Run options
+   * @param {boolean} options.dryRun - Simulate with callStatic/estimateGas instead of sending transactions
+   * @returns {Promise<Object>} Run report (`skipped` with a reason when the run did not take place)
+   */
+  async checkAndExecuteDistributions(options = {}) {
+    const dryRun = options.dryRun ?? !!this.config.dryRun;
+
+    // Simulations send nothing, so they never need the lock
+    if (dryRun) {
+      return this._finishRun(await this._runChecks(true));
+    }
+
+    if (this.isReadOnly) {
+      console.warn('Payroll automation is read-only - skipping live distribution check');
+      return this._finishRun({ dryRun, skipped: true, reason: 'No executor wallet (read-only)' });
+    }
+
+    if (this.isStopping) {
+      console.warn('Payroll automation is stopping - skipping distribution check');
+      return this._finishRun({ dryRun, skipped: true, reason: 'Service is stopping' });
+    }
+
+    if (this.currentRun) {
+      console.warn('Previous distribution check still in progress - skipping this tick');
+      return this._finishRun({ dryRun, skipped: true, reason: 'Previous run still in progress' });
+    }
+
+    this.currentRun = this._runWithLock()
+      .then(report => this._finishRun(report))
+      .finally(() => {
+        this.currentRun = null;
+      });
+    return this.currentRun;
+  }
+
+  /**
+   * Keep the latest completed report and notify listeners
+   * @private
+   */
+  _finishRun(report) {
+    if (!report.skipped) {
+      this.lastReport = report;
+    }
+    this.emit('run', report);
+    return report;
+  }
+
+  /**
+   * Notify listeners when an error came from the RPC provider
+   * @private
+   */
+  _reportRpcError(error) {
+    if (isRpcError(error)) {
+      this.emit('rpcError', { component: 'automation', error });
+    }
+  }
+
+  /**
+   * Run the checks while holding (and periodically renewing) the execution lock
+   * @private
+   */
+  async _runWithLock() {
+    let acquired;
+    try {
+      acquired = await this.executionLock.acquire();
+    } catch (error) {
+      console.error('Error acquiring execution lock:', error);
+      return { dryRun: false, skipped: true, reason: `Execution lock unavailable: ${error.message}` };
+    }
+
+    if (!acquired) {
+      console.log('⏸️  Another automation instance holds the execution lock - skipping this tick');
+      return { dryRun: false, skipped: true, reason: 'Execution lock held by another instance' };
+    }
+
+    // Renew well before the lease expires so long runs keep the lock. If a renewal
+    // fails we can no longer prove we hold it, so the rest of the run sends nothing.
+    this.leaseLost = false;
+    const renewTimer = setInterval(() => {
+      this.executionLock.renew()
+        .then(renewed => {
+          if (!renewed) {
+            console.warn('⚠️  Execution lock lease was lost during the run - stopping submissions');
+            this.leaseLost = true;
+          }
+        })
+        .catch(error => {
+          console.error('Error renewing execution lock - stopping submissions:', error.message);
+          this.leaseLost = true;
+        });
+    }, Math.max(1000, Math.floor(this.executionLock.leaseMs / 3)));
+
+    try {
+      const report = await this._runChecks(false);
+      if (this.leaseLost) {
+        report.leaseLost = true;
+      }
+      return report;
+    } finally {
+      clearInterval(renewTimer);
+      try {
+        await this.executionLock.release();
+      } catch (error) {
+        console.error('Error releasing execution lock:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Run one pass over scheduled distributions, distribution rules and allocation rules
+   * @private
+   * @returns {Promise<Object>} Run report
    */
-  async checkAndExecuteDistributions() {
+  async _runChecks(dryRun) {
     const startTime = Date.now();
+    const report = {
+      dryRun,
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: null,
+      durationSeconds: null,
+      treasuryBalance: null,
+      scheduled: null,
+      distributionRules: null,
+      allocationRules: null,
+      totalExecuted: 0
+    };
+
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`[${new Date().toISOString()}] Starting distribution check...`);
+    console.log(`[${report.startedAt}] Starting distribution check${dryRun ? ' (DRY RUN)' : ''}...`);
     console.log(`${'='.repeat(60)}`);
     
     try {
+      // Pick up denylist updates; a list that fails to load aborts the run
+      this.sanctions.load();
+      
       // Get current balance for context
       const balance = await this.treasuryContract.getBalance();
       const balanceFormatted = ethers.utils.formatUnits(balance, 6);
+      report.treasuryBalance = balanceFormatted;
       console.log(`Current Treasury Balance: ${balanceFormatted} USDC\n`);
       
       let totalExecuted = 0;
       
       // 1. Check scheduled distributions (payroll)
-      const scheduledResult = await this.checkScheduledDistributions();
+      const scheduledResult = await this.checkScheduledDistributions({ dryRun });
+      report.scheduled = scheduledResult;
       if (scheduledResult) totalExecuted += scheduledResult.count || 0;
       
       // 2. Check rule-based distributions
-      const distributionResult = await this.checkRuleBasedDistributions();
+      const distributionResult = await this.checkRuleBasedDistributions({ dryRun });
+      report.distributionRules = distributionResult;
       if (distributionResult) totalExecuted += distributionResult.rulesExecuted || 0;
       
       // 3. Check allocation rules
-      const allocationResult = await this.checkAllocationRules();
+      const allocationResult = await this.checkAllocationRules({ dryRun });
+      report.allocationRules = allocationResult;
       if (allocationResult) totalExecuted += allocationResult.rulesExecuted || 0;
       
+      report.totalExecuted = totalExecuted;
+      
       const duration = ((Date.now() - startTime) / 1000).toFixed(2);
       console.log(`\n${'='.repeat(60)}`);
-      console.log(`Check completed in ${duration}s. Total rules executed: ${totalExecuted}`);
+      console.log(`Check completed in ${duration}s. Total rules ${dryRun ? 'that would execute' : 'executed'}: ${totalExecuted}`);
       console.log(`${'='.repeat(60)}\n`);
       
     } catch (error) {
       console.error('Error checking distributions:', error);
+      this._reportRpcError(error);
+      report.error = error.message;
       // Don't throw - we want the cron to continue running
     }
+
+    report.completedAt = new Date().toISOString();
+    report.durationSeconds = (Date.now() - startTime) / 1000;
+    return report;
   }
 
   /**
    * Check and execute scheduled distributions (payroll)
+   * @param {Object} options - { dryRun }
    */
-  async checkScheduledDistributions() {
+  async checkScheduledDistributions(options = {}) {
+    const { dryRun = false } = options;
     try {
       // Get all due scheduled distributions
       const dueSchedules = await this.treasuryContract.getDueScheduledDistributions();
       
       if (dueSchedules.length === 0) {
         console.log('✓ No due scheduled distributions');
-        return { count: 0 };
+        return { count: 0, results: [] };
       }
 
       console.log(`\n📅 Found ${dueSchedules.length} due scheduled distribution(s)`);
       console.log(`${'-'.repeat(60)}`);
       
       const results = [];
+      const skipped = [];
+      const failed = [];
       
       // Execute each due schedule
       for (const scheduleId of dueSchedules) {
+        if (this.leaseLost && !dryRun) {
+          console.warn('   ⚠️  Execution lock lease lost - leaving the remaining schedules for the next run');
+          break;
+        }
         try {
-          const result = await this.executeScheduledDistribution(scheduleId);
-          if (result) results.push(result);
+          const result = await this.executeScheduledDistribution(scheduleId, { dryRun });
+          if (!result) continue;
+          if (result.skipped) {
+            skipped.push(result);
+          } else {
+            results.push(result);
+          }
         } catch (error) {
           console.error(`❌ Error executing schedule ${scheduleId}:`, error.message);
+          this._reportRpcError(error);
+          failed.push({ scheduleId: scheduleId.toString(), error: error.message });
           // Continue with other schedules
         }
       }
       
-      return { count: results.length, results };
+      const count = dryRun ? results.filter(r => r.wouldExecute).length : results.length;
+      return { count, results, skipped, failed };
     } catch (error) {
       console.error('Error checking scheduled distributions:', error);
+      this._reportRpcError(error);
       // Don't throw - might be expected if contract call fails
       return { count: 0, error: error.message };
     }
@@ -186,8 +420,13 @@ class PayrollAutomationService {
 
   /**
    * Execute a scheduled distribution
+   * @param {BigNumber|number} scheduleId - Schedule to execute
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object|null>} Execution result, simulation result (dry run),
+   *   or a `skipped` entry when compliance requirements are not met
    */
-  async executeScheduledDistribution(scheduleId) {
+  async executeScheduledDistribution(scheduleId, options = {}) {
+    const { dryRun = false } = options;
     try {
       // Get schedule details
       const schedule = await this.treasuryContract.getScheduledDistribution(scheduleId);
@@ -198,51 +437,97 @@ class PayrollAutomationService {
       console.log(`   Amount: ${amountFormatted} USDC`);
       console.log(`   Status: ${schedule.active ? 'Active' : 'Inactive'}`);
       
-      // Perform compliance check via Circle Gateway
+      // Sanctions screening, then compliance check via Circle Gateway
       console.log(`   🔍 Performing compliance check...`);
-      const complianceCheck = await this.circleGateway.performComplianceCheck({
-        recipient: schedule.recipient,
-        amount: amountFormatted,
-        source: 'SCHEDULED_DISTRIBUTION'
-      });
+      const { complianceCheck, reason: complianceFailure } = await this._checkRecipient(
+        schedule.recipient,
+        amountFormatted,
+        'SCHEDULED_DISTRIBUTION'
+      );
       
+      console.log(`   ✓ Sanctions: ${(complianceCheck.sanctionsCheck.localScreening || complianceCheck.sanctionsCheck).status}`);
       console.log(`   ✓ KYC Status: ${complianceCheck.kycStatus}`);
       console.log(`   ✓ AML Status: ${complianceCheck.amlStatus}`);
       console.log(`   ✓ Risk Score: ${complianceCheck.riskScore}`);
       
+      const summary = {
+        scheduleId: scheduleId.toString(),
+        recipient: schedule.recipient,
+        amount: amountFormatted,
+        compliance: {
+          kycStatus: complianceCheck.kycStatus,
+          amlStatus: complianceCheck.amlStatus,
+          riskScore: complianceCheck.riskScore,
+          sanctionsCheck: complianceCheck.sanctionsCheck,
+          circleGatewayTxId: complianceCheck.transactionId
+        }
+      };
+      
       // Check if compliance requirements are met
-      if (this.config.requireKYC && complianceCheck.kycStatus !== 'VERIFIED' && complianceCheck.kycStatus !== 'EXEMPT') {
-        console.warn(`   ⚠️  Skipping: KYC not verified (required: ${this.config.requireKYC})`);
-        return null;
+      if (complianceFailure) {
+        console.warn(`   ⚠️  Skipping: ${complianceFailure}`);
+        return { ...summary, skipped: true, reason: complianceFailure };
       }
       
-      if (this.config.requireAML && complianceCheck.amlStatus !== 'VERIFIED' && complianceCheck.amlStatus !== 'EXEMPT') {
-        console.warn(`   ⚠️  Skipping: AML not verified (required: ${this.config.requireAML})`);
-        return null;
+      if (dryRun) {
+        console.log(`   🧪 Simulating distribution...`);
+        const simulation = await this._simulate('executeScheduledDistributions', [[scheduleId]]);
+        this._logSimulation(simulation);
+        return { ...summary, ...simulation };
       }
       
-      // Execute the distribution
-      console.log(`   📤 Executing distribution...`);
-      const tx = await this.treasuryContract.executeScheduledDistributions([scheduleId], {
-        gasLimit: 500000 // Adjust as needed
+      // Reserve this schedule's due window before sending, so it is paid at most once
+      const period = schedule.nextDistribution.toString();
+      const ledgerKey = scheduleKey(scheduleId, period);
+      const reserved = await this.ledger.reserve(ledgerKey, {
+        scheduleId: scheduleId.toString(),
+        period,
+        recipient: schedule.recipient,
+        amount: schedule.amount.toString()
       });
       
-      console.log(`   ✓ Transaction submitted: ${tx.hash}`);
-      console.log(`   ⏳ Waiting for confirmation...`);
+      if (!reserved) {
+        const entry = await this.ledger.get(ledgerKey);
+        const status = entry ? entry.status : 'reserved';
+        console.warn(`   ⚠️  Skipping: already ${status} for period ${period}${entry && entry.txHash ? ` (${entry.txHash})` : ''}`);
+        if (status === 'reserved') {
+          console.warn(`   ⚠️  A previous submission was interrupted - verify on-chain before clearing ledger entry ${ledgerKey}`);
+        }
+        return { ...summary, skipped: true, reason: `Already ${status} for this period`, txHash: entry ? entry.txHash : undefined };
+      }
       
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`);
+      // Execute the distribution
+      console.log(`   📤 Executing distribution...`);
+      let submitted = false;
+      let outcome;
+      try {
+        outcome = await this._sendTransaction('executeScheduledDistributions', [[scheduleId]], {
+          onSubmitted: async tracked => {
+            submitted = true;
+            await this.ledger.markSubmitted(ledgerKey, tracked.hashes[0]);
+          }
+        });
+      } catch (error) {
+        if (!submitted || (error.outcome && error.outcome.status === 'reverted')) {
+          // Nothing was paid - free the window so the next check can retry
+          await this.ledger.release(ledgerKey);
+        } else {
+          console.warn(`   ⚠️  Outcome unknown - schedule ${scheduleId} stays blocked for period ${period} until reviewed`);
+        }
+        throw error;
+      }
+      await this.ledger.markConfirmed(ledgerKey, outcome);
       console.log(`   🔗 Circle Gateway TX ID: ${complianceCheck.transactionId}`);
       
       return {
         scheduleId: scheduleId.toString(),
         recipient: schedule.recipient,
         amount: amountFormatted,
-        txHash: tx.hash,
-        blockNumber: receipt.blockNumber,
+        txHash: outcome.hash,
+        blockNumber: outcome.blockNumber,
         circleGatewayTxId: complianceCheck.transactionId,
-        gasUsed: receipt.gasUsed.toString()
+        gasUsed: outcome.gasUsed,
+        replacements: outcome.replacements
       };
     } catch (error) {
       console.error(`   ❌ Error executing scheduled distribution ${scheduleId}:`, error.message);
@@ -252,8 +537,10 @@ class PayrollAutomationService {
 
   /**
    * Check and execute rule-based distributions
+   * @param {Object} options - { dryRun }
    */
-  async checkRuleBasedDistributions() {
+  async checkRuleBasedDistributions(options = {}) {
+    const { dryRun = false } = options;
     try {
       // Get all eligible distribution rules
       const eligibleRules = await this.treasuryContract.getEligibleDistributionRules();
@@ -265,25 +552,48 @@ class PayrollAutomationService {
 
       console.log(`\n📋 Found ${eligibleRules.length} eligible distribution rule(s)`);
       console.log(`   Rule IDs: ${eligibleRules.map(r => r.toString()).join(', ')}`);
-      console.log(`   📤 Executing all eligible rules...`);
       
-      // Execute all eligible rules (they're already sorted by priority)
-      const tx = await this.treasuryContract.executeAllEligibleDistributionRules({
-        gasLimit: 1000000 // Adjust as needed
-      });
+      // Check every recipient before any money moves
+      const { compliantIds, checked, skipped } = await this._screenRules(
+        'DISTRIBUTION_RULE',
+        eligibleRules,
+        ruleId => this._getDistributionRulePayouts(ruleId)
+      );
+      
+      if (compliantIds.length === 0) {
+        console.warn('   ⚠️  No compliant distribution rules to execute');
+        return { ruleIds: [], rulesExecuted: 0, checked, skipped };
+      }
+      
+      const ruleIds = compliantIds.map(id => id.toString());
+      
+      if (dryRun) {
+        console.log(`   🧪 Simulating compliant rules: ${ruleIds.join(', ')}...`);
+        const simulation = await this._simulate('executeDistributionRules', [compliantIds]);
+        this._logSimulation(simulation);
+        return {
+          ruleIds,
+          rulesExecuted: simulation.wouldExecute ? compliantIds.length : 0,
+          checked,
+          skipped,
+          ...simulation
+        };
+      }
       
-      console.log(`   ✓ Transaction submitted: ${tx.hash}`);
-      console.log(`   ⏳ Waiting for confirmation...`);
+      console.log(`   📤 Executing compliant rules: ${ruleIds.join(', ')}...`);
       
-      const receipt = await tx.wait();
-      console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`);
-      console.log(`   ⛽ Gas used: ${receipt.gasUsed.toString()}`);
+      // Eligible rules are already sorted by priority, and filtering keeps that order
+      const outcome = await this._sendTransaction('executeDistributionRules', [compliantIds]);
       
       return {
-        txHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        rulesExecuted: eligibleRules.length,
-        gasUsed: receipt.gasUsed.toString()
+        ruleIds,
+        txHash: outcome.hash,
+        blockNumber: outcome.blockNumber,
+        rulesExecuted: compliantIds.length,
+        checked,
+        skipped,
+        gasUsed: outcome.gasUsed,
+        replacements: outcome.replacements
       };
     } catch (error) {
       // Check if it's a "no eligible rules" type error
@@ -296,14 +606,17 @@ class PayrollAutomationService {
         return { rulesExecuted: 0 };
       }
       console.error('❌ Error checking rule-based distributions:', error.message);
+      this._reportRpcError(error);
       return { rulesExecuted: 0, error: error.message };
     }
   }
 
   /**
    * Check and execute allocation rules
+   * @param {Object} options - { dryRun }
    */
-  async checkAllocationRules() {
+  async checkAllocationRules(options = {}) {
+    const { dryRun = false } = options;
     try {
       // Get all eligible allocation rules
       const eligibleRules = await this.treasuryContract.getEligibleAllocationRules();
@@ -315,25 +628,47 @@ class PayrollAutomationService {
 
       console.log(`\n💰 Found ${eligibleRules.length} eligible allocation rule(s)`);
       console.log(`   Rule IDs: ${eligibleRules.map(r => r.toString()).join(', ')}`);
-      console.log(`   📤 Executing all eligible allocations...`);
       
-      // Execute all eligible allocations
-      const tx = await this.treasuryContract.executeAllEligibleAllocations({
-        gasLimit: 1000000 // Adjust as needed
-      });
+      // Check every recipient before any money moves
+      const { compliantIds, checked, skipped } = await this._screenRules(
+        'ALLOCATION_RULE',
+        eligibleRules,
+        ruleId => this._getAllocationRulePayouts(ruleId)
+      );
+      
+      if (compliantIds.length === 0) {
+        console.warn('   ⚠️  No compliant allocation rules to execute');
+        return { ruleIds: [], rulesExecuted: 0, checked, skipped };
+      }
+      
+      const ruleIds = compliantIds.map(id => id.toString());
+      
+      if (dryRun) {
+        console.log(`   🧪 Simulating compliant allocations: ${ruleIds.join(', ')}...`);
+        const simulation = await this._simulate('executeAllocations', [compliantIds]);
+        this._logSimulation(simulation);
+        return {
+          ruleIds,
+          rulesExecuted: simulation.wouldExecute ? compliantIds.length : 0,
+          checked,
+          skipped,
+          ...simulation
+        };
+      }
       
-      console.log(`   ✓ Transaction submitted: ${tx.hash}`);
-      console.log(`   ⏳ Waiting for confirmation...`);
+      console.log(`   📤 Executing compliant allocations: ${ruleIds.join(', ')}...`);
       
-      const receipt = await tx.wait();
-      console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`);
-      console.log(`   ⛽ Gas used: ${receipt.gasUsed.toString()}`);
+      const outcome = await this._sendTransaction('executeAllocations', [compliantIds]);
       
       return {
-        txHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        rulesExecuted: eligibleRules.length,
-        gasUsed: receipt.gasUsed.toString()
+        ruleIds,
+        txHash: outcome.hash,
+        blockNumber: outcome.blockNumber,
+        rulesExecuted: compliantIds.length,
+        checked,
+        skipped,
+        gasUsed: outcome.gasUsed,
+        replacements: outcome.replacements
       };
     } catch (error) {
       // Check if it's a "no eligible rules" type error
@@ -346,10 +681,278 @@ class PayrollAutomationService {
         return { rulesExecuted: 0 };
       }
       console.error('❌ Error checking allocation rules:', error.message);
+      this._reportRpcError(error);
       return { rulesExecuted: 0, error: error.message };
     }
   }
 
+  /**
+   * Screen a recipient against the local denylists, then run the Circle Gateway check
+   * A denylist match blocks the payment without contacting Circle Gateway and yields
+   * a REJECTED compliance result naming the matched lists
+   * @private
+   * @returns {Promise<Object>} { complianceCheck, reason } - reason is null if the payment may proceed
+   */
+  async _checkRecipient(recipient, amount, source) {
+    const screening = this.sanctions.screen(recipient);
+
+    if (screening.status === 'MATCH') {
+      const matchedLists = screening.matches.map(match => `${match.list}@${match.version}`).join(', ');
+      console.warn(`   ⛔ ${recipient} matches denylist ${matchedLists}`);
+      const result = {
+        complianceCheck: {
+          transactionId: null,
+          recipient,
+          amount,
+          source,
+          timestamp: screening.screenedAt,
+          kycStatus: 'REJECTED',
+          amlStatus: 'REJECTED',
+          riskScore: 100,
+          sanctionsCheck: {
+            status: 'MATCH',
+            checkedAt: screening.screenedAt,
+            lists: screening.lists,
+            matches: screening.matches
+          }
+        },
+        reason: `Sanctions match (${matchedLists})`
+      };
+      this.emit('compliance', { source, recipient, passed: false, reason: result.reason });
+      return result;
+    }
+
+    const complianceCheck = await this.circleGateway.performComplianceCheck({ recipient, amount, source });
+    const reason = this._complianceFailure(complianceCheck);
+    this.emit('compliance', { source, recipient, passed: !reason, reason });
+    return {
+      complianceCheck: {
+        ...complianceCheck,
+        sanctionsCheck: {
+          ...complianceCheck.sanctionsCheck,
+          localScreening: { status: screening.status, checkedAt: screening.screenedAt, lists: screening.lists }
+        }
+      },
+      reason
+    };
+  }
+
+  /**
+   * Why a compliance check fails sanctions screening or the configured KYC/AML requirements
+   * @private
+   * @returns {string|null} Skip reason, or null if the payment may proceed
+   */
+  _complianceFailure(complianceCheck) {
+    const passed = status => status === 'VERIFIED' || status === 'EXEMPT';
+
+    // Sanctions hits always block, whatever the KYC/AML settings
+    if (complianceCheck.sanctionsCheck && complianceCheck.sanctionsCheck.status === 'MATCH') {
+      return 'Sanctions match reported by Circle Gateway';
+    }
+
+    if (this.config.requireKYC && !passed(complianceCheck.kycStatus)) {
+      return `KYC not verified (${complianceCheck.kycStatus})`;
+    }
+    if (this.config.requireAML && !passed(complianceCheck.amlStatus)) {
+      return `AML not verified (${complianceCheck.amlStatus})`;
+    }
+    return null;
+  }
+
+  /**
+   * Run compliance checks on every recipient of each rule and keep only rules
+   * whose recipients all pass. Rules whose details cannot be read are excluded.
+   * @private
+   * @param {string} source - Compliance source (DISTRIBUTION_RULE or ALLOCATION_RULE)
+   * @param {Array<BigNumber>} ruleIds - Eligible rule IDs in execution order
+   * @param {Function} getPayouts - ruleId => Promise<Array<{ recipient, amount }>>
+   * @returns {Promise<Object>} { compliantIds, checked, skipped }
+   */
+  async _screenRules(source, ruleIds, getPayouts) {
+    const compliantIds = [];
+    const checked = [];
+    const skipped = [];
+
+    for (const ruleId of ruleIds) {
+      const id = ruleId.toString();
+      let payouts;
+      try {
+        payouts = await getPayouts(ruleId);
+      } catch (error) {
+        console.warn(`   ⚠️  Rule ${id}: excluded, could not read rule details (${error.message})`);
+        skipped.push({ ruleId: id, reason: `Could not read rule details: ${error.message}`, recipients: [] });
+        continue;
+      }
+
+      const recipients = [];
+      let failure = null;
+
+      for (const payout of payouts) {
+        const amount = ethers.utils.formatUnits(payout.amount, 6);
+        try {
+          const { complianceCheck, reason } = await this._checkRecipient(payout.recipient, amount, source);
+          recipients.push({
+            recipient: payout.recipient,
+            amount,
+            kycStatus: complianceCheck.kycStatus,
+            amlStatus: complianceCheck.amlStatus,
+            riskScore: complianceCheck.riskScore,
+            sanctionsCheck: complianceCheck.sanctionsCheck,
+            circleGatewayTxId: complianceCheck.transactionId,
+            reason
+          });
+          if (reason && !failure) {
+            failure = `${payout.recipient}: ${reason}`;
+          }
+        } catch (error) {
+          recipients.push({ recipient: payout.recipient, amount, reason: `Compliance check failed: ${error.message}` });
+          if (!failure) {
+            failure = `${payout.recipient}: compliance check failed (${error.message})`;
+          }
+        }
+      }
+
+      if (failure) {
+        console.warn(`   ⚠️  Rule ${id}: excluded, ${failure}`);
+        skipped.push({ ruleId: id, reason: failure, recipients });
+      } else {
+        console.log(`   ✓ Rule ${id}: ${recipients.length} recipient(s) passed compliance`);
+        compliantIds.push(ruleId);
+        checked.push({ ruleId: id, recipients });
+      }
+    }
+
+    return { compliantIds, checked, skipped };
+  }
+
+  /**
+   * Recipients and expected amounts of a distribution rule
+   * Percentage-based payouts are estimated from the current Treasury balance
+   * @private
+   */
+  async _getDistributionRulePayouts(ruleId) {
+    const rule = await this.treasuryContract.getDistributionRule(ruleId);
+    const balance = rule.usePercentages ? await this.treasuryContract.getBalance() : null;
+
+    return rule.recipients.map((recipient, index) => ({
+      recipient,
+      amount: rule.usePercentages
+        ? balance.mul(rule.percentages[index]).div(10000)
+        : rule.amounts[index]
+    }));
+  }
+
+  /**
+   * Recipient and expected amount of an allocation rule
+   * @private
+   */
+  async _getAllocationRulePayouts(ruleId) {
+    const rule = await this.treasuryContract.getAllocationRule(ruleId);
+    let amount = rule.value;
+
+    if (rule.allocationType === ALLOCATION_TYPES.PERCENTAGE) {
+      const balance = await this.treasuryContract.getBalance();
+      amount = balance.mul(rule.value).div(10000);
+    } else if (rule.allocationType === ALLOCATION_TYPES.BALANCE_THRESHOLD) {
+      // Allocates the excess above the threshold
+      const balance = await this.treasuryContract.getBalance();
+      amount = balance.gt(rule.value) ? balance.sub(rule.value) : ethers.constants.Zero;
+    }
+
+    return [{ recipient: rule.recipient, amount }];
+  }
+
+  /**
+   * Send a Treasury transaction through the transaction manager and wait for it to settle
+   * @private
+   * @param {Object} hooks - { onSubmitted(tracked) } called once the transaction is broadcast
+   * @returns {Promise<Object>} Confirmed outcome
+   * @throws If the execution lock lease was lost, or the transaction reverted or never confirmed
+   */
+  async _sendTransaction(method, args, hooks = {}) {
+    this._assertLeaseHeld();
+    const tracked = await this.txManager.send(this.treasuryContract, method, args);
+    console.log(`   ✓ Transaction submitted: ${tracked.hashes[0]} (nonce ${tracked.nonce}, gas limit ${tracked.request.gasLimit.toString()})`);
+    if (hooks.onSubmitted) {
+      await hooks.onSubmitted(tracked);
+    }
+    console.log(`   ⏳ Waiting for confirmation...`);
+
+    const outcome = await tracked.result;
+    this.emit('transaction', { method, outcome });
+    if (outcome.status !== 'confirmed') {
+      const error = new Error(`Transaction ${outcome.hash} ${outcome.status}`);
+      error.outcome = outcome;
+      throw error;
+    }
+
+    console.log(`   ✅ Transaction confirmed in block ${outcome.blockNumber}`);
+    console.log(`   ⛽ Gas used: ${outcome.gasUsed}`);
+    return outcome;
+  }
+
+  /**
+   * Refuse to submit once the execution lock lease is lost, since another
+   * instance may already be executing the same distributions
+   * @private
+   */
+  _assertLeaseHeld() {
+    if (this.leaseLost) {
+      const error = new Error('Execution lock lease was lost - not submitting');
+      error.code = 'LEASE_LOST';
+      throw error;
+    }
+  }
+
+  /**
+   * Simulate a contract call with callStatic and estimate its gas
+   * @private
+   * @returns {Promise<Object>} { dryRun, wouldExecute, estimatedGas, returnValue, revertReason }
+   */
+  async _simulate(method, args) {
+    try {
+      const returnValue = await this.treasuryContract.callStatic[method](...args);
+      const estimatedGas = await this.treasuryContract.estimateGas[method](...args);
+      return {
+        dryRun: true,
+        wouldExecute: true,
+        estimatedGas: estimatedGas.toString(),
+        returnValue: returnValue === undefined || returnValue === null ? null : returnValue.toString(),
+        revertReason: null
+      };
+    } catch (error) {
+      return {
+        dryRun: true,
+        wouldExecute: false,
+        estimatedGas: null,
+        returnValue: null,
+        revertReason: this._extractRevertReason(error)
+      };
+    }
+  }
+
+  /**
+   * Pull the most specific revert reason out of an ethers error
+   * @private
+   */
+  _extractRevertReason(error) {
+    return error.reason
+      || (error.error && error.error.reason)
+      || (error.error && error.error.message)
+      || error.message;
+  }
+
+  /**
+   * @private
+   */
+  _logSimulation(simulation) {
+    if (simulation.wouldExecute) {
+      console.log(`   ✓ Would succeed (estimated gas: ${simulation.estimatedGas})`);
+    } else {
+      console.warn(`   ⚠️  Would revert: ${simulation.revertReason}`);
+    }
+  }
+
   /**
    * Get treasury balance from Circle Gateway
    */
@@ -365,6 +968,55 @@ class PayrollAutomationService {
     }
   }
 
+  /**
+   * List all scheduled distributions known to the Treasury contract
+   * Schedule IDs are sequential, so we scan until the first empty slot
+   * @returns {Promise<Array<Object>>} Formatted schedules
+   */
+  async listScheduledDistributions() {
+    const maxScan = this.config.maxScheduleScan || 500;
+    const schedules = [];
+
+    for (let scheduleId = 0; scheduleId < maxScan; scheduleId++) {
+      let schedule;
+      try {
+        schedule = await this.treasuryContract.getScheduledDistribution(scheduleId);
+      } catch (error) {
+        // Out-of-range IDs revert on some deployments
+        break;
+      }
+
+      if (schedule.recipient === ethers.constants.AddressZero) {
+        // IDs may start at 1, so only an empty slot after 0 ends the scan
+        if (scheduleId === 0) continue;
+        break;
+      }
+
+      schedules.push(this._formatSchedule(scheduleId, schedule));
+    }
+
+    return schedules;
+  }
+
+  /**
+   * Convert a raw schedule struct into a JSON-friendly object
+   * @private
+   */
+  _formatSchedule(scheduleId, schedule) {
+    const nextDistribution = schedule.nextDistribution.toNumber();
+    return {
+      scheduleId: scheduleId.toString(),
+      recipient: schedule.recipient,
+      amount: ethers.utils.formatUnits(schedule.amount, 6),
+      amountRaw: schedule.amount.toString(),
+      interval: schedule.interval.toNumber(),
+      nextDistribution,
+      nextDistributionISO: new Date(nextDistribution * 1000).toISOString(),
+      active: schedule.active,
+      totalDistributed: ethers.utils.formatUnits(schedule.totalDistributed, 6)
+    };
+  }
+
   /**
    * Get minimal Treasury ABI (only functions we need)
    * @private
@@ -375,8 +1027,12 @@ class PayrollAutomationService {
       "function getScheduledDistribution(uint256 scheduleId) external view returns (tuple(address recipient, uint256 amount, uint256 interval, uint256 nextDistribution, bool active, uint256 totalDistributed))",
       "function executeScheduledDistributions(uint256[] calldata scheduleIds) external",
       "function getEligibleDistributionRules() external view returns (uint256[] memory)",
+      "function getDistributionRule(uint256 ruleId) external view returns (tuple(uint8 ruleType, address[] recipients, uint256[] amounts, uint256[] percentages, bool usePercentages, uint256 interval, uint8 balanceCondition, uint256 balanceThreshold, uint256 maxTotalDistribution, uint256 totalDistributed, uint256 priority, uint256 cooldownPeriod, uint256 lastExecuted, bool active))",
+      "function executeDistributionRules(uint256[] calldata ruleIds) external",
       "function executeAllEligibleDistributionRules() external returns (uint256 executedCount)",
       "function getEligibleAllocationRules() external view returns (uint256[] memory)",
+      "function getAllocationRule(uint256 ruleId) external view returns (tuple(address recipient, uint8 allocationType, uint256 value, uint256 budgetLimit, uint256 totalAllocated, uint256 priority, uint256 cooldownPeriod, uint256 lastExecuted, bool active))",
+      "function executeAllocations(uint256[] calldata ruleIds) external",
       "function executeAllEligibleAllocations() external returns (uint256 executedCount)",
       "function getBalance() external view returns (uint256)",
       "event ScheduledDistributionExecuted(uint256 indexed scheduleId, address indexed recipient, uint256 amount)",
@@ -386,5 +1042,7 @@ class PayrollAutomationService {
   }
 }
 
+PayrollAutomationService.ALLOCATION_TYPES = ALLOCATION_TYPES;
+
 module.exports = PayrollAutomationService;
 
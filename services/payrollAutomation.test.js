@@ -0,0 +1,331 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const PayrollAutomationService = require('./payrollAutomation');
+
+const { ALLOCATION_TYPES } = PayrollAutomationService;
+const ALICE = '0x00000000000000000000000000000000000000A1';
+const BOB = '0x00000000000000000000000000000000000000B2';
+const CAROL = '0x00000000000000000000000000000000000000C3';
+const usdc = amount => ethers.utils.parseUnits(amount, 6);
+const ids = values => values.map(value => ethers.BigNumber.from(value));
+
+/**
+ * Treasury contract stand-in: due schedules, eligible rules and their details, with
+ * simulated calls answered from `outcomes` (method -> gas estimate or Error)
+ */
+function fakeTreasury({ schedules = {}, distributionRules = {}, allocationRules = {}, outcomes = {} }) {
+  const calls = [];
+  const outcome = method => (...args) => {
+    calls.push({ method, args });
+    const result = outcomes[method];
+    if (result instanceof Error) return Promise.reject(result);
+    return Promise.resolve(result);
+  };
+  return {
+    calls,
+    getBalance: async () => usdc('10000'),
+    getDueScheduledDistributions: async () => ids(Object.keys(schedules)),
+    getScheduledDistribution: async id => schedules[id.toString()],
+    getEligibleDistributionRules: async () => ids(Object.keys(distributionRules)),
+    getDistributionRule: async id => distributionRules[id.toString()],
+    getEligibleAllocationRules: async () => ids(Object.keys(allocationRules)),
+    getAllocationRule: async id => allocationRules[id.toString()],
+    callStatic: new Proxy({}, { get: (_, method) => outcome(`callStatic.${method}`) }),
+    estimateGas: new Proxy({}, { get: (_, method) => outcome(`estimateGas.${method}`) })
+  };
+}
+
+/**
+ * Compliance stand-in: every recipient verified except those given a failing status
+ */
+function fakeGateway(statuses = {}) {
+  const checked = [];
+  return {
+    checked,
+    performComplianceCheck: async ({ recipient }) => {
+      checked.push(recipient);
+      const status = statuses[recipient];
+      if (status instanceof Error) throw status;
+      return {
+        transactionId: `cg-${checked.length}`,
+        kycStatus: status || 'VERIFIED',
+        amlStatus: 'VERIFIED',
+        riskScore: 10,
+        sanctionsCheck: { status: 'CLEAR' }
+      };
+    }
+  };
+}
+
+describe('PayrollAutomationService execution lease', () => {
+  let dir;
+  let service;
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-'));
+    service = new PayrollAutomationService({
+      lockFile: path.join(dir, 'automation.lock'),
+      ledgerFile: path.join(dir, 'ledger.json')
+    });
+    sent = [];
+    service.txManager = {
+      send: async (contract, method, args) => {
+        sent.push({ method, args });
+        throw new Error('not expected in this test');
+      }
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('refuses to submit once the lease is lost', async () => {
+    service.leaseLost = true;
+
+    await assert.rejects(
+      service._sendTransaction('executeAllocations', [[1]]),
+      error => error.code === 'LEASE_LOST'
+    );
+    assert.deepEqual(sent, []);
+  });
+
+  it('stops executing schedules after the lease is lost', async () => {
+    service.treasuryContract = { getDueScheduledDistributions: async () => [1, 2, 3] };
+    const executed = [];
+    service.executeScheduledDistribution = async (scheduleId) => {
+      executed.push(scheduleId);
+      service.leaseLost = true;
+      return { scheduleId: String(scheduleId), txHash: '0x1' };
+    };
+
+    const result = await service.checkScheduledDistributions();
+
+    assert.deepEqual(executed, [1]);
+    assert.equal(result.count, 1);
+  });
+
+  it('flags the run when a renewal fails while it is in progress', async () => {
+    service.executionLock = {
+      leaseMs: 30,
+      acquire: async () => true,
+      renew: async () => false,
+      release: async () => {}
+    };
+    let leaseLostDuringRun = null;
+    service._runChecks = async () => {
+      // Renewals run at least once a second
+      await new Promise(resolve => setTimeout(resolve, 1200));
+      leaseLostDuringRun = service.leaseLost;
+      return { dryRun: false };
+    };
+
+    const report = await service.checkAndExecuteDistributions({ dryRun: false });
+
+    assert.equal(leaseLostDuringRun, true);
+    assert.equal(report.leaseLost, true);
+  });
+
+  it('starts each locked run with the lease held again', async () => {
+    service.leaseLost = true;
+    service.executionLock = {
+      leaseMs: 60000,
+      acquire: async () => true,
+      renew: async () => true,
+      release: async () => {}
+    };
+    service._runChecks = async () => ({ dryRun: false, leaseLost: service.leaseLost });
+
+    const report = await service.checkAndExecuteDistributions({ dryRun: false });
+
+    assert.equal(report.leaseLost, false);
+  });
+
+  it('only simulates when it has no executor wallet', async () => {
+    service.signer = new ethers.VoidSigner('0x00000000000000000000000000000000000000F1');
+    let locked = false;
+    service.executionLock = { acquire: async () => { locked = true; return true; } };
+
+    const report = await service.checkAndExecuteDistributions({ dryRun: false });
+
+    assert.equal(service.isReadOnly, true);
+    assert.equal(report.skipped, true);
+    assert.match(report.reason, /read-only/);
+    assert.equal(locked, false);
+  });
+});
+
+describe('PayrollAutomationService dry run report', () => {
+  let dir;
+  let service;
+  let sent;
+
+  const revert = reason => Object.assign(new Error('call revert exception'), { reason });
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-'));
+    service = new PayrollAutomationService({
+      denylistDir: dir,
+      lockFile: path.join(dir, 'automation.lock'),
+      ledgerFile: path.join(dir, 'ledger.json')
+    });
+    service.signer = new ethers.VoidSigner(ALICE);
+    service.circleGateway = fakeGateway();
+    sent = [];
+    service.txManager = { send: async (contract, method) => sent.push(method) };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('lists what would fire with estimated gas, and what would revert with its reason', async () => {
+    const schedule = (recipient, amount) => ({ recipient, amount: usdc(amount), active: true, nextDistribution: ethers.BigNumber.from(1) });
+    service.treasuryContract = fakeTreasury({
+      schedules: { 1: schedule(ALICE, '1500'), 2: schedule(BOB, '20000') },
+      distributionRules: { 4: { recipients: [CAROL], amounts: [usdc('250')], usePercentages: false } },
+      allocationRules: { 7: { recipient: BOB, allocationType: ALLOCATION_TYPES.FIXED_AMOUNT, value: usdc('100') } },
+      outcomes: {
+        'estimateGas.executeScheduledDistributions': ethers.BigNumber.from(85000),
+        'estimateGas.executeDistributionRules': ethers.BigNumber.from(120000),
+        'callStatic.executeAllocations': Object.assign(new Error('execution reverted'), {
+          error: { message: 'execution reverted: Cooldown active' }
+        })
+      }
+    });
+    // Schedule 2 pays more than the Treasury holds
+    const callStatic = service.treasuryContract.callStatic;
+    service.treasuryContract.callStatic = {
+      executeScheduledDistributions: async ([scheduleId]) => {
+        if (scheduleId.toString() === '2') throw revert('Insufficient balance');
+      },
+      executeDistributionRules: callStatic.executeDistributionRules,
+      executeAllocations: callStatic.executeAllocations
+    };
+
+    const report = await service.checkAndExecuteDistributions({ dryRun: true });
+
+    assert.equal(report.dryRun, true);
+    assert.equal(report.treasuryBalance, '10000.0');
+    assert.deepEqual(
+      report.scheduled.results.map(result => [result.scheduleId, result.wouldExecute, result.estimatedGas, result.revertReason]),
+      [['1', true, '85000', null], ['2', false, null, 'Insufficient balance']]
+    );
+    assert.equal(report.scheduled.count, 1);
+    assert.deepEqual(report.scheduled.results[0].compliance.kycStatus, 'VERIFIED');
+    assert.deepEqual(
+      [report.distributionRules.ruleIds, report.distributionRules.wouldExecute, report.distributionRules.estimatedGas],
+      [['4'], true, '120000']
+    );
+    assert.deepEqual(
+      [report.allocationRules.ruleIds, report.allocationRules.wouldExecute, report.allocationRules.revertReason],
+      [['7'], false, 'execution reverted: Cooldown active']
+    );
+    assert.equal(report.totalExecuted, 2);
+    assert.deepEqual(sent, []);
+  });
+
+  it('reports compliance skips without simulating them', async () => {
+    service.circleGateway = fakeGateway({ [BOB]: 'REJECTED' });
+    service.config.requireKYC = true;
+    service.treasuryContract = fakeTreasury({
+      schedules: { 3: { recipient: BOB, amount: usdc('10'), active: true, nextDistribution: ethers.BigNumber.from(1) } },
+      outcomes: { 'estimateGas.executeScheduledDistributions': ethers.BigNumber.from(85000) }
+    });
+
+    const report = await service.checkAndExecuteDistributions({ dryRun: true });
+
+    assert.deepEqual(report.scheduled.results, []);
+    assert.deepEqual(report.scheduled.skipped.map(result => [result.scheduleId, result.reason]), [['3', 'KYC not verified (REJECTED)']]);
+    assert.deepEqual(service.treasuryContract.calls, []);
+    assert.equal(report.totalExecuted, 0);
+  });
+});
+
+describe('PayrollAutomationService rule compliance gating', () => {
+  let dir;
+  let service;
+  let sent;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-'));
+    service = new PayrollAutomationService({
+      denylistDir: dir,
+      lockFile: path.join(dir, 'automation.lock'),
+      ledgerFile: path.join(dir, 'ledger.json')
+    });
+    service.config.requireKYC = true;
+    service.circleGateway = fakeGateway({ [BOB]: 'PENDING' });
+    sent = [];
+    service._sendTransaction = async (method, args) => {
+      sent.push({ method, ruleIds: args[0].map(id => id.toString()) });
+      return { hash: '0x1', blockNumber: 100, gasUsed: '90000' };
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('executes only the distribution rules whose recipients all pass', async () => {
+    service.treasuryContract = fakeTreasury({
+      distributionRules: {
+        1: { recipients: [ALICE, BOB], amounts: [usdc('100'), usdc('200')], usePercentages: false },
+        2: { recipients: [CAROL], percentages: [500], usePercentages: true }
+      }
+    });
+
+    const result = await service.checkRuleBasedDistributions();
+
+    assert.deepEqual(sent, [{ method: 'executeDistributionRules', ruleIds: ['2'] }]);
+    assert.deepEqual(result.ruleIds, ['2']);
+    assert.equal(result.rulesExecuted, 1);
+    assert.deepEqual(result.skipped.map(skip => [skip.ruleId, skip.reason]), [['1', `${BOB}: KYC not verified (PENDING)`]]);
+  });
+
+  it('executes only the allocation rules whose recipient passes', async () => {
+    service.circleGateway = fakeGateway({ [BOB]: new Error('Circle Gateway unavailable') });
+    service.treasuryContract = fakeTreasury({
+      allocationRules: {
+        3: { recipient: ALICE, allocationType: ALLOCATION_TYPES.PERCENTAGE, value: ethers.BigNumber.from(1000) },
+        5: { recipient: BOB, allocationType: ALLOCATION_TYPES.FIXED_AMOUNT, value: usdc('50') },
+        8: { recipient: CAROL, allocationType: ALLOCATION_TYPES.FIXED_AMOUNT, value: usdc('75') }
+      }
+    });
+
+    const result = await service.checkAllocationRules();
+
+    assert.deepEqual(sent, [{ method: 'executeAllocations', ruleIds: ['3', '8'] }]);
+    assert.equal(result.rulesExecuted, 2);
+    assert.deepEqual(result.skipped.map(skip => skip.ruleId), ['5']);
+  });
+
+  it('sends nothing when no rule passes', async () => {
+    service.treasuryContract = fakeTreasury({
+      allocationRules: { 5: { recipient: BOB, allocationType: ALLOCATION_TYPES.FIXED_AMOUNT, value: usdc('50') } }
+    });
+
+    const result = await service.checkAllocationRules();
+
+    assert.deepEqual(sent, []);
+    assert.equal(result.rulesExecuted, 0);
+    assert.deepEqual(result.skipped.map(skip => skip.ruleId), ['5']);
+  });
+});
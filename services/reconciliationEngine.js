@@ -0,0 +1,404 @@
+/**
+ * Reconciliation Engine
+ * Matches unreconciled compliance records against the USDC Transfer logs of their
+ * transaction and against Circle Gateway transaction status. Exact matches are marked
+ * reconciled; mismatches are recorded as exceptions for review.
+ *
+ * Exception types:
+ * - missing_transfer: no USDC transfer from the treasury to the recipient in the transaction
+ * - amount_mismatch: a transfer to the recipient exists with a different amount
+ * - recipient_mismatch: a transfer of the amount exists, but to a different address
+ * - gateway_not_found: Circle Gateway does not know the record's circleGatewayTxId
+ * - gateway_failed: Circle Gateway reports the transaction failed
+ * - gateway_mismatch: Circle Gateway's amount, recipient or tx hash differs from the record
+ *
+ * Each run checks the next batch after where the previous run stopped, wrapping back to
+ * the oldest record at the end, so records that stay unreconciled (open exceptions,
+ * pending gateway transactions) never keep newer records from being checked.
+ */
+
+const { ethers } = require('ethers');
+const mongoose = require('mongoose');
+const { connectDatabase } = require('./database');
+const { ComplianceRecord } = require('./models/ComplianceRecord.mongoose');
+
+const TRANSFER_EVENT = new ethers.utils.Interface([
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+]);
+const TRANSFER_TOPIC = TRANSFER_EVENT.getEventTopic('Transfer');
+
+const GATEWAY_FAILED = ['FAILED', 'CANCELLED', 'CANCELED', 'REJECTED'];
+const GATEWAY_COMPLETED = ['COMPLETED', 'COMPLETE', 'CONFIRMED'];
+const REVIEW_STATUSES = ['resolved', 'dismissed'];
+
+class ReconciliationEngine {
+  /**
+   * @param {Object} config - Service configuration (mongoUri, treasuryAddress, usdcAddress)
+   * @param {Object} deps - { provider (ethers provider), circleGateway (CircleGatewayService) }
+   */
+  constructor(config, deps) {
+    this.mongoUri = config.mongoUri;
+    this.treasuryAddress = config.treasuryAddress;
+    this.usdcAddress = config.usdcAddress;
+    this.batchSize = config.reconciliationBatchSize || 200;
+    this.provider = deps.provider;
+    this.circleGateway = deps.circleGateway;
+    this.collection = null;
+    this.currentRun = null;
+    this.lastReport = null;
+    // Last record checked ({ timestamp, recordId }); null starts from the oldest
+    this.cursor = null;
+  }
+
+  /**
+   * Whether reconciliation can run (needs MongoDB and the USDC token address)
+   */
+  get isEnabled() {
+    return !!this.mongoUri && !!this.usdcAddress;
+  }
+
+  /**
+   * Reconcile the next batch of unreconciled records, oldest first
+   * A run already in progress is joined rather than started twice
+   * @returns {Promise<Object>} Report { checked, reconciled, pending, exceptions, errors }
+   */
+  reconcile() {
+    if (!this.currentRun) {
+      this.currentRun = this._reconcile().finally(() => {
+        this.currentRun = null;
+      });
+    }
+    return this.currentRun;
+  }
+
+  /**
+   * List exceptions
+   * @param {Object} filter - { status ('open'|'resolved'|'dismissed'), type, limit }
+   */
+  async listExceptions(filter = {}) {
+    const collection = await this._getCollection();
+    const query = {};
+    if (filter.status) query.status = filter.status;
+    if (filter.type) query.type = filter.type;
+
+    return collection.find(query)
+      .sort({ lastSeenAt: -1 })
+      .limit(filter.limit || 100)
+      .toArray();
+  }
+
+  /**
+   * Review an exception
+   * @param {string} exceptionId - `<recordId>:<type>`
+   * @param {Object} review - { status: 'resolved'|'dismissed', reviewer, note, markReconciled }
+   *   markReconciled accepts the discrepancy and marks the compliance record reconciled
+   * @returns {Promise<Object>} Updated exception
+   */
+  async reviewException(exceptionId, review) {
+    if (!REVIEW_STATUSES.includes(review.status)) {
+      const error = new Error(`status must be one of ${REVIEW_STATUSES.join(', ')}`);
+      error.status = 400;
+      throw error;
+    }
+    if (!review.reviewer) {
+      const error = new Error('reviewer is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const collection = await this._getCollection();
+    const exception = await collection.findOneAndUpdate(
+      { _id: exceptionId },
+      {
+        $set: {
+          status: review.status,
+          review: {
+            reviewer: review.reviewer,
+            note: review.note || null,
+            markReconciled: !!review.markReconciled,
+            reviewedAt: new Date()
+          }
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!exception) {
+      const error = new Error(`Exception ${exceptionId} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    if (review.markReconciled) {
+      const record = await ComplianceRecord.findOne({ recordId: exception.recordId });
+      if (record && !record.reconciled) {
+        await record.markReconciled();
+      }
+    }
+
+    console.log(`📝 Exception ${exceptionId} ${review.status} by ${review.reviewer}`);
+    return exception;
+  }
+
+  /**
+   * @private
+   */
+  async _reconcile() {
+    const startedAt = new Date();
+    const report = {
+      startedAt: startedAt.toISOString(),
+      checked: 0,
+      reconciled: [],
+      pending: [],
+      exceptions: [],
+      errors: []
+    };
+
+    try {
+      await this._getCollection();
+      const records = await ComplianceRecord.findUnreconciled({
+        limit: this.batchSize,
+        sort: { timestamp: 1, recordId: 1 },
+        after: this.cursor
+      });
+      const last = records[records.length - 1];
+      this.cursor = records.length < this.batchSize ? null : { timestamp: last.timestamp, recordId: last.recordId };
+      const transfersByTx = new Map();
+
+      for (const record of records) {
+        report.checked += 1;
+        try {
+          if (!transfersByTx.has(record.transactionHash)) {
+            transfersByTx.set(record.transactionHash, await this._getTransfers(record.transactionHash));
+          }
+
+          const result = await this._checkRecord(record, transfersByTx.get(record.transactionHash));
+
+          if (result.exceptions.length > 0) {
+            await Promise.all(result.exceptions.map(exception => this._saveException(record, exception)));
+            report.exceptions.push(...result.exceptions.map(exception => ({ recordId: record.recordId, ...exception })));
+          } else if (result.pending) {
+            report.pending.push({ recordId: record.recordId, reason: result.pending });
+          } else {
+            await record.markReconciled();
+            await this._resolveExceptions(record.recordId);
+            report.reconciled.push(record.recordId);
+          }
+        } catch (error) {
+          // Transient (RPC or gateway outage): retried on the next run
+          console.error(`Error reconciling record ${record.recordId}:`, error.message);
+          report.errors.push({ recordId: record.recordId, error: error.message });
+        }
+      }
+
+      report.completedAt = new Date().toISOString();
+      console.log(`🧾 Reconciliation: ${report.reconciled.length} reconciled, ${report.exceptions.length} exception(s), ` +
+        `${report.pending.length} pending, ${report.errors.length} error(s) of ${report.checked} record(s)`);
+
+      this.lastReport = report;
+      return report;
+    } catch (error) {
+      console.error('Error running reconciliation:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare a record with its transaction's transfers and its Circle Gateway status
+   * Transfers matched to a record are marked used, so batch transactions pair one transfer per record
+   * @private
+   * @param {Array<Object>|null} transfers - Transfers of the record's transaction (null if it has no receipt yet)
+   * @returns {Promise<Object>} { exceptions, pending }
+   */
+  async _checkRecord(record, transfers) {
+    if (!transfers) {
+      // Not yet served by this RPC node (lagging or reorged out): check again next run
+      return { exceptions: [], pending: 'Transaction receipt not available yet' };
+    }
+
+    const exceptions = [];
+    const recipient = record.recipient.toLowerCase();
+    const amount = record.usdcAmount;
+    const available = transfers.filter(transfer => !transfer.used);
+
+    const exact = available.find(transfer => transfer.to === recipient && transfer.value === amount);
+    if (exact) {
+      exact.used = true;
+    } else {
+      const sameRecipient = available.find(transfer => transfer.to === recipient);
+      const sameAmount = available.find(transfer => transfer.value === amount);
+
+      if (sameRecipient) {
+        exceptions.push({
+          type: 'amount_mismatch',
+          expected: { recipient, amount },
+          actual: { recipient, amount: sameRecipient.value, logIndex: sameRecipient.logIndex }
+        });
+      } else if (sameAmount) {
+        exceptions.push({
+          type: 'recipient_mismatch',
+          expected: { recipient, amount },
+          actual: { recipient: sameAmount.to, amount, logIndex: sameAmount.logIndex }
+        });
+      } else {
+        exceptions.push({
+          type: 'missing_transfer',
+          expected: { recipient, amount },
+          actual: { transfers: transfers.length }
+        });
+      }
+    }
+
+    if (!record.circleGatewayTxId) {
+      return { exceptions, pending: null };
+    }
+
+    let status;
+    try {
+      status = await this.circleGateway.getTransactionStatus(record.circleGatewayTxId);
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      exceptions.push({
+        type: 'gateway_not_found',
+        expected: { circleGatewayTxId: record.circleGatewayTxId },
+        actual: null
+      });
+      return { exceptions, pending: null };
+    }
+
+    const gatewayStatus = (status.status || '').toUpperCase();
+    if (GATEWAY_FAILED.includes(gatewayStatus)) {
+      exceptions.push({
+        type: 'gateway_failed',
+        expected: { status: 'COMPLETED' },
+        actual: { status: gatewayStatus }
+      });
+      return { exceptions, pending: null };
+    }
+
+    if (!GATEWAY_COMPLETED.includes(gatewayStatus)) {
+      return { exceptions, pending: `Circle Gateway status ${gatewayStatus || 'unknown'}` };
+    }
+
+    const mismatches = this._gatewayMismatches(record, status);
+    if (mismatches.length > 0) {
+      exceptions.push({
+        type: 'gateway_mismatch',
+        expected: Object.fromEntries(mismatches.map(field => [field.name, field.expected])),
+        actual: Object.fromEntries(mismatches.map(field => [field.name, field.actual]))
+      });
+    }
+
+    return { exceptions, pending: null };
+  }
+
+  /**
+   * Fields Circle Gateway reports differently from the record (only those it reports)
+   * @private
+   */
+  _gatewayMismatches(record, status) {
+    const mismatches = [];
+
+    if (status.recipient && status.recipient.toLowerCase() !== record.recipient.toLowerCase()) {
+      mismatches.push({ name: 'recipient', expected: record.recipient, actual: status.recipient });
+    }
+    if (status.amount !== undefined && status.amount !== null) {
+      const gatewayAmount = ethers.utils.parseUnits(String(status.amount), 6).toString();
+      if (gatewayAmount !== record.usdcAmount) {
+        mismatches.push({ name: 'amount', expected: record.usdcAmount, actual: gatewayAmount });
+      }
+    }
+    if (status.txHash && status.txHash.toLowerCase() !== record.transactionHash.toLowerCase()) {
+      mismatches.push({ name: 'txHash', expected: record.transactionHash, actual: status.txHash });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * USDC transfers out of the treasury in a transaction
+   * @private
+   * @returns {Promise<Array<Object>|null>} Transfers, or null if the receipt is not available
+   */
+  async _getTransfers(transactionHash) {
+    const receipt = await this.provider.getTransactionReceipt(transactionHash);
+    if (!receipt) {
+      return null;
+    }
+
+    const usdc = this.usdcAddress.toLowerCase();
+    const treasury = this.treasuryAddress.toLowerCase();
+
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === usdc && log.topics[0] === TRANSFER_TOPIC)
+      .map(log => {
+        const { args } = TRANSFER_EVENT.parseLog(log);
+        return {
+          from: args.from.toLowerCase(),
+          to: args.to.toLowerCase(),
+          value: args.value.toString(),
+          logIndex: log.logIndex,
+          used: false
+        };
+      })
+      .filter(transfer => transfer.from === treasury);
+  }
+
+  /**
+   * Upsert an exception; a reviewed exception keeps its review if seen again
+   * @private
+   */
+  async _saveException(record, exception) {
+    const collection = await this._getCollection();
+    const now = new Date();
+
+    await collection.updateOne(
+      { _id: `${record.recordId}:${exception.type}` },
+      {
+        $set: {
+          expected: exception.expected,
+          actual: exception.actual,
+          lastSeenAt: now
+        },
+        $setOnInsert: {
+          recordId: record.recordId,
+          transactionHash: record.transactionHash,
+          source: record.source,
+          ruleId: record.ruleId,
+          type: exception.type,
+          status: 'open',
+          firstSeenAt: now
+        },
+        $inc: { occurrences: 1 }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Close open exceptions of a record that now reconciles
+   * @private
+   */
+  async _resolveExceptions(recordId) {
+    const collection = await this._getCollection();
+    await collection.updateMany(
+      { recordId, status: 'open' },
+      { $set: { status: 'resolved', review: { reviewer: 'reconciliation', note: 'Matched on a later run', reviewedAt: new Date() } } }
+    );
+  }
+
+  /**
+   * @private
+   */
+  async _getCollection() {
+    if (!this.collection) {
+      await connectDatabase(this.mongoUri);
+      this.collection = mongoose.connection.collection('reconciliation_exceptions');
+      await this.collection.createIndex({ status: 1, lastSeenAt: -1 });
+      await this.collection.createIndex({ recordId: 1 });
+    }
+    return this.collection;
+  }
+}
+
+module.exports = ReconciliationEngine;
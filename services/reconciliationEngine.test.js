@@ -0,0 +1,184 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const ReconciliationEngine = require('./reconciliationEngine');
+const { ComplianceRecord } = require('./models/ComplianceRecord.mongoose');
+
+const TREASURY = `0x${'7'.repeat(40)}`;
+const USDC = `0x${'c'.repeat(40)}`;
+const ALICE = `0x${'a'.repeat(40)}`;
+const BOB = `0x${'b'.repeat(40)}`;
+const TRANSFER = new ethers.utils.Interface(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+const txHash = n => ethers.utils.id(`tx:${n}`);
+
+function transferLog(to, value, logIndex = 0, from = TREASURY) {
+  const { data, topics } = TRANSFER.encodeEventLog(TRANSFER.getEvent('Transfer'), [from, to, value]);
+  return { address: USDC, data, topics, logIndex };
+}
+
+/**
+ * Unreconciled compliance record stand-in
+ */
+function record(n, overrides = {}) {
+  return {
+    recordId: ethers.utils.id(`record:${n}`),
+    transactionHash: txHash(n),
+    recipient: ALICE,
+    usdcAmount: '1000000',
+    timestamp: 1700000000 + n,
+    source: 'SCHEDULED_DISTRIBUTION',
+    ruleId: 0,
+    reconciled: false,
+    async markReconciled() {
+      this.reconciled = true;
+    },
+    ...overrides
+  };
+}
+
+describe('ReconciliationEngine', () => {
+  let records;
+  let receipts;
+  let gateway;
+  let exceptions;
+  let engine;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    records = [];
+    receipts = new Map();
+    gateway = new Map();
+    exceptions = new Map();
+
+    // Unreconciled records in (timestamp, recordId) order, resuming after `after`
+    mock.method(ComplianceRecord, 'findUnreconciled', async ({ limit, after }) => records
+      .filter(r => !r.reconciled)
+      .sort((a, b) => a.timestamp - b.timestamp || a.recordId.localeCompare(b.recordId))
+      .filter(r => !after || r.timestamp > after.timestamp || (r.timestamp === after.timestamp && r.recordId > after.recordId))
+      .slice(0, limit));
+
+    engine = new ReconciliationEngine(
+      { mongoUri: 'mongodb://unused', treasuryAddress: TREASURY, usdcAddress: USDC, reconciliationBatchSize: 2 },
+      {
+        provider: { getTransactionReceipt: async hash => receipts.get(hash) || null },
+        circleGateway: {
+          getTransactionStatus: async id => {
+            if (!gateway.has(id)) throw Object.assign(new Error('not found'), { status: 404 });
+            return gateway.get(id);
+          }
+        }
+      }
+    );
+    engine.collection = {
+      updateOne: async ({ _id }, update) => {
+        exceptions.set(_id, { ...(exceptions.get(_id) || update.$setOnInsert), ...update.$set });
+      },
+      updateMany: async ({ recordId }) => {
+        exceptions.forEach(exception => {
+          if (exception.recordId === recordId) exception.status = 'resolved';
+        });
+      }
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('reconciles records whose transfer matches and pairs batch transfers one per record', async () => {
+    records.push(record(1), record(2, { transactionHash: txHash(1), recipient: BOB, usdcAmount: '2500000' }));
+    receipts.set(txHash(1), { logs: [transferLog(ALICE, '1000000', 0), transferLog(BOB, '2500000', 1)] });
+
+    const report = await engine.reconcile();
+
+    assert.deepEqual(report.reconciled, records.map(r => r.recordId));
+    assert.deepEqual(report.exceptions, []);
+    assert.ok(records.every(r => r.reconciled));
+  });
+
+  it('records amount, recipient and missing transfer exceptions', async () => {
+    engine.batchSize = 10;
+    records.push(record(1), record(2), record(3));
+    receipts.set(txHash(1), { logs: [transferLog(ALICE, '999999')] });
+    receipts.set(txHash(2), { logs: [transferLog(BOB, '1000000')] });
+    // A transfer into the treasury is not a payout
+    receipts.set(txHash(3), { logs: [transferLog(TREASURY, '1000000', 0, ALICE)] });
+
+    const report = await engine.reconcile();
+
+    assert.deepEqual(report.exceptions.map(e => e.type), ['amount_mismatch', 'recipient_mismatch', 'missing_transfer']);
+    assert.equal(exceptions.get(`${records[0].recordId}:amount_mismatch`).status, 'open');
+    assert.equal(report.reconciled.length, 0);
+  });
+
+  it('keeps records pending while their receipt is not available', async () => {
+    records.push(record(1));
+
+    const report = await engine.reconcile();
+
+    assert.deepEqual(report.pending, [{ recordId: records[0].recordId, reason: 'Transaction receipt not available yet' }]);
+    assert.deepEqual(report.exceptions, []);
+    assert.equal(exceptions.size, 0);
+
+    receipts.set(txHash(1), { logs: [transferLog(ALICE, '1000000')] });
+    assert.deepEqual((await engine.reconcile()).reconciled, [records[0].recordId]);
+  });
+
+  it('checks Circle Gateway status for records that carry a gateway transaction', async () => {
+    engine.batchSize = 10;
+    records.push(
+      record(1, { circleGatewayTxId: 'cg_pending' }),
+      record(2, { circleGatewayTxId: 'cg_failed' }),
+      record(3, { circleGatewayTxId: 'cg_missing' }),
+      record(4, { circleGatewayTxId: 'cg_other_amount' })
+    );
+    [1, 2, 3, 4].forEach(n => receipts.set(txHash(n), { logs: [transferLog(ALICE, '1000000')] }));
+    gateway.set('cg_pending', { status: 'PENDING' });
+    gateway.set('cg_failed', { status: 'failed' });
+    gateway.set('cg_other_amount', { status: 'COMPLETED', amount: '2.00' });
+
+    const report = await engine.reconcile();
+
+    assert.deepEqual(report.pending.map(p => p.reason), ['Circle Gateway status PENDING']);
+    assert.deepEqual(report.exceptions.map(e => e.type), ['gateway_failed', 'gateway_not_found', 'gateway_mismatch']);
+    assert.deepEqual(report.exceptions[2].actual, { amount: '2000000' });
+  });
+
+  it('pages past records that stay unreconciled so newer ones are checked', async () => {
+    records.push(record(1), record(2), record(3), record(4), record(5));
+    // Records 1 and 2 have open exceptions; 3 to 5 match
+    [3, 4, 5].forEach(n => receipts.set(txHash(n), { logs: [transferLog(ALICE, '1000000')] }));
+    [1, 2].forEach(n => receipts.set(txHash(n), { logs: [] }));
+    const checked = [];
+    const run = async () => {
+      const report = await engine.reconcile();
+      checked.push(report.checked);
+      return report;
+    };
+
+    await run();
+    const second = await run();
+    const third = await run();
+    const fourth = await run();
+
+    assert.deepEqual(second.reconciled, [records[2].recordId, records[3].recordId]);
+    assert.deepEqual(third.reconciled, [records[4].recordId]);
+    // The end was reached, so the next run starts over at the oldest record
+    assert.deepEqual(fourth.exceptions.map(e => e.recordId), [records[0].recordId, records[1].recordId]);
+    assert.deepEqual(checked, [2, 2, 1, 2]);
+  });
+
+  it('resolves open exceptions once a record matches', async () => {
+    engine.batchSize = 10;
+    records.push(record(1));
+    receipts.set(txHash(1), { logs: [transferLog(ALICE, '5')] });
+    await engine.reconcile();
+
+    receipts.set(txHash(1), { logs: [transferLog(ALICE, '1000000')] });
+    await engine.reconcile();
+
+    assert.equal(exceptions.get(`${records[0].recordId}:amount_mismatch`).status, 'resolved');
+  });
+});
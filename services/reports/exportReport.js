@@ -0,0 +1,121 @@
+/**
+ * Compliance Report Export
+ * Writes a compliance report for a reporting period to JSON, CSV and/or XLSX files
+ *
+ * Usage: node reports/exportReport.js --period 2024-Q1 [--jurisdiction US] [--category PAYROLL]
+ *          [--from 2024-01-01 --to 2024-04-01] [--format json,csv,xlsx] [--out ./exports] [--allow-invalid]
+ * Or: npm run report:export -- --period 2024-Q1
+ *
+ * Refuses to write files when a record fails schema validation unless --allow-invalid is given.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { connectDatabase, disconnectDatabase } = require('../database');
+const { ComplianceReportGenerator, FORMATS, formatReport, summaryToCSV } = require('./index');
+
+/**
+ * Export a report to files
+ * @param {Object} options - generate() options plus { formats, outDir, allowInvalid }
+ * @returns {Promise<Object>} { report, files }
+ */
+async function exportReport(options) {
+  const generator = new ComplianceReportGenerator();
+  const report = await generator.generate(options);
+
+  if (!report.validation.valid && !options.allowInvalid) {
+    const error = new Error(`${report.validation.invalidCount} record(s) failed schema validation`);
+    error.validation = report.validation;
+    throw error;
+  }
+
+  const outDir = options.outDir || '.';
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const baseName = [
+    'compliance',
+    options.period || `${report.header.from.slice(0, 10)}_${report.header.to.slice(0, 10)}`,
+    report.header.jurisdiction,
+    report.header.regulatoryCategory
+  ].filter(Boolean).join('-');
+
+  const files = [];
+  for (const format of options.formats) {
+    const file = path.join(outDir, `${baseName}.${FORMATS[format].extension}`);
+    fs.writeFileSync(file, await formatReport(report, format));
+    files.push(file);
+
+    if (format === 'csv') {
+      const summaryFile = path.join(outDir, `${baseName}-summary.csv`);
+      fs.writeFileSync(summaryFile, summaryToCSV(report));
+      files.push(summaryFile);
+    }
+  }
+
+  return { report, files };
+}
+
+module.exports = exportReport;
+
+if (require.main === module) {
+  const { values } = parseArgs({
+    options: {
+      period: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      jurisdiction: { type: 'string' },
+      category: { type: 'string' },
+      format: { type: 'string', default: 'json,csv,xlsx' },
+      out: { type: 'string', default: './exports' },
+      'allow-invalid': { type: 'boolean', default: false }
+    }
+  });
+
+  const formats = values.format.split(',').map(format => format.trim().toLowerCase());
+  const unknown = formats.filter(format => !FORMATS[format]);
+  if (unknown.length > 0) {
+    console.error(`Error: unknown format(s) ${unknown.join(', ')} (use ${Object.keys(FORMATS).join(', ')})`);
+    process.exit(1);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    console.error('Error: MONGODB_URI environment variable is required');
+    process.exit(1);
+  }
+
+  (async () => {
+    let exitCode = 0;
+    try {
+      await connectDatabase(process.env.MONGODB_URI);
+      const { report, files } = await exportReport({
+        period: values.period,
+        from: values.from,
+        to: values.to,
+        jurisdiction: values.jurisdiction,
+        regulatoryCategory: values.category,
+        formats,
+        outDir: values.out,
+        allowInvalid: values['allow-invalid']
+      });
+
+      const { summary, validation } = report;
+      console.log(`\n📄 ${summary.recordCount} record(s), ${summary.totalUSDC} USDC (${report.header.from} → ${report.header.to})`);
+      summary.bySource.forEach(entry => console.log(`   ${entry.key}: ${entry.count} record(s), ${entry.totalUSDC} USDC`));
+      if (!validation.valid) {
+        console.warn(`⚠️  Exported with ${validation.invalidCount} invalid record(s)`);
+      }
+      files.forEach(file => console.log(`✓ Wrote ${file}`));
+    } catch (error) {
+      console.error('Report export failed:', error.message);
+      (error.validation ? error.validation.errors : []).forEach(({ recordId, errors }) => {
+        console.error(`   ${recordId}: ${errors.join('; ')}`);
+      });
+      exitCode = 1;
+    } finally {
+      await disconnectDatabase();
+    }
+    process.exit(exitCode);
+  })();
+}
@@ -0,0 +1,203 @@
+/**
+ * Report Formats
+ * Serializes compliance reports to JSON, CSV and XLSX
+ */
+
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  json: { extension: 'json', contentType: 'application/json' },
+  csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+  xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+const RECORD_COLUMNS = [
+  'recordId',
+  'transactionHash',
+  'internalTxHash',
+  'timestampISO',
+  'blockNumber',
+  'source',
+  'ruleId',
+  'recipient',
+  'usdcAmount',
+  'usdcAmountFormatted',
+  'kycStatus',
+  'amlStatus',
+  'executor',
+  'circleGatewayTxId',
+  'arcTransparencyId',
+  'reconciled',
+  'reconciledAtISO',
+  'metadata.jurisdiction',
+  'metadata.regulatoryCategory',
+  'metadata.reportingPeriod',
+  'metadata.notes'
+];
+
+const SUMMARY_GROUPS = [
+  ['bySource', 'source'],
+  ['byRule', 'ruleId'],
+  ['byKycStatus', 'kycStatus'],
+  ['byAmlStatus', 'amlStatus']
+];
+
+/**
+ * @private
+ */
+function columnValue(record, column) {
+  const value = column.split('.').reduce((current, key) => (current == null ? undefined : current[key]), record);
+  return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * @private
+ */
+function csvCell(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @private
+ */
+function csvRows(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Summary as rows of [group, key, count, totalUSDC]
+ * @private
+ */
+function summaryRows(summary) {
+  const rows = [['total', 'all', summary.recordCount, summary.totalUSDC]];
+  SUMMARY_GROUPS.forEach(([field, label]) => {
+    summary[field].forEach(entry => rows.push([label, entry.key, entry.count, entry.totalUSDC]));
+  });
+  return rows;
+}
+
+function toJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Records as CSV, one row per record
+ */
+function toCSV(report) {
+  return recordsToCSV(report.records);
+}
+
+/**
+ * @private
+ */
+function recordsToCSV(records) {
+  return csvRows([RECORD_COLUMNS, ...records.map(record => RECORD_COLUMNS.map(column => columnValue(record, column)))]);
+}
+
+/**
+ * @private
+ */
+function addRecordsSheet(workbook, records) {
+  const sheet = workbook.addWorksheet('Records');
+  sheet.addRow(RECORD_COLUMNS).font = { bold: true };
+  records.forEach(record => sheet.addRow(RECORD_COLUMNS.map(column => columnValue(record, column))));
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  return sheet;
+}
+
+/**
+ * Summary totals as CSV
+ */
+function summaryToCSV(report) {
+  return csvRows([['group', 'key', 'count', 'totalUSDC'], ...summaryRows(report.summary)]);
+}
+
+/**
+ * Workbook with Summary, Records and (if any record failed validation) Validation sheets
+ * @returns {Promise<Buffer>}
+ */
+async function toXLSX(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'treasury-monitoring-services';
+  workbook.created = new Date(report.header.generatedAt);
+
+  const summary = workbook.addWorksheet('Summary');
+  Object.entries(report.header).forEach(([key, value]) => summary.addRow([key, value === null ? '' : value]));
+  summary.addRow([]);
+  summary.addRow(['group', 'key', 'count', 'totalUSDC']).font = { bold: true };
+  // Totals as numbers so they can be summed in the sheet; exact values are in usdcAmount
+  summaryRows(report.summary).forEach(([group, key, count, total]) => summary.addRow([group, key, count, parseFloat(total)]));
+  summary.getColumn(1).width = 20;
+  summary.getColumn(2).width = 40;
+
+  addRecordsSheet(workbook, report.records);
+
+  if (!report.validation.valid) {
+    const validation = workbook.addWorksheet('Validation');
+    validation.addRow(['recordId', 'error']).font = { bold: true };
+    report.validation.errors.forEach(({ recordId, errors }) => {
+      errors.forEach(error => validation.addRow([recordId || '', error]));
+    });
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Serialize a report
+ * @param {Object} report - ComplianceReportGenerator report
+ * @param {string} format - json, csv or xlsx
+ * @returns {Promise<Buffer|string>}
+ */
+async function formatReport(report, format) {
+  switch (format) {
+    case 'json':
+      return toJSON(report);
+    case 'csv':
+      return toCSV(report);
+    case 'xlsx':
+      return toXLSX(report);
+    default: {
+      const error = new Error(`Unknown report format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Serialize a plain list of records (e.g. a filtered explorer export)
+ * @param {Array<Object>} records - Records with dates as ISO strings
+ * @param {string} format - json, csv or xlsx
+ * @returns {Promise<Buffer|string>}
+ */
+async function formatRecords(records, format) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify({ count: records.length, records }, null, 2);
+    case 'csv':
+      return recordsToCSV(records);
+    case 'xlsx': {
+      const workbook = new ExcelJS.Workbook();
+      workbook.creator = 'treasury-monitoring-services';
+      addRecordsSheet(workbook, records);
+      return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+    default: {
+      const error = new Error(`Unknown export format "${format}" (use ${Object.keys(FORMATS).join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  FORMATS,
+  formatReport,
+  formatRecords,
+  toJSON,
+  toCSV,
+  summaryToCSV,
+  toXLSX
+};
@@ -0,0 +1,18 @@
+/**
+ * Reports
+ * Compliance report generation, record exploration and export formats
+ */
+
+const { ComplianceReportGenerator, periodRange } = require('./complianceReport');
+const { ComplianceRecordExplorer } = require('./recordExplorer');
+const { FORMATS, formatReport, formatRecords, summaryToCSV } = require('./formats');
+
+module.exports = {
+  ComplianceReportGenerator,
+  periodRange,
+  ComplianceRecordExplorer,
+  FORMATS,
+  formatReport,
+  formatRecords,
+  summaryToCSV
+};
@@ -0,0 +1,233 @@
+/**
+ * Compliance Record Explorer
+ * Paginated, filtered access to persisted compliance records for the dashboard.
+ * Filters map onto the ComplianceRecord indexes (recipient, ruleId, source,
+ * kycStatus/amlStatus, reconciled and timestamp).
+ */
+
+const { ethers } = require('ethers');
+const {
+  ComplianceRecord,
+  TransactionSource,
+  ComplianceStatus
+} = require('../models/ComplianceRecord.mongoose');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+
+// Upper bound on records in one export; narrower filters are needed beyond this
+const MAX_EXPORT_RECORDS = 50000;
+
+const SORTS = {
+  timestamp: { timestamp: 1, _id: 1 },
+  '-timestamp': { timestamp: -1, _id: -1 },
+  amount: { usdcAmountFormatted: 1, _id: 1 },
+  '-amount': { usdcAmountFormatted: -1, _id: -1 }
+};
+
+/**
+ * @private
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Stored record as plain JSON, with dates as ISO strings
+ * @private
+ */
+function toPlain(record) {
+  const plain = {};
+  Object.entries(record).forEach(([key, value]) => {
+    if (['_id', '__v'].includes(key) || value === undefined || value === null) return;
+    plain[key] = value instanceof Date ? value.toISOString() : value;
+  });
+  return plain;
+}
+
+class ComplianceRecordExplorer {
+  /**
+   * Build a MongoDB filter from query parameters
+   * @param {Object} query
+   * @param {string} query.recipient - Recipient address
+   * @param {number|string} query.ruleId - Rule ID (0 for manual transactions)
+   * @param {string} query.source - TransactionSource value
+   * @param {string} query.kycStatus - ComplianceStatus value
+   * @param {string} query.amlStatus - ComplianceStatus value
+   * @param {boolean|string} query.reconciled - true or false
+   * @param {number|string} query.from - Start (inclusive; unix seconds or ISO date)
+   * @param {number|string} query.to - End (exclusive)
+   * @returns {Object} Filter
+   * @throws {Error} status 400 on an invalid parameter
+   */
+  buildFilter(query = {}) {
+    const filter = {};
+
+    if (query.recipient) {
+      if (!ethers.utils.isAddress(query.recipient)) {
+        throw badRequest(`recipient must be an address (got "${query.recipient}")`);
+      }
+      filter.recipient = ethers.utils.getAddress(query.recipient);
+    }
+
+    if (query.ruleId !== undefined && query.ruleId !== '') {
+      if (!/^\d+$/.test(String(query.ruleId))) {
+        throw badRequest(`ruleId must be a non-negative integer (got "${query.ruleId}")`);
+      }
+      filter.ruleId = Number(query.ruleId);
+    }
+
+    if (query.source) {
+      const source = String(query.source).toUpperCase();
+      if (!Object.values(TransactionSource).includes(source)) {
+        throw badRequest(`source must be one of ${Object.values(TransactionSource).join(', ')}`);
+      }
+      filter.source = source;
+    }
+
+    ['kycStatus', 'amlStatus'].forEach(field => {
+      if (!query[field]) return;
+      const status = String(query[field]).toUpperCase();
+      if (!Object.values(ComplianceStatus).includes(status)) {
+        throw badRequest(`${field} must be one of ${Object.values(ComplianceStatus).join(', ')}`);
+      }
+      filter[field] = status;
+    });
+
+    if (query.reconciled !== undefined && query.reconciled !== '') {
+      if (!['true', 'false'].includes(String(query.reconciled))) {
+        throw badRequest('reconciled must be true or false');
+      }
+      filter.reconciled = String(query.reconciled) === 'true';
+    }
+
+    const from = this._toUnix(query.from, 'from');
+    const to = this._toUnix(query.to, 'to');
+    if (from !== undefined && to !== undefined && from >= to) {
+      throw badRequest('from must be before to');
+    }
+    if (from !== undefined || to !== undefined) {
+      filter.timestamp = {};
+      if (from !== undefined) filter.timestamp.$gte = from;
+      if (to !== undefined) filter.timestamp.$lt = to;
+    }
+
+    return filter;
+  }
+
+  /**
+   * One page of records matching the filters, newest first by default
+   * @param {Object} query - Filters (see buildFilter) plus page (1-based), pageSize and
+   *   sort (timestamp, -timestamp, amount, -amount)
+   * @returns {Promise<Object>} { page, pageSize, total, pages, totalUSDC, records }
+   */
+  async list(query = {}) {
+    try {
+      const filter = this.buildFilter(query);
+      const page = this._positiveInt(query.page, 'page', 1);
+      const pageSize = Math.min(this._positiveInt(query.pageSize, 'pageSize', DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE);
+      const sort = SORTS[query.sort || '-timestamp'];
+      if (!sort) {
+        throw badRequest(`sort must be one of ${Object.keys(SORTS).join(', ')}`);
+      }
+
+      const [records, total, totals] = await Promise.all([
+        ComplianceRecord.find(filter).sort(sort).skip((page - 1) * pageSize).limit(pageSize).lean(),
+        ComplianceRecord.countDocuments(filter),
+        ComplianceRecord.aggregate([{ $match: filter }, { $group: { _id: null, amount: { $sum: '$usdcAmountFormatted' } } }])
+      ]);
+
+      return {
+        page,
+        pageSize,
+        total,
+        pages: Math.ceil(total / pageSize),
+        totalUSDC: totals.length > 0 ? totals[0].amount : 0,
+        records: records.map(toPlain)
+      };
+    } catch (error) {
+      console.error('Error listing compliance records:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * A single record
+   * @param {string} recordId - bytes32 record ID
+   * @returns {Promise<Object>} Record
+   * @throws {Error} status 400 on a malformed ID, 404 if there is no such record
+   */
+  async get(recordId) {
+    if (!ethers.utils.isHexString(recordId, 32)) {
+      throw badRequest(`recordId must be a 32-byte hex string (got "${recordId}")`);
+    }
+
+    try {
+      const record = await ComplianceRecord.findOne({ recordId }).lean();
+      if (!record) {
+        const error = new Error(`Compliance record ${recordId} not found`);
+        error.status = 404;
+        throw error;
+      }
+      return toPlain(record);
+    } catch (error) {
+      console.error(`Error loading compliance record ${recordId}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Every record matching the filters, oldest first, for download
+   * @param {Object} query - Filters (see buildFilter)
+   * @returns {Promise<Array<Object>>} Records
+   * @throws {Error} status 400 if more than MAX_EXPORT_RECORDS match
+   */
+  async export(query = {}) {
+    try {
+      const filter = this.buildFilter(query);
+      const records = await ComplianceRecord.find(filter)
+        .sort(SORTS.timestamp)
+        .limit(MAX_EXPORT_RECORDS + 1)
+        .lean();
+
+      if (records.length > MAX_EXPORT_RECORDS) {
+        throw badRequest(`More than ${MAX_EXPORT_RECORDS} records match; narrow the filters to export`);
+      }
+      return records.map(toPlain);
+    } catch (error) {
+      console.error('Error exporting compliance records:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _positiveInt(value, name, fallback) {
+    if (value === undefined || value === '') return fallback;
+    if (!/^\d+$/.test(String(value)) || Number(value) < 1) {
+      throw badRequest(`${name} must be a positive integer (got "${value}")`);
+    }
+    return Number(value);
+  }
+
+  /**
+   * @private
+   */
+  _toUnix(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const unix = /^\d+$/.test(String(value)) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+    if (Number.isNaN(unix)) {
+      throw badRequest(`${name} must be unix seconds or an ISO date (got "${value}")`);
+    }
+    return unix;
+  }
+}
+
+module.exports = {
+  ComplianceRecordExplorer,
+  MAX_PAGE_SIZE,
+  MAX_EXPORT_RECORDS
+};
@@ -0,0 +1,284 @@
+/**
+ * Runway Forecast
+ * Projects the Treasury balance day by day from the active schedules and eligible
+ * rules, and reports the first payment the balance would not cover
+ *
+ * The projection has no inflows and is deliberately conservative: every eligible
+ * rule is assumed to fire now and again each time its interval/cooldown elapses,
+ * until its budget is used up. Within a day, payments run in the automation's
+ * order: scheduled distributions, then distribution rules, then allocation rules
+ * (each by priority).
+ */
+
+const { ethers } = require('ethers');
+const PayrollAutomationService = require('./payrollAutomation');
+
+const { ALLOCATION_TYPES } = PayrollAutomationService;
+const DAY_SECONDS = 24 * 60 * 60;
+const SOURCE_ORDER = { schedule: 0, distribution_rule: 1, allocation_rule: 2 };
+
+const format = amount => ethers.utils.formatUnits(amount, 6);
+
+class RunwayForecast {
+  /**
+   * @param {PayrollAutomationService} automation - Initialized automation service
+   * @param {Object} options - { horizonDays }
+   */
+  constructor(automation, options = {}) {
+    this.automation = automation;
+    this.horizonDays = options.horizonDays || 90;
+  }
+
+  /**
+   * Build the forecast
+   * @param {Object} options - { horizonDays, now (unix seconds) }
+   * @returns {Promise<Object>} { startBalance, days, payments, firstFailure, failures, runwayDays }
+   */
+  async forecast(options = {}) {
+    try {
+      const horizonDays = options.horizonDays || this.horizonDays;
+      const start = options.now || Math.floor(Date.now() / 1000);
+      const end = start + horizonDays * DAY_SECONDS;
+      const contract = this.automation.treasuryContract;
+
+      const [startBalance, schedules, distributionRules, allocationRules] = await Promise.all([
+        contract.getBalance(),
+        this.automation.listScheduledDistributions(),
+        this._loadRules(contract.getEligibleDistributionRules(), ruleId => contract.getDistributionRule(ruleId)),
+        this._loadRules(contract.getEligibleAllocationRules(), ruleId => contract.getAllocationRule(ruleId))
+      ]);
+
+      const payments = [
+        ...this._schedulePayments(schedules, start, end),
+        ...this._rulePayments('distribution_rule', distributionRules, start, end),
+        ...this._rulePayments('allocation_rule', allocationRules, start, end)
+      ].sort((a, b) =>
+        a.timestamp - b.timestamp ||
+        SOURCE_ORDER[a.source] - SOURCE_ORDER[b.source] ||
+        a.priority - b.priority
+      );
+
+      let balance = startBalance;
+      const settled = [];
+      const failures = [];
+
+      payments.forEach(payment => {
+        let amount = payment.amountOf(balance);
+        if (payment.budget && amount.gt(payment.budget.remaining)) {
+          amount = payment.budget.remaining;
+        }
+        if (amount.isZero()) {
+          return;
+        }
+
+        const entry = {
+          date: new Date(payment.timestamp * 1000).toISOString(),
+          source: payment.source,
+          id: payment.id,
+          recipients: payment.recipients,
+          amount: format(amount),
+          balanceBefore: format(balance)
+        };
+
+        if (amount.gt(balance)) {
+          // An unfunded payment reverts and leaves the balance untouched
+          failures.push({ ...entry, shortfall: format(amount.sub(balance)) });
+          settled.push({ ...entry, status: 'insufficient_balance', balanceAfter: format(balance) });
+          return;
+        }
+
+        balance = balance.sub(amount);
+        if (payment.budget) {
+          payment.budget.remaining = payment.budget.remaining.sub(amount);
+        }
+        settled.push({ ...entry, status: 'paid', balanceAfter: format(balance) });
+      });
+
+      const firstFailure = failures[0] || null;
+
+      return {
+        generatedAt: new Date(start * 1000).toISOString(),
+        horizonDays,
+        startBalance: format(startBalance),
+        endBalance: format(balance),
+        days: this._dailyBalances(settled, startBalance, start, horizonDays),
+        payments: settled,
+        failures,
+        firstFailure,
+        runwayDays: firstFailure
+          ? Math.floor((Date.parse(firstFailure.date) / 1000 - start) / DAY_SECONDS)
+          : null
+      };
+    } catch (error) {
+      console.error('Error building runway forecast:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch eligible rule IDs and their structs
+   * @private
+   */
+  async _loadRules(eligibleIds, getRule) {
+    const ruleIds = await eligibleIds;
+    return Promise.all(ruleIds.map(async ruleId => ({
+      ruleId: ruleId.toString(),
+      rule: await getRule(ruleId)
+    })));
+  }
+
+  /**
+   * Every occurrence of the active schedules inside the horizon
+   * @private
+   */
+  _schedulePayments(schedules, start, end) {
+    const payments = [];
+
+    schedules.filter(schedule => schedule.active).forEach(schedule => {
+      const amount = ethers.BigNumber.from(schedule.amountRaw);
+      // Overdue schedules are paid on the next run
+      let timestamp = Math.max(schedule.nextDistribution, start);
+
+      while (timestamp < end) {
+        payments.push({
+          timestamp,
+          source: 'schedule',
+          id: schedule.scheduleId,
+          priority: 0,
+          recipients: [schedule.recipient],
+          amountOf: () => amount
+        });
+
+        if (schedule.interval <= 0) break;
+        timestamp += schedule.interval;
+      }
+    });
+
+    return payments;
+  }
+
+  /**
+   * Repeated executions of the eligible rules inside the horizon
+   * @private
+   */
+  _rulePayments(source, rules, start, end) {
+    const payments = [];
+
+    rules.forEach(({ ruleId, rule }) => {
+      const period = Math.max(
+        source === 'distribution_rule' ? rule.interval.toNumber() : 0,
+        rule.cooldownPeriod.toNumber()
+      );
+      const { recipients, amountOf, budget } = source === 'distribution_rule'
+        ? this._distributionRule(rule)
+        : this._allocationRule(rule);
+
+      // Shared by every occurrence, so the budget is only spent once
+      const remaining = budget ? { remaining: budget } : null;
+
+      let timestamp = start;
+      while (timestamp < end) {
+        payments.push({
+          timestamp,
+          source,
+          id: ruleId,
+          priority: rule.priority.toNumber(),
+          recipients,
+          amountOf,
+          budget: remaining
+        });
+
+        if (period <= 0) break;
+        timestamp += period;
+      }
+    });
+
+    return payments;
+  }
+
+  /**
+   * @private
+   */
+  _distributionRule(rule) {
+    const budget = rule.maxTotalDistribution.isZero()
+      ? null
+      : this._remaining(rule.maxTotalDistribution, rule.totalDistributed);
+
+    return {
+      recipients: rule.recipients,
+      budget,
+      amountOf: balance => rule.usePercentages
+        ? rule.percentages.reduce((total, bps) => total.add(balance.mul(bps).div(10000)), ethers.constants.Zero)
+        : rule.amounts.reduce((total, amount) => total.add(amount), ethers.constants.Zero)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _allocationRule(rule) {
+    const budget = rule.budgetLimit.isZero()
+      ? null
+      : this._remaining(rule.budgetLimit, rule.totalAllocated);
+
+    return {
+      recipients: [rule.recipient],
+      budget,
+      amountOf: balance => {
+        if (rule.allocationType === ALLOCATION_TYPES.PERCENTAGE) {
+          return balance.mul(rule.value).div(10000);
+        }
+        if (rule.allocationType === ALLOCATION_TYPES.BALANCE_THRESHOLD) {
+          return balance.gt(rule.value) ? balance.sub(rule.value) : ethers.constants.Zero;
+        }
+        return rule.value;
+      }
+    };
+  }
+
+  /**
+   * Unspent part of a rule budget
+   * @private
+   */
+  _remaining(limit, spent) {
+    return limit.gt(spent) ? limit.sub(spent) : ethers.constants.Zero;
+  }
+
+  /**
+   * Closing balance and outflow of each day of the horizon
+   * @private
+   */
+  _dailyBalances(payments, startBalance, start, horizonDays) {
+    const days = [];
+    let balance = startBalance;
+    let index = 0;
+
+    for (let day = 0; day < horizonDays; day++) {
+      const dayEnd = (start + (day + 1) * DAY_SECONDS) * 1000;
+      let outflow = ethers.constants.Zero;
+      let failed = 0;
+
+      while (index < payments.length && Date.parse(payments[index].date) < dayEnd) {
+        const payment = payments[index];
+        if (payment.status === 'paid') {
+          outflow = outflow.add(ethers.utils.parseUnits(payment.amount, 6));
+        } else {
+          failed += 1;
+        }
+        balance = ethers.utils.parseUnits(payment.balanceAfter, 6);
+        index += 1;
+      }
+
+      days.push({
+        date: new Date((start + day * DAY_SECONDS) * 1000).toISOString().slice(0, 10),
+        outflow: format(outflow),
+        balance: format(balance),
+        failedPayments: failed
+      });
+    }
+
+    return days;
+  }
+}
+
+module.exports = RunwayForecast;
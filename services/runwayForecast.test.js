@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const RunwayForecast = require('./runwayForecast');
+const { ALLOCATION_TYPES } = require('./payrollAutomation');
+
+const BN = ethers.BigNumber.from;
+const usdc = amount => ethers.utils.parseUnits(String(amount), 6);
+const DAY = 24 * 60 * 60;
+const NOW = Date.UTC(2024, 0, 1) / 1000;
+const ALICE = `0x${'a'.repeat(40)}`;
+const BOB = `0x${'b'.repeat(40)}`;
+
+function schedule(overrides) {
+  return {
+    scheduleId: '0',
+    recipient: ALICE,
+    amountRaw: usdc(300).toString(),
+    nextDistribution: NOW + 2 * DAY,
+    interval: 7 * DAY,
+    active: true,
+    ...overrides
+  };
+}
+
+function distributionRule(overrides) {
+  return {
+    recipients: [ALICE, BOB],
+    usePercentages: false,
+    percentages: [],
+    amounts: [usdc(10), usdc(20)],
+    maxTotalDistribution: BN(0),
+    totalDistributed: BN(0),
+    interval: BN(0),
+    cooldownPeriod: BN(0),
+    priority: BN(0),
+    ...overrides
+  };
+}
+
+function allocationRule(overrides) {
+  return {
+    recipient: BOB,
+    allocationType: ALLOCATION_TYPES.FIXED_AMOUNT,
+    value: usdc(50),
+    budgetLimit: BN(0),
+    totalAllocated: BN(0),
+    cooldownPeriod: BN(0),
+    priority: BN(0),
+    ...overrides
+  };
+}
+
+/**
+ * Automation stand-in exposing only what the forecast reads
+ */
+function forecastFor({ balance, schedules = [], distributionRules = [], allocationRules = [] }) {
+  const automation = {
+    treasuryContract: {
+      getBalance: async () => usdc(balance),
+      getEligibleDistributionRules: async () => distributionRules.map((_, i) => BN(i)),
+      getDistributionRule: async ruleId => distributionRules[ruleId.toNumber()],
+      getEligibleAllocationRules: async () => allocationRules.map((_, i) => BN(i)),
+      getAllocationRule: async ruleId => allocationRules[ruleId.toNumber()]
+    },
+    listScheduledDistributions: async () => schedules
+  };
+  return new RunwayForecast(automation, { horizonDays: 30 });
+}
+
+describe('RunwayForecast', () => {
+  it('pays each schedule occurrence until the balance runs out', async () => {
+    const result = await forecastFor({ balance: 1000, schedules: [schedule()] }).forecast({ now: NOW });
+
+    assert.deepEqual(
+      result.payments.map(p => [p.date.slice(0, 10), p.status, p.balanceAfter]),
+      [
+        ['2024-01-03', 'paid', '700.0'],
+        ['2024-01-10', 'paid', '400.0'],
+        ['2024-01-17', 'paid', '100.0'],
+        ['2024-01-24', 'insufficient_balance', '100.0']
+      ]
+    );
+    assert.equal(result.firstFailure.shortfall, '200.0');
+    assert.equal(result.runwayDays, 23);
+    assert.equal(result.endBalance, '100.0');
+  });
+
+  it('rolls payments up into daily balances over the horizon', async () => {
+    const result = await forecastFor({ balance: 1000, schedules: [schedule()] }).forecast({ now: NOW });
+
+    assert.equal(result.days.length, 30);
+    assert.deepEqual(result.days[0], { date: '2024-01-01', outflow: '0.0', balance: '1000.0', failedPayments: 0 });
+    assert.deepEqual(result.days[2], { date: '2024-01-03', outflow: '300.0', balance: '700.0', failedPayments: 0 });
+    assert.equal(result.days[23].failedPayments, 1);
+    assert.equal(result.days[29].balance, '100.0');
+  });
+
+  it('pays overdue schedules now and ignores inactive ones', async () => {
+    const result = await forecastFor({
+      balance: 1000,
+      schedules: [
+        schedule({ scheduleId: '1', nextDistribution: NOW - 3 * DAY, interval: 0 }),
+        schedule({ scheduleId: '2', active: false })
+      ]
+    }).forecast({ now: NOW });
+
+    assert.deepEqual(result.payments.map(p => [p.id, p.date]), [['1', new Date(NOW * 1000).toISOString()]]);
+    assert.equal(result.runwayDays, null);
+  });
+
+  it('applies percentage rules to the balance left by earlier payments and caps them at the budget', async () => {
+    const result = await forecastFor({
+      balance: 1000,
+      schedules: [schedule({ nextDistribution: NOW, interval: 0 })],
+      distributionRules: [distributionRule({
+        usePercentages: true,
+        percentages: [BN(500), BN(500)],
+        maxTotalDistribution: usdc(150),
+        totalDistributed: usdc(20),
+        cooldownPeriod: BN(DAY)
+      })]
+    }).forecast({ now: NOW });
+
+    assert.deepEqual(
+      result.payments.map(p => [p.source, p.amount, p.balanceAfter]),
+      [
+        ['schedule', '300.0', '700.0'],
+        // 10% of 700, then what is left of the 130 budget
+        ['distribution_rule', '70.0', '630.0'],
+        ['distribution_rule', '60.0', '570.0']
+      ]
+    );
+  });
+
+  it('sweeps the balance above an allocation threshold and orders rules by priority', async () => {
+    const result = await forecastFor({
+      balance: 1000,
+      allocationRules: [
+        allocationRule({ allocationType: ALLOCATION_TYPES.BALANCE_THRESHOLD, value: usdc(600), priority: BN(2) }),
+        allocationRule({ allocationType: ALLOCATION_TYPES.PERCENTAGE, value: BN(1000), priority: BN(1) })
+      ]
+    }).forecast({ now: NOW, horizonDays: 1 });
+
+    assert.deepEqual(
+      result.payments.map(p => [p.id, p.amount]),
+      [['1', '100.0'], ['0', '300.0']]
+    );
+    assert.equal(result.endBalance, '600.0');
+  });
+
+  it('skips fixed rules whose budget is already spent', async () => {
+    const result = await forecastFor({
+      balance: 1000,
+      distributionRules: [distributionRule({ maxTotalDistribution: usdc(30), totalDistributed: usdc(30) })]
+    }).forecast({ now: NOW });
+
+    assert.deepEqual(result.payments, []);
+    assert.equal(result.endBalance, '1000.0');
+  });
+});
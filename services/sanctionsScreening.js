@@ -0,0 +1,218 @@
+/**
+ * Sanctions Screening
+ * Screens recipient addresses against local denylist files, so payments are
+ * blocked even when no third-party compliance service is reachable
+ *
+ * Denylists live in one directory, one file per list version:
+ *   <list>-<version>.csv   header row with an `address` column (optional `date`, `reason`);
+ *                          fields containing commas are double-quoted ("Doe, John")
+ *   <list>-<version>.json  { "list": "OFAC", "version": "2026-10-01", "entries": [{ "address", "date", "reason" }] }
+ * e.g. ofac-2026-10-01.csv. When several versions of a list are present, only the
+ * latest (by version string, so use ISO dates) is screened against.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const FILE_PATTERN = /^(.+)-(\d{4}-\d{2}-\d{2})\.(csv|json)$/;
+
+class SanctionsScreening {
+  /**
+   * @param {Object} options - { denylistDir }
+   */
+  constructor(options = {}) {
+    this.denylistDir = options.denylistDir || path.join(__dirname, 'denylists');
+    this.entries = new Map(); // lowercase address -> matches
+    this.lists = []; // loaded list versions, for audit output
+    this.loadedAt = null;
+  }
+
+  /**
+   * (Re)load every denylist in the directory
+   * Throws on unreadable or malformed files, so screening never silently runs on partial lists
+   * @returns {Array<Object>} Loaded lists { list, version, file, sha256, entries }
+   */
+  load() {
+    try {
+      const files = fs.existsSync(this.denylistDir)
+        ? fs.readdirSync(this.denylistDir).filter(file => FILE_PATTERN.test(file))
+        : [];
+
+      // Keep the latest version of each list
+      const latest = new Map();
+      files.forEach(file => {
+        const [, name, version] = file.match(FILE_PATTERN);
+        const key = name.toLowerCase();
+        const current = latest.get(key);
+        if (!current || version > current.version) {
+          latest.set(key, { file, version });
+        }
+      });
+
+      const entries = new Map();
+      const lists = [];
+
+      latest.forEach(({ file, version }) => {
+        const content = fs.readFileSync(path.join(this.denylistDir, file), 'utf8');
+        const parsed = file.endsWith('.json')
+          ? this._parseJson(file, content, version)
+          : this._parseCsv(file, content, version);
+
+        parsed.entries.forEach(entry => {
+          const address = entry.address.toLowerCase();
+          const matches = entries.get(address) || [];
+          matches.push({
+            list: parsed.list,
+            version: parsed.version,
+            date: entry.date || null,
+            reason: entry.reason || null
+          });
+          entries.set(address, matches);
+        });
+
+        lists.push({
+          list: parsed.list,
+          version: parsed.version,
+          file,
+          sha256: crypto.createHash('sha256').update(content).digest('hex'),
+          entries: parsed.entries.length
+        });
+      });
+
+      this.entries = entries;
+      this.lists = lists;
+      this.loadedAt = new Date().toISOString();
+
+      if (lists.length === 0) {
+        console.warn(`⚠️  No denylists found in ${this.denylistDir} - sanctions screening will clear every address`);
+      }
+
+      return lists;
+    } catch (error) {
+      console.error(`Error loading denylists from ${this.denylistDir}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Screen an address against the loaded denylists
+   * @param {string} address - Recipient address
+   * @returns {Object} { status: 'CLEAR'|'MATCH', address, matches, lists, screenedAt }
+   */
+  screen(address) {
+    const matches = this.entries.get((address || '').toLowerCase()) || [];
+    return {
+      status: matches.length > 0 ? 'MATCH' : 'CLEAR',
+      address,
+      matches,
+      lists: this.lists.map(list => `${list.list}@${list.version}`),
+      screenedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * @private
+   */
+  _parseCsv(file, content, version) {
+    const lines = content.split(/\r?\n/);
+    const headerIndex = lines.findIndex(line => line.trim() && !line.trim().startsWith('#'));
+    if (headerIndex === -1) {
+      return { list: this._listName(file), version, entries: [] };
+    }
+
+    const header = this._splitCsvLine(file, headerIndex + 1, lines[headerIndex]).map(column => column.trim().toLowerCase());
+    const addressColumn = header.indexOf('address');
+    if (addressColumn === -1) {
+      throw new Error(`${file}: missing "address" column`);
+    }
+
+    const entries = [];
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+      const line = lines[i].trim();
+      if (!line || line.startsWith('#')) continue;
+
+      const values = this._splitCsvLine(file, i + 1, line).map(value => value.trim());
+      const row = {};
+      header.forEach((column, index) => {
+        row[column] = values[index];
+      });
+      entries.push(this._entry(file, i + 1, row));
+    }
+
+    return { list: this._listName(file), version, entries };
+  }
+
+  /**
+   * Split one CSV line into fields (RFC 4180 quoting: "a, b" and "" for a literal quote)
+   * @private
+   */
+  _splitCsvLine(file, lineNumber, line) {
+    const values = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quoted) {
+        if (char === '"' && line[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        values.push(value);
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (quoted) {
+      throw new Error(`${file}:${lineNumber}: unterminated quoted field`);
+    }
+    values.push(value);
+    return values;
+  }
+
+  /**
+   * @private
+   */
+  _parseJson(file, content, version) {
+    const data = JSON.parse(content);
+    const rows = data.entries || data.addresses || [];
+    const entries = rows.map((row, index) =>
+      this._entry(file, index + 1, typeof row === 'string' ? { address: row } : row)
+    );
+    return {
+      list: data.list || this._listName(file),
+      version: data.version || version,
+      entries
+    };
+  }
+
+  /**
+   * @private
+   */
+  _entry(file, line, row) {
+    if (!row.address || !ethers.utils.isAddress(row.address)) {
+      throw new Error(`${file}:${line}: invalid address "${row.address}"`);
+    }
+    return { address: row.address, date: row.date, reason: row.reason };
+  }
+
+  /**
+   * @private
+   */
+  _listName(file) {
+    return file.match(FILE_PATTERN)[1].toUpperCase();
+  }
+}
+
+module.exports = SanctionsScreening;
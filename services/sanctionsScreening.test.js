@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const SanctionsScreening = require('./sanctionsScreening');
+const PayrollAutomationService = require('./payrollAutomation');
+
+const LISTED = '0x000000000000000000000000000000000000dEaD';
+const OLD_LISTED = '0x00000000000000000000000000000000000000A1';
+const SANCTIONED = '0x00000000000000000000000000000000000000B2';
+const CLEAN = '0x00000000000000000000000000000000000000C3';
+
+describe('SanctionsScreening', () => {
+  let dir;
+  let screening;
+
+  const write = (file, content) => fs.writeFileSync(path.join(dir, file), content);
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'denylists-'));
+    screening = new SanctionsScreening({ denylistDir: dir });
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('screens only against the latest version of each list', () => {
+    write('ofac-2026-09-01.csv', `address\n${OLD_LISTED}\n`);
+    write('ofac-2026-10-01.csv', `address\n${LISTED}\n`);
+    write('notes.txt', 'not a list');
+
+    const lists = screening.load();
+
+    assert.deepEqual(lists.map(list => [list.list, list.version, list.file, list.entries]), [
+      ['OFAC', '2026-10-01', 'ofac-2026-10-01.csv', 1]
+    ]);
+    assert.match(lists[0].sha256, /^[0-9a-f]{64}$/);
+    assert.equal(screening.screen(OLD_LISTED).status, 'CLEAR');
+    assert.equal(screening.screen(LISTED).status, 'MATCH');
+  });
+
+  it('loads CSV lists with comments and quoted fields', () => {
+    write('ofac-2026-10-01.csv', [
+      '# exported 2026-10-01',
+      'reason,address,date',
+      `"Doe, John",${LISTED},2026-09-30`,
+      '',
+      `"Acme ""Holdings"", Ltd",${SANCTIONED.toLowerCase()},2026-09-15`
+    ].join('\r\n'));
+
+    screening.load();
+
+    assert.deepEqual(screening.screen(LISTED).matches, [
+      { list: 'OFAC', version: '2026-10-01', date: '2026-09-30', reason: 'Doe, John' }
+    ]);
+    assert.equal(screening.screen(SANCTIONED).matches[0].reason, 'Acme "Holdings", Ltd');
+  });
+
+  it('loads JSON lists, taking the list name and version from the file', () => {
+    write('eu-2026-08-01.json', JSON.stringify({
+      list: 'EU Consolidated',
+      version: '2026-08-02',
+      entries: [{ address: LISTED, reason: 'Listed' }, SANCTIONED]
+    }));
+
+    const [list] = screening.load();
+
+    assert.deepEqual([list.list, list.version, list.entries], ['EU Consolidated', '2026-08-02', 2]);
+    const result = screening.screen(SANCTIONED);
+    assert.equal(result.status, 'MATCH');
+    assert.deepEqual(result.lists, ['EU Consolidated@2026-08-02']);
+  });
+
+  it('reports a match on every list that names the address', () => {
+    write('ofac-2026-10-01.csv', `address\n${LISTED}\n`);
+    write('un-2026-10-02.json', JSON.stringify({ entries: [LISTED] }));
+
+    screening.load();
+
+    assert.deepEqual(screening.screen(LISTED.toLowerCase()).matches.map(match => match.list).sort(), ['OFAC', 'UN']);
+    assert.equal(screening.screen(CLEAN).status, 'CLEAR');
+  });
+
+  it('fails the load on a malformed list instead of screening a partial one', () => {
+    write('ofac-2026-10-01.csv', `address\n${LISTED}\n0x1234\n`);
+    assert.throws(() => screening.load(), /ofac-2026-10-01\.csv:3: invalid address "0x1234"/);
+
+    write('ofac-2026-10-01.csv', `address,reason\n${LISTED},"unterminated\n`);
+    assert.throws(() => screening.load(), /unterminated quoted field/);
+
+    write('ofac-2026-10-01.csv', `wallet\n${LISTED}\n`);
+    assert.throws(() => screening.load(), /missing "address" column/);
+  });
+});
+
+describe('PayrollAutomationService sanctions gating', () => {
+  let dir;
+  let service;
+  let gatewayCalls;
+
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'denylists-'));
+    fs.writeFileSync(path.join(dir, 'ofac-2026-10-01.csv'), `address,reason\n${SANCTIONED},"Doe, John"\n`);
+
+    service = new PayrollAutomationService({
+      denylistDir: dir,
+      lockFile: path.join(dir, 'automation.lock'),
+      ledgerFile: path.join(dir, 'ledger.json')
+    });
+    service.sanctions.load();
+    gatewayCalls = [];
+    service.circleGateway = {
+      performComplianceCheck: async ({ recipient }) => {
+        gatewayCalls.push(recipient);
+        return { transactionId: 'cg-1', kycStatus: 'VERIFIED', amlStatus: 'VERIFIED', riskScore: 5, sanctionsCheck: { status: 'CLEAR' } };
+      }
+    };
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('rejects a listed recipient without contacting Circle Gateway', async () => {
+    const events = [];
+    service.on('compliance', event => events.push(event));
+
+    const { complianceCheck, reason } = await service._checkRecipient(SANCTIONED, '100.0', 'SCHEDULED_DISTRIBUTION');
+
+    assert.equal(reason, 'Sanctions match (OFAC@2026-10-01)');
+    assert.equal(complianceCheck.kycStatus, 'REJECTED');
+    assert.equal(complianceCheck.amlStatus, 'REJECTED');
+    assert.equal(complianceCheck.sanctionsCheck.status, 'MATCH');
+    assert.equal(complianceCheck.sanctionsCheck.matches[0].reason, 'Doe, John');
+    assert.deepEqual(gatewayCalls, []);
+    assert.deepEqual(events, [{ source: 'SCHEDULED_DISTRIBUTION', recipient: SANCTIONED, passed: false, reason }]);
+  });
+
+  it('passes a clear recipient on to Circle Gateway with the local screening attached', async () => {
+    const { complianceCheck, reason } = await service._checkRecipient(CLEAN, '100.0', 'ALLOCATION_RULE');
+
+    assert.equal(reason, null);
+    assert.deepEqual(gatewayCalls, [CLEAN]);
+    assert.equal(complianceCheck.sanctionsCheck.localScreening.status, 'CLEAR');
+    assert.deepEqual(complianceCheck.sanctionsCheck.localScreening.lists, ['OFAC@2026-10-01']);
+  });
+
+  it('leaves out a rule paying a listed recipient', async () => {
+    const payouts = {
+      1: [{ recipient: CLEAN, amount: ethers.utils.parseUnits('10', 6) }, { recipient: SANCTIONED, amount: ethers.utils.parseUnits('20', 6) }],
+      2: [{ recipient: CLEAN, amount: ethers.utils.parseUnits('30', 6) }]
+    };
+
+    const { compliantIds, skipped } = await service._screenRules(
+      'DISTRIBUTION_RULE',
+      [ethers.BigNumber.from(1), ethers.BigNumber.from(2)],
+      async ruleId => payouts[ruleId.toString()]
+    );
+
+    assert.deepEqual(compliantIds.map(id => id.toString()), ['2']);
+    assert.equal(skipped[0].ruleId, '1');
+    assert.equal(skipped[0].reason, `${SANCTIONED}: Sanctions match (OFAC@2026-10-01)`);
+  });
+});
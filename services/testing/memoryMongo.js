@@ -0,0 +1,54 @@
+/**
+ * In-memory MongoDB for tests
+ * Starts a throwaway mongod through mongodb-memory-server, or uses MONGODB_TEST_URI
+ * when set. Where no mongod binary is available (none cached and no download access),
+ * `startMemoryMongo` resolves with a `reason` instead of a `uri`, and tests that need
+ * the database skip with that reason rather than fail.
+ */
+
+const { connectDatabase, disconnectDatabase } = require('../database');
+
+/**
+ * @returns {Promise<{ uri?: string, reason?: string, stop: Function }>}
+ */
+async function startMemoryMongo() {
+  if (process.env.MONGODB_TEST_URI) {
+    await connectDatabase(process.env.MONGODB_TEST_URI);
+    return { uri: process.env.MONGODB_TEST_URI, stop: disconnectDatabase };
+  }
+
+  let server;
+  try {
+    const { MongoMemoryServer } = require('mongodb-memory-server');
+    server = await MongoMemoryServer.create();
+  } catch (error) {
+    return { reason: `in-memory MongoDB unavailable: ${error.message.split('\n')[0]}`, stop: async () => {} };
+  }
+
+  const uri = server.getUri();
+  await connectDatabase(uri);
+  return {
+    uri,
+    stop: async () => {
+      await disconnectDatabase();
+      await server.stop();
+    }
+  };
+}
+
+/**
+ * Skip the current test when the database is not available
+ * @param {Object} mongo - Result of startMemoryMongo
+ * @param {TestContext} t - node:test context
+ * @returns {boolean} Whether the test should go on
+ */
+function needsMongo(mongo, t) {
+  if (mongo && mongo.uri) return true;
+  t.skip(mongo ? mongo.reason : 'in-memory MongoDB not started');
+  return false;
+}
+
+module.exports = {
+  startMemoryMongo,
+  needsMongo
+};
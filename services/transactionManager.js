@@ -0,0 +1,281 @@
+/**
+ * Transaction Manager
+ * Sends transactions for the automation executor wallet with estimated gas limits,
+ * locally assigned nonces and fee-bumped replacement of transactions that do not
+ * confirm within a timeout
+ */
+
+const { ethers } = require('ethers');
+
+// Errors that mean the nonce is no longer usable (a transaction with it was mined)
+const NONCE_USED_PATTERNS = ['nonce too low', 'nonce has already been used', 'already known', 'NONCE_EXPIRED'];
+
+class TransactionManager {
+  /**
+   * @param {ethers.Signer} signer - Executor wallet (connected to a provider)
+   * @param {Object} options - Gas margin, timeouts and replacement settings
+   */
+  constructor(signer, options = {}) {
+    this.signer = signer;
+    this.provider = signer.provider;
+    this.gasMarginPercent = options.gasMarginPercent ?? 20;
+    this.confirmationTimeoutMs = options.confirmationTimeoutMs || 120000; // 2 minutes
+    this.maxReplacements = options.maxReplacements ?? 3;
+    this.feeBumpPercent = options.feeBumpPercent ?? 15; // Nodes require at least +10% to replace
+    this.pollIntervalMs = options.pollIntervalMs || 4000;
+    this.confirmations = options.confirmations || 1;
+    this.nextNonce = null;
+    this.pending = new Map(); // nonce -> tracked transaction
+  }
+
+  /**
+   * Load the starting nonce from the network
+   */
+  async initialize() {
+    await this._syncNonce();
+    console.log(`Transaction manager ready (next nonce: ${this.nextNonce})`);
+  }
+
+  /**
+   * Number of transactions submitted but not yet settled
+   */
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  /**
+   * Estimate gas for a contract call and add the safety margin
+   * @returns {Promise<ethers.BigNumber>} Gas limit
+   */
+  async estimateGas(contract, method, args = []) {
+    const estimate = await contract.estimateGas[method](...args);
+    return estimate.mul(100 + this.gasMarginPercent).div(100);
+  }
+
+  /**
+   * Submit a contract call and track it until it settles
+   * @param {ethers.Contract} contract - Contract connected to the executor signer
+   * @param {string} method - Contract method name
+   * @param {Array} args - Method arguments
+   * @returns {Promise<Object>} Tracked transaction; `await tracked.result` for the outcome
+   */
+  async send(contract, method, args = []) {
+    const gasLimit = await this.estimateGas(contract, method, args);
+    const populated = await contract.populateTransaction[method](...args);
+    const fees = await this._getFees();
+    const nonce = await this._reserveNonce();
+
+    const request = {
+      to: populated.to,
+      data: populated.data,
+      value: populated.value,
+      gasLimit,
+      nonce,
+      ...fees
+    };
+
+    let tx;
+    try {
+      tx = await this.signer.sendTransaction(request);
+    } catch (error) {
+      // The nonce was not consumed (or is out of sync) - resync before the next send
+      this.nextNonce = null;
+      throw error;
+    }
+
+    const tracked = {
+      label: method,
+      nonce,
+      request,
+      hashes: [tx.hash],
+      submittedAt: Date.now(),
+      result: null
+    };
+    tracked.result = this._track(tracked);
+    this.pending.set(nonce, tracked);
+
+    return tracked;
+  }
+
+  /**
+   * Submit a contract call and wait for its final outcome
+   * @returns {Promise<Object>} Outcome { status, hash, blockNumber, gasUsed, replacements, receipt }
+   */
+  async sendAndWait(contract, method, args = []) {
+    const tracked = await this.send(contract, method, args);
+    return tracked.result;
+  }
+
+  /**
+   * Wait for every pending transaction to settle
+   */
+  async waitForAll() {
+    const results = Array.from(this.pending.values()).map(tracked => tracked.result);
+    return Promise.allSettled(results);
+  }
+
+  /**
+   * Wait for a tracked transaction, replacing it with higher fees on timeout
+   * @private
+   */
+  async _track(tracked) {
+    let replacements = 0;
+
+    try {
+      while (true) {
+        const receipt = await this._waitForAnyReceipt(tracked.hashes, this.confirmationTimeoutMs);
+
+        if (receipt) {
+          return {
+            status: receipt.status === 1 ? 'confirmed' : 'reverted',
+            hash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString(),
+            replacements,
+            receipt
+          };
+        }
+
+        if (replacements >= this.maxReplacements) {
+          console.warn(`   ⚠️  ${tracked.label} (nonce ${tracked.nonce}) still unconfirmed after ${replacements} replacement(s)`);
+          await this._resyncNonce(tracked, 'timeout');
+          return {
+            status: 'timeout',
+            hash: tracked.hashes[tracked.hashes.length - 1],
+            blockNumber: null,
+            gasUsed: null,
+            replacements,
+            receipt: null
+          };
+        }
+
+        replacements += 1;
+        await this._replace(tracked);
+      }
+    } finally {
+      this.pending.delete(tracked.nonce);
+    }
+  }
+
+  /**
+   * Resend a tracked transaction with the same nonce and bumped fees
+   * @private
+   */
+  async _replace(tracked) {
+    const networkFees = await this._getFees();
+    // Always raise by at least 1 wei so tiny fees still increase
+    const bump = value => {
+      const bumped = value.mul(100 + this.feeBumpPercent).div(100);
+      return bumped.gt(value) ? bumped : value.add(1);
+    };
+    const request = { ...tracked.request };
+
+    if (request.maxFeePerGas) {
+      request.maxFeePerGas = this._max(bump(request.maxFeePerGas), networkFees.maxFeePerGas);
+      request.maxPriorityFeePerGas = this._max(bump(request.maxPriorityFeePerGas), networkFees.maxPriorityFeePerGas);
+    } else {
+      request.gasPrice = this._max(bump(request.gasPrice), networkFees.gasPrice);
+    }
+
+    try {
+      const tx = await this.signer.sendTransaction(request);
+      tracked.request = request;
+      tracked.hashes.push(tx.hash);
+      console.log(`   🔁 Replaced ${tracked.label} (nonce ${tracked.nonce}) with higher fees: ${tx.hash}`);
+    } catch (error) {
+      if (this._isNonceUsed(error)) {
+        // One of the earlier submissions was mined while we were replacing it
+        return;
+      }
+      await this._resyncNonce(tracked, 'failed replacement');
+      throw error;
+    }
+  }
+
+  /**
+   * Poll for a receipt of any of the given hashes until the timeout
+   * @private
+   */
+  async _waitForAnyReceipt(hashes, timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      for (const hash of hashes) {
+        const receipt = await this.provider.getTransactionReceipt(hash);
+        if (receipt && receipt.confirmations >= this.confirmations) {
+          return receipt;
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+    }
+
+    return null;
+  }
+
+  /**
+   * Current network fees (EIP-1559 if supported, legacy gas price otherwise)
+   * @private
+   */
+  async _getFees() {
+    const feeData = await this.provider.getFeeData();
+    if (feeData.maxFeePerGas && feeData.maxPriorityFeePerGas) {
+      return {
+        type: 2,
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  /**
+   * @private
+   */
+  async _reserveNonce() {
+    if (this.nextNonce === null) {
+      await this._syncNonce();
+    }
+    return this.nextNonce++;
+  }
+
+  /**
+   * @private
+   */
+  async _syncNonce() {
+    this.nextNonce = await this.signer.getTransactionCount('pending');
+  }
+
+  /**
+   * Reload the next nonce from the pending transaction count after a transaction was
+   * given up on, so the local counter cannot drift from what the node will accept
+   * @private
+   */
+  async _resyncNonce(tracked, reason) {
+    try {
+      await this._syncNonce();
+      console.warn(`   🔄 Resynced nonce after ${reason} of ${tracked.label} (nonce ${tracked.nonce}), next nonce: ${this.nextNonce}`);
+    } catch (error) {
+      // Resync lazily on the next send instead
+      this.nextNonce = null;
+      console.error('Error resyncing nonce:', error.message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isNonceUsed(error) {
+    const message = `${error.code || ''} ${error.message || ''}`;
+    return NONCE_USED_PATTERNS.some(pattern => message.includes(pattern));
+  }
+
+  /**
+   * @private
+   */
+  _max(a, b) {
+    if (!b) return a;
+    return ethers.BigNumber.from(a).gt(b) ? a : b;
+  }
+}
+
+module.exports = TransactionManager;
@@ -0,0 +1,157 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const TransactionManager = require('./transactionManager');
+
+const BN = ethers.BigNumber.from;
+
+/**
+ * Executor wallet stand-in: records every submission and only returns receipts
+ * for hashes the test marks as mined
+ */
+function createWallet() {
+  const wallet = {
+    pendingCount: 5,
+    sent: [],
+    receipts: new Map(),
+    sendError: null,
+    provider: {
+      getFeeData: async () => ({ maxFeePerGas: BN(100), maxPriorityFeePerGas: BN(10) }),
+      getTransactionReceipt: async hash => wallet.receipts.get(hash) || null
+    },
+    getTransactionCount: async (blockTag) => {
+      assert.equal(blockTag, 'pending');
+      return wallet.pendingCount;
+    },
+    sendTransaction: async (request) => {
+      if (wallet.sendError) throw wallet.sendError(request);
+      const hash = ethers.utils.id(`${request.nonce}:${wallet.sent.length}`);
+      wallet.sent.push({ ...request, hash });
+      if (wallet.onSend) wallet.onSend(hash, request);
+      return { hash };
+    },
+    mine(hash, status = 1) {
+      wallet.receipts.set(hash, { transactionHash: hash, status, blockNumber: 42, gasUsed: BN(21000), confirmations: 1 });
+    }
+  };
+  return wallet;
+}
+
+const contract = {
+  estimateGas: { payout: async () => BN(100000) },
+  populateTransaction: { payout: async () => ({ to: `0x${'3'.repeat(40)}`, data: '0xabcdef' }) }
+};
+
+describe('TransactionManager', () => {
+  let wallet;
+  let manager;
+
+  beforeEach(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    wallet = createWallet();
+    manager = new TransactionManager(wallet, {
+      confirmationTimeoutMs: 20,
+      pollIntervalMs: 2,
+      maxReplacements: 2,
+      feeBumpPercent: 15
+    });
+    await manager.initialize();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('adds the gas margin to estimates and assigns consecutive nonces', async () => {
+    wallet.onSend = hash => wallet.mine(hash);
+
+    const first = await manager.sendAndWait(contract, 'payout');
+    const second = await manager.sendAndWait(contract, 'payout');
+
+    assert.deepEqual(wallet.sent.map(tx => tx.nonce), [5, 6]);
+    assert.equal(wallet.sent[0].gasLimit.toString(), '120000');
+    assert.equal(first.status, 'confirmed');
+    assert.equal(second.replacements, 0);
+    assert.equal(manager.pendingCount, 0);
+  });
+
+  it('replaces an unconfirmed transaction with bumped fees and the same nonce', async () => {
+    wallet.onSend = (hash) => {
+      if (wallet.sent.length === 2) wallet.mine(hash);
+    };
+
+    const outcome = await manager.sendAndWait(contract, 'payout');
+
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.replacements, 1);
+    assert.equal(outcome.hash, wallet.sent[1].hash);
+    assert.deepEqual(wallet.sent.map(tx => tx.nonce), [5, 5]);
+    assert.equal(wallet.sent[1].maxFeePerGas.toString(), '115');
+    assert.equal(wallet.sent[1].maxPriorityFeePerGas.toString(), '11');
+  });
+
+  it('reports a reverted receipt', async () => {
+    wallet.onSend = hash => wallet.mine(hash, 0);
+
+    const outcome = await manager.sendAndWait(contract, 'payout');
+
+    assert.equal(outcome.status, 'reverted');
+  });
+
+  it('keeps waiting on earlier submissions when a replacement finds the nonce used', async () => {
+    wallet.onSend = () => {
+      wallet.sendError = () => {
+        wallet.mine(wallet.sent[0].hash);
+        return new Error('nonce too low');
+      };
+    };
+
+    const outcome = await manager.sendAndWait(contract, 'payout');
+
+    assert.equal(outcome.status, 'confirmed');
+    assert.equal(outcome.hash, wallet.sent[0].hash);
+  });
+
+  it('resyncs the nonce from the pending count after the last replacement times out', async () => {
+    wallet.onSend = () => {
+      // The node dropped the stuck transaction and another sender used the nonce
+      wallet.pendingCount = 9;
+    };
+
+    const outcome = await manager.sendAndWait(contract, 'payout');
+
+    assert.equal(outcome.status, 'timeout');
+    assert.equal(outcome.replacements, 2);
+    assert.equal(wallet.sent.length, 3);
+    assert.equal(manager.nextNonce, 9);
+  });
+
+  it('resyncs the nonce and fails the transaction when a replacement is rejected', async () => {
+    wallet.onSend = () => {
+      wallet.pendingCount = 5;
+      wallet.sendError = () => new Error('replacement transaction underpriced');
+    };
+
+    const tracked = await manager.send(contract, 'payout');
+    assert.equal(manager.nextNonce, 6);
+
+    await assert.rejects(tracked.result, /underpriced/);
+    assert.equal(manager.nextNonce, 5);
+    assert.equal(manager.pendingCount, 0);
+  });
+
+  it('resyncs the nonce before the next send when a submission fails', async () => {
+    wallet.sendError = () => new Error('insufficient funds');
+    await assert.rejects(manager.send(contract, 'payout'), /insufficient funds/);
+    assert.equal(manager.nextNonce, null);
+
+    wallet.sendError = null;
+    wallet.pendingCount = 7;
+    wallet.onSend = hash => wallet.mine(hash);
+    await manager.sendAndWait(contract, 'payout');
+
+    assert.equal(wallet.sent[0].nonce, 7);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * Treasury Health Model
+ * Scores treasury health from runway coverage, balance freshness, chain concentration,
+ * automation error rate and reconciliation backlog. Each component scores 0-100 with an
+ * explanation; the health score is their weighted average. Components whose input is
+ * unavailable are reported with a null score and left out of the average.
+ */
+
+const DEFAULT_OPTIONS = {
+  weights: {
+    runway: 0.35,
+    automation: 0.2,
+    freshness: 0.15,
+    concentration: 0.15,
+    reconciliation: 0.15
+  },
+  targetRunwayDays: 30, // full marks at or beyond this runway
+  criticalRunwayDays: 7,
+  staleAfterSeconds: 15 * 60, // a chain balance older than this is stale
+  maxConcentration: 0.6, // largest chain share that still scores full marks
+  maxUnreconciled: 50, // unreconciled records at which the component scores 0
+  unreconciledWarning: 10
+};
+
+const clamp = value => Math.max(0, Math.min(1, value));
+const percent = ratio => `${Math.round(ratio * 100)}%`;
+
+class TreasuryHealthModel {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    // Unset overrides (e.g. missing env vars) keep the default
+    const overrides = Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined && value !== null)
+    );
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      ...overrides,
+      weights: { ...DEFAULT_OPTIONS.weights, ...(options.weights || {}) }
+    };
+  }
+
+  /**
+   * Score treasury health
+   * @param {Object} inputs
+   * @param {Object} inputs.balances - Result of CircleGatewayService.getMultiChainUSDCBalances
+   * @param {Object} inputs.forecast - Result of RunwayForecast.forecast (optional)
+   * @param {Object} inputs.automation - { runs, failedRuns } over the recent window (optional)
+   * @param {number} inputs.unreconciledRecords - Unreconciled compliance records (optional)
+   * @param {Date} inputs.now
+   * @returns {Object} { healthScore, status, components, chains, alerts }
+   */
+  evaluate(inputs = {}) {
+    const now = inputs.now || new Date();
+    const alerts = [];
+    const chains = this._chainStatuses(inputs.balances, now);
+
+    const components = [
+      this._runway(inputs.forecast, alerts),
+      this._automation(inputs.automation, alerts),
+      this._freshness(chains, alerts),
+      this._concentration(inputs.balances, alerts),
+      this._reconciliation(inputs.unreconciledRecords, alerts)
+    ].map(component => ({ ...component, weight: this.options.weights[component.name] }));
+
+    const scored = components.filter(component => component.score !== null);
+    const totalWeight = scored.reduce((total, component) => total + component.weight, 0);
+    const healthScore = totalWeight > 0
+      ? Math.round(scored.reduce((total, component) => total + component.score * component.weight, 0) / totalWeight)
+      : null;
+
+    return {
+      healthScore,
+      status: this._status(healthScore, alerts),
+      components,
+      chains,
+      alerts
+    };
+  }
+
+  /**
+   * @private
+   */
+  _runway(forecast, alerts) {
+    const { targetRunwayDays, criticalRunwayDays } = this.options;
+
+    if (!forecast) {
+      return this._unavailable('runway', 'Runway forecast unavailable');
+    }
+
+    if (!forecast.firstFailure) {
+      return {
+        name: 'runway',
+        score: 100,
+        value: null,
+        explanation: `Every scheduled payment is covered for the next ${forecast.horizonDays} days`
+      };
+    }
+
+    const days = forecast.runwayDays;
+    const { firstFailure } = forecast;
+    const explanation = `${firstFailure.amount} USDC payment on ${firstFailure.date.slice(0, 10)} ` +
+      `is ${firstFailure.shortfall} USDC short (${days} day(s) of runway, target ${targetRunwayDays})`;
+
+    if (days < criticalRunwayDays) {
+      alerts.push({ severity: 'critical', component: 'runway', message: explanation });
+    } else if (days < targetRunwayDays) {
+      alerts.push({ severity: 'warning', component: 'runway', message: explanation });
+    }
+
+    return {
+      name: 'runway',
+      score: Math.round(clamp(days / targetRunwayDays) * 100),
+      value: days,
+      explanation
+    };
+  }
+
+  /**
+   * @private
+   */
+  _automation(automation, alerts) {
+    if (!automation || automation.runs === 0) {
+      return this._unavailable('automation', 'No automation runs recorded yet');
+    }
+
+    const errorRate = automation.failedRuns / automation.runs;
+    const explanation = `${automation.failedRuns} of the last ${automation.runs} automation run(s) had errors`;
+
+    if (errorRate >= 0.5) {
+      alerts.push({ severity: 'critical', component: 'automation', message: explanation });
+    } else if (errorRate > 0) {
+      alerts.push({ severity: 'warning', component: 'automation', message: explanation });
+    }
+
+    return {
+      name: 'automation',
+      score: Math.round((1 - errorRate) * 100),
+      value: errorRate,
+      explanation
+    };
+  }
+
+  /**
+   * @private
+   */
+  _freshness(chains, alerts) {
+    if (chains.length === 0) {
+      return this._unavailable('freshness', 'No chain balances reported');
+    }
+
+    const stale = chains.filter(chain => chain.status === 'STALE');
+    stale.forEach(chain => {
+      alerts.push({
+        severity: 'warning',
+        component: 'freshness',
+        message: chain.ageSeconds === null
+          ? `${chain.chain} balance has no update time`
+          : `${chain.chain} balance is ${Math.round(chain.ageSeconds / 60)} minute(s) old`
+      });
+    });
+
+    // Each chain loses credit linearly from the stale threshold to four times it
+    const { staleAfterSeconds } = this.options;
+    const score = chains.reduce((total, chain) => {
+      if (chain.ageSeconds === null) return total;
+      return total + clamp(1 - (chain.ageSeconds - staleAfterSeconds) / (3 * staleAfterSeconds));
+    }, 0) / chains.length;
+
+    return {
+      name: 'freshness',
+      score: Math.round(score * 100),
+      value: stale.length,
+      explanation: stale.length === 0
+        ? `All ${chains.length} chain balance(s) updated within ${staleAfterSeconds / 60} minutes`
+        : `${stale.length} of ${chains.length} chain balance(s) older than ${staleAfterSeconds / 60} minutes`
+    };
+  }
+
+  /**
+   * @private
+   */
+  _concentration(balances, alerts) {
+    const chains = (balances && balances.chains) || [];
+    const total = chains.reduce((sum, chain) => sum + parseFloat(chain.balance), 0);
+
+    if (!(total > 0)) {
+      return this._unavailable('concentration', 'No balance to assess');
+    }
+
+    const largest = chains.reduce((max, chain) =>
+      parseFloat(chain.balance) > parseFloat(max.balance) ? chain : max
+    );
+    const share = parseFloat(largest.balance) / total;
+    const { maxConcentration } = this.options;
+    const explanation = `${percent(share)} of the balance is on ${largest.chain}`;
+
+    if (share > (1 + maxConcentration) / 2) {
+      alerts.push({ severity: 'warning', component: 'concentration', message: explanation });
+    }
+
+    return {
+      name: 'concentration',
+      score: Math.round(clamp((1 - share) / (1 - maxConcentration)) * 100),
+      value: share,
+      explanation
+    };
+  }
+
+  /**
+   * @private
+   */
+  _reconciliation(unreconciled, alerts) {
+    if (unreconciled === null || unreconciled === undefined) {
+      return this._unavailable('reconciliation', 'Compliance record storage not configured');
+    }
+
+    const { maxUnreconciled, unreconciledWarning } = this.options;
+    const explanation = `${unreconciled} compliance record(s) awaiting reconciliation`;
+
+    if (unreconciled >= unreconciledWarning) {
+      alerts.push({ severity: 'warning', component: 'reconciliation', message: explanation });
+    }
+
+    return {
+      name: 'reconciliation',
+      score: Math.round(clamp(1 - unreconciled / maxUnreconciled) * 100),
+      value: unreconciled,
+      explanation
+    };
+  }
+
+  /**
+   * Age and status of each chain balance
+   * @private
+   */
+  _chainStatuses(balances, now) {
+    const chains = (balances && balances.chains) || [];
+
+    return chains.map(chain => {
+      const updated = Date.parse(chain.lastUpdated);
+      const ageSeconds = Number.isNaN(updated)
+        ? null
+        : Math.max(0, Math.round((now.getTime() - updated) / 1000));
+
+      return {
+        chain: chain.chain,
+        balance: chain.balance,
+        status: ageSeconds !== null && ageSeconds <= this.options.staleAfterSeconds ? 'ACTIVE' : 'STALE',
+        ageSeconds,
+        lastUpdated: chain.lastUpdated
+      };
+    });
+  }
+
+  /**
+   * Overall status: any critical alert or a low score is CRITICAL
+   * @private
+   */
+  _status(score, alerts) {
+    if (score === null) return 'UNKNOWN';
+    if (score < 50 || alerts.some(alert => alert.severity === 'critical')) return 'CRITICAL';
+    if (score < 80) return 'DEGRADED';
+    return 'HEALTHY';
+  }
+
+  /**
+   * @private
+   */
+  _unavailable(name, explanation) {
+    return { name, score: null, value: null, explanation };
+  }
+}
+
+module.exports = {
+  TreasuryHealthModel,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TreasuryHealthModel } = require('./treasuryHealth');
+
+const NOW = new Date('2024-01-01T00:00:00Z');
+const secondsAgo = seconds => new Date(NOW.getTime() - seconds * 1000).toISOString();
+
+function balances(chains) {
+  return {
+    chains: chains.map(([chain, balance, ageSeconds = 60]) => ({
+      chain,
+      balance,
+      lastUpdated: ageSeconds === null ? undefined : secondsAgo(ageSeconds)
+    }))
+  };
+}
+
+function shortfall(runwayDays) {
+  return {
+    horizonDays: 90,
+    runwayDays,
+    firstFailure: { amount: '500', date: '2024-01-05T00:00:00.000Z', shortfall: '200' }
+  };
+}
+
+const model = new TreasuryHealthModel();
+const component = (result, name) => result.components.find(c => c.name === name);
+const alertsFor = (result, name) => result.alerts.filter(alert => alert.component === name);
+
+describe('TreasuryHealthModel runway', () => {
+  it('gives full marks when every payment in the horizon is covered', () => {
+    const result = model.evaluate({ forecast: { horizonDays: 90, firstFailure: null }, now: NOW });
+
+    assert.equal(component(result, 'runway').score, 100);
+    assert.deepEqual(alertsFor(result, 'runway'), []);
+  });
+
+  it('scores runway against the target and alerts below the target and critical thresholds', () => {
+    const atTarget = model.evaluate({ forecast: shortfall(30), now: NOW });
+    const belowTarget = model.evaluate({ forecast: shortfall(15), now: NOW });
+    const critical = model.evaluate({ forecast: shortfall(4), now: NOW });
+
+    assert.equal(component(atTarget, 'runway').score, 100);
+    assert.deepEqual(alertsFor(atTarget, 'runway'), []);
+
+    assert.equal(component(belowTarget, 'runway').score, 50);
+    assert.deepEqual(alertsFor(belowTarget, 'runway').map(alert => alert.severity), ['warning']);
+
+    assert.equal(component(critical, 'runway').score, 13);
+    assert.deepEqual(alertsFor(critical, 'runway').map(alert => alert.severity), ['critical']);
+    assert.equal(critical.status, 'CRITICAL');
+    assert.match(component(critical, 'runway').explanation, /^500 USDC payment on 2024-01-05 is 200 USDC short \(4 day/);
+  });
+
+  it('treats the critical threshold as the first non-critical day', () => {
+    const result = model.evaluate({ forecast: shortfall(7), now: NOW });
+
+    assert.deepEqual(alertsFor(result, 'runway').map(alert => alert.severity), ['warning']);
+  });
+});
+
+describe('TreasuryHealthModel freshness', () => {
+  it('marks a chain stale only once it is older than the threshold', () => {
+    const result = model.evaluate({ balances: balances([['Ethereum', '100', 900], ['Base', '100', 901]]), now: NOW });
+
+    assert.deepEqual(result.chains.map(chain => [chain.chain, chain.status, chain.ageSeconds]), [
+      ['Ethereum', 'ACTIVE', 900],
+      ['Base', 'STALE', 901]
+    ]);
+    assert.equal(component(result, 'freshness').value, 1);
+  });
+
+  it('takes credit away linearly up to four times the threshold', () => {
+    const result = model.evaluate({
+      balances: balances([['Ethereum', '100', 600], ['Base', '100', 1800], ['Arbitrum', '100', 3600]]),
+      now: NOW
+    });
+
+    // 1 + 2/3 + 0 over three chains
+    assert.equal(component(result, 'freshness').score, 56);
+    assert.deepEqual(alertsFor(result, 'freshness').map(alert => alert.message), [
+      'Base balance is 30 minute(s) old',
+      'Arbitrum balance is 60 minute(s) old'
+    ]);
+  });
+
+  it('counts a chain without an update time as stale with no credit', () => {
+    const result = model.evaluate({ balances: balances([['Ethereum', '100'], ['Base', '100', null]]), now: NOW });
+
+    assert.equal(result.chains[1].status, 'STALE');
+    assert.equal(component(result, 'freshness').score, 50);
+    assert.deepEqual(alertsFor(result, 'freshness').map(alert => alert.message), ['Base balance has no update time']);
+  });
+});
+
+describe('TreasuryHealthModel concentration', () => {
+  it('gives full marks up to the maximum share on one chain', () => {
+    const result = model.evaluate({ balances: balances([['Ethereum', '600'], ['Base', '400']]), now: NOW });
+
+    assert.equal(component(result, 'concentration').score, 100);
+    assert.equal(component(result, 'concentration').value, 0.6);
+    assert.deepEqual(alertsFor(result, 'concentration'), []);
+  });
+
+  it('scores down past the maximum and alerts halfway to a single chain', () => {
+    const below = model.evaluate({ balances: balances([['Ethereum', '700'], ['Base', '300']]), now: NOW });
+    const above = model.evaluate({ balances: balances([['Ethereum', '100'], ['Base', '900']]), now: NOW });
+
+    assert.equal(component(below, 'concentration').score, 75);
+    assert.deepEqual(alertsFor(below, 'concentration'), []);
+
+    assert.equal(component(above, 'concentration').score, 25);
+    assert.deepEqual(alertsFor(above, 'concentration').map(alert => alert.message), ['90% of the balance is on Base']);
+  });
+
+  it('has no score without a balance', () => {
+    const result = model.evaluate({ balances: balances([['Ethereum', '0']]), now: NOW });
+
+    assert.equal(component(result, 'concentration').score, null);
+  });
+});
+
+describe('TreasuryHealthModel reconciliation', () => {
+  it('warns from the warning backlog and reaches zero at the maximum', () => {
+    const scores = [0, 9, 10, 50, 75].map(unreconciledRecords => {
+      const result = model.evaluate({ unreconciledRecords, now: NOW });
+      return [component(result, 'reconciliation').score, alertsFor(result, 'reconciliation').length];
+    });
+
+    assert.deepEqual(scores, [[100, 0], [82, 0], [80, 1], [0, 1], [0, 1]]);
+  });
+
+  it('has no score when record storage is not configured', () => {
+    const result = model.evaluate({ unreconciledRecords: null, now: NOW });
+
+    assert.equal(component(result, 'reconciliation').score, null);
+    assert.equal(component(result, 'reconciliation').explanation, 'Compliance record storage not configured');
+  });
+});
+
+describe('TreasuryHealthModel health score', () => {
+  it('averages only the components that have data, by weight', () => {
+    // runway 50 (weight 0.35) and reconciliation 100 (weight 0.15)
+    const result = model.evaluate({ forecast: shortfall(15), unreconciledRecords: 0, now: NOW });
+
+    assert.deepEqual(result.components.map(c => [c.name, c.score]), [
+      ['runway', 50],
+      ['automation', null],
+      ['freshness', null],
+      ['concentration', null],
+      ['reconciliation', 100]
+    ]);
+    assert.equal(result.healthScore, 65);
+    assert.equal(result.status, 'DEGRADED');
+  });
+
+  it('is unaffected by a missing component instead of counting it as zero', () => {
+    const result = model.evaluate({ automation: { runs: 0, failedRuns: 0 }, unreconciledRecords: 0, now: NOW });
+
+    assert.equal(component(result, 'automation').score, null);
+    assert.equal(result.healthScore, 100);
+    assert.equal(result.status, 'HEALTHY');
+  });
+
+  it('is unknown when no component has data', () => {
+    const result = model.evaluate({ now: NOW });
+
+    assert.equal(result.healthScore, null);
+    assert.equal(result.status, 'UNKNOWN');
+  });
+
+  it('uses overridden thresholds and weights, keeping defaults for unset ones', () => {
+    const custom = new TreasuryHealthModel({ targetRunwayDays: 60, staleAfterSeconds: undefined, weights: { reconciliation: 0.35 } });
+    const result = custom.evaluate({ forecast: shortfall(15), unreconciledRecords: 0, now: NOW });
+
+    assert.equal(custom.options.staleAfterSeconds, 15 * 60);
+    assert.equal(component(result, 'runway').score, 25);
+    // (25 * 0.35 + 100 * 0.35) / 0.7
+    assert.equal(result.healthScore, 63);
+  });
+});